@@ -0,0 +1,273 @@
+/**
+ * =================================================================================
+ * Admin Dashboard
+ *
+ * The staff page for incoming booking requests, served by server/booking-server.js
+ * at /admin. Staff can search and filter the requests, set each one to pending,
+ * confirmed, declined or completed, assign a guide and a vehicle, and export
+ * the list as CSV. Each booking's history shows who changed what, and when.
+ *
+ * Guests can change the dates and guests of their booking, or cancel it, from
+ * the website; those changes show up in the history as made by "guest", and a
+ * changed booking goes back to pending to be confirmed again.
+ *
+ * Confirming a booking emails the guest, so the page asks first.
+ * =================================================================================
+ */
+
+import { tourCatalog } from '../js/tours.js';
+
+const ADMIN_API_URL = '/api/admin/bookings';
+const ADMIN_SEARCH_DELAY_MS = 300;   // Wait for the typing to pause before searching.
+
+// Badge colours for each status.
+const STATUS_STYLES = {
+    pending: 'bg-amber-100 text-amber-800',
+    confirmed: 'bg-green-100 text-green-800',
+    declined: 'bg-red-100 text-red-800',
+    completed: 'bg-gray-200 text-gray-700',
+    cancelled: 'bg-gray-200 text-gray-500 line-through'
+};
+
+let adminBookings = [];      // The booking records on display, newest first.
+let adminSearchTimer;        // Holds the reference to the pending search.
+
+/**
+ * Escapes text for use inside HTML, as in js/summary.js.
+ * @param {*} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a timestamp for our team, in their own time zone.
+ * @param {string} timestamp - An ISO 8601 timestamp.
+ * @returns {string} The date and time, e.g. "2 Nov 2026, 14:05".
+ */
+function formatAdminTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Reads the filter form as query parameters, leaving out empty filters.
+ * @returns {URLSearchParams} The filters.
+ */
+function getAdminFilters() {
+    const params = new URLSearchParams();
+    new FormData(document.getElementById('admin-filters')).forEach((value, key) => {
+        if (value.trim()) params.set(key, value.trim());
+    });
+    return params;
+}
+
+/**
+ * Shows a short message above the list, e.g. after saving a change.
+ * @param {string} text - The message.
+ * @param {boolean} [isError=false] - True to show it as an error.
+ */
+function showAdminMessage(text, isError = false) {
+    const message = document.getElementById('admin-message');
+    message.textContent = text;
+    message.className = `text-sm font-semibold px-3 py-1 rounded-lg ${isError ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`;
+}
+
+// ---------------------------------------------------------------------------------
+// RENDERING
+// ---------------------------------------------------------------------------------
+
+/**
+ * Describes one entry of a booking's audit trail.
+ * @param {object} entry - The entry (see server/booking-store.js).
+ * @returns {string} The description, e.g. "Status: pending → confirmed".
+ */
+function describeAuditEntry(entry) {
+    if (entry.action === 'received') return 'Received from the website';
+    if (entry.action === 'email') return `Confirmation email to ${entry.to}`;
+    if (entry.action === 'itinerary') return `Itinerary changed from\n${entry.from}\nto\n${entry.to}`;
+    const label = entry.action.charAt(0).toUpperCase() + entry.action.slice(1);
+    return `${label}: ${entry.from || '(none)'} → ${entry.to || '(none)'}`;
+}
+
+/**
+ * Creates the HTML string for one booking's row in the table.
+ * @param {object} record - The booking record.
+ * @returns {string} The HTML content for the row.
+ */
+function createBookingRowHTML(record) {
+    const { booking } = record;
+    const lines = booking.itinerary || [];
+    const statusOptions = Object.keys(STATUS_STYLES).map(status =>
+        `<option value="${status}"${status === record.status ? ' selected' : ''}>${status}</option>`).join('');
+    const history = record.audit.slice().reverse().map(entry => `
+        <li class="whitespace-pre-line"><span class="text-gray-400">${formatAdminTime(entry.at)}</span> ${escapeHTML(describeAuditEntry(entry))} <span class="text-gray-400">(${escapeHTML(entry.by)})</span></li>
+    `).join('');
+
+    return `
+        <tr data-booking-id="${record.id}" class="align-top">
+            <td class="px-4 py-3 whitespace-nowrap">
+                <span class="font-bold text-gray-800">#${record.id}</span>
+                ${booking.reference ? `<span class="block font-mono text-xs text-gray-600">${escapeHTML(booking.reference)}</span>` : ''}
+                <span class="block text-xs text-gray-400">${formatAdminTime(record.receivedAt)}</span>
+                <span class="inline-block mt-1 text-xs font-semibold px-2 py-0.5 rounded-full ${STATUS_STYLES[record.status]}">${record.status}</span>
+            </td>
+            <td class="px-4 py-3">
+                <span class="font-semibold text-gray-800">${escapeHTML(booking.name)}</span>
+                <a href="mailto:${escapeHTML(booking.email)}" class="block text-brand-DEFAULT hover:underline">${escapeHTML(booking.email)}</a>
+                <a href="tel:${escapeHTML(booking.phone)}" class="block text-gray-500">${escapeHTML(booking.phone)}</a>
+                ${booking.requests && booking.requests !== 'N/A' ? `<p class="mt-1 text-xs text-gray-500 italic max-w-xs">${escapeHTML(booking.requests)}</p>` : ''}
+            </td>
+            <td class="px-4 py-3">
+                <ul class="space-y-1">
+                    ${lines.map(line => `<li><span class="font-semibold">${escapeHTML(line.tour)}</span> <span class="text-gray-500 whitespace-nowrap">${escapeHTML(line.date)} &middot; ${escapeHTML(line.guests)} guest(s)</span></li>`).join('')}
+                </ul>
+                ${booking.quote ? `<span class="block mt-1 text-xs text-gray-500">Estimate: ${escapeHTML(booking.quote.total)} ${escapeHTML(booking.quote.currency)}</span>` : ''}
+                <details class="mt-2 text-xs">
+                    <summary class="cursor-pointer text-brand-DEFAULT">History</summary>
+                    <ul class="mt-1 space-y-1">${history}</ul>
+                </details>
+            </td>
+            <td class="px-4 py-3">
+                <select name="status" class="border border-gray-300 rounded-lg px-2 py-1 bg-white" aria-label="Status of booking #${record.id}">${statusOptions}</select>
+            </td>
+            <td class="px-4 py-3">
+                <input type="text" name="guide" list="admin-guides" maxlength="100" value="${escapeHTML(record.guide)}" class="w-36 border border-gray-300 rounded-lg px-2 py-1" aria-label="Guide for booking #${record.id}">
+            </td>
+            <td class="px-4 py-3">
+                <input type="text" name="vehicle" list="admin-vehicles" maxlength="100" value="${escapeHTML(record.vehicle)}" class="w-36 border border-gray-300 rounded-lg px-2 py-1" aria-label="Vehicle for booking #${record.id}">
+            </td>
+            <td class="px-4 py-3">
+                <button type="button" class="save-booking bg-brand-DEFAULT hover:bg-brand-dark text-white font-semibold px-3 py-1 rounded-lg transition">Save</button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Offers the guides and vehicles already assigned while staff type.
+ */
+function renderAssignmentOptions() {
+    ['guide', 'vehicle'].forEach(field => {
+        const names = [...new Set(adminBookings.map(record => record[field]).filter(Boolean))].sort();
+        document.getElementById(`admin-${field}s`).innerHTML = names.map(name => `<option value="${escapeHTML(name)}">`).join('');
+    });
+}
+
+/**
+ * Renders the booking table and the count above it.
+ */
+function renderBookings() {
+    const tableBody = document.getElementById('admin-bookings');
+    tableBody.innerHTML = adminBookings.length
+        ? adminBookings.map(createBookingRowHTML).join('')
+        : '<tr><td colspan="7" class="px-4 py-8 text-center text-gray-400">No bookings match these filters.</td></tr>';
+    document.getElementById('admin-count').textContent = `${adminBookings.length} booking(s)`;
+    renderAssignmentOptions();
+}
+
+// ---------------------------------------------------------------------------------
+// LOADING AND SAVING
+// ---------------------------------------------------------------------------------
+
+/**
+ * Loads the bookings that match the filters, and points the CSV export at the
+ * same list.
+ * @returns {Promise<void>} Resolves once the list is on screen.
+ */
+function loadBookings() {
+    const filters = getAdminFilters().toString();
+    document.getElementById('export-csv').href = `${ADMIN_API_URL}.csv${filters ? `?${filters}` : ''}`;
+
+    return fetch(`${ADMIN_API_URL}${filters ? `?${filters}` : ''}`)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(data => {
+            adminBookings = data.bookings;
+            renderBookings();
+        })
+        .catch(error => {
+            console.log('Could not load the bookings.', error);
+            showAdminMessage('Could not load the bookings. Please reload the page.', true);
+        });
+}
+
+/**
+ * Saves the status, guide and vehicle typed into a booking's row.
+ * @param {HTMLTableRowElement} row - The booking's row.
+ */
+function saveBooking(row) {
+    const record = adminBookings.find(existing => existing.id === parseInt(row.dataset.bookingId));
+    const changes = {
+        status: row.querySelector('[name="status"]').value,
+        guide: row.querySelector('[name="guide"]').value.trim(),
+        vehicle: row.querySelector('[name="vehicle"]').value.trim()
+    };
+    if (changes.status === 'confirmed' && record.status !== 'confirmed'
+        && !confirm(`Confirm booking #${record.id}? ${record.booking.email} will be emailed a confirmation.`)) {
+        return;
+    }
+
+    const saveButton = row.querySelector('.save-booking');
+    saveButton.disabled = true;
+    fetch(`${ADMIN_API_URL}/${record.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    })
+        .then(response => response.json().then(data => {
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            return data;
+        }))
+        .then(data => {
+            adminBookings[adminBookings.indexOf(record)] = data.booking;
+            row.outerHTML = createBookingRowHTML(data.booking);
+            renderAssignmentOptions();
+            if (data.emailError) {
+                showAdminMessage(`Booking #${record.id} saved, but the confirmation email was not sent: ${data.emailError}`, true);
+            } else {
+                showAdminMessage(`Booking #${record.id} saved.`);
+            }
+        })
+        .catch(error => {
+            console.log('Could not save the booking.', error);
+            showAdminMessage(`Could not save booking #${record.id}: ${error.message}`, true);
+            saveButton.disabled = false;
+        });
+}
+
+// ---------------------------------------------------------------------------------
+// INITIALIZATION
+// ---------------------------------------------------------------------------------
+
+document.addEventListener('DOMContentLoaded', () => {
+    const filters = document.getElementById('admin-filters');
+
+    Object.keys(STATUS_STYLES).forEach(status => {
+        document.getElementById('filter-status').add(new Option(status, status));
+    });
+    tourCatalog.forEach(tour => {
+        document.getElementById('filter-tour').add(new Option(tour.title, tour.id));
+    });
+
+    filters.addEventListener('submit', (e) => e.preventDefault());
+    filters.addEventListener('change', loadBookings);
+    filters.elements.q.addEventListener('input', () => {
+        clearTimeout(adminSearchTimer);
+        adminSearchTimer = setTimeout(loadBookings, ADMIN_SEARCH_DELAY_MS);
+    });
+
+    document.getElementById('admin-bookings').addEventListener('click', (e) => {
+        const saveButton = e.target.closest('.save-booking');
+        if (saveButton) saveBooking(saveButton.closest('tr'));
+    });
+
+    loadBookings();
+});
@@ -0,0 +1,260 @@
+/**
+ * =================================================================================
+ * Conversion Analytics
+ *
+ * A small event bus for learning how guests use the site: which tour cards they
+ * open, which tours they book, how far they get with the booking form and what
+ * stops them. The page reports what happens with trackEvent():
+ *
+ *     trackEvent('tour_expand', { tour: 'safari-blue' });
+ *
+ * and the bus hands each event to the sinks in ANALYTICS_CONFIG.sinks. Every sink
+ * has the same shape:
+ *
+ *     { name: string, record(event), flush(), discard() }
+ *
+ * where `event` is { name, props, at, session, page, locale }. `session` is a
+ * random id for this page view only; it is never stored.
+ *
+ * Available sinks:
+ * - collector: Sends the events in batches to our own collector endpoint
+ *              (POST /api/events on server/booking-server.js).
+ * - console:   Logs the events to the browser console, for testing.
+ *
+ * No sink is on by default, and while none is, the consent banner is not shown.
+ *
+ * Nothing is recorded until the guest accepts the consent banner, and what has
+ * not been sent yet is thrown away if they decline later. Nothing personal is
+ * ever recorded: event properties may only hold numbers, booleans and short ids
+ * such as a tour id or a field name. Anything else (names, emails, free text) is
+ * dropped before it reaches a sink.
+ *
+ * Events:
+ * - tour_expand       { tour }                 A tour card's description was opened.
+ * - book_tour         { tour }                 A tour was added with "Book Now".
+ * - form_start        {}                       The guest started on the booking form.
+ * - form_field        { field }                The guest filled in a form field.
+ * - field_invalid     { field }                A field was left with an error in it.
+ * - form_invalid      { fields, count }        Sending was stopped by validation errors.
+ * - form_submit       { outcome, tours }       'sent', 'queued' or 'failed'.
+ * - form_blocked      { reason, elapsed }      The spam guard (js/spam-guard.js) stopped
+ *                                              a booking: 'honeypot', 'too-fast',
+ *                                              'rate-limited' or 'duplicate', and the
+ *                                              seconds since the page loaded.
+ * - photo_view        { album, photo }         A photo was shown in the lightbox.
+ * - testimonial_nav   { control }              'prev', 'next', 'dot' or 'swipe'.
+ * =================================================================================
+ */
+
+import { currentLocale } from './i18n.js';
+
+export const ANALYTICS_CONFIG = {
+    // The sinks events go to. Add 'collector' only where the site is served by
+    // server/booking-server.js: on a static host such as GitHub Pages there is no
+    // /api/events. Add 'console' to watch the events while testing.
+    sinks: [],
+
+    collector: {
+        endpoint: '/api/events',
+        batchSize: 20,          // Send once this many events are waiting...
+        flushDelayMs: 10000     // ...or this long after the first one.
+    }
+};
+
+// Where the guest's answer to the consent banner is kept: 'granted' or 'denied'.
+const ANALYTICS_CONSENT_KEY = 'zanzibar-safari-analytics-consent';
+
+// The only strings allowed in event properties: short ids, like "safari-blue" or
+// "itinerary.0.date", optionally comma-separated. Anything with spaces or an "@"
+// (a name, an email, a message) does not match.
+const ANALYTICS_VALUE_PATTERN = /^[\w.,-]{1,100}$/;
+
+// A random id for this page view, to tell one visit's events apart from another's.
+const analyticsSession = Math.random().toString(36).slice(2, 10);
+
+/**
+ * Creates a sink that POSTs events to our collector in batches. Whatever is
+ * waiting is sent with sendBeacon when the guest leaves the page.
+ * @param {object} options - The endpoint, batch size and delay.
+ * @returns {object} The sink.
+ */
+function createCollectorSink({ endpoint, batchSize, flushDelayMs }) {
+    let batch = [];
+    let flushTimer = null;
+
+    return {
+        name: 'collector',
+        record(event) {
+            batch.push(event);
+            if (batch.length >= batchSize) {
+                this.flush();
+            } else if (!flushTimer) {
+                flushTimer = setTimeout(() => this.flush(), flushDelayMs);
+            }
+        },
+        flush() {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+            if (batch.length === 0) return;
+
+            const body = JSON.stringify({ events: batch });
+            batch = [];
+            if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) return;
+            fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+                .catch(error => {
+                    // Analytics are best effort: a lost batch is not retried.
+                    console.log('Could not send the analytics events.', error);
+                });
+        },
+        discard() {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+            batch = [];
+        }
+    };
+}
+
+/**
+ * Creates a sink that logs events to the browser console.
+ * @returns {object} The sink.
+ */
+function createConsoleSink() {
+    return {
+        name: 'console',
+        record(event) {
+            console.log('[analytics]', event.name, event.props);
+        },
+        flush() {},
+        discard() {}
+    };
+}
+
+// One instance of every sink, keyed by name.
+const analyticsSinks = {
+    collector: createCollectorSink(ANALYTICS_CONFIG.collector),
+    console: createConsoleSink()
+};
+
+/**
+ * Gets the guest's answer to the consent banner.
+ * @returns {string|null} 'granted', 'denied', or null if they have not answered yet.
+ */
+export function getAnalyticsConsent() {
+    try {
+        return localStorage.getItem(ANALYTICS_CONSENT_KEY);
+    } catch (error) {
+        // Storage can be blocked; then there is no consent either.
+        return null;
+    }
+}
+
+/**
+ * Keeps only the event properties that cannot identify a guest.
+ * @param {object} props - The properties.
+ * @returns {object} The properties that are numbers, booleans or short ids.
+ */
+function sanitizeEventProps(props) {
+    const safe = {};
+    Object.keys(props).forEach(key => {
+        const value = props[key];
+        if (typeof value === 'number' || typeof value === 'boolean'
+            || (typeof value === 'string' && ANALYTICS_VALUE_PATTERN.test(value))) {
+            safe[key] = value;
+        }
+    });
+    return safe;
+}
+
+/**
+ * Records an event, if the guest has agreed to analytics.
+ * @param {string} name - The event name, e.g. 'tour_expand'.
+ * @param {object} [props={}] - Details of the event. Never anything personal.
+ */
+export function trackEvent(name, props = {}) {
+    if (getAnalyticsConsent() !== 'granted') return;
+
+    const event = {
+        name,
+        props: sanitizeEventProps(props),
+        at: new Date().toISOString(),
+        session: analyticsSession,
+        // Just the path: the hash can hold a booking reference or a manage-link token.
+        page: location.pathname,
+        locale: currentLocale
+    };
+    ANALYTICS_CONFIG.sinks.forEach(sinkName => {
+        try {
+            analyticsSinks[sinkName].record(event);
+        } catch (error) {
+            console.log(`The ${sinkName} analytics sink failed.`, error);
+        }
+    });
+}
+
+/**
+ * Sends whatever the sinks are still holding, e.g. when the guest leaves the page.
+ */
+export function flushAnalytics() {
+    ANALYTICS_CONFIG.sinks.forEach(name => analyticsSinks[name].flush());
+}
+
+/**
+ * Throws away whatever the sinks are still holding, unsent.
+ */
+function discardAnalytics() {
+    Object.values(analyticsSinks).forEach(sink => sink.discard());
+}
+
+// ---------------------------------------------------------------------------------
+// CONSENT BANNER
+// ---------------------------------------------------------------------------------
+
+/**
+ * Shows or hides the consent banner.
+ * @param {boolean} open - True to show the banner.
+ */
+function setConsentBannerOpen(open) {
+    document.getElementById('consent-banner').classList.toggle('hidden', !open);
+}
+
+/**
+ * Saves the guest's answer to the consent banner and puts the banner away.
+ * Events recorded before the guest declined are not sent.
+ * @param {boolean} granted - True if the guest accepts analytics.
+ */
+export function setAnalyticsConsent(granted) {
+    if (!granted) discardAnalytics();
+    try {
+        localStorage.setItem(ANALYTICS_CONSENT_KEY, granted ? 'granted' : 'denied');
+    } catch (error) {
+        console.log('Could not save the analytics choice.', error);
+    }
+    setConsentBannerOpen(false);
+}
+
+/**
+ * Asks for consent if the guest has not answered yet, wires up the banner and
+ * the "Privacy settings" link, and sends what is waiting when the page is hidden.
+ */
+export function initializeAnalytics() {
+    const banner = document.getElementById('consent-banner');
+    if (!banner) return;
+
+    // Don't ask for consent to collect nothing.
+    const privacyLink = document.getElementById('privacy-settings-link');
+    privacyLink.parentElement.classList.toggle('hidden', ANALYTICS_CONFIG.sinks.length === 0);
+    if (ANALYTICS_CONFIG.sinks.length === 0) return;
+
+    setConsentBannerOpen(getAnalyticsConsent() === null);
+    document.getElementById('consent-accept').addEventListener('click', () => setAnalyticsConsent(true));
+    document.getElementById('consent-decline').addEventListener('click', () => setAnalyticsConsent(false));
+    privacyLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        setConsentBannerOpen(true);
+        document.getElementById('consent-accept').focus();
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAnalytics();
+    });
+}
@@ -0,0 +1,391 @@
+/**
+ * =================================================================================
+ * Booking Form
+ *
+ * The booking form (#booking-form): collecting the booking from the form and the
+ * itinerary, checking it field by field, stopping spam (js/spam-guard.js) and
+ * sending it through the booking transports (js/transports.js). Also reports how
+ * far guests get with the form to the analytics event bus (js/analytics.js).
+ *
+ * An ES module: loading it only defines functions. initializeBookingForm() looks
+ * up the form and wires it up, and is called from js/app/page.js.
+ * =================================================================================
+ */
+
+import { BOOKING_CONFIG, getBookingTransport } from '../transports.js';
+import { moveFocusTo } from '../navigation.js';
+import { getTourById } from '../tours.js';
+import { trackEvent } from '../analytics.js';
+import { addToItinerary, getPickerGuests, getItineraryForBooking, itineraryLines, formatItineraryText, clearItinerary } from '../itinerary.js';
+import { t, currentLocale } from '../i18n.js';
+import { escapeHTML, renderBookingSummary, createBookingReference } from '../summary.js';
+import { clearBookingDraft } from '../draft.js';
+import { quoteItinerary, formatQuoteText } from '../pricing.js';
+import { normalizePhone, validateBooking } from '../validation.js';
+import { checkLineAvailability } from '../availability.js';
+import { setCalendarDate } from '../calendar.js';
+import { checkBookingSubmission, logSpamRejection, solveSpamChallenge, recordBookingSubmission } from '../spam-guard.js';
+import { deliverBooking } from '../outbox.js';
+
+// The form and its message boxes. Looked up by initializeBookingForm().
+let form = null;
+let errorBox = null;
+let successBox = null;
+
+// ---------------------------------------------------------------------------------
+// EMAILJS INITIALIZATION
+// ---------------------------------------------------------------------------------
+
+/**
+ * Initializes the EmailJS service with a public key.
+ * This allows the site to send emails via the EmailJS client-side SDK.
+ */
+export function initializeEmailJS() {
+    // The SDK is missing when the CDN could not be reached; the transport then uses the REST API.
+    if (typeof emailjs === 'undefined') return;
+    emailjs.init({
+        publicKey: BOOKING_CONFIG.emailjs.publicKey
+    });
+}
+
+// ---------------------------------------------------------------------------------
+// BOOKING FORM LOGIC
+// ---------------------------------------------------------------------------------
+
+/**
+ * Scrolls to the booking form, pre-selects a tour from the dropdown and adds it
+ * to the guest's itinerary.
+ * This function is typically called from "Book Now" buttons on specific tour cards.
+ * @param {string} tourId - The id of the tour (from the tour catalog) to be booked.
+ */
+export function bookTour(tourId) {
+    // Scroll the booking section into the viewport smoothly, and take the
+    // keyboard focus along (js/navigation.js).
+    document.getElementById('booking').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    moveFocusTo(document.getElementById('booking-title'));
+
+    // Only book tours that exist in the catalog.
+    if (getTourById(tourId)) {
+        trackEvent('book_tour', { tour: tourId });
+        document.getElementById('tour-select').value = tourId;
+        addToItinerary(tourId, document.getElementById('booking-date').value, getPickerGuests());
+    }
+}
+
+/**
+ * Displays the error message box with a specific message.
+ * @param {string} text - The error message to display.
+ */
+export function showError(text) {
+    document.getElementById('error-text').textContent = text;
+    errorBox.classList.remove('hidden');
+    // Scroll to the error message so the user sees it, and focus it so screen
+    // readers and keyboard users are taken there too.
+    errorBox.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    moveFocusTo(errorBox);
+}
+
+/**
+ * Hides the error message box.
+ */
+export function hideError() {
+    errorBox.classList.add('hidden');
+}
+
+// The manage-link token the booking server replied with for the last booking
+// sent. Null when no transport reached the booking server, e.g. on a static host.
+let sentBookingToken = null;
+
+/**
+ * Shows the booking reference in the success message, in the guest's language,
+ * with the guest's link to manage the booking when the booking server sent one.
+ * @param {string} reference - The booking reference, e.g. "ZST-7KQ3MP".
+ */
+export function showBookingReference(reference) {
+    document.getElementById('booking-reference-text').innerHTML = t('success.reference', {
+        reference: `<strong id="booking-reference" class="font-mono text-gray-800">${reference}</strong>`
+    });
+
+    const manageLinkText = document.getElementById('manage-link-text');
+    manageLinkText.classList.toggle('hidden', !sentBookingToken);
+    if (!sentBookingToken) return;
+    const manageUrl = new URL(`#manage?ref=${encodeURIComponent(reference)}&token=${encodeURIComponent(sentBookingToken)}`, window.location.href).href;
+    manageLinkText.innerHTML = t('success.manageLink', {
+        link: `<a id="manage-link" href="${escapeHTML(manageUrl)}" class="font-semibold text-brand-DEFAULT hover:underline break-all">${escapeHTML(manageUrl)}</a>`
+    });
+}
+
+// The last booking saved to the outbox, kept for the WhatsApp handoff button.
+let queuedBooking = null;
+
+/**
+ * Replaces the form with the success message and the booking summary.
+ * @param {object} booking - The booking that was sent or saved.
+ * @param {boolean} queued - True if the booking was saved to the outbox instead of sent.
+ * @param {object} [receipt] - The booking server's reply, with the manage-link token.
+ */
+export function showBookingSent(booking, queued, receipt) {
+    form.style.display = 'none'; // Hide the form.
+    sentBookingToken = receipt ? receipt.token : null;
+    clearBookingDraft(); // The booking is on its way; don't offer it again on the next visit.
+    const successTitle = document.getElementById('success-title');
+    successTitle.dataset.i18n = queued ? 'success.savedTitle' : 'success.sentTitle';
+    successTitle.textContent = t(successTitle.dataset.i18n);
+    showBookingReference(booking.reference);
+    document.getElementById('queued-notice').classList.toggle('hidden', !queued);
+    renderBookingSummary(booking);
+    successBox.classList.remove('hidden'); // Show the success message.
+    // Scroll to the top of the section to show the success message.
+    document.getElementById('booking').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// What the guest is told when the spam guard stops their booking, by reason.
+// A filled-in honeypot gets the plain "failed to send" message.
+const SPAM_REJECTION_MESSAGES = {
+    'too-fast': 'spam.tooFast',
+    'rate-limited': 'spam.rateLimited',
+    duplicate: 'spam.duplicate'
+};
+
+// The form control each validated booking field is typed into (see js/validation.js).
+const BOOKING_FIELD_INPUTS = {
+    name: 'full-name',
+    email: 'email',
+    phone: 'phone',
+    requests: 'requests',
+    itinerary: 'itinerary-list'
+};
+
+/**
+ * Collects the booking request from the form and the itinerary.
+ * @returns {object} The booking, as sent by the transports.
+ */
+export function collectBooking() {
+    const formData = new FormData(form);
+    const itinerary = getItineraryForBooking();
+    const quote = quoteItinerary(itineraryLines);
+    return {
+        kind: 'booking',
+        itinerary: itinerary,
+        // Plain-text copy of the itinerary for the email body.
+        itinerary_text: formatItineraryText(itinerary),
+        // The price estimate shown to the guest, with its line-item breakdown.
+        quote: quote,
+        quote_text: formatQuoteText(quote),
+        name: formData.get('name').trim(),
+        email: formData.get('email').trim(),
+        phone: normalizePhone(formData.get('phone')),
+        requests: formData.get('requests') || 'N/A', // Use 'N/A' if requests are empty.
+        // So our team can reply in the guest's language.
+        locale: currentLocale
+    };
+}
+
+/**
+ * Validates a booking, adding the live seat availability of each itinerary line
+ * to the rules in js/validation.js.
+ * @param {object} booking - The booking from collectBooking().
+ * @returns {object} Error messages keyed by field; empty when the booking is valid.
+ */
+export function getBookingErrors(booking) {
+    // 'N/A' is only filled in for the email; validate what the guest typed.
+    const errors = validateBooking({ ...booking, requests: form.elements.requests.value });
+    itineraryLines.forEach((line, index) => {
+        const key = `itinerary.${index}.date`;
+        if (!line.date || errors[key]) return;
+        const reason = checkLineAvailability(line);
+        if (reason) errors[key] = reason;
+    });
+    return errors;
+}
+
+/**
+ * Shows or clears the error message under one form control.
+ * @param {string} field - The booking field, a key of BOOKING_FIELD_INPUTS.
+ * @param {string} [message] - The error message. Clears the error when empty.
+ */
+function setFieldError(field, message) {
+    const input = document.getElementById(BOOKING_FIELD_INPUTS[field]);
+    const errorText = document.getElementById(`${BOOKING_FIELD_INPUTS[field]}-error`);
+    if (field === 'itinerary') {
+        input.classList.toggle('border-2', !!message);
+        input.classList.toggle('rounded-lg', !!message);
+    }
+    input.classList.toggle('border-red-500', !!message);
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    errorText.textContent = message || '';
+    errorText.classList.toggle('hidden', !message);
+}
+
+/**
+ * Shows the errors of one itinerary line under that line.
+ * @param {number} index - The line's position in the itinerary.
+ * @param {object} errors - All booking errors, keyed as by validateBooking().
+ */
+function setItineraryLineErrors(index, errors) {
+    const lineEl = document.querySelector(`.itinerary-line[data-index="${index}"]`);
+    if (!lineEl) return;
+
+    const messages = [];
+    // Guest number errors are reported on the "adults" input.
+    ['tour', 'date', 'adults'].forEach(field => {
+        const message = errors[`itinerary.${index}.${field}`];
+        const input = lineEl.querySelector(`[data-field="${field}"]`);
+        if (message) messages.push(message);
+        if (input) {
+            input.classList.toggle('border-red-500', !!message);
+            input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        }
+    });
+
+    const errorText = lineEl.querySelector('.itinerary-line-error');
+    errorText.textContent = messages.join(' ');
+    errorText.classList.toggle('hidden', messages.length === 0);
+}
+
+/**
+ * Shows every booking error next to its field, and clears fields that are now valid.
+ * @param {object} errors - The errors from getBookingErrors().
+ */
+export function showFieldErrors(errors) {
+    Object.keys(BOOKING_FIELD_INPUTS).forEach(field => setFieldError(field, errors[field]));
+    itineraryLines.forEach((line, index) => setItineraryLineErrors(index, errors));
+}
+
+/**
+ * Wires up the booking form: checking fields as the guest leaves them, the
+ * "Clear" button, the analytics of how far guests get, and sending it.
+ */
+export function initializeBookingForm() {
+    form = document.getElementById('booking-form');
+    errorBox = document.getElementById('error-message');
+    successBox = document.getElementById('success-message');
+    if (!form) return;
+
+    // The tour cards' "Book Now" buttons. The cards are re-rendered, so listen on the grid.
+    const tourGrid = document.getElementById('tour-grid');
+    if (tourGrid) {
+        tourGrid.addEventListener('click', (event) => {
+            const button = event.target.closest('.tour-card-btn');
+            if (button) bookTour(button.closest('.tour-card').dataset.tourId);
+        });
+    }
+
+    // Let guests with a queued booking hand it over to WhatsApp instead of waiting.
+    const whatsappHandoffBtn = document.getElementById('whatsapp-handoff-btn');
+    if (whatsappHandoffBtn) {
+        whatsappHandoffBtn.addEventListener('click', () => {
+            if (queuedBooking) {
+                getBookingTransport('whatsapp').send(queuedBooking);
+            }
+        });
+    }
+
+    // The "Clear" button resets the inputs; empty the itinerary along with them.
+    form.addEventListener('reset', () => {
+        clearItinerary();
+        showFieldErrors({});
+        hideError();
+        // Wait for the reset to clear #tour-select, then clear the calendar too.
+        setTimeout(() => setCalendarDate(''));
+    });
+
+    // Check each contact field as soon as the guest leaves it.
+    form.addEventListener('focusout', (event) => {
+        const field = Object.keys(BOOKING_FIELD_INPUTS)
+            .find(key => BOOKING_FIELD_INPUTS[key] === event.target.id);
+        if (!field || field === 'itinerary') return;
+        // Don't complain about a field the guest skipped over without typing.
+        if (!event.target.value && event.target.getAttribute('aria-invalid') !== 'true') return;
+        const message = getBookingErrors(collectBooking())[field];
+        if (message) trackEvent('field_invalid', { field });
+        setFieldError(field, message);
+    });
+
+    // Check a tour's date in the itinerary as soon as the guest picks it, against
+    // the tour's availability too.
+    form.addEventListener('change', (event) => {
+        const lineEl = event.target.dataset.field === 'date' && event.target.closest('.itinerary-line');
+        if (!lineEl) return;
+        setItineraryLineErrors(parseInt(lineEl.dataset.index), getBookingErrors(collectBooking()));
+    });
+
+    // Report how far guests get with the form: when they start, and each field
+    // they fill in (once per field, and never what they typed).
+    const trackedFormFields = new Set();
+    let formStarted = false;
+    form.addEventListener('focusin', () => {
+        if (!formStarted) trackEvent('form_start');
+        formStarted = true;
+    });
+    form.addEventListener('change', (event) => {
+        const field = event.target.name || event.target.id;
+        if (!field || trackedFormFields.has(field)) return;
+        trackedFormFields.add(field);
+        trackEvent('form_field', { field });
+    });
+
+    form.addEventListener('submit', (event) => {
+        // Prevent the default browser form submission behavior.
+        event.preventDefault();
+
+        // --- Step 1: Collect the booking from the form and the itinerary ---
+        const templateParams = collectBooking();
+
+        // --- Step 2: Validate it, and show each error next to its field ---
+        const errors = getBookingErrors(templateParams);
+        showFieldErrors(errors);
+
+        // --- Step 3: If the booking is invalid, summarise the errors and stop ---
+        const errorCount = Object.keys(errors).length;
+        if (errorCount > 0) {
+            trackEvent('form_invalid', { fields: Object.keys(errors).join(','), count: errorCount });
+            showError(errorCount === 1
+                ? t('booking.fixField')
+                : t('booking.fixFields', { count: errorCount }));
+            // Move the keyboard focus to the first field that needs fixing.
+            const firstInvalid = form.querySelector('input[aria-invalid="true"], textarea[aria-invalid="true"]');
+            if (firstInvalid) firstInvalid.focus({ preventScroll: true });
+            return;
+        }
+
+        // --- Step 4: Stop bots, and guests sending the same booking twice (js/spam-guard.js) ---
+        const rejection = checkBookingSubmission(form, templateParams);
+        if (rejection) {
+            logSpamRejection(rejection);
+            // Don't tell a bot which check caught it.
+            showError(t(SPAM_REJECTION_MESSAGES[rejection] || 'booking.sendFailed'));
+            return;
+        }
+
+        // If validation passes, hide any previous error messages.
+        hideError();
+        templateParams.reference = createBookingReference();
+
+        // --- Step 5: Solve the spam challenge, then deliver the booking through the configured transport ---
+        const submitButton = form.querySelector('button[type="submit"]');
+        const originalButtonText = submitButton.textContent;
+        submitButton.textContent = t('booking.sending'); // Provide user feedback.
+        submitButton.disabled = true;
+
+        solveSpamChallenge(templateParams)
+            .then(() => deliverBooking(templateParams))
+            .then(({ queued, receipt }) => {
+                // --- Sent, or kept in the outbox to retry later ---
+                if (queued) queuedBooking = templateParams;
+                recordBookingSubmission(templateParams);
+                trackEvent('form_submit', { outcome: queued ? 'queued' : 'sent', tours: templateParams.itinerary.length });
+                showBookingSent(templateParams, queued, receipt);
+            }, (error) => {
+                console.log('Could not send the booking or save it to the outbox.', error);
+                trackEvent('form_submit', { outcome: 'failed', tours: templateParams.itinerary.length });
+                showError(t('booking.sendFailed'));
+            })
+            .finally(() => {
+                // --- Always runs after success or failure ---
+                // Restore the submit button to its original state.
+                submitButton.textContent = originalButtonText;
+                submitButton.disabled = false;
+            });
+    });
+}
@@ -0,0 +1,129 @@
+/**
+ * =================================================================================
+ * Page Initialization
+ *
+ * Starts every part of the page, in order, once the document has loaded (see
+ * script.js), importing each part's initializer from its file in js/.
+ *
+ * An ES module: loading it only defines functions.
+ * =================================================================================
+ */
+
+import { initializeEmailJS, initializeBookingForm, showBookingReference } from './booking-form.js';
+import { initializeTourDescriptions } from './tour-cards.js';
+import { initializeI18n } from '../i18n.js';
+import { renderTourCatalog, localizeTourCatalog } from '../tours.js';
+import { initializeTourFilters, localizeTourFilters } from '../tour-filters.js';
+import { initializeCalendar, renderCalendar } from '../calendar.js';
+import { initializeItinerary, renderItinerary } from '../itinerary.js';
+import { initializeDraft } from '../draft.js';
+import { localizeTestimonials, initializeTestimonials } from '../testimonials.js';
+import { localizeReviews, loadReviews, renderTourRatings, initializeReviewForm } from '../reviews.js';
+import { localizeManageBooking, initializeManageBooking, manageSentBooking } from '../manage-booking.js';
+import { localizeLightbox, initializeLightbox } from '../lightbox.js';
+import { summaryBooking, renderBookingSummary, initializeBookingSummary } from '../summary.js';
+import { initializeNavigation } from '../navigation.js';
+import { loadImageManifest, waitForImageManifest, renderResponsiveImages } from '../images.js';
+import { initializeOutbox } from '../outbox.js';
+import { initializeOffline } from '../offline.js';
+import { initializeAnalytics } from '../analytics.js';
+import { initializeRouter } from '../router.js';
+
+/**
+ * Fades the page's sections in as they scroll into view.
+ */
+function initializeScrollAnimations() {
+    const animatedElements = document.querySelectorAll('.animated-section, .animated-item');
+
+    const observer = new IntersectionObserver((entries, observer) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('is-visible');
+                observer.unobserve(entry.target);
+            }
+        });
+    }, {
+        threshold: 0.1,
+        rootMargin: '0px 0px -50px 0px'
+    });
+
+    animatedElements.forEach(el => {
+        observer.observe(el);
+    });
+}
+
+/**
+ * Initializes the whole page. The photos are rendered once the image manifest
+ * has loaded, or the wait for it is over (see js/images.js).
+ * @returns {Promise<void>} Resolves once the page has started.
+ */
+export function initializePage() {
+    // Start loading the image manifest straight away; the photos wait for it.
+    const manifestLoaded = loadImageManifest();
+    initializeEmailJS();
+    // Pick the guest's language first, so everything below renders in it.
+    initializeI18n();
+
+    return waitForImageManifest(manifestLoaded).then(() => {
+        // Render the tour cards and booking options before anything queries them.
+        renderTourCatalog();
+        // Give the gallery its copies before the browser starts loading it.
+        renderResponsiveImages();
+        initializeTourDescriptions();
+        initializeTourFilters();
+        initializeCalendar();
+        initializeItinerary();
+        initializeDraft();
+        initializeBookingForm();
+
+        // Re-render the parts of the page built in JavaScript when the guest picks
+        // another language; static text is handled by translatePage().
+        document.addEventListener('localechange', () => {
+            localizeTourCatalog();
+            localizeTourFilters();
+            renderCalendar();
+            renderItinerary();
+            localizeTestimonials();
+            localizeReviews();
+            localizeManageBooking();
+            localizeLightbox();
+            if (summaryBooking) {
+                showBookingReference(summaryBooking.reference);
+                renderBookingSummary(summaryBooking);
+            }
+        });
+
+        initializeNavigation();
+        // Show the guest reviews in the carousel and as ratings on the tour cards.
+        loadReviews().then(() => {
+            renderTourRatings();
+            initializeTestimonials();
+        });
+        initializeReviewForm();
+
+        // Start retrying any bookings left in the outbox by an earlier visit.
+        initializeOutbox();
+        initializeOffline();
+        initializeBookingSummary();
+        initializeManageBooking();
+        initializeAnalytics();
+
+        // The "Change or Cancel Booking" button on the success message opens the
+        // booking in "Manage my booking", so changes amend it instead of sending a
+        // second request.
+        const editBtn = document.getElementById('edit-booking-btn');
+        if (editBtn) {
+            editBtn.addEventListener('click', () => {
+                if (summaryBooking) manageSentBooking(summaryBooking);
+            });
+        }
+
+        initializeScrollAnimations();
+        initializeLightbox();
+        // Open the tour, photo or booking the page was linked to, if any.
+        initializeRouter();
+
+        // A manifest that came in after the wait still swaps the photos for their copies.
+        manifestLoaded.then(renderResponsiveImages);
+    });
+}
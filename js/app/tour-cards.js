@@ -0,0 +1,62 @@
+/**
+ * =================================================================================
+ * Expandable Tour Descriptions
+ *
+ * Clicking a tour card's description expands it, shrinking the photo above it to
+ * make room. Expanding goes through the router (js/router.js), so an open card
+ * can be linked to as #tour/<id>.
+ *
+ * An ES module: loading it only defines functions.
+ * =================================================================================
+ */
+
+import { trackEvent } from '../analytics.js';
+import { navigate, activeRoute, exitRoute } from '../router.js';
+
+/**
+ * Expands or collapses the description of a tour card.
+ * Image shrinks up when description expands.
+ * @param {string} tourId - The id of the tour whose card should change.
+ * @param {boolean} expanded - True to expand the description, false to collapse it.
+ */
+export function setTourExpanded(tourId, expanded) {
+    const tourCard = document.querySelector(`.tour-card[data-tour-id="${tourId}"]`);
+    if (!tourCard) return;
+
+    const desc = tourCard.querySelector('.description-wrapper');
+    desc.classList.toggle('expanded', expanded);
+    tourCard.classList.toggle('expanded', expanded);
+
+    if (expanded) {
+        // Smooth scroll to keep card visible
+        setTimeout(() => {
+            tourCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }, 200);
+    }
+}
+
+/**
+ * Initialize clickable tour descriptions.
+ * Click description to expand/collapse.
+ */
+export function initializeTourDescriptions() {
+    const descriptions = document.querySelectorAll('.description-wrapper');
+    
+    descriptions.forEach((desc) => {
+        desc.addEventListener('click', function(e) {
+            e.stopPropagation();
+            
+            // Expanding a card goes through the router (js/router.js), so it can be
+            // linked to and the back button collapses it again.
+            const tourId = this.closest('.tour-card').dataset.tourId;
+            if (!this.classList.contains('expanded')) {
+                trackEvent('tour_expand', { tour: tourId });
+                navigate(`#tour/${tourId}`);
+            } else if (activeRoute && activeRoute.route.name === 'tour' && activeRoute.args[0] === tourId) {
+                exitRoute('#tours');
+            } else {
+                setTourExpanded(tourId, false);
+            }
+        });
+    });
+}
@@ -0,0 +1,122 @@
+/**
+ * =================================================================================
+ * Tour Availability
+ *
+ * Reads the per-tour availability feed (data/availability.json) and answers the
+ * question "can this tour be booked on this day?". The feed lists, for each tour:
+ * - weekdays:       The days of the week the tour runs (0 = Sunday ... 6 = Saturday).
+ * - seats:          The number of seats on a normal day.
+ * - blackoutDates:  Days the tour does not run, either "YYYY-MM-DD" strings or
+ *                   { from, to } ranges (inclusive).
+ * - remainingSeats: Seats left on days that already have bookings, by date.
+ *
+ * Tours missing from the feed run every day with no seat limit. Until the feed has
+ * loaded (or if it cannot be loaded) only past dates, and dates beyond the booking
+ * window (VALIDATION_LIMITS.bookingWindowDays in js/validation.js), are unavailable.
+ * =================================================================================
+ */
+
+import { t } from './i18n.js';
+import { addDaysToDate, getValidationMessage, VALIDATION_LIMITS } from './validation.js';
+
+const AVAILABILITY_URL = 'data/availability.json';
+
+// The tours section of the feed, keyed by tour id. Empty until loaded.
+let tourAvailability = {};
+
+/**
+ * Formats a Date as a local YYYY-MM-DD string.
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+export function formatISODate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Fetches the availability feed. Resolves even when the feed cannot be loaded,
+ * so the booking form keeps working without it.
+ * @returns {Promise<void>} Resolves once the feed has been read.
+ */
+export function loadAvailability() {
+    return fetch(AVAILABILITY_URL)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(feed => {
+            tourAvailability = feed.tours || {};
+        })
+        .catch(error => {
+            console.log('Could not load tour availability.', error);
+        });
+}
+
+/**
+ * Checks whether a date falls on one of a tour's blackout dates.
+ * @param {Array<string|object>} blackoutDates - The tour's blackout dates and ranges.
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @returns {boolean} True if the tour does not run on that date.
+ */
+function isBlackedOut(blackoutDates, date) {
+    return blackoutDates.some(entry => typeof entry === 'string'
+        ? entry === date
+        : date >= entry.from && date <= entry.to);
+}
+
+/**
+ * Works out whether a tour can be booked on a date, and how many seats are left.
+ * @param {string} tourId - The id of the tour.
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @returns {object} { available, seatsLeft, reason }. seatsLeft is null when the
+ *     tour has no seat limit; reason explains why an unavailable date cannot be booked.
+ */
+export function getAvailability(tourId, date) {
+    const today = formatISODate(new Date());
+    if (date < today) {
+        return { available: false, seatsLeft: 0, reason: t('availability.past') };
+    }
+    if (date > addDaysToDate(today, VALIDATION_LIMITS.bookingWindowDays)) {
+        const reason = getValidationMessage('dateTooFar', { days: VALIDATION_LIMITS.bookingWindowDays });
+        return { available: false, seatsLeft: 0, reason };
+    }
+
+    const tour = tourAvailability[tourId];
+    if (!tour) {
+        return { available: true, seatsLeft: null, reason: '' };
+    }
+
+    const weekday = new Date(date + 'T00:00:00').getDay();
+    if (tour.weekdays && !tour.weekdays.includes(weekday)) {
+        return { available: false, seatsLeft: 0, reason: t('availability.weekday') };
+    }
+    if (isBlackedOut(tour.blackoutDates || [], date)) {
+        return { available: false, seatsLeft: 0, reason: t('availability.blackout') };
+    }
+
+    const remaining = tour.remainingSeats || {};
+    const seatsLeft = date in remaining ? remaining[date] : (tour.seats ?? null);
+    if (seatsLeft === 0) {
+        return { available: false, seatsLeft: 0, reason: t('availability.full') };
+    }
+    return { available: true, seatsLeft, reason: '' };
+}
+
+/**
+ * Checks whether a tour can take a group on a date.
+ * Infants sit on a lap, so only adults and children need a seat.
+ * @param {object} line - The itinerary line ({ tourId, date, adults, children, infants }).
+ * @returns {string} An empty string if the line can be booked, or the reason it cannot.
+ */
+export function checkLineAvailability(line) {
+    const { available, seatsLeft, reason } = getAvailability(line.tourId, line.date);
+    if (!available) return reason;
+
+    const seatsNeeded = line.adults + line.children;
+    if (seatsLeft !== null && seatsNeeded > seatsLeft) {
+        return t('availability.fewSeats', { count: seatsLeft });
+    }
+    return '';
+}
@@ -0,0 +1,217 @@
+/**
+ * =================================================================================
+ * Availability Calendar for the Booking Form
+ *
+ * Replaces the native date input of the tour picker with a month calendar. Days
+ * the selected tour cannot be booked on (see js/availability.js) are greyed out,
+ * and the seats left on the chosen day are shown under the calendar. Days past the
+ * booking window are greyed out too, and the calendar does not page beyond it.
+ *
+ * The chosen date is stored in the hidden #booking-date input, so the rest of the
+ * form reads it exactly as it read the old date input.
+ *
+ * Each itinerary line picks its date with a calendar of its own, made by the same
+ * createAvailabilityCalendar() (see js/itinerary.js).
+ * =================================================================================
+ */
+
+import { formatISODate, getAvailability, loadAvailability } from './availability.js';
+import { getIntlLocale, t } from './i18n.js';
+import { addDaysToDate, VALIDATION_LIMITS } from './validation.js';
+
+// The booking picker's calendar, in #booking-calendar. Created by initializeCalendar().
+let bookingCalendar = null;
+
+/**
+ * Gets the first day of a date's month.
+ * @param {Date} date - Any day of the month.
+ * @returns {Date} The 1st of that month.
+ */
+function getFirstOfMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+/**
+ * Creates the HTML string for a single day of the calendar.
+ * @param {Date} day - The day to render.
+ * @param {string} tourId - The selected tour, or an empty string if none is selected.
+ * @param {string} selectedDate - The currently chosen date (YYYY-MM-DD).
+ * @returns {string} The HTML content for the day.
+ */
+function createCalendarDayHTML(day, tourId, selectedDate) {
+    const date = formatISODate(day);
+    // Without a tour, only past days and days beyond the booking window are unavailable.
+    const { available, reason } = getAvailability(tourId, date);
+
+    const classes = ['calendar-day'];
+    if (!available) classes.push('calendar-day-unavailable');
+    if (date === selectedDate) classes.push('calendar-day-selected');
+    if (date === formatISODate(new Date())) classes.push('calendar-day-today');
+
+    const label = day.toLocaleDateString(getIntlLocale(), { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    return `
+        <button type="button" class="${classes.join(' ')}" data-date="${date}"
+            aria-label="${label}${available ? '' : '. ' + reason}" aria-pressed="${date === selectedDate}"
+            ${available ? '' : 'disabled'}>${day.getDate()}</button>
+    `;
+}
+
+/**
+ * Gets the short weekday names in the guest's language, starting on Sunday.
+ * @returns {Array<string>} The names, e.g. ['Su', 'Mo', ...] or ['So', 'Mo', ...].
+ */
+function getCalendarWeekdays() {
+    // 4 January 1970 was a Sunday.
+    return Array.from({ length: 7 }, (_, i) =>
+        new Date(1970, 0, 4 + i).toLocaleDateString(getIntlLocale(), { weekday: 'short' }).slice(0, 2));
+}
+
+/**
+ * Creates a month calendar in a container, for picking a day a tour can be
+ * booked on. It pages from this month to the last month of the booking window.
+ * Used by the booking picker below and by each itinerary line (js/itinerary.js).
+ * @param {HTMLElement} container - The element to render the calendar into.
+ * @param {object} options
+ * @param {Function} options.getTourId - Returns the tour whose days to show, or ''.
+ * @param {Function} options.getDate - Returns the chosen date (YYYY-MM-DD), or ''.
+ * @param {Function} options.onSelect - Called with the date the guest picks.
+ * @returns {object} The calendar: { render(), setMonth(date) }.
+ */
+export function createAvailabilityCalendar(container, { getTourId, getDate, onSelect }) {
+    const firstMonth = getFirstOfMonth(new Date());
+    const lastDate = addDaysToDate(formatISODate(new Date()), VALIDATION_LIMITS.bookingWindowDays);
+    const lastMonth = getFirstOfMonth(new Date(`${lastDate}T00:00:00`));
+    // The first day of the month shown.
+    let month = getDate() ? getFirstOfMonth(new Date(`${getDate()}T00:00:00`)) : firstMonth;
+
+    const calendar = {
+        /**
+         * Renders the month shown.
+         */
+        render() {
+            const tourId = getTourId();
+            const selectedDate = getDate();
+            const year = month.getFullYear();
+            const daysInMonth = new Date(year, month.getMonth() + 1, 0).getDate();
+
+            // Leading blanks so the 1st lands under the right weekday.
+            const cells = Array(month.getDay()).fill('<span></span>');
+            for (let d = 1; d <= daysInMonth; d++) {
+                cells.push(createCalendarDayHTML(new Date(year, month.getMonth(), d), tourId, selectedDate));
+            }
+
+            container.innerHTML = `
+                <div class="flex items-center justify-between mb-2">
+                    <button type="button" class="calendar-nav" data-month-offset="-1" aria-label="${t('calendar.previousMonth')}" ${month <= firstMonth ? 'disabled' : ''}><i class="fas fa-chevron-left"></i></button>
+                    <span class="font-semibold text-gray-800 text-sm">${month.toLocaleDateString(getIntlLocale(), { month: 'long', year: 'numeric' })}</span>
+                    <button type="button" class="calendar-nav" data-month-offset="1" aria-label="${t('calendar.nextMonth')}" ${month >= lastMonth ? 'disabled' : ''}><i class="fas fa-chevron-right"></i></button>
+                </div>
+                <div class="calendar-grid text-xs text-gray-500 font-semibold mb-1">
+                    ${getCalendarWeekdays().map(name => `<span>${name}</span>`).join('')}
+                </div>
+                <div class="calendar-grid">${cells.join('')}</div>
+            `;
+        },
+
+        /**
+         * Moves the calendar to the month of a date, kept inside the booking window.
+         * Call render() to show it.
+         * @param {string} date - The date as YYYY-MM-DD.
+         */
+        setMonth(date) {
+            const target = getFirstOfMonth(new Date(`${date}T00:00:00`));
+            month = target < firstMonth ? firstMonth : target > lastMonth ? lastMonth : target;
+        }
+    };
+
+    container.addEventListener('click', (e) => {
+        const dayButton = e.target.closest('button[data-date]');
+        if (dayButton) {
+            onSelect(dayButton.dataset.date);
+            return;
+        }
+
+        const navButton = e.target.closest('button[data-month-offset]');
+        if (navButton) {
+            calendar.setMonth(formatISODate(new Date(month.getFullYear(), month.getMonth() + parseInt(navButton.dataset.monthOffset), 1)));
+            calendar.render();
+        }
+    });
+
+    return calendar;
+}
+
+/**
+ * Renders the booking picker's calendar and the seats left on the chosen day.
+ */
+export function renderCalendar() {
+    if (!bookingCalendar) return;
+
+    bookingCalendar.render();
+    renderSeatsLeft(document.getElementById('tour-select').value, document.getElementById('booking-date').value);
+}
+
+/**
+ * Shows how many seats are left for the selected tour on the chosen day.
+ * @param {string} tourId - The selected tour.
+ * @param {string} date - The chosen date.
+ */
+function renderSeatsLeft(tourId, date) {
+    const seatsLeft = document.getElementById('seats-left');
+    if (!seatsLeft) return;
+
+    if (!tourId || !date) {
+        seatsLeft.textContent = '';
+        return;
+    }
+    const availability = getAvailability(tourId, date);
+    if (!availability.available) {
+        seatsLeft.textContent = availability.reason;
+    } else if (availability.seatsLeft === null) {
+        seatsLeft.textContent = '';
+    } else {
+        seatsLeft.textContent = t('calendar.seatsLeft', { count: availability.seatsLeft });
+    }
+}
+
+/**
+ * Sets the chosen date and shows its month in the calendar.
+ * @param {string} date - The date as YYYY-MM-DD, or an empty string to clear it.
+ */
+export function setCalendarDate(date) {
+    const dateInput = document.getElementById('booking-date');
+    dateInput.value = date;
+    if (date && bookingCalendar) bookingCalendar.setMonth(date);
+    dateInput.dispatchEvent(new Event('change', { bubbles: true }));
+    renderCalendar();
+}
+
+/**
+ * Sets up the booking picker's calendar: day selection, month navigation, and
+ * re-rendering when the selected tour changes or the availability feed arrives.
+ */
+export function initializeCalendar() {
+    const container = document.getElementById('booking-calendar');
+    if (!container) return;
+
+    const tourSelect = document.getElementById('tour-select');
+    bookingCalendar = createAvailabilityCalendar(container, {
+        getTourId: () => tourSelect.value,
+        getDate: () => document.getElementById('booking-date').value,
+        onSelect: setCalendarDate
+    });
+
+    // A different tour runs on different days: drop the chosen date if the new
+    // tour cannot be booked on it.
+    tourSelect.addEventListener('change', (e) => {
+        const date = document.getElementById('booking-date').value;
+        if (date && e.target.value && !getAvailability(e.target.value, date).available) {
+            setCalendarDate('');
+        } else {
+            renderCalendar();
+        }
+    });
+
+    renderCalendar();
+    loadAvailability().then(renderCalendar);
+}
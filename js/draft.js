@@ -0,0 +1,156 @@
+/**
+ * =================================================================================
+ * Booking Draft Autosave
+ *
+ * Everything the guest enters in #booking-form, itinerary included, is saved to
+ * localStorage as they type and restored when they come back, so a refresh or
+ * a trip to a flight search doesn't lose their booking. The draft is removed
+ * once the booking has been sent or the form is cleared.
+ * =================================================================================
+ */
+
+import { itineraryLines, setItineraryLines } from './itinerary.js';
+import { setCalendarDate } from './calendar.js';
+import { getTourById } from './tours.js';
+
+const DRAFT_STORAGE_KEY = 'zanzibar-safari-booking-draft';
+const DRAFT_SAVE_DELAY_MS = 300;
+
+// A saved date: YYYY-MM-DD, or empty if the guest hadn't picked one.
+const DRAFT_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})?$/;
+
+// Form controls saved with the draft, by element id.
+const DRAFT_FIELDS = ['tour-select', 'booking-date', 'guests', 'children', 'infants', 'full-name', 'email', 'phone', 'requests'];
+
+let draftSaveTimer;   // Holds the reference to the pending save.
+
+/**
+ * Reads the saved draft.
+ * @returns {object|null} The draft ({ itinerary, fields, savedAt }), or null if there is none.
+ */
+function loadBookingDraft() {
+    try {
+        return JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+    } catch (error) {
+        console.log('Could not read the booking draft.', error);
+        return null;
+    }
+}
+
+/**
+ * Checks that a saved itinerary line has the shape saveBookingDraft() writes.
+ * @param {*} line - The saved line.
+ * @returns {boolean} True if the line can be restored.
+ */
+function isValidDraftLine(line) {
+    return Boolean(line) && typeof line === 'object'
+        && typeof line.tourId === 'string'
+        && typeof line.date === 'string' && DRAFT_DATE_PATTERN.test(line.date)
+        && ['adults', 'children', 'infants'].every(key => Number.isInteger(line[key]) && line[key] >= 0);
+}
+
+/**
+ * Checks that a saved draft has the shape saveBookingDraft() writes. A draft
+ * from an older version of the site, or edited by hand, may not.
+ * @param {*} draft - The saved draft.
+ * @returns {boolean} True if the draft can be restored.
+ */
+function isValidBookingDraft(draft) {
+    if (!draft || typeof draft !== 'object' || Array.isArray(draft)) return false;
+    const { itinerary = [], fields = {} } = draft;
+    if (!Array.isArray(itinerary) || !itinerary.every(isValidDraftLine)) return false;
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return false;
+    return Object.values(fields).every(value => typeof value === 'string')
+        && DRAFT_DATE_PATTERN.test(fields['booking-date'] || '');
+}
+
+/**
+ * Saves the form and itinerary as the draft, or removes the draft if the form is empty.
+ */
+function saveBookingDraft() {
+    const fields = {};
+    DRAFT_FIELDS.forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        // A <select> has no defaultValue; its default here is the empty placeholder.
+        const defaultValue = input.defaultValue === undefined ? '' : input.defaultValue;
+        if (input.value !== defaultValue) fields[id] = input.value;
+    });
+
+    try {
+        if (itineraryLines.length === 0 && Object.keys(fields).length === 0) {
+            localStorage.removeItem(DRAFT_STORAGE_KEY);
+            return;
+        }
+        localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+            itinerary: itineraryLines,
+            fields,
+            savedAt: new Date().toISOString()
+        }));
+    } catch (error) {
+        // Private browsing or a full storage quota: the form still works, unsaved.
+        console.log('Could not save the booking draft.', error);
+    }
+}
+
+/**
+ * Saves the draft shortly after the last change, so typing isn't slowed down.
+ */
+function scheduleDraftSave() {
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(saveBookingDraft, DRAFT_SAVE_DELAY_MS);
+}
+
+/**
+ * Removes the saved draft.
+ */
+export function clearBookingDraft() {
+    clearTimeout(draftSaveTimer);
+    try {
+        localStorage.removeItem(DRAFT_STORAGE_KEY);
+    } catch (error) {
+        console.log('Could not remove the booking draft.', error);
+    }
+}
+
+/**
+ * Fills the form and itinerary in from the saved draft.
+ * Tours that are no longer in the catalog are left out, and a draft that isn't
+ * shaped like one is thrown away.
+ */
+function restoreBookingDraft() {
+    const draft = loadBookingDraft();
+    if (!draft) return;
+    if (!isValidBookingDraft(draft)) {
+        console.log('Discarding a booking draft that could not be read.', draft);
+        clearBookingDraft();
+        return;
+    }
+
+    Object.keys(draft.fields || {}).forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        if (id === 'booking-date') {
+            setCalendarDate(draft.fields[id]);
+        } else {
+            input.value = draft.fields[id];
+        }
+    });
+
+    setItineraryLines((draft.itinerary || []).filter(line => getTourById(line.tourId)));
+}
+
+/**
+ * Restores any saved draft and starts saving changes to the booking form.
+ */
+export function initializeDraft() {
+    const form = document.getElementById('booking-form');
+    if (!form || !('localStorage' in window)) return;
+
+    restoreBookingDraft();
+
+    form.addEventListener('input', scheduleDraftSave);
+    form.addEventListener('change', scheduleDraftSave);
+    // Itinerary lines are also added from the tour cards, outside the form.
+    document.getElementById('itinerary-list').addEventListener('itinerarychange', scheduleDraftSave);
+}
@@ -0,0 +1,164 @@
+/**
+ * =================================================================================
+ * Translations (i18n)
+ *
+ * The site speaks English, Swahili, Italian, German and French. Each language
+ * has a message catalog in js/locales/<locale>.js, imported below. Messages are
+ * looked up by key with t():
+ *
+ *     t('booking.sending')                       // "Sending..."
+ *     t('calendar.seatsLeft', { count: 3 })      // "3 seat(s) left on this date."
+ *
+ * Static text in index.html is translated through data attributes:
+ * - data-i18n="key":             Replaces the element's text.
+ * - data-i18n-html="key":        Replaces the element's HTML (for messages with markup).
+ * - data-i18n-attr="attr:key;…": Replaces attributes, e.g. "placeholder:booking.phoneHint".
+ *
+ * Text rendered by JavaScript calls t() when it renders, and re-renders when the
+ * language changes (listen for the 'localechange' event on document).
+ *
+ * The page starts in the guest's saved choice, then their browser's language,
+ * then English. Missing messages fall back to English.
+ * =================================================================================
+ */
+
+import en from './locales/en.js';
+import sw from './locales/sw.js';
+import it from './locales/it.js';
+import de from './locales/de.js';
+import fr from './locales/fr.js';
+
+// The supported languages, with the Intl locale used to format dates and prices.
+const I18N_LOCALES = {
+    en: { name: 'English', intl: 'en-US' },
+    sw: { name: 'Kiswahili', intl: 'sw-TZ' },
+    it: { name: 'Italiano', intl: 'it-IT' },
+    de: { name: 'Deutsch', intl: 'de-DE' },
+    fr: { name: 'Français', intl: 'fr-FR' }
+};
+const I18N_DEFAULT_LOCALE = 'en';
+const I18N_STORAGE_KEY = 'zanzibar-safari-locale';
+
+// Message catalogs, keyed by locale.
+const i18nMessages = { en, sw, it, de, fr };
+
+export let currentLocale = I18N_DEFAULT_LOCALE;
+
+/**
+ * Checks whether the current locale has its own message for a key.
+ * @param {string} key - The message key.
+ * @returns {boolean} True if the message is translated.
+ */
+function hasMessage(key) {
+    return Boolean(i18nMessages[currentLocale] && key in i18nMessages[currentLocale]);
+}
+
+/**
+ * Looks up a message in the current locale and fills in its {placeholders}.
+ * @param {string} key - The message key.
+ * @param {object} [params={}] - Values for the placeholders.
+ * @param {string} [fallback=key] - Text to use when no catalog has the message.
+ * @returns {string} The translated message.
+ */
+export function t(key, params = {}, fallback = key) {
+    const catalogs = [i18nMessages[currentLocale], i18nMessages[I18N_DEFAULT_LOCALE]];
+    const catalog = catalogs.find(messages => messages && key in messages);
+    const message = catalog ? catalog[key] : fallback;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Gets the Intl locale for the current language, for formatting dates and numbers.
+ * @returns {string} The Intl locale, e.g. 'it-IT'.
+ */
+export function getIntlLocale() {
+    return I18N_LOCALES[currentLocale].intl;
+}
+
+/**
+ * Formats a YYYY-MM-DD date for display in the current language.
+ * @param {string} date - The date.
+ * @param {object} [options] - Intl.DateTimeFormat options.
+ * @returns {string} The formatted date, e.g. "2 novembre 2026".
+ */
+export function formatDate(date, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+    if (!date) return '';
+    return new Date(date + 'T00:00:00').toLocaleDateString(getIntlLocale(), options);
+}
+
+/**
+ * Picks the language to start in: the guest's saved choice, then the first
+ * supported language in their browser settings, then English.
+ * @returns {string} The locale.
+ */
+function detectLocale() {
+    try {
+        const saved = localStorage.getItem(I18N_STORAGE_KEY);
+        if (saved in I18N_LOCALES) return saved;
+    } catch (error) {
+        // Storage is blocked; fall through to the browser's language.
+    }
+
+    const preferred = navigator.languages || [navigator.language || ''];
+    const match = preferred
+        .map(language => language.toLowerCase().split('-')[0])
+        .find(language => language in I18N_LOCALES);
+    return match || I18N_DEFAULT_LOCALE;
+}
+
+/**
+ * Translates every element marked with data-i18n, data-i18n-html or data-i18n-attr.
+ * @param {ParentNode} [root=document] - The part of the page to translate.
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':');
+            element.setAttribute(attribute.trim(), t(key.trim()));
+        });
+    });
+}
+
+/**
+ * Switches the page to another language.
+ * @param {string} locale - The locale to switch to.
+ */
+function setLocale(locale) {
+    if (!(locale in I18N_LOCALES)) locale = I18N_DEFAULT_LOCALE;
+    currentLocale = locale;
+    document.documentElement.lang = locale;
+
+    translatePage();
+    document.querySelectorAll('.language-switcher').forEach(switcher => {
+        switcher.value = locale;
+    });
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+}
+
+/**
+ * Fills in the language switchers and starts the page in the detected language.
+ */
+export function initializeI18n() {
+    document.querySelectorAll('.language-switcher').forEach(switcher => {
+        switcher.innerHTML = Object.keys(I18N_LOCALES)
+            .map(locale => `<option value="${locale}" class="text-gray-800">${I18N_LOCALES[locale].name}</option>`)
+            .join('');
+        switcher.addEventListener('change', () => {
+            setLocale(switcher.value);
+            // Only a language the guest picked is remembered, not a detected one.
+            try {
+                localStorage.setItem(I18N_STORAGE_KEY, currentLocale);
+            } catch (error) {
+                console.log('Could not save the language choice.', error);
+            }
+        });
+    });
+
+    setLocale(detectLocale());
+}
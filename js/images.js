@@ -0,0 +1,199 @@
+/**
+ * =================================================================================
+ * Responsive Images
+ *
+ * Serves the tour and gallery photos at the size the screen needs, from the
+ * copies made by tools/build-images.js and listed in data/images.json:
+ * - Each photo gets AVIF and WebP `srcset`s with `sizes` matching its place on
+ *   the page, so the browser picks the smallest copy that looks sharp.
+ * - A tiny blurred placeholder shows straight away; the photo fades in over it
+ *   once it has loaded.
+ * - The lightbox (js/lightbox.js) picks the copy that fits the viewport.
+ *
+ * The page waits for the manifest before it renders the tour cards and starts
+ * loading the gallery (see js/app/page.js), so the photos have their `srcset`s
+ * from the start rather than loading the original file first. Photos that are
+ * not in the manifest, or all of them when it could not be loaded in time, are
+ * shown from their original files.
+ * =================================================================================
+ */
+
+const IMAGE_MANIFEST_URL = 'data/images.json';
+
+// How long the page waits for the manifest before it shows the original photos.
+const IMAGE_MANIFEST_WAIT_MS = 1500;
+
+// Tour cards are one, two or three columns wide (see #tour-grid).
+export const TOUR_CARD_IMAGE_SIZES = '(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw';
+
+// How wide each kind of photo is shown, for `sizes`. The first match wins, so
+// featured gallery tiles come before the other gallery tiles.
+const RESPONSIVE_IMAGES = [
+    { selector: '.tour-card-img', sizes: TOUR_CARD_IMAGE_SIZES },
+    // Gallery tiles are at least 150px wide (.gallery-grid); featured ones span two columns.
+    { selector: '.gallery-item-featured img', sizes: '(min-width: 768px) 400px, 100vw' },
+    { selector: '.gallery-item img', sizes: '(min-width: 768px) 200px, 50vw' }
+];
+
+// The lightbox photo takes up to 90% of the viewport (.lightbox-content).
+export const LIGHTBOX_IMAGE_SIZES = '90vw';
+
+// The photos' copies by original path, from the manifest. Empty until loaded.
+let imageManifest = {};
+
+/**
+ * Turns a photo URL into its path in the manifest. Accepts the paths used in
+ * the page ("pictures/ZANZIBAR PICS/...") as well as full, encoded URLs.
+ * @param {string} src - The photo URL.
+ * @returns {string} The path from the site root, e.g. "pictures/ZANZIBAR PICS/kuza/kuza.jpg".
+ */
+function getImageKey(src) {
+    const url = new URL(src, document.baseURI);
+    const base = new URL('.', document.baseURI).href;
+    return decodeURIComponent(url.href.startsWith(base) ? url.href.slice(base.length) : url.pathname);
+}
+
+/**
+ * Looks up a photo in the manifest.
+ * @param {string} src - The photo URL.
+ * @returns {object|undefined} The photo's entry, or undefined if it has no copies.
+ */
+function getImageEntry(src) {
+    return src ? imageManifest[getImageKey(src)] : undefined;
+}
+
+/**
+ * Creates a `srcset` for one format of a photo.
+ * @param {string} src - The photo URL.
+ * @param {string} [format='webp'] - 'avif' or 'webp'.
+ * @returns {string} The srcset, or '' if the photo has no copies.
+ */
+export function getImageSrcset(src, format = 'webp') {
+    const entry = getImageEntry(src);
+    if (!entry || !entry.sources[format]) return '';
+    return entry.sources[format].map(source => `${encodeURI(source.src)} ${source.width}w`).join(', ');
+}
+
+/**
+ * Marks a photo as loaded, which fades it in over its placeholder.
+ * @param {HTMLImageElement} img - The photo.
+ */
+function markImageLoaded(img) {
+    img.classList.add('is-loaded');
+}
+
+/**
+ * Fades a photo in over its placeholder once it has loaded.
+ * @param {HTMLImageElement} img - The photo.
+ */
+function watchImageLoad(img) {
+    img.addEventListener('load', () => markImageLoaded(img), { once: true });
+    // The photo may already be on screen, e.g. from the cache.
+    if (img.complete && img.naturalWidth > 0) markImageLoaded(img);
+}
+
+/**
+ * Gives a photo its AVIF and WebP copies and a blurred placeholder. The photo
+ * is wrapped in a <picture>, which shows the placeholder until the photo loads.
+ * @param {HTMLImageElement} img - The photo.
+ * @param {string} sizes - How wide the photo is shown, for `sizes`.
+ */
+function applyResponsiveImage(img, sizes) {
+    const src = img.getAttribute('src');
+    const entry = getImageEntry(src);
+    if (!entry || img.closest('picture')) return;
+
+    const picture = document.createElement('picture');
+    picture.className = 'image-placeholder';
+    picture.style.backgroundImage = `url("${entry.placeholder}")`;
+    ['avif', 'webp'].forEach(format => {
+        if (!entry.sources[format]) return;
+        const source = document.createElement('source');
+        source.type = `image/${format}`;
+        source.srcset = getImageSrcset(src, format);
+        source.sizes = sizes;
+        picture.appendChild(source);
+    });
+
+    img.srcset = getImageSrcset(src);
+    img.sizes = sizes;
+    // Reserve the photo's shape before it loads, so the page doesn't jump.
+    img.width = entry.width;
+    img.height = entry.height;
+    img.classList.add('blur-up');
+    img.before(picture);
+    picture.appendChild(img);
+    watchImageLoad(img);
+}
+
+/**
+ * Creates the HTML of a photo for markup rendered in JavaScript, such as the
+ * tour cards: the <picture> applyResponsiveImage() would make, or a plain lazy
+ * <img> if the photo has no copies. Call renderResponsiveImages() once it is on
+ * the page, so the photo fades in when it loads.
+ * @param {string} src - The photo URL.
+ * @param {object} options
+ * @param {string} options.alt - The photo's alt text.
+ * @param {string} options.className - The <img>'s classes.
+ * @param {string} options.sizes - How wide the photo is shown, for `sizes`.
+ * @returns {string} The HTML.
+ */
+export function createResponsiveImageHTML(src, { alt, className, sizes }) {
+    const entry = getImageEntry(src);
+    if (!entry) return `<img loading="lazy" src="${src}" alt="${alt}" class="${className}">`;
+
+    const sources = ['avif', 'webp']
+        .filter(format => entry.sources[format])
+        .map(format => `<source type="image/${format}" srcset="${getImageSrcset(src, format)}" sizes="${sizes}">`)
+        .join('');
+    return `<picture class="image-placeholder" style="background-image: url('${entry.placeholder}')">${sources}`
+        + `<img loading="lazy" src="${src}" srcset="${getImageSrcset(src)}" sizes="${sizes}" width="${entry.width}" height="${entry.height}" alt="${alt}" class="${className} blur-up"></picture>`;
+}
+
+/**
+ * Gives every tour and gallery photo on the page its responsive copies, and
+ * fades in those rendered with them by createResponsiveImageHTML().
+ */
+export function renderResponsiveImages() {
+    RESPONSIVE_IMAGES.forEach(({ selector, sizes }) => {
+        document.querySelectorAll(selector).forEach(img => {
+            if (img.closest('picture')) watchImageLoad(img);
+            else applyResponsiveImage(img, sizes);
+        });
+    });
+}
+
+/**
+ * Loads the image manifest. Resolves even when it cannot be loaded, so the
+ * page keeps showing the original photos.
+ * @returns {Promise<void>} Resolves once the manifest has been read.
+ */
+export function loadImageManifest() {
+    return fetch(IMAGE_MANIFEST_URL)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(manifest => {
+            imageManifest = manifest.images || {};
+        })
+        .catch(error => {
+            console.log('Could not load the image manifest; showing the original photos.', error);
+        });
+}
+
+/**
+ * Waits for the image manifest, but no longer than IMAGE_MANIFEST_WAIT_MS, so a
+ * slow connection doesn't hold up the page.
+ * @param {Promise<void>} manifestLoaded - From loadImageManifest().
+ * @returns {Promise<void>} Resolves once the manifest has loaded or the wait is over.
+ */
+export function waitForImageManifest(manifestLoaded) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, IMAGE_MANIFEST_WAIT_MS);
+        manifestLoaded.then(() => {
+            clearTimeout(timer);
+            resolve();
+        });
+    });
+}
@@ -0,0 +1,289 @@
+/**
+ * =================================================================================
+ * Itinerary Cart for the Booking Form
+ *
+ * Guests can book several tours in one request. Each tour they add becomes a
+ * line in the itinerary with its own date and guest counts. Lines can be moved
+ * up and down and removed before the form is sent.
+ *
+ * The tour picker (#tour-select, #booking-date, #guests, #children and #infants)
+ * supplies the values of new lines; the lines themselves are rendered into
+ * #itinerary-list. Each line's date is picked in a calendar of its own
+ * (js/calendar.js), which greys out the days the line's tour cannot be booked on.
+ * =================================================================================
+ */
+
+import { getTourById, getTourTitle } from './tours.js';
+import { getAvailability } from './availability.js';
+import { createAvailabilityCalendar } from './calendar.js';
+import { t, formatDate } from './i18n.js';
+import { renderQuote } from './pricing.js';
+
+// The lines currently in the itinerary, in the order the guest wants to do them.
+// Each line is { tourId, date, adults, children, infants }.
+export let itineraryLines = [];
+
+// The date calendar of each rendered line, by position. Made by renderItinerary().
+let lineCalendars = [];
+
+/**
+ * Adds a tour to the end of the itinerary.
+ * @param {string} tourId - The id of the tour to add.
+ * @param {string} [date=''] - The preferred date (YYYY-MM-DD), if already chosen.
+ * @param {object} [guests] - The number of adults, children and infants on this tour.
+ */
+export function addToItinerary(tourId, date = '', { adults = 1, children = 0, infants = 0 } = {}) {
+    if (!getTourById(tourId)) return;
+    // Leave the date for the guest to pick if this tour cannot be booked on it.
+    if (date && !getAvailability(tourId, date).available) date = '';
+    itineraryLines.push({ tourId, date, adults, children, infants });
+    renderItinerary();
+}
+
+/**
+ * Reads the guest counts currently entered in the tour picker.
+ * @returns {object} The number of adults, children and infants.
+ */
+export function getPickerGuests() {
+    return {
+        adults: parseInt(document.getElementById('guests').value) || 1,
+        children: parseInt(document.getElementById('children').value) || 0,
+        infants: parseInt(document.getElementById('infants').value) || 0
+    };
+}
+
+/**
+ * Counts everyone on an itinerary line, infants included.
+ * @param {object} line - The itinerary line.
+ * @returns {number} The total number of guests.
+ */
+function getLineGuestCount(line) {
+    return line.adults + line.children + line.infants;
+}
+
+/**
+ * Removes a line from the itinerary.
+ * @param {number} index - The position of the line to remove.
+ */
+function removeItineraryLine(index) {
+    itineraryLines.splice(index, 1);
+    renderItinerary();
+}
+
+/**
+ * Moves a line up or down in the itinerary.
+ * @param {number} index - The position of the line to move.
+ * @param {number} offset - -1 to move the line up, 1 to move it down.
+ */
+function moveItineraryLine(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= itineraryLines.length) return;
+    const [line] = itineraryLines.splice(index, 1);
+    itineraryLines.splice(target, 0, line);
+    renderItinerary();
+}
+
+/**
+ * Replaces the itinerary, e.g. with the lines of a restored draft.
+ * @param {Array<object>} lines - The new lines ({ tourId, date, adults, children, infants }).
+ */
+export function setItineraryLines(lines) {
+    itineraryLines = lines;
+    renderItinerary();
+}
+
+/**
+ * Removes every line from the itinerary.
+ */
+export function clearItinerary() {
+    itineraryLines = [];
+    renderItinerary();
+}
+
+/**
+ * Builds the structured itinerary lines that are sent with a booking request.
+ * @returns {Array<object>} One { tour_id, tour, date, guests, adults, children, infants } object per line.
+ */
+export function getItineraryForBooking() {
+    return itineraryLines.map(line => ({
+        tour_id: line.tourId,
+        tour: getTourById(line.tourId).title,
+        date: line.date,
+        guests: getLineGuestCount(line),
+        adults: line.adults,
+        children: line.children,
+        infants: line.infants
+    }));
+}
+
+/**
+ * Writes the itinerary of a booking request out as plain text for the email body.
+ * @param {Array<object>} itinerary - The lines from getItineraryForBooking().
+ * @returns {string} One numbered line per tour, e.g. "1. Safari Blue - 2026-11-02 - 2 guest(s)".
+ */
+export function formatItineraryText(itinerary) {
+    return itinerary
+        .map((line, i) => `${i + 1}. ${line.tour} - ${line.date} - ${line.guests} guest(s)`)
+        .join('\n');
+}
+
+// ---------------------------------------------------------------------------------
+// RENDERING
+// ---------------------------------------------------------------------------------
+
+/**
+ * Gets the text of a line's date button: the chosen date, or a prompt to pick one.
+ * @param {object} line - The itinerary line.
+ * @returns {string} The text.
+ */
+function getLineDateText(line) {
+    return line.date
+        ? formatDate(line.date, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })
+        : t('itinerary.pickDate');
+}
+
+/**
+ * Creates the HTML string for a single itinerary line.
+ * @param {object} line - The itinerary line.
+ * @param {number} index - The position of the line in the itinerary.
+ * @returns {string} The HTML content for the line.
+ */
+function createItineraryLineHTML(line, index) {
+    const tour = getTourById(line.tourId);
+    const title = getTourTitle(tour);
+    const isFirst = index === 0;
+    const isLast = index === itineraryLines.length - 1;
+    return `
+        <li class="itinerary-line bg-white border-2 border-gray-100 rounded-xl p-3 space-y-2" data-index="${index}">
+            <div class="flex items-center gap-2">
+                <span class="flex-grow font-semibold text-gray-800 text-sm">${index + 1}. ${title}</span>
+                <button type="button" data-action="up" aria-label="${t('itinerary.moveUp', { tour: title })}" class="itinerary-btn text-gray-500 hover:text-brand-DEFAULT" ${isFirst ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                <button type="button" data-action="down" aria-label="${t('itinerary.moveDown', { tour: title })}" class="itinerary-btn text-gray-500 hover:text-brand-DEFAULT" ${isLast ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                <button type="button" data-action="remove" aria-label="${t('itinerary.remove', { tour: title })}" class="itinerary-btn text-gray-500 hover:text-red-500"><i class="fas fa-trash-alt"></i></button>
+            </div>
+            <div class="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                <button type="button" data-field="date" data-action="calendar" aria-expanded="false" aria-controls="itinerary-calendar-${index}" aria-label="${t('itinerary.dateFor', { tour: title })}: ${getLineDateText(line)}" class="itinerary-input border-2 border-gray-200 rounded-lg py-1 px-2 text-sm"><i class="far fa-calendar-alt text-brand-DEFAULT mr-1"></i><span class="itinerary-date-text">${getLineDateText(line)}</span></button>
+                <label class="flex items-center gap-1">${t('itinerary.adults')} <input type="number" data-field="adults" value="${line.adults}" min="1" class="itinerary-input w-14 border-2 border-gray-200 rounded-lg py-1 px-2 text-sm"></label>
+                <label class="flex items-center gap-1">${t('itinerary.children')} <input type="number" data-field="children" value="${line.children}" min="0" class="itinerary-count w-14 border-2 border-gray-200 rounded-lg py-1 px-2 text-sm"></label>
+                <label class="flex items-center gap-1">${t('itinerary.infants')} <input type="number" data-field="infants" value="${line.infants}" min="0" class="itinerary-count w-14 border-2 border-gray-200 rounded-lg py-1 px-2 text-sm"></label>
+            </div>
+            <div id="itinerary-calendar-${index}" role="group" aria-label="${t('itinerary.dateFor', { tour: title })}" class="itinerary-calendar hidden bg-white border-2 border-gray-200 rounded-xl p-3 shadow-sm"></div>
+            <p class="itinerary-line-error hidden text-xs text-red-600" aria-live="polite"></p>
+        </li>
+    `;
+}
+
+/**
+ * Opens or closes the date calendar of a line.
+ * @param {number} index - The line's position in the itinerary.
+ * @param {boolean} open - True to open the calendar, false to close it.
+ */
+function toggleLineCalendar(index, open) {
+    const lineEl = document.querySelector(`.itinerary-line[data-index="${index}"]`);
+    lineEl.querySelector('.itinerary-calendar').classList.toggle('hidden', !open);
+    lineEl.querySelector('[data-field="date"]').setAttribute('aria-expanded', String(open));
+    if (open) lineCalendars[index].render();
+}
+
+/**
+ * Sets the date of a line to the day the guest picked in its calendar, and
+ * closes the calendar.
+ * @param {number} index - The line's position in the itinerary.
+ * @param {string} date - The date as YYYY-MM-DD.
+ */
+function setLineDate(index, date) {
+    const line = itineraryLines[index];
+    line.date = date;
+
+    const lineEl = document.querySelector(`.itinerary-line[data-index="${index}"]`);
+    const dateButton = lineEl.querySelector('[data-field="date"]');
+    dateButton.querySelector('.itinerary-date-text').textContent = getLineDateText(line);
+    dateButton.setAttribute('aria-label', `${t('itinerary.dateFor', { tour: getTourTitle(getTourById(line.tourId)) })}: ${getLineDateText(line)}`);
+    toggleLineCalendar(index, false);
+    dateButton.focus();
+    renderQuote();
+    // Lets the booking form check the date against the tour's availability, and
+    // the draft autosave follow it.
+    dateButton.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Renders the itinerary lines, or the empty-state message when there are none.
+ */
+export function renderItinerary() {
+    const list = document.getElementById('itinerary-list');
+    const emptyMessage = document.getElementById('itinerary-empty');
+    if (!list) return;
+
+    list.innerHTML = itineraryLines.map(createItineraryLineHTML).join('');
+    lineCalendars = [...list.querySelectorAll('.itinerary-line')].map((lineEl, index) =>
+        createAvailabilityCalendar(lineEl.querySelector('.itinerary-calendar'), {
+            getTourId: () => itineraryLines[index].tourId,
+            getDate: () => itineraryLines[index].date,
+            onSelect: date => setLineDate(index, date)
+        }));
+    if (emptyMessage) {
+        emptyMessage.classList.toggle('hidden', itineraryLines.length > 0);
+    }
+    renderQuote();
+    // Lets other parts of the page (e.g. the draft autosave) follow the itinerary.
+    list.dispatchEvent(new Event('itinerarychange'));
+}
+
+/**
+ * Wires up the "Add to Itinerary" button and the controls on each line.
+ * Line controls use event delegation, since the lines are re-rendered often.
+ */
+export function initializeItinerary() {
+    const list = document.getElementById('itinerary-list');
+    const addBtn = document.getElementById('add-to-itinerary-btn');
+    if (!list) return;
+
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            const tourSelect = document.getElementById('tour-select');
+            if (tourSelect.value === "") {
+                tourSelect.classList.add('border-2', 'border-red-500', 'rounded-lg');
+                return;
+            }
+            tourSelect.classList.remove('border-2', 'border-red-500', 'rounded-lg');
+            addToItinerary(tourSelect.value, document.getElementById('booking-date').value, getPickerGuests());
+        });
+    }
+
+    // Move and remove buttons, and the date button that opens a line's calendar.
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const index = parseInt(button.closest('.itinerary-line').dataset.index);
+
+        if (button.dataset.action === 'remove') {
+            removeItineraryLine(index);
+        } else if (button.dataset.action === 'calendar') {
+            toggleLineCalendar(index, button.getAttribute('aria-expanded') !== 'true');
+        } else {
+            moveItineraryLine(index, button.dataset.action === 'up' ? -1 : 1);
+        }
+    });
+
+    // Escape closes an open calendar and takes the focus back to its date button.
+    list.addEventListener('keydown', (e) => {
+        const calendar = e.key === 'Escape' && e.target.closest('.itinerary-calendar');
+        if (!calendar) return;
+        const lineEl = calendar.closest('.itinerary-line');
+        toggleLineCalendar(parseInt(lineEl.dataset.index), false);
+        lineEl.querySelector('[data-field="date"]').focus();
+    });
+
+    // Per-line guest counts. The state is updated in place without re-rendering,
+    // so the input keeps its focus while the guest types.
+    list.addEventListener('input', (e) => {
+        const field = e.target.dataset.field;
+        if (!field) return;
+        const line = itineraryLines[parseInt(e.target.closest('.itinerary-line').dataset.index)];
+        line[field] = Math.max(0, parseInt(e.target.value) || 0);
+        renderQuote();
+    });
+
+    renderItinerary();
+}
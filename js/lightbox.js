@@ -0,0 +1,334 @@
+/**
+ * =================================================================================
+ * Photo Lightbox
+ *
+ * Shows photos full screen, one album at a time. The #gallery section is one
+ * album; every tour is another, made from its `images` in js/tours.js, so the
+ * photo on a tour card opens only that tour's photos.
+ *
+ * In the lightbox:
+ * - Arrow keys, the arrow buttons or a swipe move between photos; Escape closes.
+ * - Tab stays inside the lightbox, and focus goes back to the photo that opened it.
+ * - Pinch or double-click to zoom; drag to look around a zoomed photo.
+ * - The photo's alt text is shown as its caption, with a "3 / 22" counter.
+ * - The photos either side are preloaded, so swiping doesn't stall on a slow
+ *   connection.
+ * - Each photo is loaded at the size the viewport needs (see js/images.js).
+ *
+ * Photos are opened through the router (js/router.js) as #gallery/<index> or
+ * #tour/<id>/photos/<index>, so they can be linked to and the back button closes them.
+ * =================================================================================
+ */
+
+import { exitRoute, updateRoute, navigate } from './router.js';
+import { LIGHTBOX_IMAGE_SIZES, getImageSrcset } from './images.js';
+import { trackEvent } from './analytics.js';
+import { t } from './i18n.js';
+import { tourCatalog, getTourTitle } from './tours.js';
+
+const LIGHTBOX_MAX_ZOOM = 4;
+const LIGHTBOX_DOUBLE_TAP_ZOOM = 2;
+export const LIGHTBOX_SWIPE_THRESHOLD = 50; // Min distance in pixels for a valid swipe.
+
+// Albums by id: { sources, getCaption(index) }. The gallery album is "gallery";
+// tour albums use the tour id.
+const lightboxAlbums = {};
+
+let lightboxAlbumId = null;       // The open album, or null when the lightbox is closed.
+export let lightboxIndex = 0;            // The index of the photo on show.
+let lightboxOpener = null;        // The element to give focus back to on close.
+let lightboxZoom = { scale: 1, x: 0, y: 0 };
+
+// Pointers on the photo, by pointerId, for pinch-zoom, panning and swiping.
+const lightboxPointers = new Map();
+let lightboxGesture = null;
+
+/**
+ * Adds an album of photos to the lightbox.
+ * @param {string} albumId - The album's id.
+ * @param {Array<string>} sources - The photo URLs.
+ * @param {function(number): string} getCaption - Gives the caption of the photo at an index.
+ */
+function registerLightboxAlbum(albumId, sources, getCaption) {
+    lightboxAlbums[albumId] = { sources, getCaption };
+}
+
+/**
+ * Gets the route of a photo, e.g. "#gallery/3" or "#tour/jet-ski/photos/1".
+ * @param {string} albumId - The album's id.
+ * @param {number} index - The photo's index in the album.
+ * @returns {string} The hash of the photo's route.
+ */
+export function getLightboxRoute(albumId, index) {
+    return albumId === 'gallery' ? `#gallery/${index}` : `#tour/${albumId}/photos/${index}`;
+}
+
+/**
+ * Opens the lightbox at a photo. Used by the gallery and tour photo routes.
+ * @param {string} albumId - The album's id.
+ * @param {number} index - The photo's index in the album.
+ */
+export function openLightbox(albumId, index) {
+    const lightbox = document.getElementById('lightbox');
+    const album = lightboxAlbums[albumId];
+    if (!lightbox || !album || !album.sources[index]) return;
+
+    // Only remember the opener the first time, not when moving between routes.
+    if (!lightboxAlbumId) lightboxOpener = document.activeElement;
+    lightboxAlbumId = albumId;
+    // A single photo has nowhere to go.
+    ['lightbox-prev', 'lightbox-next'].forEach(id => {
+        document.getElementById(id).hidden = album.sources.length === 1;
+    });
+    lightbox.classList.add('show');
+    document.body.classList.add('overflow-hidden');
+    showLightboxImage(index);
+    document.getElementById('lightbox-close').focus();
+}
+
+/**
+ * Closes the lightbox and gives focus back to whatever opened it.
+ */
+export function closeLightbox() {
+    const lightbox = document.getElementById('lightbox');
+    if (!lightbox || !lightboxAlbumId) return;
+
+    lightboxAlbumId = null;
+    lightbox.classList.remove('show');
+    document.body.classList.remove('overflow-hidden');
+    setLightboxZoom(1, 0, 0);
+    if (lightboxOpener && document.contains(lightboxOpener)) lightboxOpener.focus();
+    lightboxOpener = null;
+}
+
+/**
+ * Leaves the lightbox's route, which closes it (see exitRoute() in js/router.js).
+ */
+function requestCloseLightbox() {
+    exitRoute(lightboxAlbumId === 'gallery' ? '#gallery' : '#tours');
+}
+
+/**
+ * Starts loading a photo so it shows straight away when the guest gets to it.
+ * @param {string} src - The photo URL.
+ */
+function preloadLightboxImage(src) {
+    const image = new Image();
+    image.sizes = LIGHTBOX_IMAGE_SIZES;
+    image.srcset = getImageSrcset(src);
+    image.src = src;
+}
+
+/**
+ * Shows a photo of the open album, wrapping around at either end.
+ * @param {number} index - The photo's index; -1 is the last photo.
+ */
+export function showLightboxImage(index) {
+    const album = lightboxAlbums[lightboxAlbumId];
+    const count = album.sources.length;
+    lightboxIndex = (index + count) % count;
+
+    const image = document.getElementById('lightbox-img');
+    // The copy that fits the viewport (js/images.js), or the original without one.
+    image.sizes = LIGHTBOX_IMAGE_SIZES;
+    image.srcset = getImageSrcset(album.sources[lightboxIndex]);
+    image.src = album.sources[lightboxIndex];
+    localizeLightbox();
+    setLightboxZoom(1, 0, 0);
+    trackEvent('photo_view', { album: lightboxAlbumId, photo: lightboxIndex });
+
+    if (count > 1) {
+        preloadLightboxImage(album.sources[(lightboxIndex + 1) % count]);
+        preloadLightboxImage(album.sources[(lightboxIndex - 1 + count) % count]);
+    }
+    // Keep the link in the address bar pointing at the photo on show.
+    updateRoute(getLightboxRoute(lightboxAlbumId, lightboxIndex));
+}
+
+/**
+ * Shows the caption and counter of the photo on show in the guest's language.
+ */
+export function localizeLightbox() {
+    if (!lightboxAlbumId) return;
+
+    const album = lightboxAlbums[lightboxAlbumId];
+    const caption = album.getCaption(lightboxIndex);
+    document.getElementById('lightbox-img').alt = caption;
+    document.getElementById('lightbox-caption').textContent = caption;
+    document.getElementById('lightbox-counter').textContent =
+        t('lightbox.counter', { index: lightboxIndex + 1, total: album.sources.length });
+}
+
+// ---------------------------------------------------------------------------------
+// ZOOM AND GESTURES
+// ---------------------------------------------------------------------------------
+
+/**
+ * Zooms and pans the photo. At 1x the photo is always centred.
+ * @param {number} scale - The zoom level, from 1 to LIGHTBOX_MAX_ZOOM.
+ * @param {number} x - The horizontal offset in pixels.
+ * @param {number} y - The vertical offset in pixels.
+ */
+function setLightboxZoom(scale, x, y) {
+    scale = Math.min(Math.max(scale, 1), LIGHTBOX_MAX_ZOOM);
+    lightboxZoom = scale === 1 ? { scale, x: 0, y: 0 } : { scale, x, y };
+
+    const image = document.getElementById('lightbox-img');
+    image.style.transform = `translate(${lightboxZoom.x}px, ${lightboxZoom.y}px) scale(${lightboxZoom.scale})`;
+    image.classList.toggle('zoomed', scale > 1);
+}
+
+/**
+ * Measures the distance between the two pointers of a pinch.
+ * @returns {number} The distance in pixels.
+ */
+function getPinchDistance() {
+    const [a, b] = Array.from(lightboxPointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Starts a gesture: a pinch with two pointers, otherwise a pan (zoomed) or a swipe.
+ */
+function startLightboxGesture() {
+    const [first] = lightboxPointers.values();
+    lightboxGesture = lightboxPointers.size === 2
+        ? { type: 'pinch', distance: getPinchDistance(), zoom: { ...lightboxZoom } }
+        : { type: lightboxZoom.scale > 1 ? 'pan' : 'swipe', startX: first.x, startY: first.y, zoom: { ...lightboxZoom } };
+}
+
+/**
+ * Wires up pinch-zoom, panning, swiping and double-click zoom on the photo.
+ * @param {HTMLElement} stage - The element holding the photo.
+ */
+function initializeLightboxGestures(stage) {
+    stage.addEventListener('pointerdown', (e) => {
+        if (e.target.id !== 'lightbox-img') return;
+        e.target.setPointerCapture(e.pointerId);
+        lightboxPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        startLightboxGesture();
+    });
+
+    stage.addEventListener('pointermove', (e) => {
+        if (!lightboxPointers.has(e.pointerId) || !lightboxGesture) return;
+        lightboxPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        const { type, zoom } = lightboxGesture;
+
+        if (type === 'pinch' && lightboxPointers.size === 2) {
+            setLightboxZoom(zoom.scale * getPinchDistance() / lightboxGesture.distance, zoom.x, zoom.y);
+        } else if (type === 'pan') {
+            setLightboxZoom(zoom.scale, zoom.x + e.clientX - lightboxGesture.startX, zoom.y + e.clientY - lightboxGesture.startY);
+        }
+    });
+
+    const endGesture = (e) => {
+        if (!lightboxPointers.has(e.pointerId)) return;
+        if (lightboxGesture && lightboxGesture.type === 'swipe' && e.type === 'pointerup') {
+            const distance = e.clientX - lightboxGesture.startX;
+            if (distance < -LIGHTBOX_SWIPE_THRESHOLD) showLightboxImage(lightboxIndex + 1); // Swiped left.
+            if (distance > LIGHTBOX_SWIPE_THRESHOLD) showLightboxImage(lightboxIndex - 1);  // Swiped right.
+        }
+        lightboxPointers.delete(e.pointerId);
+        // A finger lifted from a pinch carries on as a pan of the zoomed photo.
+        lightboxGesture = null;
+        if (lightboxPointers.size > 0) startLightboxGesture();
+    };
+    stage.addEventListener('pointerup', endGesture);
+    stage.addEventListener('pointercancel', endGesture);
+
+    stage.addEventListener('dblclick', (e) => {
+        if (e.target.id !== 'lightbox-img') return;
+        setLightboxZoom(lightboxZoom.scale > 1 ? 1 : LIGHTBOX_DOUBLE_TAP_ZOOM, 0, 0);
+    });
+}
+
+// ---------------------------------------------------------------------------------
+// KEYBOARD
+// ---------------------------------------------------------------------------------
+
+/**
+ * Handles the lightbox's keys: arrows move between photos, Escape closes, and
+ * Tab cycles through the lightbox's buttons only.
+ * @param {KeyboardEvent} e - The keydown event.
+ */
+function handleLightboxKeydown(e) {
+    if (!lightboxAlbumId) return;
+
+    if (e.key === 'Escape') {
+        requestCloseLightbox();
+    } else if (e.key === 'ArrowLeft') {
+        showLightboxImage(lightboxIndex - 1);
+    } else if (e.key === 'ArrowRight') {
+        showLightboxImage(lightboxIndex + 1);
+    } else if (e.key === 'Tab') {
+        const focusable = Array.from(document.querySelectorAll('#lightbox button:not([hidden])'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            first.focus();
+        } else if (!document.getElementById('lightbox').contains(document.activeElement)) {
+            first.focus();
+        } else {
+            return;
+        }
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+// ---------------------------------------------------------------------------------
+// INITIALIZATION
+// ---------------------------------------------------------------------------------
+
+/**
+ * Builds the gallery and tour albums and wires up the lightbox.
+ */
+export function initializeLightbox() {
+    const lightbox = document.getElementById('lightbox');
+    if (!lightbox) return;
+
+    // The gallery album, captioned with each photo's alt text.
+    const galleryItems = Array.from(document.querySelectorAll('.gallery-item'));
+    const galleryImages = galleryItems.map(item => item.querySelector('img'));
+    registerLightboxAlbum('gallery', galleryImages.map(image => image.src), index => galleryImages[index].alt);
+
+    galleryItems.forEach((item, index) => {
+        // The gallery tiles are plain divs; make them reachable by keyboard too.
+        item.setAttribute('role', 'button');
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('aria-label', galleryImages[index].alt);
+        const open = () => navigate(getLightboxRoute('gallery', index));
+        item.addEventListener('click', open);
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                open();
+            }
+        });
+    });
+
+    // One album per tour, captioned with the tour's title.
+    tourCatalog.forEach(tour => {
+        registerLightboxAlbum(tour.id, tour.images, () => getTourTitle(tour));
+    });
+    const tourGrid = document.getElementById('tour-grid');
+    if (tourGrid) {
+        tourGrid.addEventListener('click', (e) => {
+            const photosButton = e.target.closest('.tour-card-photos');
+            if (photosButton) navigate(getLightboxRoute(photosButton.closest('.tour-card').dataset.tourId, 0));
+        });
+    }
+
+    document.getElementById('lightbox-prev').addEventListener('click', () => showLightboxImage(lightboxIndex - 1));
+    document.getElementById('lightbox-next').addEventListener('click', () => showLightboxImage(lightboxIndex + 1));
+    document.getElementById('lightbox-close').addEventListener('click', requestCloseLightbox);
+    // Close the lightbox if the guest clicks on the dark background area.
+    lightbox.addEventListener('click', (e) => {
+        if (e.target === lightbox || e.target.classList.contains('lightbox-content')) requestCloseLightbox();
+    });
+    document.addEventListener('keydown', handleLightboxKeydown);
+    initializeLightboxGestures(lightbox.querySelector('.lightbox-content'));
+}
@@ -0,0 +1,350 @@
+/**
+ * German messages (Deutsch).
+ */
+export default {
+    // Navigation
+    'nav.about': 'Über uns',
+    'nav.tours': 'Touren',
+    'nav.whyUs': 'Warum wir',
+    'nav.gallery': 'Galerie',
+    'nav.bookNow': 'Jetzt buchen',
+    'nav.language': 'Sprache',
+    'nav.label': 'Hauptnavigation',
+    'nav.menu': 'Menü',
+    'nav.skipToContent': 'Zum Inhalt springen',
+
+    // Hero
+    'hero.kicker': 'Willkommen bei Zanzibar Safari',
+    'hero.title': 'Das Paradies gefunden: <br>Ein einzigartiges Erlebnis',
+    'hero.subtitle': 'Entdecken Sie unberührte Strände, reiche Geschichte und lebendige Kultur mit den vertrauenswürdigsten Guides der Insel.',
+    'hero.explore': 'Angebote entdecken',
+    'hero.learnMore': 'Mehr erfahren',
+
+    // About
+    'about.kicker': 'Willkommen bei Zanzibar Safari',
+    'about.title': 'Wo jede Reise zur Geschichte wird',
+    'about.intro': 'Sansibar ist ein Archipel voller Geschichte und natürlicher Schönheit. Wir von Zanzibar Safari sind Einheimische und teilen mit Leidenschaft die wahre Seele unserer Insel.',
+    'about.details': 'Von den verwinkelten Gassen von Stone Town über die Gewürzfarmen bis zum kristallklaren Wasser von Nungwi gestalten wir Erlebnisse abseits der Reiseführer – sicher, komfortabel und unvergesslich.',
+    'about.guides': 'Zertifizierte Guides',
+    'about.transport': 'Komfortable Transfers',
+    'about.itineraries': 'Individuelle Reisepläne',
+    'about.prices': 'Lokale Preise',
+    'about.imageAlt': 'Gasse in Stone Town',
+
+    // Tours
+    'tours.kicker': 'Unsere Bestseller',
+    'tours.title': 'Ausgewählte Inselabenteuer',
+    'tours.bookNow': 'Jetzt buchen',
+    'tours.viewPhotos': 'Fotos von {tour} ansehen',
+    'duration.halfDay': 'Halbtags',
+    'duration.fullDay': 'Ganztags',
+    'duration.oneHour': '1 Stunde',
+    'duration.hours': '{count} Stunden',
+    'duration.minutes': '{count} Min.',
+    'category.adventure': 'Abenteuer',
+    'category.nature': 'Natur',
+    'category.culture': 'Kultur',
+    'category.marine': 'Meer',
+    'category.marine-life': 'Meeresleben',
+    'category.romance': 'Romantik',
+    'category.wildlife': 'Tierwelt',
+    'category.dining': 'Kulinarik',
+    'category.beach': 'Strand',
+
+    'tour.prison-island.title': 'Gefängnisinsel (Prison Island)',
+    'tour.jozani-forest.title': 'Jozani-Wald',
+    'tour.kuza-cave.title': 'Kuza-Höhle',
+    'tour.maalum-cave.title': 'Maalum-Höhle',
+    'tour.salaam-cave.title': 'Salaam-Höhle',
+    'tour.mnemba-dolphin-tour.title': 'Delfintour zum Mnemba-Atoll',
+    'tour.sunset-cruise.title': 'Sonnenuntergangsfahrt',
+    'tour.sea-turtles-aquarium.title': 'Natürliches Meeresschildkröten-Aquarium',
+    'tour.sky-diving.title': 'Fallschirmspringen',
+    'tour.mikumi-safari.title': 'Tagessafari nach Mikumi',
+    'tour.nakupenda-sandbank.title': 'Sandbank Nakupenda',
+    'tour.masingini-forest.title': 'Masingini-Wald',
+    'tour.spice-tour.title': 'Gewürztour',
+    'tour.swimming-with-horses.title': 'Schwimmen mit Pferden',
+
+    'tour.prison-island.description': 'Entdecken Sie die Geschichte und Naturschönheit von Prison Island. Kristallklares Wasser, farbenfrohe Korallenriffe und uralte Aldabra-Riesenschildkröten – ein ruhiger Rückzugsort, nur eine Bootsfahrt von Stone Town entfernt.',
+    'tour.jozani-forest.description': 'Erkunden Sie den Jozani-Wald, den einzigen Nationalpark Sansibars. Begegnen Sie den seltenen Roten Stummelaffen in ihrem natürlichen Lebensraum mitten im üppigen Tropenwald.',
+    'tour.stone-town.description': 'Reisen Sie mit einer Führung durch Stone Town, UNESCO-Weltkulturerbe, zurück in der Zeit. Schlendern Sie durch alte Gassen und bunte Märkte und bewundern Sie die kunstvoll geschnitzten Türen.',
+    'tour.kuza-cave.description': 'Erleben Sie die Kuza-Höhle in Jambiani, ein verstecktes Juwel für Abenteurer. Schwimmen Sie in kristallklarem Quellwasser und erkunden Sie uralte Kalksteinformationen – ein einzigartiger Einblick in die Swahili-Kultur.',
+    'tour.maalum-cave.description': 'In der Maalum-Höhle in Paje wartet das Abenteuer. Schwimmen Sie im türkisfarbenen Süßwasser einer 50 Meter großen Einsturzhöhle – eine einzigartige Verbindung von Natur und Swahili-Kultur.',
+    'tour.salaam-cave.description': 'Schwimmen Sie mit Meeresschildkröten im natürlichen Aquarium der Salaam-Höhle. Füttern Sie die wunderschönen Tiere und halten Sie Ihre Begegnung in unvergesslichen Fotos und Videos fest.',
+    'tour.mnemba-dolphin-tour.description': 'Das Beste des Mnemba-Atolls: Delfintour und Schnorcheln in einem. Schwimmen Sie neben verspielten Delfinen und erkunden Sie farbenprächtige Korallenriffe voller Meeresleben in unberührtem Wasser.',
+    'tour.sunset-cruise.description': 'Eine entspannte und romantische Bootsfahrt für alle. Genießen Sie an Bord Getränke, Obst und sansibarische Snacks, begleitet von traditioneller Taarab-Musik oder mitreißendem afrikanischem Ngoma-Tanz.',
+    'tour.sea-turtles-aquarium.description': 'Schwimmen Sie mit wunderschönen Meeresschildkröten und vielfältigem Meeresleben in einem natürlichen Aquarium. Füttern Sie die Schildkröten und halten Sie Ihr Erlebnis in Fotos und Videos fest.',
+    'tour.sky-diving.description': 'Bringen Sie Ihr Abenteuer auf Sansibar in neue Höhen. Springen Sie aus 3.000 Metern, erleben Sie einen atemberaubenden freien Fall und gleiten Sie dann sanft am Schirm mit Panoramablick über die Inseln.',
+    'tour.the-rock-restaurant.description': 'Speisen Sie einzigartig im Restaurant The Rock, das auf einem Felsen im Indischen Ozean thront. Genießen Sie frische Meeresfrüchte wie Oktopus, Hummer und Garnelen – ideal für Paare, Familien und Freunde.',
+    'tour.mikumi-safari.description': 'Erleben Sie eine authentische Tagessafari im Mikumi-Nationalpark. Beobachten Sie seltene Wildtiere in ihrem natürlichen Lebensraum mit einem erfahrenen Guide – echtes tansanisches Wildnisabenteuer.',
+    'tour.nakupenda-sandbank.description': 'Nakupenda (das bedeutet „Ich liebe dich“) bietet Entspannung, Schwimmen und Schnorcheln nahe Stone Town. Genießen Sie ein leckeres Meeresfrüchte-Barbecue auf der Sandbank, bevor es zurückgeht.',
+    'tour.safari-blue.description': 'Erleben Sie einen unvergesslichen Tag mit Safari Blue. Schnorcheln Sie an farbenfrohen Korallenriffen, besuchen Sie abgelegene Sandbänke und genießen Sie ein Meeresfrüchte-Barbecue auf der Insel Kwale.',
+    'tour.masingini-forest.description': 'Erkunden Sie das wilde Herz Sansibars bei einer geführten Wanderung durch den Masingini-Wald. Seltene Tiere, Panoramablicke und ruhige Pfade – nur wenige Minuten von der Stadt entfernt.',
+    'tour.spice-tour.description': 'Erleben Sie die Düfte und Aromen Sansibars bei einer geführten Gewürztour durch die üppigen Plantagen der Insel. Auf der „Gewürzinsel“ sehen, riechen und schmecken Sie eine Vielzahl von Gewürzen.',
+    'tour.swimming-with-horses.description': 'Geeignet für Reiter jedes Niveaus, auch für Anfänger – Sie müssen jedoch schwimmen können. Das Schwimmen mit Pferden ist nur bei Flut möglich.',
+    'tour.jet-ski.description': 'Schaffen Sie unvergessliche Familienerinnerungen mit einem Jetski-Abenteuer auf Sansibars glitzerndem, blauem Wasser. Gleiten Sie über sanfte Wellen, genießen Sie den Blick auf die Küste und teilen Sie den Nervenkitzel.',
+
+    // Tour filters
+    'filters.searchLabel': 'Touren suchen',
+    'filters.searchPlaceholder': 'Touren suchen...',
+    'filters.sort': 'Sortieren nach',
+    'filters.sortPopular': 'Am beliebtesten',
+    'filters.sortPriceAsc': 'Preis: aufsteigend',
+    'filters.sortPriceDesc': 'Preis: absteigend',
+    'filters.category': 'Kategorie',
+    'filters.duration': 'Dauer',
+    'filters.duration.short': 'Bis 2 Stunden',
+    'filters.duration.half-day': 'Halbtags',
+    'filters.duration.full-day': 'Ganztags',
+    'filters.count': '{count} von {total} Touren',
+    'filters.clear': 'Filter zurücksetzen',
+    'filters.empty': 'Keine Tour passt zu Ihrer Suche. Versuchen Sie ein anderes Wort oder setzen Sie die Filter zurück.',
+
+    // Booking form
+    'booking.kicker': 'Sichern Sie sich Ihren Platz',
+    'booking.title': 'Buchen Sie Ihr Abenteuer',
+    'booking.selectTour': 'Tour wählen',
+    'booking.selectTourPlaceholder': 'Eine Tour wählen',
+    'booking.preferredDate': 'Wunschtermin',
+    'booking.adults': 'Erwachsene',
+    'booking.children': 'Kinder',
+    'booking.childrenAges': '(2-11)',
+    'booking.infants': 'Kleinkinder',
+    'booking.infantsAges': '(unter 2)',
+    'booking.addToItinerary': 'Zum Reiseplan hinzufügen',
+    'booking.itinerary': 'Ihr Reiseplan',
+    'booking.itineraryEmpty': 'Noch keine Touren hinzugefügt. Wählen Sie oben eine Tour oder klicken Sie auf einer Tourkarte auf „Jetzt buchen“.',
+    'booking.fullName': 'Vollständiger Name',
+    'booking.email': 'E-Mail',
+    'booking.phone': 'Telefonnummer',
+    'booking.phoneHint': '+49 15... oder +255 7...',
+    'booking.requests': 'Besondere Wünsche',
+    'booking.optional': '(optional)',
+    'booking.requestsHint': 'Besondere Wünsche oder Ernährungshinweise...',
+    'booking.clear': 'Zurücksetzen',
+    'booking.submit': 'Jetzt buchen',
+    'booking.sending': 'Wird gesendet...',
+    'booking.fixField': 'Bitte korrigieren Sie das markierte Feld.',
+    'booking.fixFields': 'Bitte korrigieren Sie die {count} markierten Felder.',
+    'booking.sendFailed': 'Die Buchungsanfrage konnte nicht gesendet werden. Bitte versuchen Sie es später erneut.',
+    'spam.tooFast': 'Bitte prüfen Sie Ihre Buchung kurz und senden Sie sie dann erneut.',
+    'spam.rateLimited': 'Sie haben in kurzer Zeit mehrere Buchungsanfragen gesendet. Bitte warten Sie etwas oder schreiben Sie uns auf WhatsApp.',
+    'spam.duplicate': 'Sie haben diese Buchungsanfrage bereits gesendet. Unser Team meldet sich bald per WhatsApp oder E-Mail.',
+    'booking.errorTitle': 'Hoppla!',
+
+    // Availability calendar
+    'calendar.previousMonth': 'Vorheriger Monat',
+    'calendar.nextMonth': 'Nächster Monat',
+    'calendar.seatsLeft': 'Noch {count} Plätze an diesem Tag.',
+    'availability.past': 'Dieses Datum liegt in der Vergangenheit.',
+    'availability.weekday': 'Diese Tour findet an diesem Wochentag nicht statt.',
+    'availability.blackout': 'Diese Tour findet an diesem Datum nicht statt.',
+    'availability.full': 'Diese Tour ist an diesem Datum ausgebucht.',
+    'availability.fewSeats': 'Nur noch {count} Plätze an diesem Datum.',
+
+    // Itinerary
+    'itinerary.moveUp': '{tour} nach oben verschieben',
+    'itinerary.moveDown': '{tour} nach unten verschieben',
+    'itinerary.remove': '{tour} entfernen',
+    'itinerary.dateFor': 'Datum für {tour}',
+    'itinerary.pickDate': 'Datum wählen',
+    'itinerary.adults': 'Erwachsene',
+    'itinerary.children': 'Kinder',
+    'itinerary.infants': 'Kleinkinder',
+
+    // Price quote
+    'quote.title': 'Ihr Preisvoranschlag',
+    'quote.total': 'Geschätzter Gesamtpreis',
+    'quote.note': 'Den endgültigen Preis bestätigt unser Team in der Antwort auf Ihre Anfrage.',
+    'quote.adults': '{count} x {price} Erwachsene',
+    'quote.children': '{count} x {price} Kind',
+    'quote.infants': '{count} Kleinkind (kostenlos)',
+    'quote.groupDiscount': '{percent} % Gruppenrabatt: -{amount}',
+    'quote.pickDate': 'Wählen Sie ein Datum für den Saisonpreis',
+    'quote.season.festive': 'Festtagssaison',
+    'quote.season.high': 'Hochsaison',
+    'quote.season.low': 'Nebensaison',
+    'quote.season.standard': 'Normalsaison',
+
+    // After sending
+    'success.sentTitle': 'Buchungsanfrage gesendet!',
+    'success.savedTitle': 'Buchungsanfrage gespeichert!',
+    'success.thanks': 'Vielen Dank! Unser Team meldet sich innerhalb von 2 Stunden per WhatsApp oder E-Mail, um Ihre Buchung zu bestätigen.',
+    'success.reference': 'Ihre Buchungsnummer lautet {reference}. Bitte geben Sie sie an, wenn Sie uns kontaktieren.',
+    'success.manageLink': 'Um Ihre Buchung online zu ändern oder zu stornieren, bewahren Sie diesen privaten Link auf: {link}',
+    'success.queued': 'Unser Buchungsdienst ist gerade nicht erreichbar. Ihre Anfrage ist auf diesem Gerät gespeichert und wird automatisch gesendet, sobald Sie wieder online sind.',
+    'success.whatsapp': 'Stattdessen per WhatsApp senden',
+    'success.backHome': 'Zur Startseite',
+    'success.edit': 'Buchung ändern oder stornieren',
+
+    // Booking summary and calendar file
+    'summary.title': 'Buchungsübersicht',
+    'summary.reference': 'Buchungsnummer',
+    'summary.guests': '{adults} Erwachsene, {children} Kinder, {infants} Kleinkinder',
+    'summary.total': 'Geschätzter Gesamtpreis',
+    'summary.name': 'Name',
+    'summary.email': 'E-Mail',
+    'summary.phone': 'Telefon',
+    'summary.requests': 'Wünsche',
+    'summary.meeting': 'Treffpunkt',
+    'summary.print': 'Übersicht drucken',
+    'summary.calendar': 'Zum Kalender hinzufügen (.ics)',
+    'meeting.location': 'Abholung von Ihrem Hotel auf Sansibar',
+    'meeting.details': 'Unser Team bestätigt Ihnen die genaue Abholzeit am Tag vor der Tour per WhatsApp oder E-Mail. Fragen? Rufen Sie uns an oder schreiben Sie per WhatsApp an +255 786 639 283.',
+    'ics.reference': 'Buchungsnummer: {reference}',
+    'ics.guests': 'Gäste: {guests}',
+    'ics.meeting': 'Treffpunkt: {location} gegen {time} Uhr.',
+
+    // Validation
+    'validation.itineraryEmpty': 'Bitte fügen Sie mindestens eine Tour zu Ihrem Reiseplan hinzu.',
+    'validation.tourUnknown': 'Bitte wählen Sie eine Tour aus unserer Liste.',
+    'validation.dateRequired': 'Bitte wählen Sie ein Datum.',
+    'validation.datePast': 'Dieses Datum liegt in der Vergangenheit.',
+    'validation.dateTooFar': 'Touren können höchstens {days} Tage im Voraus gebucht werden.',
+    'validation.adultsRequired': 'Mindestens ein Erwachsener muss an der Tour teilnehmen.',
+    'validation.guestsWhole': 'Die Anzahl der Gäste muss eine ganze Zahl sein.',
+    'validation.overCapacity': '{tour} nimmt höchstens {capacity} Gäste pro Buchung mit.',
+    'validation.nameRequired': 'Bitte geben Sie Ihren vollständigen Namen ein.',
+    'validation.nameTooLong': 'Ihr Name darf höchstens {max} Zeichen lang sein.',
+    'validation.emailInvalid': 'Bitte geben Sie eine gültige E-Mail-Adresse ein, z. B. name@beispiel.de.',
+    'validation.phoneInvalid': 'Bitte geben Sie Ihre Nummer im internationalen Format mit + und Ländervorwahl ein (z. B. +49 151 2345 6789).',
+    'validation.requestsTooLong': 'Besondere Wünsche dürfen höchstens {max} Zeichen lang sein.',
+    'validation.ratingRequired': 'Bitte wählen Sie eine Bewertung von 1 bis 5 Sternen.',
+    'validation.reviewTooShort': 'Bitte schreiben Sie etwas mehr: mindestens {min} Zeichen.',
+    'validation.reviewTooLong': 'Ihre Bewertung darf höchstens {max} Zeichen lang sein.',
+    'validation.amendmentTooLate': 'Buchungen können bis {days} Tage vor der ersten Tour online geändert oder storniert werden. Bitte kontaktieren Sie uns stattdessen per WhatsApp.',
+    'validation.bookingClosed': 'Diese Buchung kann nicht mehr online geändert werden.',
+    'validation.amendmentUnknown': 'Bitte wählen Sie, ob Sie die Buchung ändern oder stornieren möchten.',
+    'validation.amendmentTooSoon': 'Online-Änderungen brauchen {days} Tage Vorlauf. Für einen früheren Termin kontaktieren Sie uns bitte per WhatsApp.',
+    'validation.amendmentTourChanged': 'Touren können online nicht hinzugefügt, entfernt oder getauscht werden. Bitte kontaktieren Sie uns stattdessen per WhatsApp.',
+    'validation.amendmentNoChange': 'Bitte ändern Sie zuerst ein Datum oder die Zahl der Gäste.',
+
+    // Why us
+    'whyUs.title': 'Warum wir?',
+    'whyUs.expertiseTitle': 'Lokales Wissen',
+    'whyUs.expertise': 'Unsere Guides sind hier geboren. Sie kennen die versteckten Schätze, die geheimen Strände und die Geschichten dahinter, die Sie online nicht finden.',
+    'whyUs.tailoredTitle': 'Maßgeschneiderte Erlebnisse',
+    'whyUs.tailored': 'Bei uns gibt es keine Lösungen von der Stange. Wir passen Reisepläne an Ihr Tempo, Ihre Interessen und Ihr Budget an – für einen perfekten Urlaub.',
+    'whyUs.supportTitle': 'Rund um die Uhr erreichbar',
+    'whyUs.support': 'Von Ihrer Ankunft bis zur Abreise ist unser Team immer nur einen Anruf oder eine WhatsApp-Nachricht entfernt.',
+
+    // Gallery
+    'gallery.kicker': 'Unsere Galerie',
+    'gallery.title': 'Ein Blick ins Paradies',
+
+    // Lightbox
+    'lightbox.label': 'Fotoansicht',
+    'lightbox.close': 'Schließen',
+    'lightbox.previous': 'Vorheriges Foto',
+    'lightbox.next': 'Nächstes Foto',
+    'lightbox.counter': '{index} / {total}',
+
+    // Testimonials
+    'testimonials.kicker': 'Das sagen unsere Gäste',
+    'testimonials.title': 'Stimmen unserer Abenteurer',
+    'testimonials.previous': 'Vorherige Bewertung',
+    'testimonials.next': 'Nächste Bewertung',
+    'testimonials.carousel': 'Karussell',
+    'testimonials.slide': 'Bewertung {index} von {total}',
+    'testimonials.goTo': 'Bewertung {index} anzeigen',
+    'testimonials.status': 'Bewertung {index} von {total}, von {name}',
+    'testimonial.johnson-family': 'Wir hatten eine tolle Zeit bei der Tagestour in den Mikumi-Nationalpark! Unser Guide wusste unglaublich viel und wir haben so viele Tiere gesehen. Die Kinder reden immer noch von den Giraffen und Elefanten. Zanzibar Safari Tours hat alles so einfach und für unsere Familie unvergesslich gemacht. Sehr empfehlenswert!',
+    'testimonial.david-emily': 'Die Sonnenuntergangsfahrt war der perfekte romantische Abend. Die Aussicht war atemberaubend und die Crew so freundlich und zuvorkommend. Die traditionelle Musik und die Snacks haben uns sehr gefallen. Der Höhepunkt unserer Flitterwochen auf Sansibar!',
+    'testimonial.maria-s': 'Ich habe die Delfintour gebucht und es war einfach magisch! Wir haben so viele Delfine aus nächster Nähe gesehen. Auch das Schnorcheln am Mnemba-Atoll war unglaublich. Das Team war sehr professionell und ich habe mich die ganze Zeit sicher und gut betreut gefühlt.',
+    'testimonial.ben-carter': 'Als Alleinreisender habe ich den Rund-um-die-Uhr-Service sehr geschätzt. Sie haben mir geholfen, meine ganze Reise zu planen, und waren immer für meine Fragen da. Die Stone-Town-Tour war faszinierend. Ich kann es kaum erwarten, zurückzukommen und mehr von Sansibar zu entdecken.',
+    'testimonial.chen-family': 'Unsere Familie hatte riesigen Spaß bei der Gewürztour. Es ist so spannend, all die verschiedenen Gewürze zu sehen und zu riechen. Die Kinder liebten die Verkostung von frischem Obst. Ein Muss auf Sansibar!',
+    'testimonial.chloe-friends': 'Wir haben eine private Bootstour zum Mnemba-Atoll gebucht und sie war jeden Cent wert! Das Schnorcheln war einfach unglaublich. Die Crew war großartig und hat uns an Bord ein köstliches Meeresfrüchte-Mittagessen zubereitet. 10/10, absolut empfehlenswert!',
+    'testimonial.liam-r': 'Die Tour durch den Jozani-Wald war unglaublich. Die Roten Stummelaffen in ihrem natürlichen Lebensraum zu sehen, war ein einzigartiges Erlebnis. Mein Guide kannte sich bestens mit der lokalen Tier- und Pflanzenwelt aus. Ein toller Halbtagesausflug.',
+    'testimonial.isabella-rossi': 'Ich hatte eine wunderbare Zeit in Stone Town mit meinem Guide. Die Geschichte ist faszinierend und die Architektur wunderschön. Ich fühlte mich wie in eine andere Zeit versetzt. Danke für die tolle Tour!',
+    'testimonial.michael-b': 'Der private Transfer vom Flughafen lief reibungslos. Der Fahrer hat auf uns gewartet und war sehr professionell. So war unsere Ankunft auf Sansibar völlig stressfrei. Ausgezeichneter Service.',
+    'testimonial.jessica-l': 'Ich kann gar nicht genug Gutes über den Schnorchelausflug zur Blue Lagoon sagen. Die Korallen waren farbenprächtig und wir haben so viele bunte Fische gesehen. Es war wie Schwimmen in einem Aquarium. Ein Muss!',
+
+    // Reviews
+    'reviews.leave': 'Bewertung schreiben',
+    'reviews.intro': 'Waren Sie mit uns unterwegs? Erzählen Sie anderen Reisenden, wie es war.',
+    'reviews.tour': 'Welche Tour?',
+    'reviews.general': 'Unser Service allgemein',
+    'reviews.rating': 'Ihre Bewertung',
+    'reviews.stars': '{count} von 5 Sternen',
+    'reviews.text': 'Ihr Erfahrungsbericht',
+    'reviews.textHint': 'Was hat Ihnen gefallen? Was können wir besser machen?',
+    'reviews.name': 'Ihr Name',
+    'reviews.nameHint': 'Wird mit Ihrer Bewertung angezeigt',
+    'reviews.email': 'E-Mail',
+    'reviews.emailHint': 'Wird nie veröffentlicht',
+    'reviews.submit': 'Bewertung senden',
+    'reviews.cancel': 'Abbrechen',
+    'reviews.thanks': 'Vielen Dank! Ihre Bewertung erscheint hier, sobald unser Team sie gelesen hat.',
+    'reviews.queued': 'Vielen Dank! Wir konnten Ihre Bewertung gerade nicht senden. Sie ist auf diesem Gerät gespeichert und wird automatisch gesendet.',
+    'reviews.sendFailed': 'Leider konnten wir Ihre Bewertung nicht senden. Bitte versuchen Sie es erneut.',
+    'reviews.ratingLabel': 'Bewertet mit {average} von 5 aus {count} Bewertung(en)',
+
+    // Offline banner
+    'offline.banner': 'Sie sind offline. Sie können unsere Touren weiterhin ansehen; Buchungsanfragen werden gesendet, sobald Sie wieder online sind.',
+    'outbox.failedTitle': 'Eine von diesem Gerät gesendete Anfrage konnte nicht zugestellt werden',
+    'outbox.failed.booking': 'Ihre Buchungsanfrage {reference} konnte nicht zugestellt werden. Bitte senden Sie sie uns stattdessen per WhatsApp.',
+    'outbox.failed.review': 'Ihre Bewertung konnte nicht zugestellt werden. Bitte senden Sie sie uns stattdessen per WhatsApp.',
+    'outbox.failed.amendment': 'Ihre Änderung der Buchung {reference} konnte nicht zugestellt werden. Bitte senden Sie sie uns stattdessen per WhatsApp.',
+    'outbox.whatsapp': 'Per WhatsApp senden',
+    'outbox.dismiss': 'Schließen',
+
+    // Manage my booking
+    'manage.prompt': 'Schon gebucht?',
+    'manage.link': 'Meine Buchung verwalten',
+    'manage.title': 'Meine Buchung verwalten',
+    'manage.close': 'Schließen',
+    'manage.intro': 'Geben Sie Ihre Buchungsnummer und die E-Mail-Adresse Ihrer Buchung ein, um das Datum oder die Zahl der Gäste zu ändern oder die Buchung zu stornieren.',
+    'manage.reference': 'Buchungsnummer',
+    'manage.find': 'Meine Buchung finden',
+    'manage.notFound': 'Wir konnten keine Buchung mit dieser Nummer und E-Mail-Adresse finden. Bitte prüfen Sie beides und versuchen Sie es erneut.',
+    'manage.linkInvalid': 'Dieser Link ist nicht mehr gültig. Bitte geben Sie stattdessen Ihre Buchungsnummer und E-Mail-Adresse ein.',
+    'manage.lookupFailed': 'Unser Buchungsdienst ist gerade nicht erreichbar. Bitte versuchen Sie es gleich noch einmal.',
+    'manage.unavailable': 'Buchungen können auf dieser Website nicht geändert werden. Um Ihre Buchung zu ändern oder zu stornieren, schreiben Sie uns bitte auf WhatsApp mit Ihrer Buchungsnummer.',
+    'manage.status.pending': 'Wartet auf Bestätigung',
+    'manage.status.confirmed': 'Bestätigt',
+    'manage.status.declined': 'Abgelehnt',
+    'manage.status.completed': 'Abgeschlossen',
+    'manage.status.cancelled': 'Storniert',
+    'manage.date': 'Datum',
+    'manage.deadline': 'Sie können diese Buchung bis zum {date} online ändern oder stornieren.',
+    'manage.save': 'Änderungen senden',
+    'manage.cancelBooking': 'Buchung stornieren',
+    'manage.cancelConfirm': 'Buchung {reference} stornieren? Das lässt sich online nicht rückgängig machen.',
+    'manage.changed': 'Vielen Dank! Ihre Änderungen wurden gesendet. Unser Team bestätigt sie per WhatsApp oder E-Mail.',
+    'manage.cancelled': 'Ihre Buchung wurde storniert. Wir hoffen, Sie ein andermal begrüßen zu dürfen!',
+    'manage.queued': 'Unser Buchungsdienst ist gerade nicht erreichbar. Ihre Anfrage ist auf diesem Gerät gespeichert und wird automatisch gesendet, sobald Sie wieder online sind.',
+    'manage.sendFailed': 'Leider konnten wir Ihre Anfrage nicht senden. Bitte versuchen Sie es erneut.',
+
+    // Analytics consent
+    'consent.label': 'Einwilligung zur Statistik',
+    'consent.text': 'Dürfen wir zählen, wie unsere Website genutzt wird, etwa welche Touren geöffnet und gebucht werden? Wir speichern nie Ihren Namen, Ihre E-Mail-Adresse oder sonst etwas über Sie.',
+    'consent.accept': 'Akzeptieren',
+    'consent.decline': 'Nein, danke',
+
+    // Call to action and partners
+    'cta.title': 'Bereit, Ihren Inselurlaub zu planen?',
+    'cta.text': 'Kontaktieren Sie uns noch heute für eine kostenlose Beratung und einen individuellen Reisevorschlag. Das Paradies ist näher, als Sie denken.',
+    'cta.button': 'Jetzt planen',
+    'partners.kicker': 'Vertrauen von',
+    'partners.title': 'Unsere Partner',
+    'partners.text': 'Gemeinsam mit führenden Unternehmen der Branche schaffen wir außergewöhnliche Sansibar-Erlebnisse',
+
+    // Footer
+    'footer.about': 'Brechen Sie mit Zanzibar Safari zu einer unvergesslichen Reise auf. Wir gestalten individuelle Erlebnisse auf der Gewürzinsel und im wilden Herzen Tansanias, damit jeder Moment einzigartig und authentisch ist.',
+    'footer.tagline': 'Zanzibar Safari - Wo jede Reise zur Geschichte wird',
+    'footer.explore': 'Entdecken',
+    'footer.aboutUs': 'Über uns',
+    'footer.ourTours': 'Unsere Touren',
+    'footer.whyChooseUs': 'Warum wir',
+    'footer.gallery': 'Galerie',
+    'footer.bookTrip': 'Reise buchen',
+    'footer.privacy': 'Datenschutzeinstellungen',
+    'footer.connect': 'Kontakt',
+    'footer.followUs': 'Folgen Sie uns',
+    'footer.rights': 'Alle Rechte vorbehalten',
+    'footer.designedBy': 'Gestaltet von',
+
+    // WhatsApp button
+    'whatsapp.chat': 'Schreiben Sie uns'
+};
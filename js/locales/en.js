@@ -0,0 +1,288 @@
+/**
+ * English messages. Every other catalog falls back to these, so every key used
+ * by the site must be here.
+ *
+ * Tour titles and descriptions are not repeated here: in English they come
+ * straight from js/tours.js. Other catalogs translate them as
+ * 'tour.<id>.title' and 'tour.<id>.description'. Likewise, the English
+ * validation messages live in js/validation.js, which the mock server shares.
+ */
+export default {
+    // Navigation
+    'nav.about': 'About',
+    'nav.tours': 'Tours',
+    'nav.whyUs': 'Why Us',
+    'nav.gallery': 'Gallery',
+    'nav.bookNow': 'Book Now',
+    'nav.language': 'Language',
+    'nav.label': 'Main',
+    'nav.menu': 'Menu',
+    'nav.skipToContent': 'Skip to content',
+
+    // Hero
+    'hero.kicker': 'Welcome to Zanzibar Safari',
+    'hero.title': 'Paradise Found: <br>The Ultimate Experience',
+    'hero.subtitle': 'Discover pristine beaches, rich history, and vibrant culture with the island\'s most trusted guides.',
+    'hero.explore': 'Explore Packages',
+    'hero.learnMore': 'Learn More',
+
+    // About
+    'about.kicker': 'Welcome to Zanzibar Safari',
+    'about.title': 'Where Every Journey Becomes a Story',
+    'about.intro': 'Zanzibar is an archipelago steeped in history and blessed with natural beauty. At Zanzibar Safari, We are locals passionate about sharing the authentic soul of our island.',
+    'about.details': 'From the winding alleys of Stone Town to the spice farms and the crystalline waters of Nungwi, we curate experiences that go beyond the guidebooks, ensuring safe, comfortable, and unforgettable journeys.',
+    'about.guides': 'Certified Guides',
+    'about.transport': 'Luxury Transport',
+    'about.itineraries': 'Custom Itineraries',
+    'about.prices': 'Local Prices',
+    'about.imageAlt': 'Stone Town Alley',
+
+    // Tours
+    'tours.kicker': 'Our Best Sellers',
+    'tours.title': 'Curated Island Adventures',
+    'tours.bookNow': 'Book Now',
+    'tours.viewPhotos': 'View photos of {tour}',
+    'duration.halfDay': 'Half Day',
+    'duration.fullDay': 'Full Day',
+    'duration.oneHour': '1 Hour',
+    'duration.hours': '{count} Hours',
+    'duration.minutes': '{count} Mins',
+    'category.adventure': 'Adventure',
+    'category.nature': 'Nature',
+    'category.culture': 'Culture',
+    'category.marine': 'Marine',
+    'category.marine-life': 'Marine Life',
+    'category.romance': 'Romance',
+    'category.wildlife': 'Wildlife',
+    'category.dining': 'Dining',
+    'category.beach': 'Beach',
+
+    // Tour filters
+    'filters.searchLabel': 'Search tours',
+    'filters.searchPlaceholder': 'Search tours...',
+    'filters.sort': 'Sort by',
+    'filters.sortPopular': 'Most popular',
+    'filters.sortPriceAsc': 'Price: low to high',
+    'filters.sortPriceDesc': 'Price: high to low',
+    'filters.category': 'Category',
+    'filters.duration': 'Duration',
+    'filters.duration.short': 'Up to 2 hours',
+    'filters.duration.half-day': 'Half day',
+    'filters.duration.full-day': 'Full day',
+    'filters.count': 'Showing {count} of {total} tours',
+    'filters.clear': 'Clear filters',
+    'filters.empty': 'No tours match your search. Try another word or clear the filters.',
+
+    // Booking form
+    'booking.kicker': 'Secure Your Spot',
+    'booking.title': 'Book Your Adventure',
+    'booking.selectTour': 'Select Tour',
+    'booking.selectTourPlaceholder': 'Select a tour',
+    'booking.preferredDate': 'Preferred Date',
+    'booking.adults': 'Adults',
+    'booking.children': 'Children',
+    'booking.childrenAges': '(2-11)',
+    'booking.infants': 'Infants',
+    'booking.infantsAges': '(under 2)',
+    'booking.addToItinerary': 'Add to Itinerary',
+    'booking.itinerary': 'Your Itinerary',
+    'booking.itineraryEmpty': 'No tours added yet. Pick a tour above or press "Book Now" on any tour card.',
+    'booking.fullName': 'Full Name',
+    'booking.email': 'Email',
+    'booking.phone': 'Phone Number',
+    'booking.phoneHint': '+255 7... or +44 7...',
+    'booking.requests': 'Special Requests',
+    'booking.optional': '(optional)',
+    'booking.requestsHint': 'Any special requests or dietary needs...',
+    'booking.clear': 'Clear',
+    'booking.submit': 'Book Now',
+    'booking.sending': 'Sending...',
+    'booking.fixField': 'Please correct the highlighted field.',
+    'booking.fixFields': 'Please correct the {count} highlighted fields.',
+    'booking.sendFailed': 'Failed to send booking request. Please try again later.',
+    'spam.tooFast': 'Please take a moment to check your booking, then send it again.',
+    'spam.rateLimited': 'You have sent several booking requests in a short time. Please wait a while, or chat with us on WhatsApp.',
+    'spam.duplicate': 'You have already sent this booking request. Our team will be in touch soon via WhatsApp or Email.',
+    'booking.errorTitle': 'Oops!',
+
+    // Availability calendar
+    'calendar.previousMonth': 'Previous month',
+    'calendar.nextMonth': 'Next month',
+    'calendar.seatsLeft': '{count} seat(s) left on this date.',
+    'availability.past': 'This date is in the past.',
+    'availability.weekday': 'This tour does not run on that day of the week.',
+    'availability.blackout': 'This tour is not running on that date.',
+    'availability.full': 'This tour is fully booked on that date.',
+    'availability.fewSeats': 'Only {count} seat(s) left on that date.',
+
+    // Itinerary
+    'itinerary.moveUp': 'Move {tour} up',
+    'itinerary.moveDown': 'Move {tour} down',
+    'itinerary.remove': 'Remove {tour}',
+    'itinerary.dateFor': 'Date for {tour}',
+    'itinerary.pickDate': 'Pick a date',
+    'itinerary.adults': 'Adults',
+    'itinerary.children': 'Children',
+    'itinerary.infants': 'Infants',
+
+    // Price quote
+    'quote.title': 'Your Price Estimate',
+    'quote.total': 'Estimated Total',
+    'quote.note': 'Final price is confirmed by our team when they reply to your request.',
+    'quote.adults': '{count} x {price} adult',
+    'quote.children': '{count} x {price} child',
+    'quote.infants': '{count} infant (free)',
+    'quote.groupDiscount': '{percent}% group discount: -{amount}',
+    'quote.pickDate': 'Pick a date for seasonal pricing',
+    'quote.season.festive': 'Festive season',
+    'quote.season.high': 'High season',
+    'quote.season.low': 'Low season',
+    'quote.season.standard': 'Standard season',
+
+    // After sending
+    'success.sentTitle': 'Booking Request Sent!',
+    'success.savedTitle': 'Booking Request Saved!',
+    'success.thanks': 'Thank you! Our team will contact you via WhatsApp or Email within 2 hours to confirm your booking.',
+    'success.reference': 'Your booking reference is {reference}. Please quote it when you contact us.',
+    'success.manageLink': 'To change or cancel your booking online, keep this private link: {link}',
+    'success.queued': 'We couldn\'t reach our booking service just now. Your request is saved on this device and will be sent automatically as soon as you\'re back online.',
+    'success.whatsapp': 'Send it via WhatsApp instead',
+    'success.backHome': 'Back to Home',
+    'success.edit': 'Change or Cancel Booking',
+
+    // Booking summary and calendar file
+    'summary.title': 'Booking Summary',
+    'summary.reference': 'Reference',
+    'summary.guests': '{adults} adult(s), {children} child(ren), {infants} infant(s)',
+    'summary.total': 'Estimated total',
+    'summary.name': 'Name',
+    'summary.email': 'Email',
+    'summary.phone': 'Phone',
+    'summary.requests': 'Requests',
+    'summary.meeting': 'Meeting',
+    'summary.print': 'Print summary',
+    'summary.calendar': 'Add to calendar (.ics)',
+    'meeting.location': 'Pickup from your hotel in Zanzibar',
+    'meeting.details': 'Our team will confirm the exact pickup time by WhatsApp or email the day before your tour. Questions? Call or WhatsApp us on +255 786 639 283.',
+    'ics.reference': 'Booking reference: {reference}',
+    'ics.guests': 'Guests: {guests}',
+    'ics.meeting': 'Meeting: {location} at about {time}.',
+
+    // Why us
+    'whyUs.title': 'Why Choose Us?',
+    'whyUs.expertiseTitle': 'Local Expertise',
+    'whyUs.expertise': 'Our guides were born here. They know the hidden gems, the secret beaches, and the stories behind them that you won\'t find online.',
+    'whyUs.tailoredTitle': 'Tailored Experiences',
+    'whyUs.tailored': 'We don\'t do "one size fits all." We customize itineraries to match your pace, interests, and budget for a perfect holiday.',
+    'whyUs.supportTitle': '24/7 Support',
+    'whyUs.support': 'From the moment you land until you depart, our team is always on a phone call or WhatsApp message away to assist you.',
+
+    // Gallery
+    'gallery.kicker': 'Our Gallery',
+    'gallery.title': 'A Glimpse of Paradise',
+
+    // Lightbox
+    'lightbox.label': 'Photo viewer',
+    'lightbox.close': 'Close',
+    'lightbox.previous': 'Previous photo',
+    'lightbox.next': 'Next photo',
+    'lightbox.counter': '{index} / {total}',
+
+    // Testimonials
+    'testimonials.kicker': 'What Our Clients Say',
+    'testimonials.title': 'Hear From Our Adventurers',
+    'testimonials.previous': 'Previous testimonial',
+    'testimonials.next': 'Next testimonial',
+    'testimonials.carousel': 'carousel',
+    'testimonials.slide': 'Review {index} of {total}',
+    'testimonials.goTo': 'Show review {index}',
+    'testimonials.status': 'Review {index} of {total}, by {name}',
+
+    // Reviews
+    'reviews.leave': 'Leave a Review',
+    'reviews.intro': 'Been on a tour with us? Tell other travellers how it went.',
+    'reviews.tour': 'Which tour?',
+    'reviews.general': 'Our service in general',
+    'reviews.rating': 'Your rating',
+    'reviews.stars': '{count} out of 5 stars',
+    'reviews.text': 'Your review',
+    'reviews.textHint': 'What did you enjoy? What could we do better?',
+    'reviews.name': 'Your name',
+    'reviews.nameHint': 'Shown with your review',
+    'reviews.email': 'Email',
+    'reviews.emailHint': 'Never published',
+    'reviews.submit': 'Send Review',
+    'reviews.cancel': 'Cancel',
+    'reviews.thanks': 'Thank you! Your review will appear here once our team has read it.',
+    'reviews.queued': 'Thank you! We couldn\'t send your review just now, so it is saved on this device and will be sent automatically.',
+    'reviews.sendFailed': 'Sorry, we could not send your review. Please try again.',
+    'reviews.ratingLabel': 'Rated {average} out of 5 from {count} review(s)',
+
+    // Offline banner
+    'offline.banner': 'You\'re offline. You can still browse our tours, and booking requests will be sent once you\'re back online.',
+    'outbox.failedTitle': 'We couldn\'t deliver a request sent from this device',
+    'outbox.failed.booking': 'Your booking request {reference} could not be delivered. Please send it to us on WhatsApp instead.',
+    'outbox.failed.review': 'Your review could not be delivered. Please send it to us on WhatsApp instead.',
+    'outbox.failed.amendment': 'Your change to booking {reference} could not be delivered. Please send it to us on WhatsApp instead.',
+    'outbox.whatsapp': 'Send via WhatsApp',
+    'outbox.dismiss': 'Dismiss',
+
+    // Manage my booking
+    'manage.prompt': 'Already booked?',
+    'manage.link': 'Manage my booking',
+    'manage.title': 'Manage My Booking',
+    'manage.close': 'Close',
+    'manage.intro': 'Enter your booking reference and the email you booked with to change the date or number of guests, or to cancel.',
+    'manage.reference': 'Booking reference',
+    'manage.find': 'Find My Booking',
+    'manage.notFound': 'We couldn\'t find a booking with that reference and email. Please check both and try again.',
+    'manage.linkInvalid': 'This link is not valid any more. Please enter your booking reference and email instead.',
+    'manage.lookupFailed': 'We couldn\'t reach our booking service just now. Please try again in a moment.',
+    'manage.unavailable': 'Bookings can\'t be changed on this website. To change or cancel your booking, please message us on WhatsApp with your booking reference.',
+    'manage.status.pending': 'Waiting for confirmation',
+    'manage.status.confirmed': 'Confirmed',
+    'manage.status.declined': 'Declined',
+    'manage.status.completed': 'Completed',
+    'manage.status.cancelled': 'Cancelled',
+    'manage.date': 'Date',
+    'manage.deadline': 'You can change or cancel this booking online until {date}.',
+    'manage.save': 'Send Changes',
+    'manage.cancelBooking': 'Cancel Booking',
+    'manage.cancelConfirm': 'Cancel booking {reference}? This cannot be undone online.',
+    'manage.changed': 'Thank you! Your changes have been sent. Our team will confirm them via WhatsApp or Email.',
+    'manage.cancelled': 'Your booking has been cancelled. We hope to see you another time!',
+    'manage.queued': 'We couldn\'t reach our booking service just now. Your request is saved on this device and will be sent automatically as soon as you\'re back online.',
+    'manage.sendFailed': 'Sorry, we could not send your request. Please try again.',
+
+    // Analytics consent
+    'consent.label': 'Analytics consent',
+    'consent.text': 'May we count how our site is used, such as which tours are opened and booked? We never record your name, email or anything else about you.',
+    'consent.accept': 'Accept',
+    'consent.decline': 'No, thanks',
+
+    // Call to action and partners
+    'cta.title': 'Ready to plan your island getaway?',
+    'cta.text': 'Contact us today for a free consultation and customized itinerary proposal. Paradise is closer than you think.',
+    'cta.button': 'Start Planning',
+    'partners.kicker': 'Trusted By',
+    'partners.title': 'Our Partners',
+    'partners.text': 'Collaborating with industry leaders to deliver exceptional Zanzibar experiences',
+
+    // Footer
+    'footer.about': 'Embark on an unforgettable journey with Zanzibar Safari. We craft bespoke experiences across the spice island and the wild heart of Tanzania, ensuring every moment is unique and authentic.',
+    'footer.tagline': 'Zanzibar Safari - Where Every Journey Becomes a Story',
+    'footer.explore': 'Explore',
+    'footer.aboutUs': 'About Us',
+    'footer.ourTours': 'Our Tours',
+    'footer.whyChooseUs': 'Why Choose Us',
+    'footer.gallery': 'Gallery',
+    'footer.bookTrip': 'Book Your Trip',
+    'footer.privacy': 'Privacy Settings',
+    'footer.connect': 'Connect',
+    'footer.followUs': 'Follow Us',
+    'footer.rights': 'All Right Reserved',
+    'footer.designedBy': 'Designed by',
+
+    // WhatsApp button
+    'whatsapp.chat': 'Chat with us'
+};
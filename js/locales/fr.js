@@ -0,0 +1,350 @@
+/**
+ * French messages (Français).
+ */
+export default {
+    // Navigation
+    'nav.about': 'À propos',
+    'nav.tours': 'Excursions',
+    'nav.whyUs': 'Pourquoi nous',
+    'nav.gallery': 'Galerie',
+    'nav.bookNow': 'Réserver',
+    'nav.language': 'Langue',
+    'nav.label': 'Principale',
+    'nav.menu': 'Menu',
+    'nav.skipToContent': 'Aller au contenu',
+
+    // Hero
+    'hero.kicker': 'Bienvenue chez Zanzibar Safari',
+    'hero.title': 'Le paradis existe : <br>une expérience inoubliable',
+    'hero.subtitle': 'Découvrez des plages préservées, une histoire riche et une culture vibrante avec les guides les plus fiables de l\'île.',
+    'hero.explore': 'Voir les formules',
+    'hero.learnMore': 'En savoir plus',
+
+    // About
+    'about.kicker': 'Bienvenue chez Zanzibar Safari',
+    'about.title': 'Où chaque voyage devient une histoire',
+    'about.intro': 'Zanzibar est un archipel chargé d\'histoire et doté d\'une beauté naturelle exceptionnelle. Chez Zanzibar Safari, nous sommes des gens d\'ici, passionnés par l\'envie de partager l\'âme authentique de notre île.',
+    'about.details': 'Des ruelles sinueuses de Stone Town aux plantations d\'épices et aux eaux cristallines de Nungwi, nous créons des expériences qui vont au-delà des guides touristiques, pour des voyages sûrs, confortables et inoubliables.',
+    'about.guides': 'Guides certifiés',
+    'about.transport': 'Transport haut de gamme',
+    'about.itineraries': 'Itinéraires sur mesure',
+    'about.prices': 'Prix locaux',
+    'about.imageAlt': 'Ruelle de Stone Town',
+
+    // Tours
+    'tours.kicker': 'Nos incontournables',
+    'tours.title': 'Des aventures insulaires choisies pour vous',
+    'tours.bookNow': 'Réserver',
+    'tours.viewPhotos': 'Voir les photos de {tour}',
+    'duration.halfDay': 'Demi-journée',
+    'duration.fullDay': 'Journée complète',
+    'duration.oneHour': '1 heure',
+    'duration.hours': '{count} heures',
+    'duration.minutes': '{count} min',
+    'category.adventure': 'Aventure',
+    'category.nature': 'Nature',
+    'category.culture': 'Culture',
+    'category.marine': 'Mer',
+    'category.marine-life': 'Vie marine',
+    'category.romance': 'Romantique',
+    'category.wildlife': 'Faune',
+    'category.dining': 'Gastronomie',
+    'category.beach': 'Plage',
+
+    'tour.prison-island.title': 'Île de la Prison',
+    'tour.jozani-forest.title': 'Forêt de Jozani',
+    'tour.kuza-cave.title': 'Grotte de Kuza',
+    'tour.maalum-cave.title': 'Grotte de Maalum',
+    'tour.salaam-cave.title': 'Grotte de Salaam',
+    'tour.mnemba-dolphin-tour.title': 'Dauphins de l\'atoll de Mnemba',
+    'tour.sunset-cruise.title': 'Croisière au coucher du soleil',
+    'tour.sea-turtles-aquarium.title': 'Aquarium naturel des tortues marines',
+    'tour.sky-diving.title': 'Saut en parachute',
+    'tour.mikumi-safari.title': 'Safari d\'une journée à Mikumi',
+    'tour.nakupenda-sandbank.title': 'Banc de sable de Nakupenda',
+    'tour.masingini-forest.title': 'Forêt de Masingini',
+    'tour.spice-tour.title': 'Circuit des épices',
+    'tour.swimming-with-horses.title': 'Nager avec les chevaux',
+
+    'tour.prison-island.description': 'Découvrez l\'histoire et la beauté naturelle de Prison Island. Eaux cristallines, récifs coralliens colorés et tortues géantes d\'Aldabra centenaires, dans un havre de paix à quelques minutes de bateau de Stone Town.',
+    'tour.jozani-forest.description': 'Explorez la forêt de Jozani, le seul parc national de Zanzibar. Rencontrez les rares colobes roux dans leur habitat naturel, au cœur d\'une forêt tropicale luxuriante.',
+    'tour.stone-town.description': 'Remontez le temps avec une visite guidée de Stone Town, classée au patrimoine mondial de l\'UNESCO. Flânez dans les ruelles anciennes et les marchés animés, et admirez les portes richement sculptées.',
+    'tour.kuza-cave.description': 'Découvrez la grotte de Kuza à Jambiani, un joyau caché pour les aventuriers. Nagez dans une eau de source cristalline et explorez d\'anciennes formations calcaires. Une plongée unique dans la culture swahilie.',
+    'tour.maalum-cave.description': 'L\'aventure vous attend à la grotte de Maalum, à Paje. Nagez dans l\'eau douce turquoise d\'une doline de 50 mètres, un mélange unique de nature et de culture swahilie.',
+    'tour.salaam-cave.description': 'Nagez avec les tortues marines dans l\'aquarium naturel de la grotte de Salaam. Nourrissez ces magnifiques créatures et rapportez des photos et vidéos inoubliables de votre rencontre.',
+    'tour.mnemba-dolphin-tour.description': 'Le meilleur de l\'atoll de Mnemba : dauphins et snorkeling en une seule sortie. Nagez aux côtés de dauphins joueurs et explorez des récifs coralliens grouillant de vie dans des eaux préservées.',
+    'tour.sunset-cruise.description': 'Une croisière relaxante et romantique pour tous. Boissons, fruits et en-cas de Zanzibar à bord, au son de la musique taarab traditionnelle ou de l\'entraînante danse africaine ngoma.',
+    'tour.sea-turtles-aquarium.description': 'Nagez avec de magnifiques tortues marines et une faune marine variée dans un aquarium naturel. Nourrissez les tortues et rapportez des photos et vidéos mémorables.',
+    'tour.sky-diving.description': 'Donnez de la hauteur à votre aventure à Zanzibar. Sautez de 3 000 mètres, vivez une chute libre grisante, puis descendez en douceur sous la voile avec une vue panoramique sur les îles.',
+    'tour.the-rock-restaurant.description': 'Un dîner unique au restaurant The Rock, perché sur un rocher dans l\'océan Indien. Savourez des fruits de mer frais comme le poulpe, la langouste et les crevettes, idéal en couple, en famille ou entre amis.',
+    'tour.mikumi-safari.description': 'Partez pour un authentique safari d\'une journée dans le parc national de Mikumi. Observez une faune rare dans son habitat naturel avec un guide expérimenté : la vraie nature sauvage de Tanzanie.',
+    'tour.nakupenda-sandbank.description': 'Nakupenda (qui signifie « je t\'aime ») vous offre détente, baignade et snorkeling près de Stone Town. Régalez-vous d\'un barbecue de fruits de mer sur le banc de sable avant de rentrer en bateau.',
+    'tour.safari-blue.description': 'Partez pour une journée Safari Blue inoubliable. Snorkeling sur des récifs colorés, bancs de sable isolés et barbecue de fruits de mer sur l\'île de Kwale.',
+    'tour.masingini-forest.description': 'Explorez le cœur sauvage de Zanzibar lors d\'une balade guidée dans la forêt de Masingini. Faune rare, vues panoramiques et sentiers paisibles, à quelques minutes de la ville.',
+    'tour.spice-tour.description': 'Découvrez les arômes et les saveurs de Zanzibar lors d\'une visite guidée des plantations luxuriantes de l\'île. Surnommée « l\'île aux épices », Zanzibar vous fait voir, sentir et goûter une multitude d\'épices.',
+    'tour.swimming-with-horses.description': 'Accessible aux cavaliers de tous niveaux, débutants compris, mais il faut savoir nager. La baignade avec les chevaux n\'est possible qu\'à marée haute.',
+    'tour.jet-ski.description': 'Créez des souvenirs de famille inoubliables avec une sortie en jet-ski sur les eaux bleues scintillantes de Zanzibar. Glissez sur les vagues, admirez la côte et partagez l\'émotion ensemble.',
+
+    // Tour filters
+    'filters.searchLabel': 'Rechercher une excursion',
+    'filters.searchPlaceholder': 'Rechercher une excursion...',
+    'filters.sort': 'Trier par',
+    'filters.sortPopular': 'Les plus populaires',
+    'filters.sortPriceAsc': 'Prix croissant',
+    'filters.sortPriceDesc': 'Prix décroissant',
+    'filters.category': 'Catégorie',
+    'filters.duration': 'Durée',
+    'filters.duration.short': 'Jusqu\'à 2 heures',
+    'filters.duration.half-day': 'Demi-journée',
+    'filters.duration.full-day': 'Journée entière',
+    'filters.count': '{count} excursions sur {total}',
+    'filters.clear': 'Effacer les filtres',
+    'filters.empty': 'Aucune excursion ne correspond à votre recherche. Essayez un autre mot ou effacez les filtres.',
+
+    // Booking form
+    'booking.kicker': 'Réservez votre place',
+    'booking.title': 'Réservez votre aventure',
+    'booking.selectTour': 'Choisir une excursion',
+    'booking.selectTourPlaceholder': 'Choisissez une excursion',
+    'booking.preferredDate': 'Date souhaitée',
+    'booking.adults': 'Adultes',
+    'booking.children': 'Enfants',
+    'booking.childrenAges': '(2-11 ans)',
+    'booking.infants': 'Bébés',
+    'booking.infantsAges': '(moins de 2 ans)',
+    'booking.addToItinerary': 'Ajouter à l\'itinéraire',
+    'booking.itinerary': 'Votre itinéraire',
+    'booking.itineraryEmpty': 'Aucune excursion ajoutée. Choisissez-en une ci-dessus ou cliquez sur « Réserver » sur une carte.',
+    'booking.fullName': 'Nom complet',
+    'booking.email': 'E-mail',
+    'booking.phone': 'Numéro de téléphone',
+    'booking.phoneHint': '+33 6... ou +255 7...',
+    'booking.requests': 'Demandes particulières',
+    'booking.optional': '(facultatif)',
+    'booking.requestsHint': 'Demandes particulières ou régime alimentaire...',
+    'booking.clear': 'Effacer',
+    'booking.submit': 'Réserver',
+    'booking.sending': 'Envoi en cours...',
+    'booking.fixField': 'Veuillez corriger le champ signalé.',
+    'booking.fixFields': 'Veuillez corriger les {count} champs signalés.',
+    'booking.sendFailed': 'L\'envoi de la demande de réservation a échoué. Veuillez réessayer plus tard.',
+    'spam.tooFast': 'Prenez un instant pour vérifier votre réservation, puis envoyez-la à nouveau.',
+    'spam.rateLimited': 'Vous avez envoyé plusieurs demandes de réservation en peu de temps. Veuillez patienter un peu ou écrivez-nous sur WhatsApp.',
+    'spam.duplicate': 'Vous avez déjà envoyé cette demande de réservation. Notre équipe vous contactera bientôt par WhatsApp ou e-mail.',
+    'booking.errorTitle': 'Oups !',
+
+    // Availability calendar
+    'calendar.previousMonth': 'Mois précédent',
+    'calendar.nextMonth': 'Mois suivant',
+    'calendar.seatsLeft': 'Plus que {count} place(s) à cette date.',
+    'availability.past': 'Cette date est déjà passée.',
+    'availability.weekday': 'Cette excursion n\'a pas lieu ce jour de la semaine.',
+    'availability.blackout': 'Cette excursion n\'a pas lieu à cette date.',
+    'availability.full': 'Cette excursion est complète à cette date.',
+    'availability.fewSeats': 'Plus que {count} place(s) à cette date.',
+
+    // Itinerary
+    'itinerary.moveUp': 'Monter {tour}',
+    'itinerary.moveDown': 'Descendre {tour}',
+    'itinerary.remove': 'Retirer {tour}',
+    'itinerary.dateFor': 'Date pour {tour}',
+    'itinerary.pickDate': 'Choisir une date',
+    'itinerary.adults': 'Adultes',
+    'itinerary.children': 'Enfants',
+    'itinerary.infants': 'Bébés',
+
+    // Price quote
+    'quote.title': 'Votre estimation de prix',
+    'quote.total': 'Total estimé',
+    'quote.note': 'Le prix final est confirmé par notre équipe dans sa réponse à votre demande.',
+    'quote.adults': '{count} x {price} adulte',
+    'quote.children': '{count} x {price} enfant',
+    'quote.infants': '{count} bébé (gratuit)',
+    'quote.groupDiscount': 'Remise de groupe de {percent} % : -{amount}',
+    'quote.pickDate': 'Choisissez une date pour le tarif saisonnier',
+    'quote.season.festive': 'Période des fêtes',
+    'quote.season.high': 'Haute saison',
+    'quote.season.low': 'Basse saison',
+    'quote.season.standard': 'Moyenne saison',
+
+    // After sending
+    'success.sentTitle': 'Demande de réservation envoyée !',
+    'success.savedTitle': 'Demande de réservation enregistrée !',
+    'success.thanks': 'Merci ! Notre équipe vous contactera par WhatsApp ou par e-mail dans les 2 heures pour confirmer votre réservation.',
+    'success.reference': 'Votre référence de réservation est {reference}. Merci de l\'indiquer lorsque vous nous contactez.',
+    'success.manageLink': 'Pour modifier ou annuler votre réservation en ligne, conservez ce lien privé : {link}',
+    'success.queued': 'Nous n\'avons pas pu joindre notre service de réservation. Votre demande est enregistrée sur cet appareil et sera envoyée automatiquement dès que vous serez de nouveau en ligne.',
+    'success.whatsapp': 'L\'envoyer plutôt par WhatsApp',
+    'success.backHome': 'Retour à l\'accueil',
+    'success.edit': 'Modifier ou annuler la réservation',
+
+    // Booking summary and calendar file
+    'summary.title': 'Récapitulatif de la réservation',
+    'summary.reference': 'Référence',
+    'summary.guests': '{adults} adulte(s), {children} enfant(s), {infants} bébé(s)',
+    'summary.total': 'Total estimé',
+    'summary.name': 'Nom',
+    'summary.email': 'E-mail',
+    'summary.phone': 'Téléphone',
+    'summary.requests': 'Demandes',
+    'summary.meeting': 'Rendez-vous',
+    'summary.print': 'Imprimer le récapitulatif',
+    'summary.calendar': 'Ajouter au calendrier (.ics)',
+    'meeting.location': 'Prise en charge à votre hôtel à Zanzibar',
+    'meeting.details': 'Notre équipe vous confirmera l\'heure exacte de prise en charge par WhatsApp ou par e-mail la veille de l\'excursion. Des questions ? Appelez-nous ou écrivez-nous sur WhatsApp au +255 786 639 283.',
+    'ics.reference': 'Référence de réservation : {reference}',
+    'ics.guests': 'Voyageurs : {guests}',
+    'ics.meeting': 'Rendez-vous : {location} vers {time}.',
+
+    // Validation
+    'validation.itineraryEmpty': 'Veuillez ajouter au moins une excursion à votre itinéraire.',
+    'validation.tourUnknown': 'Veuillez choisir une excursion dans notre liste.',
+    'validation.dateRequired': 'Veuillez choisir une date.',
+    'validation.datePast': 'Cette date est déjà passée.',
+    'validation.dateTooFar': 'Les excursions peuvent être réservées au maximum {days} jours à l\'avance.',
+    'validation.adultsRequired': 'Au moins un adulte doit participer à l\'excursion.',
+    'validation.guestsWhole': 'Le nombre de voyageurs doit être un nombre entier.',
+    'validation.overCapacity': '{tour} accepte au maximum {capacity} voyageurs par réservation.',
+    'validation.nameRequired': 'Veuillez saisir votre nom complet.',
+    'validation.nameTooLong': 'Votre nom ne doit pas dépasser {max} caractères.',
+    'validation.emailInvalid': 'Veuillez saisir une adresse e-mail valide, par exemple nom@exemple.fr.',
+    'validation.phoneInvalid': 'Veuillez saisir votre numéro au format international, avec + et l\'indicatif du pays (par ex. +33 6 12 34 56 78).',
+    'validation.requestsTooLong': 'Les demandes particulières ne doivent pas dépasser {max} caractères.',
+    'validation.ratingRequired': 'Veuillez choisir une note de 1 à 5 étoiles.',
+    'validation.reviewTooShort': 'Dites-nous en un peu plus : au moins {min} caractères.',
+    'validation.reviewTooLong': 'Votre avis ne doit pas dépasser {max} caractères.',
+    'validation.amendmentTooLate': 'Les réservations peuvent être modifiées ou annulées en ligne jusqu\'à {days} jours avant la première excursion. Contactez-nous plutôt sur WhatsApp.',
+    'validation.bookingClosed': 'Cette réservation ne peut plus être modifiée en ligne.',
+    'validation.amendmentUnknown': 'Veuillez choisir de modifier ou d\'annuler la réservation.',
+    'validation.amendmentTooSoon': 'Les modifications en ligne demandent un préavis de {days} jours. Contactez-nous sur WhatsApp pour une date plus proche.',
+    'validation.amendmentTourChanged': 'Les excursions ne peuvent pas être ajoutées, retirées ou échangées en ligne. Contactez-nous plutôt sur WhatsApp.',
+    'validation.amendmentNoChange': 'Veuillez d\'abord changer une date ou le nombre de voyageurs.',
+
+    // Why us
+    'whyUs.title': 'Pourquoi nous choisir ?',
+    'whyUs.expertiseTitle': 'Expertise locale',
+    'whyUs.expertise': 'Nos guides sont nés ici. Ils connaissent les trésors cachés, les plages secrètes et les histoires qui les entourent, introuvables en ligne.',
+    'whyUs.tailoredTitle': 'Expériences sur mesure',
+    'whyUs.tailored': 'Chez nous, pas de formule unique. Nous adaptons les itinéraires à votre rythme, à vos envies et à votre budget pour des vacances parfaites.',
+    'whyUs.supportTitle': 'Assistance 24 h/24, 7 j/7',
+    'whyUs.support': 'De votre arrivée à votre départ, notre équipe est toujours à un appel ou un message WhatsApp de vous.',
+
+    // Gallery
+    'gallery.kicker': 'Notre galerie',
+    'gallery.title': 'Un aperçu du paradis',
+
+    // Lightbox
+    'lightbox.label': 'Visionneuse de photos',
+    'lightbox.close': 'Fermer',
+    'lightbox.previous': 'Photo précédente',
+    'lightbox.next': 'Photo suivante',
+    'lightbox.counter': '{index} / {total}',
+
+    // Testimonials
+    'testimonials.kicker': 'Ce que disent nos clients',
+    'testimonials.title': 'La parole à nos aventuriers',
+    'testimonials.previous': 'Avis précédent',
+    'testimonials.next': 'Avis suivant',
+    'testimonials.carousel': 'carrousel',
+    'testimonials.slide': 'Avis {index} sur {total}',
+    'testimonials.goTo': 'Afficher l\'avis {index}',
+    'testimonials.status': 'Avis {index} sur {total}, par {name}',
+    'testimonial.johnson-family': 'Nous avons passé un moment formidable lors de l\'excursion d\'une journée au parc national de Mikumi ! Notre guide était très compétent et nous avons vu tellement d\'animaux. Les enfants parlent encore des girafes et des éléphants. Zanzibar Safari Tours a tout rendu si simple et si mémorable pour notre famille. Vivement recommandé !',
+    'testimonial.david-emily': 'La croisière au coucher du soleil a été la soirée romantique parfaite. Les vues étaient à couper le souffle et l\'équipage très sympathique et attentionné. Nous avons adoré la musique traditionnelle et les en-cas. Le meilleur moment de notre lune de miel à Zanzibar !',
+    'testimonial.maria-s': 'J\'ai réservé la sortie dauphins et c\'était absolument magique ! Nous avons vu tellement de dauphins de près. Le snorkeling à l\'atoll de Mnemba était aussi incroyable. L\'équipe était très professionnelle et je me suis sentie en sécurité et bien encadrée tout au long de la sortie.',
+    'testimonial.ben-carter': 'En voyageant seul, j\'ai vraiment apprécié l\'assistance 24 h/24. Ils m\'ont aidé à préparer tout mon itinéraire et ont toujours répondu à mes questions. La visite de Stone Town était passionnante. J\'ai hâte de revenir explorer Zanzibar avec eux.',
+    'testimonial.chen-family': 'Toute la famille a adoré le circuit des épices. C\'est passionnant de voir et de sentir toutes ces épices différentes. Les enfants ont adoré la dégustation de fruits frais. Un incontournable à Zanzibar !',
+    'testimonial.chloe-friends': 'Nous avons réservé une sortie en bateau privé vers l\'atoll de Mnemba et cela valait chaque centime ! Le snorkeling était extraordinaire. L\'équipage était génial et nous a préparé un délicieux déjeuner de fruits de mer à bord. 10/10, on recommande !',
+    'testimonial.liam-r': 'La visite de la forêt de Jozani était incroyable. Voir les colobes roux dans leur habitat naturel a été une expérience unique. Mon guide connaissait parfaitement la faune et la flore locales. Une superbe sortie d\'une demi-journée.',
+    'testimonial.isabella-rossi': 'J\'ai passé un merveilleux moment à explorer Stone Town avec mon guide. L\'histoire est fascinante et l\'architecture magnifique. J\'avais l\'impression de remonter le temps. Merci pour cette superbe visite !',
+    'testimonial.michael-b': 'Le transfert privé depuis l\'aéroport s\'est déroulé sans accroc. Le chauffeur nous attendait et était très professionnel. Notre arrivée à Zanzibar s\'est faite sans aucun stress. Excellent service.',
+    'testimonial.jessica-l': 'Je ne dirai jamais assez de bien de la sortie snorkeling au Blue Lagoon. Les coraux étaient éclatants et nous avons vu tant de poissons colorés. C\'était comme nager dans un aquarium. Incontournable !',
+
+    // Reviews
+    'reviews.leave': 'Laisser un avis',
+    'reviews.intro': 'Vous avez fait une excursion avec nous ? Racontez aux autres voyageurs comment elle s\'est passée.',
+    'reviews.tour': 'Quelle excursion ?',
+    'reviews.general': 'Notre service en général',
+    'reviews.rating': 'Votre note',
+    'reviews.stars': '{count} étoiles sur 5',
+    'reviews.text': 'Votre avis',
+    'reviews.textHint': 'Qu\'avez-vous aimé ? Que pourrions-nous améliorer ?',
+    'reviews.name': 'Votre nom',
+    'reviews.nameHint': 'Affiché avec votre avis',
+    'reviews.email': 'E-mail',
+    'reviews.emailHint': 'Jamais publié',
+    'reviews.submit': 'Envoyer l\'avis',
+    'reviews.cancel': 'Annuler',
+    'reviews.thanks': 'Merci ! Votre avis apparaîtra ici dès que notre équipe l\'aura lu.',
+    'reviews.queued': 'Merci ! Nous n\'avons pas pu envoyer votre avis pour le moment : il est enregistré sur cet appareil et sera envoyé automatiquement.',
+    'reviews.sendFailed': 'Désolé, nous n\'avons pas pu envoyer votre avis. Veuillez réessayer.',
+    'reviews.ratingLabel': 'Noté {average} sur 5 d\'après {count} avis',
+
+    // Offline banner
+    'offline.banner': 'Vous êtes hors ligne. Vous pouvez toujours parcourir nos circuits ; les demandes de réservation seront envoyées dès votre retour en ligne.',
+    'outbox.failedTitle': 'Une demande envoyée depuis cet appareil n\'a pas pu être transmise',
+    'outbox.failed.booking': 'Votre demande de réservation {reference} n\'a pas pu être transmise. Envoyez-la-nous plutôt sur WhatsApp.',
+    'outbox.failed.review': 'Votre avis n\'a pas pu être transmis. Envoyez-le-nous plutôt sur WhatsApp.',
+    'outbox.failed.amendment': 'Votre modification de la réservation {reference} n\'a pas pu être transmise. Envoyez-la-nous plutôt sur WhatsApp.',
+    'outbox.whatsapp': 'Envoyer via WhatsApp',
+    'outbox.dismiss': 'Ignorer',
+
+    // Manage my booking
+    'manage.prompt': 'Déjà réservé ?',
+    'manage.link': 'Gérer ma réservation',
+    'manage.title': 'Gérer ma réservation',
+    'manage.close': 'Fermer',
+    'manage.intro': 'Saisissez votre référence de réservation et l\'adresse e-mail utilisée pour réserver afin de changer la date ou le nombre de voyageurs, ou d\'annuler.',
+    'manage.reference': 'Référence de réservation',
+    'manage.find': 'Trouver ma réservation',
+    'manage.notFound': 'Aucune réservation ne correspond à cette référence et à cette adresse e-mail. Vérifiez-les et réessayez.',
+    'manage.linkInvalid': 'Ce lien n\'est plus valable. Saisissez plutôt votre référence de réservation et votre adresse e-mail.',
+    'manage.lookupFailed': 'Notre service de réservation est injoignable pour le moment. Veuillez réessayer dans un instant.',
+    'manage.unavailable': 'Les réservations ne peuvent pas être modifiées sur ce site. Pour modifier ou annuler votre réservation, écrivez-nous sur WhatsApp en indiquant votre référence de réservation.',
+    'manage.status.pending': 'En attente de confirmation',
+    'manage.status.confirmed': 'Confirmée',
+    'manage.status.declined': 'Refusée',
+    'manage.status.completed': 'Terminée',
+    'manage.status.cancelled': 'Annulée',
+    'manage.date': 'Date',
+    'manage.deadline': 'Vous pouvez modifier ou annuler cette réservation en ligne jusqu\'au {date}.',
+    'manage.save': 'Envoyer les modifications',
+    'manage.cancelBooking': 'Annuler la réservation',
+    'manage.cancelConfirm': 'Annuler la réservation {reference} ? Ce choix ne pourra pas être défait en ligne.',
+    'manage.changed': 'Merci ! Vos modifications ont été envoyées. Notre équipe les confirmera par WhatsApp ou par e-mail.',
+    'manage.cancelled': 'Votre réservation a été annulée. Nous espérons vous revoir une prochaine fois !',
+    'manage.queued': 'Nous n\'avons pas pu joindre notre service de réservation. Votre demande est enregistrée sur cet appareil et sera envoyée automatiquement dès que vous serez de nouveau en ligne.',
+    'manage.sendFailed': 'Désolé, nous n\'avons pas pu envoyer votre demande. Veuillez réessayer.',
+
+    // Analytics consent
+    'consent.label': 'Consentement aux statistiques',
+    'consent.text': 'Pouvons-nous mesurer l\'utilisation de notre site, par exemple quels circuits sont ouverts et réservés ? Nous n\'enregistrons jamais votre nom, votre e-mail ni quoi que ce soit d\'autre vous concernant.',
+    'consent.accept': 'Accepter',
+    'consent.decline': 'Non, merci',
+
+    // Call to action and partners
+    'cta.title': 'Prêt à organiser votre escapade sur l\'île ?',
+    'cta.text': 'Contactez-nous dès aujourd\'hui pour un conseil gratuit et une proposition d\'itinéraire sur mesure. Le paradis est plus proche que vous ne le pensez.',
+    'cta.button': 'Commencer à planifier',
+    'partners.kicker': 'Ils nous font confiance',
+    'partners.title': 'Nos partenaires',
+    'partners.text': 'Nous collaborons avec les leaders du secteur pour offrir des expériences exceptionnelles à Zanzibar',
+
+    // Footer
+    'footer.about': 'Embarquez pour un voyage inoubliable avec Zanzibar Safari. Nous créons des expériences sur mesure sur l\'île aux épices et au cœur sauvage de la Tanzanie, pour que chaque instant soit unique et authentique.',
+    'footer.tagline': 'Zanzibar Safari - Où chaque voyage devient une histoire',
+    'footer.explore': 'Explorer',
+    'footer.aboutUs': 'À propos',
+    'footer.ourTours': 'Nos excursions',
+    'footer.whyChooseUs': 'Pourquoi nous choisir',
+    'footer.gallery': 'Galerie',
+    'footer.bookTrip': 'Réserver votre voyage',
+    'footer.privacy': 'Paramètres de confidentialité',
+    'footer.connect': 'Contact',
+    'footer.followUs': 'Suivez-nous',
+    'footer.rights': 'Tous droits réservés',
+    'footer.designedBy': 'Conçu par',
+
+    // WhatsApp button
+    'whatsapp.chat': 'Écrivez-nous'
+};
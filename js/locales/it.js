@@ -0,0 +1,349 @@
+/**
+ * Italian messages (Italiano).
+ */
+export default {
+    // Navigation
+    'nav.about': 'Chi siamo',
+    'nav.tours': 'Escursioni',
+    'nav.whyUs': 'Perché noi',
+    'nav.gallery': 'Galleria',
+    'nav.bookNow': 'Prenota ora',
+    'nav.language': 'Lingua',
+    'nav.label': 'Principale',
+    'nav.menu': 'Menu',
+    'nav.skipToContent': 'Vai al contenuto',
+
+    // Hero
+    'hero.kicker': 'Benvenuti a Zanzibar Safari',
+    'hero.title': 'Il paradiso esiste: <br>un\'esperienza unica',
+    'hero.subtitle': 'Scopri spiagge incontaminate, una storia ricca e una cultura vivace con le guide più affidabili dell\'isola.',
+    'hero.explore': 'Scopri i pacchetti',
+    'hero.learnMore': 'Scopri di più',
+
+    // About
+    'about.kicker': 'Benvenuti a Zanzibar Safari',
+    'about.title': 'Dove ogni viaggio diventa una storia',
+    'about.intro': 'Zanzibar è un arcipelago ricco di storia e di bellezze naturali. Noi di Zanzibar Safari siamo gente del posto, appassionata di condividere l\'anima autentica della nostra isola.',
+    'about.details': 'Dai vicoli tortuosi di Stone Town alle piantagioni di spezie e alle acque cristalline di Nungwi, creiamo esperienze che vanno oltre le guide turistiche, per viaggi sicuri, comodi e indimenticabili.',
+    'about.guides': 'Guide certificate',
+    'about.transport': 'Trasporti di lusso',
+    'about.itineraries': 'Itinerari su misura',
+    'about.prices': 'Prezzi locali',
+    'about.imageAlt': 'Un vicolo di Stone Town',
+
+    // Tours
+    'tours.kicker': 'I più richiesti',
+    'tours.title': 'Avventure sull\'isola scelte per te',
+    'tours.bookNow': 'Prenota ora',
+    'tours.viewPhotos': 'Guarda le foto di {tour}',
+    'duration.halfDay': 'Mezza giornata',
+    'duration.fullDay': 'Giornata intera',
+    'duration.oneHour': '1 ora',
+    'duration.hours': '{count} ore',
+    'duration.minutes': '{count} min',
+    'category.adventure': 'Avventura',
+    'category.nature': 'Natura',
+    'category.culture': 'Cultura',
+    'category.marine': 'Mare',
+    'category.marine-life': 'Vita marina',
+    'category.romance': 'Romantico',
+    'category.wildlife': 'Fauna',
+    'category.dining': 'Ristorazione',
+    'category.beach': 'Spiaggia',
+
+    'tour.jozani-forest.title': 'Foresta di Jozani',
+    'tour.kuza-cave.title': 'Grotta di Kuza',
+    'tour.maalum-cave.title': 'Grotta di Maalum',
+    'tour.salaam-cave.title': 'Grotta di Salaam',
+    'tour.mnemba-dolphin-tour.title': 'Delfini all\'atollo di Mnemba',
+    'tour.sunset-cruise.title': 'Crociera al tramonto',
+    'tour.sea-turtles-aquarium.title': 'Acquario naturale delle tartarughe marine',
+    'tour.sky-diving.title': 'Paracadutismo',
+    'tour.mikumi-safari.title': 'Safari di un giorno a Mikumi',
+    'tour.nakupenda-sandbank.title': 'Banco di sabbia di Nakupenda',
+    'tour.masingini-forest.title': 'Foresta di Masingini',
+    'tour.spice-tour.title': 'Tour delle spezie',
+    'tour.swimming-with-horses.title': 'Nuotare con i cavalli',
+
+    'tour.prison-island.description': 'Scopri la storia e la bellezza naturale di Prison Island. Acque cristalline, barriere coralline e antiche tartarughe giganti di Aldabra, in un\'oasi di pace a pochi minuti di barca da Stone Town.',
+    'tour.jozani-forest.description': 'Esplora la foresta di Jozani, l\'unico parco nazionale di Zanzibar. Incontra le rare scimmie colobo rosse nel loro habitat naturale, in una lussureggiante foresta tropicale.',
+    'tour.stone-town.description': 'Torna indietro nel tempo con una visita guidata di Stone Town, patrimonio UNESCO. Passeggia tra vicoli antichi e mercati vivaci e ammira le porte riccamente intagliate.',
+    'tour.kuza-cave.description': 'Vivi la grotta di Kuza a Jambiani, un gioiello nascosto per gli avventurosi. Nuota in acqua sorgiva cristallina ed esplora antiche formazioni calcaree. Un tuffo unico nella cultura swahili.',
+    'tour.maalum-cave.description': 'L\'avventura ti aspetta alla grotta di Maalum a Paje. Nuota nell\'acqua dolce turchese di una dolina di 50 metri, un mix unico di natura e cultura swahili.',
+    'tour.salaam-cave.description': 'Nuota con le tartarughe marine nell\'acquario naturale della grotta di Salaam. Dai da mangiare a queste splendide creature e porta a casa foto e video indimenticabili.',
+    'tour.mnemba-dolphin-tour.description': 'Il meglio dell\'atollo di Mnemba: delfini e snorkeling in un\'unica escursione. Nuota accanto a delfini giocosi ed esplora barriere coralline ricche di vita marina in acque incontaminate.',
+    'tour.sunset-cruise.description': 'Una crociera rilassante e romantica per tutti. Bevande, frutta e snack di Zanzibar a bordo, con musica taarab tradizionale o la vivace danza africana ngoma.',
+    'tour.sea-turtles-aquarium.description': 'Nuota con splendide tartarughe marine e tanta vita marina in un acquario naturale. Dai da mangiare alle tartarughe e porta a casa foto e video memorabili.',
+    'tour.sky-diving.description': 'Porta la tua avventura a nuove altezze a Zanzibar. Lanciati da 3.000 metri, vivi un\'emozionante caduta libera e poi plana dolcemente sotto il paracadute con vista sulle isole.',
+    'tour.the-rock-restaurant.description': 'Una cena unica al ristorante The Rock, su uno scoglio nell\'Oceano Indiano. Gusta pesce freschissimo come polpo, aragosta e gamberi: perfetto per coppie, famiglie e amici.',
+    'tour.mikumi-safari.description': 'Parti per un autentico safari di un giorno nel Parco Nazionale di Mikumi. Osserva animali rari nel loro habitat con una guida esperta: vera natura selvaggia della Tanzania.',
+    'tour.nakupenda-sandbank.description': 'Nakupenda (che significa "ti amo") offre relax, nuoto e snorkeling vicino a Stone Town. Goditi un pranzo con grigliata di pesce sul banco di sabbia prima di tornare in barca.',
+    'tour.safari-blue.description': 'Parti per un\'indimenticabile giornata di Safari Blue. Snorkeling tra coralli colorati, banchi di sabbia isolati e grigliata di pesce sull\'isola di Kwale.',
+    'tour.masingini-forest.description': 'Esplora il cuore selvaggio di Zanzibar con una passeggiata guidata nella foresta di Masingini. Fauna rara, viste panoramiche e sentieri tranquilli, a pochi minuti dalla città.',
+    'tour.spice-tour.description': 'Scopri i profumi e i sapori di Zanzibar con un tour guidato tra le rigogliose piantagioni dell\'isola. Conosciuta come "l\'isola delle spezie", Zanzibar ti fa vedere, annusare e assaggiare tantissime spezie.',
+    'tour.swimming-with-horses.description': 'Adatto a cavalieri di ogni livello, anche principianti, ma è necessario saper nuotare. Si può nuotare con i cavalli solo con l\'alta marea.',
+    'tour.jet-ski.description': 'Crea ricordi di famiglia indimenticabili con un\'avventura in moto d\'acqua sulle acque blu di Zanzibar. Scivola sulle onde, ammira la costa e condividi l\'emozione insieme.',
+
+    // Tour filters
+    'filters.searchLabel': 'Cerca tour',
+    'filters.searchPlaceholder': 'Cerca tour...',
+    'filters.sort': 'Ordina per',
+    'filters.sortPopular': 'Più popolari',
+    'filters.sortPriceAsc': 'Prezzo: dal più basso',
+    'filters.sortPriceDesc': 'Prezzo: dal più alto',
+    'filters.category': 'Categoria',
+    'filters.duration': 'Durata',
+    'filters.duration.short': 'Fino a 2 ore',
+    'filters.duration.half-day': 'Mezza giornata',
+    'filters.duration.full-day': 'Giornata intera',
+    'filters.count': '{count} tour su {total}',
+    'filters.clear': 'Azzera filtri',
+    'filters.empty': 'Nessun tour corrisponde alla ricerca. Prova un\'altra parola o azzera i filtri.',
+
+    // Booking form
+    'booking.kicker': 'Assicurati il tuo posto',
+    'booking.title': 'Prenota la tua avventura',
+    'booking.selectTour': 'Scegli l\'escursione',
+    'booking.selectTourPlaceholder': 'Scegli un\'escursione',
+    'booking.preferredDate': 'Data preferita',
+    'booking.adults': 'Adulti',
+    'booking.children': 'Bambini',
+    'booking.childrenAges': '(2-11)',
+    'booking.infants': 'Neonati',
+    'booking.infantsAges': '(sotto i 2)',
+    'booking.addToItinerary': 'Aggiungi all\'itinerario',
+    'booking.itinerary': 'Il tuo itinerario',
+    'booking.itineraryEmpty': 'Nessuna escursione aggiunta. Scegline una qui sopra o premi "Prenota ora" su una scheda.',
+    'booking.fullName': 'Nome e cognome',
+    'booking.email': 'Email',
+    'booking.phone': 'Numero di telefono',
+    'booking.phoneHint': '+39 3... o +255 7...',
+    'booking.requests': 'Richieste speciali',
+    'booking.optional': '(facoltativo)',
+    'booking.requestsHint': 'Richieste particolari o esigenze alimentari...',
+    'booking.clear': 'Cancella',
+    'booking.submit': 'Prenota ora',
+    'booking.sending': 'Invio in corso...',
+    'booking.fixField': 'Correggi il campo evidenziato.',
+    'booking.fixFields': 'Correggi i {count} campi evidenziati.',
+    'booking.sendFailed': 'Invio della richiesta non riuscito. Riprova più tardi.',
+    'spam.tooFast': 'Prenditi un momento per controllare la prenotazione, poi inviala di nuovo.',
+    'spam.rateLimited': 'Hai inviato diverse richieste di prenotazione in poco tempo. Attendi un po\' o scrivici su WhatsApp.',
+    'spam.duplicate': 'Hai già inviato questa richiesta di prenotazione. Il nostro team ti contatterà presto via WhatsApp o Email.',
+    'booking.errorTitle': 'Ops!',
+
+    // Availability calendar
+    'calendar.previousMonth': 'Mese precedente',
+    'calendar.nextMonth': 'Mese successivo',
+    'calendar.seatsLeft': '{count} posti rimasti in questa data.',
+    'availability.past': 'Questa data è già passata.',
+    'availability.weekday': 'Questa escursione non si svolge in quel giorno della settimana.',
+    'availability.blackout': 'Questa escursione non si svolge in quella data.',
+    'availability.full': 'Questa escursione è al completo in quella data.',
+    'availability.fewSeats': 'Solo {count} posti rimasti in quella data.',
+
+    // Itinerary
+    'itinerary.moveUp': 'Sposta {tour} in alto',
+    'itinerary.moveDown': 'Sposta {tour} in basso',
+    'itinerary.remove': 'Rimuovi {tour}',
+    'itinerary.dateFor': 'Data per {tour}',
+    'itinerary.pickDate': 'Scegli una data',
+    'itinerary.adults': 'Adulti',
+    'itinerary.children': 'Bambini',
+    'itinerary.infants': 'Neonati',
+
+    // Price quote
+    'quote.title': 'Il tuo preventivo',
+    'quote.total': 'Totale stimato',
+    'quote.note': 'Il prezzo finale viene confermato dal nostro team nella risposta alla tua richiesta.',
+    'quote.adults': '{count} x {price} adulto',
+    'quote.children': '{count} x {price} bambino',
+    'quote.infants': '{count} neonato (gratis)',
+    'quote.groupDiscount': 'Sconto gruppo {percent}%: -{amount}',
+    'quote.pickDate': 'Scegli una data per il prezzo stagionale',
+    'quote.season.festive': 'Periodo festivo',
+    'quote.season.high': 'Alta stagione',
+    'quote.season.low': 'Bassa stagione',
+    'quote.season.standard': 'Media stagione',
+
+    // After sending
+    'success.sentTitle': 'Richiesta di prenotazione inviata!',
+    'success.savedTitle': 'Richiesta di prenotazione salvata!',
+    'success.thanks': 'Grazie! Il nostro team ti contatterà via WhatsApp o email entro 2 ore per confermare la prenotazione.',
+    'success.reference': 'Il tuo codice di prenotazione è {reference}. Indicalo quando ci contatti.',
+    'success.manageLink': 'Per modificare o cancellare la prenotazione online, conserva questo link privato: {link}',
+    'success.queued': 'Al momento non riusciamo a raggiungere il servizio di prenotazione. La tua richiesta è salvata su questo dispositivo e verrà inviata automaticamente appena tornerai online.',
+    'success.whatsapp': 'Inviala invece via WhatsApp',
+    'success.backHome': 'Torna alla home',
+    'success.edit': 'Modifica o cancella prenotazione',
+
+    // Booking summary and calendar file
+    'summary.title': 'Riepilogo della prenotazione',
+    'summary.reference': 'Codice',
+    'summary.guests': '{adults} adulti, {children} bambini, {infants} neonati',
+    'summary.total': 'Totale stimato',
+    'summary.name': 'Nome',
+    'summary.email': 'Email',
+    'summary.phone': 'Telefono',
+    'summary.requests': 'Richieste',
+    'summary.meeting': 'Ritrovo',
+    'summary.print': 'Stampa il riepilogo',
+    'summary.calendar': 'Aggiungi al calendario (.ics)',
+    'meeting.location': 'Prelievo dal tuo hotel a Zanzibar',
+    'meeting.details': 'Il nostro team ti confermerà l\'orario esatto del prelievo via WhatsApp o email il giorno prima dell\'escursione. Domande? Chiamaci o scrivici su WhatsApp al +255 786 639 283.',
+    'ics.reference': 'Codice di prenotazione: {reference}',
+    'ics.guests': 'Ospiti: {guests}',
+    'ics.meeting': 'Ritrovo: {location} verso le {time}.',
+
+    // Validation
+    'validation.itineraryEmpty': 'Aggiungi almeno un\'escursione al tuo itinerario.',
+    'validation.tourUnknown': 'Scegli un\'escursione dal nostro elenco.',
+    'validation.dateRequired': 'Scegli una data.',
+    'validation.datePast': 'Questa data è già passata.',
+    'validation.dateTooFar': 'Si può prenotare al massimo {days} giorni in anticipo.',
+    'validation.adultsRequired': 'All\'escursione deve partecipare almeno un adulto.',
+    'validation.guestsWhole': 'Il numero di ospiti deve essere un numero intero.',
+    'validation.overCapacity': '{tour} accetta al massimo {capacity} ospiti per prenotazione.',
+    'validation.nameRequired': 'Inserisci nome e cognome.',
+    'validation.nameTooLong': 'Il nome non può superare i {max} caratteri.',
+    'validation.emailInvalid': 'Inserisci un indirizzo email valido, ad esempio nome@esempio.it.',
+    'validation.phoneInvalid': 'Inserisci il numero in formato internazionale, con + e il prefisso del paese (es. +39 312 345 6789).',
+    'validation.requestsTooLong': 'Le richieste speciali non possono superare i {max} caratteri.',
+    'validation.ratingRequired': 'Scegli un voto da 1 a 5 stelle.',
+    'validation.reviewTooShort': 'Raccontaci qualcosa in più: almeno {min} caratteri.',
+    'validation.reviewTooLong': 'La recensione non può superare i {max} caratteri.',
+    'validation.amendmentTooLate': 'Le prenotazioni si possono modificare o cancellare online fino a {days} giorni prima della prima escursione. Contattaci invece su WhatsApp.',
+    'validation.bookingClosed': 'Questa prenotazione non può più essere modificata online.',
+    'validation.amendmentUnknown': 'Scegli se modificare o cancellare la prenotazione.',
+    'validation.amendmentTooSoon': 'Le modifiche online richiedono {days} giorni di preavviso. Contattaci su WhatsApp per una data più vicina.',
+    'validation.amendmentTourChanged': 'Non è possibile aggiungere, rimuovere o scambiare escursioni online. Contattaci invece su WhatsApp.',
+    'validation.amendmentNoChange': 'Prima cambia una data o il numero di ospiti.',
+
+    // Why us
+    'whyUs.title': 'Perché sceglierci?',
+    'whyUs.expertiseTitle': 'Esperienza locale',
+    'whyUs.expertise': 'Le nostre guide sono nate qui. Conoscono i tesori nascosti, le spiagge segrete e le storie che non troverai online.',
+    'whyUs.tailoredTitle': 'Esperienze su misura',
+    'whyUs.tailored': 'Niente soluzioni uguali per tutti. Adattiamo gli itinerari al tuo ritmo, ai tuoi interessi e al tuo budget per una vacanza perfetta.',
+    'whyUs.supportTitle': 'Assistenza 24/7',
+    'whyUs.support': 'Dall\'arrivo alla partenza, il nostro team è sempre a una telefonata o a un messaggio WhatsApp di distanza.',
+
+    // Gallery
+    'gallery.kicker': 'La nostra galleria',
+    'gallery.title': 'Uno scorcio di paradiso',
+
+    // Lightbox
+    'lightbox.label': 'Visualizzatore foto',
+    'lightbox.close': 'Chiudi',
+    'lightbox.previous': 'Foto precedente',
+    'lightbox.next': 'Foto successiva',
+    'lightbox.counter': '{index} / {total}',
+
+    // Testimonials
+    'testimonials.kicker': 'Cosa dicono i nostri clienti',
+    'testimonials.title': 'Le voci dei nostri viaggiatori',
+    'testimonials.previous': 'Recensione precedente',
+    'testimonials.next': 'Recensione successiva',
+    'testimonials.carousel': 'carosello',
+    'testimonials.slide': 'Recensione {index} di {total}',
+    'testimonials.goTo': 'Mostra la recensione {index}',
+    'testimonials.status': 'Recensione {index} di {total}, di {name}',
+    'testimonial.johnson-family': 'Ci siamo divertiti tantissimo nella gita di un giorno al Parco Nazionale di Mikumi! La nostra guida era preparatissima e abbiamo visto tantissimi animali. I bambini parlano ancora delle giraffe e degli elefanti. Zanzibar Safari Tours ha reso tutto semplice e memorabile per la nostra famiglia. Consigliatissimo!',
+    'testimonial.david-emily': 'La crociera al tramonto è stata la serata romantica perfetta. Panorami mozzafiato e un equipaggio gentilissimo e disponibile. Ci sono piaciuti molto la musica tradizionale e gli snack. È stato il momento più bello della nostra luna di miele a Zanzibar!',
+    'testimonial.maria-s': 'Ho prenotato il tour dei delfini ed è stato davvero magico! Abbiamo visto tantissimi delfini da vicino. Anche lo snorkeling all\'atollo di Mnemba è stato incredibile. Il team è stato molto professionale e mi sono sentita al sicuro e ben seguita per tutto il viaggio.',
+    'testimonial.ben-carter': 'Viaggiando da solo, ho apprezzato molto l\'assistenza 24/7. Mi hanno aiutato a pianificare tutto l\'itinerario ed erano sempre disponibili a rispondere alle mie domande. Il tour di Stone Town è stato affascinante. Non vedo l\'ora di tornare a esplorare Zanzibar con loro.',
+    'testimonial.chen-family': 'La nostra famiglia si è divertita moltissimo al tour delle spezie. È interessantissimo vedere e annusare tutte le diverse spezie. I bambini hanno adorato l\'assaggio di frutta fresca. Da non perdere a Zanzibar!',
+    'testimonial.chloe-friends': 'Abbiamo prenotato una gita in barca privata all\'atollo di Mnemba e valeva ogni centesimo! Lo snorkeling era fuori dal mondo. L\'equipaggio è stato fantastico e ci ha preparato un delizioso pranzo di pesce a bordo. Voto 10/10, lo consigliamo!',
+    'testimonial.liam-r': 'Il tour della foresta di Jozani è stato incredibile. Vedere le scimmie colobo rosse nel loro habitat è stata un\'esperienza unica. La mia guida conosceva benissimo la flora e la fauna locali. Un\'ottima gita di mezza giornata.',
+    'testimonial.isabella-rossi': 'Mi sono divertita tantissimo a esplorare Stone Town con la mia guida. La storia è affascinante e l\'architettura bellissima. Mi è sembrato di tornare indietro nel tempo. Grazie per il bellissimo tour!',
+    'testimonial.michael-b': 'Il transfer privato dall\'aeroporto è stato impeccabile. L\'autista ci aspettava ed è stato molto professionale. Il nostro arrivo a Zanzibar è stato completamente senza stress. Servizio eccellente.',
+    'testimonial.jessica-l': 'Non smetterei mai di parlare bene dello snorkeling alla Blue Lagoon. Coralli coloratissimi e tantissimi pesci variopinti. Sembrava di nuotare in un acquario. Da non perdere!',
+
+    // Reviews
+    'reviews.leave': 'Lascia una recensione',
+    'reviews.intro': 'Hai fatto un tour con noi? Racconta agli altri viaggiatori com\'è andata.',
+    'reviews.tour': 'Quale tour?',
+    'reviews.general': 'Il nostro servizio in generale',
+    'reviews.rating': 'Il tuo voto',
+    'reviews.stars': '{count} stelle su 5',
+    'reviews.text': 'La tua recensione',
+    'reviews.textHint': 'Cosa ti è piaciuto? Cosa potremmo fare meglio?',
+    'reviews.name': 'Il tuo nome',
+    'reviews.nameHint': 'Mostrato con la recensione',
+    'reviews.email': 'Email',
+    'reviews.emailHint': 'Mai pubblicata',
+    'reviews.submit': 'Invia recensione',
+    'reviews.cancel': 'Annulla',
+    'reviews.thanks': 'Grazie! La tua recensione apparirà qui dopo che il nostro team l\'avrà letta.',
+    'reviews.queued': 'Grazie! Non siamo riusciti a inviare la recensione in questo momento: è salvata su questo dispositivo e verrà inviata automaticamente.',
+    'reviews.sendFailed': 'Spiacenti, non siamo riusciti a inviare la recensione. Riprova.',
+    'reviews.ratingLabel': 'Voto {average} su 5 da {count} recensioni',
+
+    // Offline banner
+    'offline.banner': 'Sei offline. Puoi comunque sfogliare i nostri tour e le richieste di prenotazione saranno inviate appena tornerai online.',
+    'outbox.failedTitle': 'Non siamo riusciti a consegnare una richiesta inviata da questo dispositivo',
+    'outbox.failed.booking': 'La tua richiesta di prenotazione {reference} non è stata consegnata. Inviacela invece su WhatsApp.',
+    'outbox.failed.review': 'La tua recensione non è stata consegnata. Inviacela invece su WhatsApp.',
+    'outbox.failed.amendment': 'La modifica alla prenotazione {reference} non è stata consegnata. Inviacela invece su WhatsApp.',
+    'outbox.whatsapp': 'Invia tramite WhatsApp',
+    'outbox.dismiss': 'Ignora',
+
+    // Manage my booking
+    'manage.prompt': 'Hai già prenotato?',
+    'manage.link': 'Gestisci la mia prenotazione',
+    'manage.title': 'Gestisci la Mia Prenotazione',
+    'manage.close': 'Chiudi',
+    'manage.intro': 'Inserisci il codice di prenotazione e l\'email con cui hai prenotato per cambiare la data o il numero di ospiti, oppure per cancellare.',
+    'manage.reference': 'Codice di prenotazione',
+    'manage.find': 'Trova la Mia Prenotazione',
+    'manage.notFound': 'Non abbiamo trovato una prenotazione con questo codice e questa email. Controlla entrambi e riprova.',
+    'manage.linkInvalid': 'Questo link non è più valido. Inserisci invece il codice di prenotazione e la tua email.',
+    'manage.lookupFailed': 'Al momento non riusciamo a raggiungere il servizio di prenotazione. Riprova tra poco.',
+    'manage.unavailable': 'Le prenotazioni non si possono modificare su questo sito. Per modificare o cancellare la prenotazione, scrivici su WhatsApp indicando il codice di prenotazione.',
+    'manage.status.pending': 'In attesa di conferma',
+    'manage.status.confirmed': 'Confermata',
+    'manage.status.declined': 'Rifiutata',
+    'manage.status.completed': 'Completata',
+    'manage.status.cancelled': 'Cancellata',
+    'manage.date': 'Data',
+    'manage.deadline': 'Puoi modificare o cancellare questa prenotazione online fino al {date}.',
+    'manage.save': 'Invia Modifiche',
+    'manage.cancelBooking': 'Cancella Prenotazione',
+    'manage.cancelConfirm': 'Cancellare la prenotazione {reference}? Non sarà possibile annullare l\'operazione online.',
+    'manage.changed': 'Grazie! Le tue modifiche sono state inviate. Il nostro team le confermerà via WhatsApp o email.',
+    'manage.cancelled': 'La tua prenotazione è stata cancellata. Speriamo di rivederti un\'altra volta!',
+    'manage.queued': 'Al momento non riusciamo a raggiungere il servizio di prenotazione. La tua richiesta è salvata su questo dispositivo e verrà inviata automaticamente appena tornerai online.',
+    'manage.sendFailed': 'Spiacenti, non siamo riusciti a inviare la tua richiesta. Riprova.',
+
+    // Analytics consent
+    'consent.label': 'Consenso alle statistiche',
+    'consent.text': 'Possiamo contare come viene usato il nostro sito, ad esempio quali tour vengono aperti e prenotati? Non registriamo mai il tuo nome, la tua email o altro che ti riguardi.',
+    'consent.accept': 'Accetto',
+    'consent.decline': 'No, grazie',
+
+    // Call to action and partners
+    'cta.title': 'Pronto a organizzare la tua fuga sull\'isola?',
+    'cta.text': 'Contattaci oggi per una consulenza gratuita e una proposta di itinerario su misura. Il paradiso è più vicino di quanto pensi.',
+    'cta.button': 'Inizia a pianificare',
+    'partners.kicker': 'Si fidano di noi',
+    'partners.title': 'I nostri partner',
+    'partners.text': 'Collaboriamo con i leader del settore per offrire esperienze eccezionali a Zanzibar',
+
+    // Footer
+    'footer.about': 'Parti per un viaggio indimenticabile con Zanzibar Safari. Creiamo esperienze su misura tra l\'isola delle spezie e il cuore selvaggio della Tanzania, perché ogni momento sia unico e autentico.',
+    'footer.tagline': 'Zanzibar Safari - Dove ogni viaggio diventa una storia',
+    'footer.explore': 'Esplora',
+    'footer.aboutUs': 'Chi siamo',
+    'footer.ourTours': 'Le nostre escursioni',
+    'footer.whyChooseUs': 'Perché sceglierci',
+    'footer.gallery': 'Galleria',
+    'footer.bookTrip': 'Prenota il tuo viaggio',
+    'footer.privacy': 'Impostazioni privacy',
+    'footer.connect': 'Contatti',
+    'footer.followUs': 'Seguici',
+    'footer.rights': 'Tutti i diritti riservati',
+    'footer.designedBy': 'Realizzato da',
+
+    // WhatsApp button
+    'whatsapp.chat': 'Scrivici'
+};
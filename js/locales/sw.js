@@ -0,0 +1,351 @@
+/**
+ * Swahili messages (Kiswahili).
+ */
+export default {
+    // Navigation
+    'nav.about': 'Kuhusu',
+    'nav.tours': 'Safari',
+    'nav.whyUs': 'Kwa nini sisi',
+    'nav.gallery': 'Picha',
+    'nav.bookNow': 'Weka nafasi',
+    'nav.language': 'Lugha',
+    'nav.label': 'Kuu',
+    'nav.menu': 'Menyu',
+    'nav.skipToContent': 'Ruka hadi maudhui',
+
+    // Hero
+    'hero.kicker': 'Karibu Zanzibar Safari',
+    'hero.title': 'Peponi duniani: <br>Uzoefu usio na kifani',
+    'hero.subtitle': 'Gundua fukwe safi, historia tajiri na utamaduni hai pamoja na waongozaji wanaoaminika zaidi kisiwani.',
+    'hero.explore': 'Tazama vifurushi',
+    'hero.learnMore': 'Soma zaidi',
+
+    // About
+    'about.kicker': 'Karibu Zanzibar Safari',
+    'about.title': 'Kila safari inakuwa hadithi',
+    'about.intro': 'Zanzibar ni funguvisiwa lenye historia ndefu na uzuri wa asili. Sisi wa Zanzibar Safari ni wenyeji tunaopenda kushiriki roho halisi ya kisiwa chetu.',
+    'about.details': 'Kutoka vichochoro vya Mji Mkongwe hadi mashamba ya viungo na maji maangavu ya Nungwi, tunaandaa safari zinazozidi vitabu vya mwongozo, salama, za starehe na zisizosahaulika.',
+    'about.guides': 'Waongozaji waliothibitishwa',
+    'about.transport': 'Usafiri wa kifahari',
+    'about.itineraries': 'Ratiba maalum',
+    'about.prices': 'Bei za wenyeji',
+    'about.imageAlt': 'Kichochoro cha Mji Mkongwe',
+
+    // Tours
+    'tours.kicker': 'Zinazopendwa zaidi',
+    'tours.title': 'Matembezi bora ya kisiwani',
+    'tours.bookNow': 'Weka nafasi',
+    'tours.viewPhotos': 'Tazama picha za {tour}',
+    'duration.halfDay': 'Nusu siku',
+    'duration.fullDay': 'Siku nzima',
+    'duration.oneHour': 'Saa 1',
+    'duration.hours': 'Saa {count}',
+    'duration.minutes': 'Dakika {count}',
+    'category.adventure': 'Matukio',
+    'category.nature': 'Mazingira',
+    'category.culture': 'Utamaduni',
+    'category.marine': 'Bahari',
+    'category.marine-life': 'Viumbe vya baharini',
+    'category.romance': 'Mapenzi',
+    'category.wildlife': 'Wanyamapori',
+    'category.dining': 'Chakula',
+    'category.beach': 'Ufukweni',
+
+    'tour.prison-island.title': 'Kisiwa cha Changuu (Prison Island)',
+    'tour.jozani-forest.title': 'Msitu wa Jozani',
+    'tour.stone-town.title': 'Mji Mkongwe',
+    'tour.kuza-cave.title': 'Pango la Kuza',
+    'tour.maalum-cave.title': 'Pango la Maalum',
+    'tour.salaam-cave.title': 'Pango la Salaam',
+    'tour.mnemba-dolphin-tour.title': 'Pomboo wa Mnemba',
+    'tour.sunset-cruise.title': 'Safari ya jua kuzama',
+    'tour.sea-turtles-aquarium.title': 'Bwawa asilia la kasa',
+    'tour.sky-diving.title': 'Kuruka kwa parachuti',
+    'tour.mikumi-safari.title': 'Safari ya siku moja Mikumi',
+    'tour.nakupenda-sandbank.title': 'Fungu la mchanga Nakupenda',
+    'tour.masingini-forest.title': 'Msitu wa Masingini',
+    'tour.spice-tour.title': 'Ziara ya viungo',
+    'tour.swimming-with-horses.title': 'Kuogelea na farasi',
+
+    'tour.prison-island.description': 'Gundua historia na uzuri wa asili wa Kisiwa cha Changuu. Furahia maji maangavu, miamba ya matumbawe na kobe wakubwa wa Aldabra, mapumziko tulivu umbali mfupi kwa boti kutoka Mji Mkongwe.',
+    'tour.jozani-forest.description': 'Tembelea Msitu wa Jozani, hifadhi pekee ya taifa Zanzibar. Kutana na kima punju adimu katika makazi yao ya asili ndani ya msitu huu wa kitropiki.',
+    'tour.stone-town.description': 'Rudi nyuma kihistoria kwa ziara ya kuongozwa ya Mji Mkongwe, urithi wa dunia wa UNESCO. Tembea vichochoro vya kale na masoko yenye shamrashamra, na ustaajabie milango iliyochongwa kwa ustadi.',
+    'tour.kuza-cave.description': 'Tembelea Pango la Kuza huko Jambiani, hazina iliyofichika kwa wapenda matukio. Ogelea katika maji safi ya chemchemi na chunguza miamba ya kale ya chokaa. Uzoefu wa kipekee wa utamaduni wa Kiswahili.',
+    'tour.maalum-cave.description': 'Matukio yanakusubiri katika Pango la Maalum huko Paje. Ogelea katika maji baridi ya rangi ya feruzi ndani ya pango la mita 50, mchanganyiko wa kipekee wa mazingira na utamaduni wa Kiswahili.',
+    'tour.salaam-cave.description': 'Ogelea na kasa katika bwawa asilia la Pango la Salaam. Walishe viumbe hawa wazuri na upige picha na video zisizosahaulika.',
+    'tour.mnemba-dolphin-tour.description': 'Furahia ubora wa Mnemba kwa safari ya pomboo pamoja na kuzamia. Ogelea pembeni ya pomboo wachangamfu na tazama miamba ya matumbawe iliyojaa viumbe vya baharini katika maji safi.',
+    'tour.sunset-cruise.description': 'Safari ya boti ya kupumzika na ya kimapenzi kwa wote. Furahia vinywaji, matunda na vitafunwa vya Zanzibar ukiburudishwa na muziki wa taarab au ngoma za Kiafrika.',
+    'tour.sea-turtles-aquarium.description': 'Ogelea na kasa wazuri na viumbe wengine wa baharini katika bwawa asilia. Walishe kasa na upige picha na video za kukumbukwa.',
+    'tour.sky-diving.description': 'Peleka matukio yako juu zaidi Zanzibar. Ruka kutoka futi 10,000, uhisi msisimko wa kuanguka huru kisha ushuke taratibu kwa parachuti ukiona visiwa vyote.',
+    'tour.the-rock-restaurant.description': 'Kula kwa namna ya kipekee katika mgahawa wa The Rock uliojengwa juu ya mwamba ndani ya Bahari ya Hindi. Furahia samaki na vyakula vya baharini kama pweza, kamba na kamba-mti, bora kwa wapenzi, familia na marafiki.',
+    'tour.mikumi-safari.description': 'Anza safari halisi ya siku nzima katika Hifadhi ya Taifa ya Mikumi. Waone wanyamapori adimu katika makazi yao pamoja na mwongozaji mzoefu, matukio halisi ya porini Tanzania.',
+    'tour.nakupenda-sandbank.description': 'Nakupenda inatoa mapumziko, kuogelea na kuzamia karibu na Mji Mkongwe. Furahia chakula cha mchana cha samaki wa kuchoma juu ya fungu la mchanga kabla ya kurudi kwa boti.',
+    'tour.safari-blue.description': 'Anza siku nzima isiyosahaulika ya Safari Blue. Zamia kwenye miamba ya matumbawe, tembelea mafungu ya mchanga yaliyojitenga na ufurahie samaki wa kuchoma katika Kisiwa cha Kwale.',
+    'tour.masingini-forest.description': 'Chunguza moyo wa porini wa Zanzibar kwa matembezi ya kuongozwa katika Msitu wa Masingini. Wanyama adimu, mandhari nzuri na njia tulivu, dakika chache kutoka mjini.',
+    'tour.spice-tour.description': 'Onja harufu na ladha za Zanzibar katika ziara ya kuongozwa ya mashamba ya viungo. Zanzibar, inayojulikana kama "Kisiwa cha Viungo", inakuwezesha kuona, kunusa na kuonja viungo vya aina nyingi.',
+    'tour.swimming-with-horses.description': 'Inafaa kwa wapanda farasi wa viwango vyote, hata wanaoanza, lakini lazima ujue kuogelea. Kuogelea na farasi kunawezekana wakati wa maji kujaa tu.',
+    'tour.jet-ski.description': 'Tengeneza kumbukumbu za familia zisizosahaulika kwa safari ya jet ski kwenye maji ya bluu ya Zanzibar. Pita juu ya mawimbi, furahia mandhari ya pwani na mshiriki msisimko pamoja.',
+
+    // Tour filters
+    'filters.searchLabel': 'Tafuta ziara',
+    'filters.searchPlaceholder': 'Tafuta ziara...',
+    'filters.sort': 'Panga kwa',
+    'filters.sortPopular': 'Maarufu zaidi',
+    'filters.sortPriceAsc': 'Bei: chini hadi juu',
+    'filters.sortPriceDesc': 'Bei: juu hadi chini',
+    'filters.category': 'Aina',
+    'filters.duration': 'Muda',
+    'filters.duration.short': 'Hadi saa 2',
+    'filters.duration.half-day': 'Nusu siku',
+    'filters.duration.full-day': 'Siku nzima',
+    'filters.count': 'Inaonyesha ziara {count} kati ya {total}',
+    'filters.clear': 'Futa vichujio',
+    'filters.empty': 'Hakuna ziara inayolingana na utafutaji wako. Jaribu neno lingine au futa vichujio.',
+
+    // Booking form
+    'booking.kicker': 'Hakikisha nafasi yako',
+    'booking.title': 'Weka nafasi ya safari yako',
+    'booking.selectTour': 'Chagua safari',
+    'booking.selectTourPlaceholder': 'Chagua safari',
+    'booking.preferredDate': 'Tarehe unayopendelea',
+    'booking.adults': 'Watu wazima',
+    'booking.children': 'Watoto',
+    'booking.childrenAges': '(miaka 2-11)',
+    'booking.infants': 'Wachanga',
+    'booking.infantsAges': '(chini ya miaka 2)',
+    'booking.addToItinerary': 'Ongeza kwenye ratiba',
+    'booking.itinerary': 'Ratiba yako',
+    'booking.itineraryEmpty': 'Bado hujaongeza safari. Chagua safari hapo juu au bonyeza "Weka nafasi" kwenye kadi ya safari.',
+    'booking.fullName': 'Jina kamili',
+    'booking.email': 'Barua pepe',
+    'booking.phone': 'Namba ya simu',
+    'booking.phoneHint': '+255 7... au +44 7...',
+    'booking.requests': 'Maombi maalum',
+    'booking.optional': '(si lazima)',
+    'booking.requestsHint': 'Maombi yoyote maalum au mahitaji ya chakula...',
+    'booking.clear': 'Futa',
+    'booking.submit': 'Weka nafasi',
+    'booking.sending': 'Inatuma...',
+    'booking.fixField': 'Tafadhali sahihisha sehemu iliyowekwa alama.',
+    'booking.fixFields': 'Tafadhali sahihisha sehemu {count} zilizowekwa alama.',
+    'booking.sendFailed': 'Imeshindwa kutuma ombi la nafasi. Tafadhali jaribu tena baadaye.',
+    'spam.tooFast': 'Tafadhali chukua muda kuangalia nafasi yako, kisha uitume tena.',
+    'spam.rateLimited': 'Umetuma maombi kadhaa ya nafasi kwa muda mfupi. Tafadhali subiri kidogo, au zungumza nasi kupitia WhatsApp.',
+    'spam.duplicate': 'Tayari umetuma ombi hili la nafasi. Timu yetu itawasiliana nawe hivi karibuni kupitia WhatsApp au Barua pepe.',
+    'booking.errorTitle': 'Samahani!',
+
+    // Availability calendar
+    'calendar.previousMonth': 'Mwezi uliopita',
+    'calendar.nextMonth': 'Mwezi ujao',
+    'calendar.seatsLeft': 'Nafasi {count} zimebaki tarehe hii.',
+    'availability.past': 'Tarehe hii imeshapita.',
+    'availability.weekday': 'Safari hii haifanyiki siku hiyo ya wiki.',
+    'availability.blackout': 'Safari hii haifanyiki tarehe hiyo.',
+    'availability.full': 'Safari hii imejaa tarehe hiyo.',
+    'availability.fewSeats': 'Nafasi {count} tu zimebaki tarehe hiyo.',
+
+    // Itinerary
+    'itinerary.moveUp': 'Panda {tour} juu',
+    'itinerary.moveDown': 'Shusha {tour} chini',
+    'itinerary.remove': 'Ondoa {tour}',
+    'itinerary.dateFor': 'Tarehe ya {tour}',
+    'itinerary.pickDate': 'Chagua tarehe',
+    'itinerary.adults': 'Watu wazima',
+    'itinerary.children': 'Watoto',
+    'itinerary.infants': 'Wachanga',
+
+    // Price quote
+    'quote.title': 'Makadirio ya bei yako',
+    'quote.total': 'Jumla ya makadirio',
+    'quote.note': 'Bei ya mwisho itathibitishwa na timu yetu watakapojibu ombi lako.',
+    'quote.adults': 'Mtu mzima {count} x {price}',
+    'quote.children': 'Mtoto {count} x {price}',
+    'quote.infants': 'Mchanga {count} (bure)',
+    'quote.groupDiscount': 'Punguzo la kikundi {percent}%: -{amount}',
+    'quote.pickDate': 'Chagua tarehe kupata bei ya msimu',
+    'quote.season.festive': 'Msimu wa sikukuu',
+    'quote.season.high': 'Msimu wa juu',
+    'quote.season.low': 'Msimu wa chini',
+    'quote.season.standard': 'Msimu wa kawaida',
+
+    // After sending
+    'success.sentTitle': 'Ombi la nafasi limetumwa!',
+    'success.savedTitle': 'Ombi la nafasi limehifadhiwa!',
+    'success.thanks': 'Asante! Timu yetu itawasiliana nawe kwa WhatsApp au barua pepe ndani ya saa 2 kuthibitisha nafasi yako.',
+    'success.reference': 'Namba ya kumbukumbu ya nafasi yako ni {reference}. Tafadhali itaje unapowasiliana nasi.',
+    'success.manageLink': 'Ili kubadilisha au kughairi uhifadhi wako mtandaoni, hifadhi kiungo hiki cha siri: {link}',
+    'success.queued': 'Hatukuweza kufikia huduma yetu ya nafasi kwa sasa. Ombi lako limehifadhiwa kwenye kifaa hiki na litatumwa lenyewe mara utakaporudi mtandaoni.',
+    'success.whatsapp': 'Tuma kwa WhatsApp badala yake',
+    'success.backHome': 'Rudi mwanzo',
+    'success.edit': 'Badilisha au ghairi nafasi',
+
+    // Booking summary and calendar file
+    'summary.title': 'Muhtasari wa nafasi',
+    'summary.reference': 'Kumbukumbu',
+    'summary.guests': 'Watu wazima {adults}, watoto {children}, wachanga {infants}',
+    'summary.total': 'Jumla ya makadirio',
+    'summary.name': 'Jina',
+    'summary.email': 'Barua pepe',
+    'summary.phone': 'Simu',
+    'summary.requests': 'Maombi',
+    'summary.meeting': 'Mahali pa kukutana',
+    'summary.print': 'Chapisha muhtasari',
+    'summary.calendar': 'Ongeza kwenye kalenda (.ics)',
+    'meeting.location': 'Tutakuchukua hotelini kwako Zanzibar',
+    'meeting.details': 'Timu yetu itakuthibitishia muda kamili wa kukuchukua kwa WhatsApp au barua pepe siku moja kabla ya safari. Una swali? Tupigie au tuandikie WhatsApp kwa +255 786 639 283.',
+    'ics.reference': 'Kumbukumbu ya nafasi: {reference}',
+    'ics.guests': 'Wageni: {guests}',
+    'ics.meeting': 'Kukutana: {location} karibu saa {time}.',
+
+    // Validation
+    'validation.itineraryEmpty': 'Tafadhali ongeza angalau safari moja kwenye ratiba yako.',
+    'validation.tourUnknown': 'Tafadhali chagua safari kutoka kwenye orodha yetu.',
+    'validation.dateRequired': 'Tafadhali chagua tarehe.',
+    'validation.datePast': 'Tarehe hii imeshapita.',
+    'validation.dateTooFar': 'Safari zinaweza kuwekewa nafasi hadi siku {days} kabla.',
+    'validation.adultsRequired': 'Angalau mtu mzima mmoja lazima ajiunge na safari.',
+    'validation.guestsWhole': 'Idadi ya wageni lazima iwe namba kamili.',
+    'validation.overCapacity': '{tour} inachukua wageni {capacity} tu kwa kila nafasi.',
+    'validation.nameRequired': 'Tafadhali andika jina lako kamili.',
+    'validation.nameTooLong': 'Tafadhali jina lisizidi herufi {max}.',
+    'validation.emailInvalid': 'Tafadhali andika barua pepe sahihi, kama jina@mfano.com.',
+    'validation.phoneInvalid': 'Tafadhali andika namba yako kwa mfumo wa kimataifa, ukianza na + na msimbo wa nchi (mfano +255 712 345 678).',
+    'validation.requestsTooLong': 'Tafadhali maombi maalum yasizidi herufi {max}.',
+    'validation.ratingRequired': 'Tafadhali chagua tathmini ya nyota 1 hadi 5.',
+    'validation.reviewTooShort': 'Tafadhali tueleze zaidi kidogo: angalau herufi {min}.',
+    'validation.reviewTooLong': 'Tafadhali maoni yasizidi herufi {max}.',
+    'validation.amendmentTooLate': 'Nafasi zinaweza kubadilishwa au kughairiwa mtandaoni hadi siku {days} kabla ya safari ya kwanza. Tafadhali wasiliana nasi kupitia WhatsApp badala yake.',
+    'validation.bookingClosed': 'Nafasi hii haiwezi tena kubadilishwa mtandaoni.',
+    'validation.amendmentUnknown': 'Tafadhali chagua kubadilisha au kughairi nafasi.',
+    'validation.amendmentTooSoon': 'Mabadiliko ya mtandaoni yanahitaji taarifa ya siku {days}. Tafadhali wasiliana nasi kupitia WhatsApp kwa tarehe ya mapema zaidi.',
+    'validation.amendmentTourChanged': 'Safari haziwezi kuongezwa, kuondolewa au kubadilishwa mtandaoni. Tafadhali wasiliana nasi kupitia WhatsApp badala yake.',
+    'validation.amendmentNoChange': 'Tafadhali badilisha tarehe au idadi ya wageni kwanza.',
+
+    // Why us
+    'whyUs.title': 'Kwa nini utuchague?',
+    'whyUs.expertiseTitle': 'Ujuzi wa wenyeji',
+    'whyUs.expertise': 'Waongozaji wetu wamezaliwa hapa. Wanajua hazina zilizofichika, fukwe za siri na hadithi zake ambazo huwezi kuzipata mtandaoni.',
+    'whyUs.tailoredTitle': 'Safari kulingana na matakwa yako',
+    'whyUs.tailored': 'Hatuna mpango mmoja kwa kila mtu. Tunaandaa ratiba kulingana na kasi yako, mambo unayopenda na bajeti yako kwa likizo kamili.',
+    'whyUs.supportTitle': 'Msaada saa 24 kila siku',
+    'whyUs.support': 'Tangu unapowasili hadi unapoondoka, timu yetu iko umbali wa simu moja au ujumbe wa WhatsApp kukusaidia.',
+
+    // Gallery
+    'gallery.kicker': 'Picha zetu',
+    'gallery.title': 'Taswira ya peponi',
+
+    // Lightbox
+    'lightbox.label': 'Kitazamaji cha picha',
+    'lightbox.close': 'Funga',
+    'lightbox.previous': 'Picha iliyotangulia',
+    'lightbox.next': 'Picha inayofuata',
+    'lightbox.counter': '{index} / {total}',
+
+    // Testimonials
+    'testimonials.kicker': 'Wateja wetu wanasema nini',
+    'testimonials.title': 'Sikia kutoka kwa wasafiri wetu',
+    'testimonials.previous': 'Maoni yaliyotangulia',
+    'testimonials.next': 'Maoni yanayofuata',
+    'testimonials.carousel': 'jukwaa la maoni',
+    'testimonials.slide': 'Maoni {index} kati ya {total}',
+    'testimonials.goTo': 'Onyesha maoni {index}',
+    'testimonials.status': 'Maoni {index} kati ya {total}, ya {name}',
+    'testimonial.johnson-family': 'Tulifurahia sana safari ya siku moja ya Hifadhi ya Taifa ya Mikumi! Mwongozaji wetu alikuwa na ujuzi mkubwa na tuliona wanyama wengi sana. Watoto bado wanazungumzia twiga na tembo. Zanzibar Safari Tours walifanya kila kitu kuwa rahisi na cha kukumbukwa kwa familia yetu. Tunapendekeza sana!',
+    'testimonial.david-emily': 'Safari ya jua kuzama ilikuwa jioni kamili ya kimapenzi. Mandhari ilikuwa ya kuvutia mno na wahudumu walikuwa wakarimu sana. Tulipenda muziki wa asili na vitafunwa. Ilikuwa kilele cha fungate yetu Zanzibar!',
+    'testimonial.maria-s': 'Niliweka nafasi ya safari ya pomboo na ilikuwa ya ajabu kabisa! Tuliona pomboo wengi kwa karibu. Kuzamia Mnemba nako kulikuwa kwa kupendeza. Timu ilikuwa ya kitaalamu na nilijisikia salama na kutunzwa vizuri safari nzima.',
+    'testimonial.ben-carter': 'Kama msafiri wa peke yangu, nilithamini sana msaada wa saa 24. Walinisaidia kupanga ratiba yangu yote na walikuwa tayari kujibu maswali yangu kila wakati. Ziara ya Mji Mkongwe ilikuwa ya kuvutia. Siwezi kusubiri kurudi kugundua zaidi Zanzibar pamoja nao.',
+    'testimonial.chen-family': 'Familia yetu ilifurahia sana ziara ya mashamba ya viungo. Inavutia kuona na kunusa viungo vyote tofauti. Watoto walipenda kuonja matunda mabichi. Ni lazima ukiwa Zanzibar!',
+    'testimonial.chloe-friends': 'Tuliweka nafasi ya boti binafsi kwenda Mnemba na ilistahili kila senti! Kuzamia kulikuwa kwa ajabu. Wahudumu walikuwa wazuri sana na walituandalia chakula kitamu cha baharini ndani ya boti. 10/10, tunapendekeza!',
+    'testimonial.liam-r': 'Ziara ya Msitu wa Jozani ilikuwa ya ajabu. Kuona kima punju katika makazi yao ya asili ulikuwa uzoefu wa kipekee. Mwongozaji wangu alijua mengi kuhusu mimea na wanyama wa hapa. Safari nzuri ya nusu siku.',
+    'testimonial.isabella-rossi': 'Nilifurahia sana kutembea Mji Mkongwe na mwongozaji wangu. Historia inavutia na majengo ni mazuri. Nilihisi kama nimerudishwa nyuma kihistoria. Asante kwa ziara nzuri!',
+    'testimonial.michael-b': 'Usafiri binafsi kutoka uwanja wa ndege ulienda vizuri kabisa. Dereva alikuwa akitusubiri na alikuwa wa kitaalamu sana. Tuliwasili Zanzibar bila wasiwasi wowote. Huduma bora.',
+    'testimonial.jessica-l': 'Siwezi kueleza vya kutosha uzuri wa safari ya kuzamia Blue Lagoon. Matumbawe yalikuwa na rangi angavu na tuliona samaki wengi wa rangi. Ilikuwa kama kuogelea ndani ya hifadhi ya samaki. Ni lazima!',
+
+    // Reviews
+    'reviews.leave': 'Andika Maoni',
+    'reviews.intro': 'Umeshasafiri nasi? Waambie wasafiri wengine ilivyokuwa.',
+    'reviews.tour': 'Ziara gani?',
+    'reviews.general': 'Huduma yetu kwa ujumla',
+    'reviews.rating': 'Tathmini yako',
+    'reviews.stars': 'Nyota {count} kati ya 5',
+    'reviews.text': 'Maoni yako',
+    'reviews.textHint': 'Ulifurahia nini? Tungefanya nini vizuri zaidi?',
+    'reviews.name': 'Jina lako',
+    'reviews.nameHint': 'Litaonyeshwa pamoja na maoni yako',
+    'reviews.email': 'Barua pepe',
+    'reviews.emailHint': 'Haitachapishwa',
+    'reviews.submit': 'Tuma Maoni',
+    'reviews.cancel': 'Ghairi',
+    'reviews.thanks': 'Asante! Maoni yako yataonekana hapa baada ya timu yetu kuyasoma.',
+    'reviews.queued': 'Asante! Hatukuweza kutuma maoni yako sasa hivi, kwa hiyo yamehifadhiwa kwenye kifaa hiki na yatatumwa yenyewe baadaye.',
+    'reviews.sendFailed': 'Samahani, hatukuweza kutuma maoni yako. Tafadhali jaribu tena.',
+    'reviews.ratingLabel': 'Tathmini {average} kati ya 5 kutoka maoni {count}',
+
+    // Offline banner
+    'offline.banner': 'Huna mtandao. Bado unaweza kuangalia ziara zetu, na maombi ya kuhifadhi yatatumwa utakaporudi mtandaoni.',
+    'outbox.failedTitle': 'Hatukuweza kuwasilisha ombi lililotumwa kutoka kifaa hiki',
+    'outbox.failed.booking': 'Ombi lako la kuhifadhi {reference} halikuweza kuwasilishwa. Tafadhali litume kwetu kupitia WhatsApp badala yake.',
+    'outbox.failed.review': 'Maoni yako hayakuweza kuwasilishwa. Tafadhali yatume kwetu kupitia WhatsApp badala yake.',
+    'outbox.failed.amendment': 'Mabadiliko yako ya uhifadhi {reference} hayakuweza kuwasilishwa. Tafadhali yatume kwetu kupitia WhatsApp badala yake.',
+    'outbox.whatsapp': 'Tuma kupitia WhatsApp',
+    'outbox.dismiss': 'Ondoa',
+
+    // Manage my booking
+    'manage.prompt': 'Umeshaweka nafasi?',
+    'manage.link': 'Dhibiti nafasi yangu',
+    'manage.title': 'Dhibiti Nafasi Yangu',
+    'manage.close': 'Funga',
+    'manage.intro': 'Weka kumbukumbu ya nafasi yako na barua pepe uliyotumia ili kubadilisha tarehe au idadi ya wageni, au kughairi.',
+    'manage.reference': 'Kumbukumbu ya nafasi',
+    'manage.find': 'Tafuta Nafasi Yangu',
+    'manage.notFound': 'Hatukupata nafasi yenye kumbukumbu hiyo na barua pepe hiyo. Tafadhali angalia vyote viwili ujaribu tena.',
+    'manage.linkInvalid': 'Kiungo hiki si halali tena. Tafadhali weka kumbukumbu ya nafasi na barua pepe yako badala yake.',
+    'manage.lookupFailed': 'Hatukuweza kufikia huduma yetu ya nafasi kwa sasa. Tafadhali jaribu tena baada ya muda mfupi.',
+    'manage.unavailable': 'Uhifadhi hauwezi kubadilishwa kwenye tovuti hii. Ili kubadilisha au kughairi uhifadhi wako, tafadhali tutumie ujumbe WhatsApp pamoja na namba ya uhifadhi wako.',
+    'manage.status.pending': 'Inasubiri uthibitisho',
+    'manage.status.confirmed': 'Imethibitishwa',
+    'manage.status.declined': 'Imekataliwa',
+    'manage.status.completed': 'Imekamilika',
+    'manage.status.cancelled': 'Imeghairiwa',
+    'manage.date': 'Tarehe',
+    'manage.deadline': 'Unaweza kubadilisha au kughairi nafasi hii mtandaoni hadi {date}.',
+    'manage.save': 'Tuma Mabadiliko',
+    'manage.cancelBooking': 'Ghairi Nafasi',
+    'manage.cancelConfirm': 'Ghairi nafasi {reference}? Hili haliwezi kutenduliwa mtandaoni.',
+    'manage.changed': 'Asante! Mabadiliko yako yametumwa. Timu yetu itayathibitisha kupitia WhatsApp au barua pepe.',
+    'manage.cancelled': 'Nafasi yako imeghairiwa. Tunatumaini kukuona wakati mwingine!',
+    'manage.queued': 'Hatukuweza kufikia huduma yetu ya nafasi kwa sasa. Ombi lako limehifadhiwa kwenye kifaa hiki na litatumwa lenyewe mara utakaporudi mtandaoni.',
+    'manage.sendFailed': 'Samahani, hatukuweza kutuma ombi lako. Tafadhali jaribu tena.',
+
+    // Analytics consent
+    'consent.label': 'Idhini ya takwimu',
+    'consent.text': 'Je, tunaweza kuhesabu jinsi tovuti yetu inavyotumika, kama ziara zipi hufunguliwa na kuhifadhiwa? Hatuhifadhi kamwe jina lako, barua pepe yako wala chochote kingine kukuhusu.',
+    'consent.accept': 'Kubali',
+    'consent.decline': 'Hapana, asante',
+
+    // Call to action and partners
+    'cta.title': 'Uko tayari kupanga mapumziko yako kisiwani?',
+    'cta.text': 'Wasiliana nasi leo upate ushauri wa bure na pendekezo la ratiba maalum. Peponi iko karibu kuliko unavyodhani.',
+    'cta.button': 'Anza kupanga',
+    'partners.kicker': 'Wanaotuamini',
+    'partners.title': 'Washirika wetu',
+    'partners.text': 'Tunashirikiana na viongozi wa sekta kuleta uzoefu bora wa Zanzibar',
+
+    // Footer
+    'footer.about': 'Anza safari isiyosahaulika na Zanzibar Safari. Tunaandaa uzoefu maalum katika kisiwa cha viungo na moyo wa porini wa Tanzania, kuhakikisha kila wakati ni wa kipekee na halisi.',
+    'footer.tagline': 'Zanzibar Safari - Kila safari inakuwa hadithi',
+    'footer.explore': 'Gundua',
+    'footer.aboutUs': 'Kuhusu sisi',
+    'footer.ourTours': 'Safari zetu',
+    'footer.whyChooseUs': 'Kwa nini utuchague',
+    'footer.gallery': 'Picha',
+    'footer.bookTrip': 'Weka nafasi ya safari',
+    'footer.privacy': 'Mipangilio ya Faragha',
+    'footer.connect': 'Wasiliana',
+    'footer.followUs': 'Tufuate',
+    'footer.rights': 'Haki zote zimehifadhiwa',
+    'footer.designedBy': 'Imeundwa na',
+
+    // WhatsApp button
+    'whatsapp.chat': 'Ongea nasi'
+};
@@ -0,0 +1,386 @@
+/**
+ * =================================================================================
+ * Manage My Booking
+ *
+ * Lets guests change the dates or guest numbers of a booking they have already
+ * sent, or cancel it, without sending a second booking request. The view opens
+ * at #manage (see js/router.js):
+ *
+ *     #manage                                  Asks for the reference and email.
+ *     #manage?ref=ZST-7KQ3MP                   The same, with the reference filled in.
+ *     #manage?ref=ZST-7KQ3MP&token=<token>     Opens the booking straight away. This
+ *                                              is the link in the confirmation email.
+ *
+ * Bookings are looked up on the booking server (server/booking-server.js), which
+ * replies with the booking and its manage-link token. Changes are sent as an
+ * amendment to that booking ({ kind: 'amendment', action: 'change' | 'cancel',
+ * reference, token, itinerary, ... }) through the booking transports and the
+ * outbox, like a booking.
+ *
+ * Online changes follow the policy in validateAmendment() (js/validation.js):
+ * the tours stay the same, and nothing can change in the last days before the
+ * first tour. After that the view points guests to WhatsApp.
+ *
+ * The view needs the booking server to look bookings up, and a transport that
+ * accepts amendments. Until the configured transport has an EmailJS template or
+ * endpoint for them, the links to the view are hidden and #manage points guests
+ * to WhatsApp; on a static host (e.g. GitHub Pages), which has no booking server,
+ * the lookup says so.
+ * =================================================================================
+ */
+
+import { BOOKING_CONFIG, createDeliveryError, canDeliverBookingKind } from './transports.js';
+import { escapeHTML } from './summary.js';
+import { getTourTitle, getTourById } from './tours.js';
+import { t, formatDate, currentLocale } from './i18n.js';
+import { validateAmendment, getAmendmentDeadline } from './validation.js';
+import { navigate, exitRoute } from './router.js';
+import { formatItineraryText } from './itinerary.js';
+import { quoteItinerary, formatQuoteText } from './pricing.js';
+import { deliverBooking } from './outbox.js';
+
+// Badge colours for each booking status, as in the staff dashboard.
+const MANAGE_STATUS_STYLES = {
+    pending: 'bg-amber-100 text-amber-800',
+    confirmed: 'bg-green-100 text-green-800',
+    declined: 'bg-red-100 text-red-800',
+    completed: 'bg-gray-200 text-gray-700',
+    cancelled: 'bg-gray-200 text-gray-500'
+};
+
+// The booking on display, as looked up: the booking request plus its status
+// and token. Null until the guest has found their booking.
+let managedBooking = null;
+
+/**
+ * Looks a booking up on the booking server.
+ * @param {object} details - { reference, email } or { reference, token }.
+ * @returns {Promise<object|null>} Resolves with { booking, token }, or null if no
+ *     booking matches. Rejects if the server could not be reached, with the HTTP
+ *     `status` of the response if there was one.
+ */
+function lookUpBooking(details) {
+    return fetch(BOOKING_CONFIG.dashboard.lookupEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(details)
+    }).then(response => {
+        if (response.ok) return response.json();
+        // The booking server says why it found no booking. A static host has no
+        // booking server, and answers a 404 or 405 with its own error page.
+        return response.json().catch(() => null).then(body => {
+            if (response.status === 404 && body && body.error) return null;
+            throw createDeliveryError(`Booking lookup replied with HTTP ${response.status}.`, response.status);
+        });
+    });
+}
+
+/**
+ * Tells whether a failed lookup means there is no booking server to ask, as on
+ * a static host, rather than that it could not be reached just now.
+ * @param {Error} error - The error lookUpBooking() rejected with.
+ * @returns {boolean} True if looking bookings up cannot work on this site.
+ */
+function isLookupUnavailable(error) {
+    return error.status === 404 || error.status === 405;
+}
+
+/**
+ * Shows a message under the booking, or hides it.
+ * @param {string} [text] - The message. Hides the message when empty.
+ * @param {boolean} [isError=false] - True to show it as an error.
+ */
+function showManageMessage(text, isError = false) {
+    const message = document.getElementById('manage-message');
+    message.textContent = text || '';
+    message.className = `text-sm font-medium rounded-xl p-3 ${isError ? 'bg-red-50 text-red-700' : 'bg-brand-light/10 text-brand-dark'}`;
+    message.classList.toggle('hidden', !text);
+}
+
+// ---------------------------------------------------------------------------------
+// RENDERING
+// ---------------------------------------------------------------------------------
+
+/**
+ * Creates the HTML string for one tour of the managed booking, with its date
+ * and guest numbers as form controls.
+ * @param {object} line - The itinerary line ({ tour_id, date, adults, children, infants }).
+ * @param {number} index - The position of the line in the itinerary.
+ * @param {boolean} locked - True if the booking can no longer be changed.
+ * @returns {string} The HTML content for the line.
+ */
+function createManageLineHTML(line, index, locked) {
+    const inputClass = 'mt-1 w-full bg-white border-2 border-gray-200 rounded-xl py-2 px-3 text-gray-800 font-normal focus:outline-none focus:border-brand-DEFAULT focus:ring-2 focus:ring-brand-DEFAULT/20 disabled:bg-gray-50 disabled:text-gray-500';
+    const field = (name, label, attributes) => `
+        <label class="block text-xs font-semibold text-gray-600">${label}
+            <input name="${name}" ${attributes} ${locked ? 'disabled' : ''} aria-describedby="manage-line-${index}-error" class="${inputClass}">
+        </label>`;
+    return `
+        <li class="manage-line bg-white border-2 border-gray-100 rounded-xl p-3 space-y-2" data-index="${index}">
+            <p class="font-semibold text-gray-800">${escapeHTML(getTourTitle(getTourById(line.tour_id)))}</p>
+            <div class="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                ${field('date', t('manage.date'), `type="date" value="${escapeHTML(line.date)}"`)}
+                ${field('adults', t('booking.adults'), `type="number" min="1" value="${line.adults}"`)}
+                ${field('children', t('booking.children'), `type="number" min="0" value="${line.children}"`)}
+                ${field('infants', t('booking.infants'), `type="number" min="0" value="${line.infants}"`)}
+            </div>
+            <p id="manage-line-${index}-error" class="field-error hidden text-sm text-red-600" aria-live="polite"></p>
+        </li>
+    `;
+}
+
+/**
+ * Shows the managed booking, and whether it can still be changed online.
+ */
+function renderManagedBooking() {
+    const booking = managedBooking;
+    // Checking a cancellation checks just the policy window and the status.
+    const policyError = validateAmendment({ action: 'cancel' }, booking).booking;
+    const locked = !!policyError;
+
+    document.getElementById('manage-details-content').innerHTML = `
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <p class="text-sm text-gray-500">${t('summary.reference')} <span class="font-mono font-bold text-gray-800">${escapeHTML(booking.reference)}</span></p>
+            <span class="text-xs font-semibold px-2 py-0.5 rounded-full ${MANAGE_STATUS_STYLES[booking.status] || ''}">${t(`manage.status.${booking.status}`)}</span>
+        </div>
+        <ol class="space-y-3">${booking.itinerary.map((line, index) => createManageLineHTML(line, index, locked)).join('')}</ol>
+    `;
+    document.getElementById('manage-policy').textContent = policyError
+        || t('manage.deadline', { date: formatDate(getAmendmentDeadline(booking)) });
+    document.getElementById('manage-save-btn').disabled = locked;
+    document.getElementById('manage-cancel-btn').disabled = locked;
+
+    document.getElementById('manage-lookup-form').classList.add('hidden');
+    document.getElementById('manage-details').classList.remove('hidden');
+}
+
+/**
+ * Re-renders the managed booking in the guest's language.
+ */
+export function localizeManageBooking() {
+    if (managedBooking) renderManagedBooking();
+}
+
+// ---------------------------------------------------------------------------------
+// LOOKUP
+// ---------------------------------------------------------------------------------
+
+/**
+ * Looks up a booking and shows it, or explains why it could not be found.
+ * @param {object} details - { reference, email } or { reference, token }.
+ * @returns {Promise<void>} Resolves once the booking or the error is on screen.
+ */
+export function openManagedBooking(details) {
+    const lookupForm = document.getElementById('manage-lookup-form');
+    const lookupError = document.getElementById('manage-lookup-error');
+    const submitButton = lookupForm.querySelector('button[type="submit"]');
+    lookupError.classList.add('hidden');
+    submitButton.disabled = true;
+
+    return lookUpBooking(details)
+        .then(result => {
+            if (!result) {
+                lookupError.textContent = t(details.token ? 'manage.linkInvalid' : 'manage.notFound');
+                lookupError.classList.remove('hidden');
+                return;
+            }
+            managedBooking = { ...result.booking, token: result.token };
+            showManageMessage('');
+            renderManagedBooking();
+        })
+        .catch(error => {
+            console.log('Could not look up the booking.', error);
+            lookupError.textContent = t(isLookupUnavailable(error) ? 'manage.unavailable' : 'manage.lookupFailed');
+            lookupError.classList.remove('hidden');
+        })
+        .finally(() => {
+            submitButton.disabled = false;
+        });
+}
+
+/**
+ * Opens the "Manage my booking" view. Runs when the page enters the #manage route.
+ * @param {URLSearchParams} params - The route's parameters: ref, and optionally token.
+ */
+export function showManageBookingRoute(params) {
+    const panel = document.getElementById('manage-booking');
+    const lookupForm = document.getElementById('manage-lookup-form');
+    const reference = (params.get('ref') || '').trim().toUpperCase();
+    const token = params.get('token');
+
+    panel.classList.remove('hidden');
+    // Changes made here would have nowhere to go (see initializeManageBooking()).
+    const canSendAmendments = canDeliverBookingKind('amendment');
+    document.getElementById('manage-unavailable').classList.toggle('hidden', canSendAmendments);
+    if (!canSendAmendments) {
+        lookupForm.classList.add('hidden');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        panel.focus({ preventScroll: true });
+        return;
+    }
+    if (!managedBooking || managedBooking.reference !== reference) {
+        managedBooking = null;
+        document.getElementById('manage-details').classList.add('hidden');
+        lookupForm.classList.remove('hidden');
+        if (reference) lookupForm.elements.reference.value = reference;
+    }
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    if (!managedBooking && reference && token) {
+        openManagedBooking({ reference, token });
+    } else if (!managedBooking && reference && lookupForm.elements.email.value) {
+        openManagedBooking({ reference, email: lookupForm.elements.email.value.trim() });
+    } else {
+        (managedBooking ? panel : lookupForm.elements[reference ? 'email' : 'reference']).focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Closes the "Manage my booking" view. Runs when the page leaves the #manage route.
+ */
+export function hideManageBookingRoute() {
+    document.getElementById('manage-booking').classList.add('hidden');
+}
+
+/**
+ * Opens a booking the guest has just sent, e.g. from the "Change or cancel"
+ * button under the success message.
+ * @param {object} booking - The booking that was sent, including its reference.
+ */
+export function manageSentBooking(booking) {
+    document.getElementById('manage-lookup-form').elements.email.value = booking.email;
+    navigate(`#manage?ref=${encodeURIComponent(booking.reference)}`);
+}
+
+// ---------------------------------------------------------------------------------
+// AMENDMENTS
+// ---------------------------------------------------------------------------------
+
+/**
+ * Reads the dates and guest numbers the guest has typed in, one line per tour.
+ * @returns {Array<object>} The itinerary, in the shape of getItineraryForBooking().
+ */
+function readManagedItinerary() {
+    return managedBooking.itinerary.map((line, index) => {
+        const inputs = document.querySelector(`#manage-details .manage-line[data-index="${index}"]`).querySelectorAll('input');
+        const [adults, children, infants] = [...inputs].slice(1).map(input => Number(input.value));
+        return { ...line, date: inputs[0].value, adults, children, infants, guests: adults + children + infants };
+    });
+}
+
+/**
+ * Builds the amendment for the managed booking.
+ * @param {string} action - 'change' or 'cancel'.
+ * @returns {object} The amendment, as sent by the transports.
+ */
+function collectAmendment(action) {
+    const itinerary = action === 'cancel' ? managedBooking.itinerary : readManagedItinerary();
+    const amendment = {
+        kind: 'amendment',
+        action: action,
+        reference: managedBooking.reference,
+        token: managedBooking.token,
+        itinerary: itinerary,
+        itinerary_text: formatItineraryText(itinerary),
+        // What the booking was before, so our team can see what changed.
+        previous_itinerary_text: managedBooking.itinerary_text,
+        name: managedBooking.name,
+        email: managedBooking.email,
+        // So our team can reply in the guest's language.
+        locale: currentLocale
+    };
+    if (action === 'change') {
+        const quote = quoteItinerary(itinerary.map(line => ({
+            tourId: line.tour_id, date: line.date, adults: line.adults, children: line.children, infants: line.infants
+        })));
+        amendment.quote = quote;
+        amendment.quote_text = formatQuoteText(quote);
+    }
+    return amendment;
+}
+
+/**
+ * Shows the errors of an amendment next to the tours they belong to.
+ * @param {object} errors - The errors from validateAmendment().
+ */
+function showAmendmentErrors(errors) {
+    document.querySelectorAll('#manage-details .manage-line').forEach(lineElement => {
+        const index = lineElement.dataset.index;
+        const messages = ['date', 'adults'].map(field => errors[`itinerary.${index}.${field}`]).filter(Boolean);
+        const errorText = document.getElementById(`manage-line-${index}-error`);
+        errorText.textContent = messages.join(' ');
+        errorText.classList.toggle('hidden', messages.length === 0);
+        lineElement.querySelectorAll('input').forEach(input => {
+            input.setAttribute('aria-invalid', messages.length ? 'true' : 'false');
+        });
+    });
+    const message = errors.booking || errors.itinerary || errors.action;
+    showManageMessage(message, !!message);
+}
+
+/**
+ * Sends a change to the managed booking, or its cancellation.
+ * @param {string} action - 'change' or 'cancel'.
+ */
+function sendAmendment(action) {
+    const amendment = collectAmendment(action);
+    const errors = validateAmendment(amendment, managedBooking);
+    showAmendmentErrors(errors);
+    if (Object.keys(errors).length > 0) {
+        const firstInvalid = document.querySelector('#manage-details input[aria-invalid="true"]');
+        if (firstInvalid) firstInvalid.focus();
+        return;
+    }
+    if (action === 'cancel' && !confirm(t('manage.cancelConfirm', { reference: managedBooking.reference }))) return;
+
+    const buttons = [document.getElementById('manage-save-btn'), document.getElementById('manage-cancel-btn')];
+    buttons.forEach(button => { button.disabled = true; });
+
+    deliverBooking(amendment)
+        .then(({ queued }) => {
+            // Show the booking as our team will see it once the amendment arrives.
+            if (action === 'cancel') {
+                managedBooking.status = 'cancelled';
+            } else {
+                managedBooking.itinerary = amendment.itinerary;
+                managedBooking.itinerary_text = amendment.itinerary_text;
+                if (managedBooking.status === 'confirmed') managedBooking.status = 'pending';
+            }
+            renderManagedBooking();
+            const sentKey = action === 'cancel' ? 'manage.cancelled' : 'manage.changed';
+            showManageMessage(t(queued ? 'manage.queued' : sentKey));
+        }, (queueError) => {
+            console.log('Could not save the booking change to the outbox.', queueError);
+            showManageMessage(t('manage.sendFailed'), true);
+            buttons.forEach(button => { button.disabled = false; });
+        });
+}
+
+/**
+ * Wires up the "Manage my booking" view.
+ */
+export function initializeManageBooking() {
+    const lookupForm = document.getElementById('manage-lookup-form');
+    const detailsForm = document.getElementById('manage-details');
+    if (!lookupForm) return;
+
+    // Without an EmailJS template or endpoint for amendments, every change would
+    // wait in the outbox for good (see js/transports.js): don't point guests here.
+    const canSendAmendments = canDeliverBookingKind('amendment');
+    document.getElementById('manage-prompt').classList.toggle('hidden', !canSendAmendments);
+    document.getElementById('edit-booking-btn').classList.toggle('hidden', !canSendAmendments);
+
+    lookupForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        openManagedBooking({
+            reference: lookupForm.elements.reference.value.trim().toUpperCase(),
+            email: lookupForm.elements.email.value.trim()
+        });
+    });
+    detailsForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        sendAmendment('change');
+    });
+    document.getElementById('manage-cancel-btn').addEventListener('click', () => sendAmendment('cancel'));
+    document.getElementById('manage-close-btn').addEventListener('click', () => exitRoute('#booking'));
+}
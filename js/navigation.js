@@ -0,0 +1,216 @@
+/**
+ * =================================================================================
+ * Site Navigation
+ *
+ * The fixed #navbar and its mobile menu, usable by keyboard and screen reader:
+ *
+ * - The navbar turns translucent once the page is scrolled. The scroll listener
+ *   does its work at most once per animation frame.
+ * - #hamburger-btn opens and closes #mobile-menu and reports it with
+ *   aria-expanded. While the menu is open, Tab and Shift+Tab stay inside it (and
+ *   on the button); Escape, a click elsewhere or a link in the menu closes it,
+ *   and Escape puts the focus back on the button.
+ * - Scroll-spy: the .nav-link of the section in the middle of the screen is
+ *   marked with aria-current="location" (styled in style.css).
+ * - The "Skip to content" link at the top of the page jumps past the navbar.
+ *
+ * moveFocusTo() lets other code take the focus along when it scrolls the page,
+ * e.g. bookTour() and showError() in js/app/booking-form.js.
+ * =================================================================================
+ */
+
+// How far the page must scroll before the navbar turns translucent, in pixels.
+const NAVBAR_SCROLLED_PX = 50;
+
+// What can take the focus inside the mobile menu.
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+let navbarFrameRequested = false;   // True while an update of the navbar is waiting for the next frame.
+
+/**
+ * Moves the keyboard focus to an element without scrolling to it, e.g. after
+ * scrolling the page there smoothly. Elements that cannot normally take the
+ * focus (headings, message boxes) are made focusable for it.
+ * @param {HTMLElement} element - The element.
+ */
+export function moveFocusTo(element) {
+    if (!element) return;
+    if (!element.matches(FOCUSABLE_SELECTOR)) element.setAttribute('tabindex', '-1');
+    element.focus({ preventScroll: true });
+}
+
+// ---------------------------------------------------------------------------------
+// NAVBAR
+// ---------------------------------------------------------------------------------
+
+/**
+ * Applies a glassmorphism effect to the navbar when the user scrolls down.
+ */
+function updateNavbar() {
+    navbarFrameRequested = false;
+    const navbar = document.getElementById('navbar');
+    if (window.scrollY > NAVBAR_SCROLLED_PX) {
+        navbar.classList.add('bg-brand-dark/70', 'backdrop-blur-md', 'shadow-lg', 'py-2');
+        navbar.classList.remove('bg-brand-dark', 'py-4');
+    } else {
+        navbar.classList.remove('bg-brand-dark/70', 'backdrop-blur-md', 'shadow-lg', 'py-2');
+        navbar.classList.add('py-4');
+    }
+}
+
+/**
+ * Updates the navbar in the next animation frame, once however often the
+ * page scrolls in between.
+ */
+function scheduleNavbarUpdate() {
+    if (navbarFrameRequested) return;
+    navbarFrameRequested = true;
+    requestAnimationFrame(updateNavbar);
+}
+
+// ---------------------------------------------------------------------------------
+// MOBILE MENU
+// ---------------------------------------------------------------------------------
+
+/**
+ * Tells whether the mobile menu is open.
+ * @returns {boolean} True if it is open.
+ */
+function isMobileMenuOpen() {
+    return document.getElementById('mobile-menu').classList.contains('menu-open');
+}
+
+/**
+ * Opens or closes the mobile menu. Opening it moves the focus to its first link.
+ * @param {boolean} open - True to open the menu.
+ * @param {boolean} [returnFocus=false] - When closing, put the focus back on the menu button.
+ */
+function setMobileMenuOpen(open, returnFocus = false) {
+    const menu = document.getElementById('mobile-menu');
+    const button = document.getElementById('hamburger-btn');
+    menu.classList.toggle('menu-open', open);
+    button.setAttribute('aria-expanded', String(open));
+
+    if (open) {
+        moveFocusTo(menu.querySelector(FOCUSABLE_SELECTOR));
+    } else if (returnFocus) {
+        button.focus();
+    }
+}
+
+/**
+ * Keeps Tab and Shift+Tab inside the open mobile menu, cycling from its last
+ * control back to the menu button and on to its first link.
+ * @param {KeyboardEvent} e - The keydown event.
+ */
+function trapMobileMenuFocus(e) {
+    const button = document.getElementById('hamburger-btn');
+    const focusable = [button, ...document.getElementById('mobile-menu').querySelectorAll(FOCUSABLE_SELECTOR)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (!focusable.includes(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// SCROLL-SPY
+// ---------------------------------------------------------------------------------
+
+/**
+ * Marks the navigation links to a section as the current location, and clears
+ * the mark from all the others.
+ * @param {string|null} sectionId - The section's id, or null if the page is
+ *     between sections (e.g. on the hero).
+ */
+function setActiveNavLink(sectionId) {
+    document.querySelectorAll('.nav-link').forEach(link => {
+        if (link.getAttribute('href') === `#${sectionId}`) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+}
+
+/**
+ * Watches the sections the navigation links point to, and marks the link of
+ * the one crossing the middle of the screen.
+ */
+function initializeScrollSpy() {
+    const sectionIds = [...new Set([...document.querySelectorAll('.nav-link')]
+        .map(link => link.getAttribute('href').slice(1)))];
+    const sections = sectionIds.map(id => document.getElementById(id)).filter(Boolean);
+
+    // Only a thin line across the middle of the viewport counts, so exactly one
+    // section is "in view" at a time.
+    const visible = new Set();
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                visible.add(entry.target.id);
+            } else {
+                visible.delete(entry.target.id);
+            }
+        });
+        setActiveNavLink(sectionIds.find(id => visible.has(id)) || null);
+    }, { rootMargin: '-50% 0px -50% 0px' });
+
+    sections.forEach(section => observer.observe(section));
+}
+
+// ---------------------------------------------------------------------------------
+// INITIALIZATION
+// ---------------------------------------------------------------------------------
+
+/**
+ * Wires up the navbar, the mobile menu, the scroll-spy and the skip link.
+ */
+export function initializeNavigation() {
+    const button = document.getElementById('hamburger-btn');
+    const menu = document.getElementById('mobile-menu');
+
+    window.addEventListener('scroll', scheduleNavbarUpdate, { passive: true });
+    updateNavbar();
+
+    button.addEventListener('click', (e) => {
+        e.stopPropagation(); // Prevent this click from being caught by the document listener
+        setMobileMenuOpen(!isMobileMenuOpen());
+    });
+
+    // Close the menu when clicking away from it.
+    document.addEventListener('click', (e) => {
+        if (isMobileMenuOpen() && !menu.contains(e.target) && !button.contains(e.target)) {
+            setMobileMenuOpen(false);
+        }
+    });
+
+    // Close the menu when a link inside it is clicked; the page scrolls to the section.
+    menu.querySelectorAll('a').forEach(link => {
+        link.addEventListener('click', () => setMobileMenuOpen(false));
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!isMobileMenuOpen()) return;
+        if (e.key === 'Escape') {
+            setMobileMenuOpen(false, true);
+        } else if (e.key === 'Tab') {
+            trapMobileMenuFocus(e);
+        }
+    });
+
+    // Browsers scroll to the skip link's target but don't always move the focus there.
+    document.getElementById('skip-link').addEventListener('click', () => {
+        moveFocusTo(document.getElementById('main-content'));
+    });
+
+    initializeScrollSpy();
+}
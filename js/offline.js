@@ -0,0 +1,43 @@
+/**
+ * =================================================================================
+ * Offline Support
+ *
+ * Registers the service worker (sw.js), which lets guests install the site and
+ * keeps it working without a connection, and shows a banner while the guest
+ * is offline. Booking requests sent offline wait in the outbox (js/outbox.js).
+ * =================================================================================
+ */
+
+/**
+ * Registers the service worker once the page has loaded, so it does not compete
+ * with the page for the connection.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js', { type: 'module' })
+            .catch(error => {
+                console.log('Could not register the service worker.', error);
+            });
+    });
+}
+
+/**
+ * Shows the offline banner while the browser has no connection.
+ */
+function updateOfflineBanner() {
+    document.getElementById('offline-banner').classList.toggle('hidden', navigator.onLine);
+}
+
+/**
+ * Registers the service worker and keeps the offline banner up to date.
+ */
+export function initializeOffline() {
+    registerServiceWorker();
+
+    if (!document.getElementById('offline-banner')) return;
+    updateOfflineBanner();
+    window.addEventListener('online', updateOfflineBanner);
+    window.addEventListener('offline', updateOfflineBanner);
+}
@@ -0,0 +1,356 @@
+/**
+ * =================================================================================
+ * Offline Booking Outbox
+ *
+ * Booking requests that could not be delivered (the guest is offline, the
+ * network failed or the other end had a server error) are kept in IndexedDB
+ * instead of being lost. The outbox retries them with exponential backoff, and
+ * straight away when the browser comes back online. Where the browser supports
+ * Background Sync, the service worker (sw.js) delivers them too, even after the
+ * guest has closed the page. A booking the other end turned down (a 4xx
+ * response) is not queued: sending it again would not help.
+ *
+ * Each entry is { id, transport, booking, attempts, nextAttemptAt, createdAt },
+ * where `transport` is the name of the transport (js/transports.js) to retry with.
+ * Guest reviews and amendments are queued the same way, in `booking`.
+ *
+ * The outbox gives up on an entry after OUTBOX_MAX_ATTEMPTS tries, or when a
+ * retry is turned down. The entry stays, marked with `failedAt` and `error`,
+ * and the page shows it to the guest (#undelivered-notice) to send on WhatsApp
+ * or dismiss, so no request is dropped without the guest knowing.
+ * =================================================================================
+ */
+
+import { getBookingTransport, BOOKING_CONFIG } from './transports.js';
+import { t } from './i18n.js';
+import { escapeHTML } from './summary.js';
+
+const OUTBOX_DB_NAME = 'zanzibar-safari';
+const OUTBOX_STORE = 'outbox';
+export const OUTBOX_RETRY_BASE_MS = 30 * 1000;       // First retry after 30 seconds...
+const OUTBOX_RETRY_MAX_MS = 30 * 60 * 1000;   // ...doubling up to 30 minutes.
+export const OUTBOX_MAX_ATTEMPTS = 10;               // About four hours of retries.
+
+// The Background Sync tag the service worker delivers the outbox on, and the
+// Web Lock that stops the page and the worker delivering it at the same time.
+const OUTBOX_SYNC_TAG = 'booking-outbox';
+const OUTBOX_LOCK = 'booking-outbox';
+
+let outboxRetryTimer;   // Holds the reference to the next scheduled retry.
+let outboxFlushing = false;
+
+/**
+ * Opens the outbox database, creating the store on first use.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openOutboxDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs one request against the outbox store and resolves with its result.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Issues the request.
+ * @returns {Promise<*>} The request's result.
+ */
+export function withOutboxStore(mode, operation) {
+    return openOutboxDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = operation(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+/**
+ * Works out how long to wait before the next attempt.
+ * @param {number} attempts - The number of attempts made so far.
+ * @returns {number} The delay in milliseconds.
+ */
+function getOutboxRetryDelay(attempts) {
+    return Math.min(OUTBOX_RETRY_BASE_MS * 2 ** attempts, OUTBOX_RETRY_MAX_MS);
+}
+
+/**
+ * Tells whether a failed delivery is worth trying again: the network failed
+ * (or the browser is offline), or the other end had a server error.
+ * @param {*} error - What the transport rejected with.
+ * @returns {boolean} True to retry; false if the booking was turned down.
+ */
+function isRetryableDeliveryError(error) {
+    // Network errors carry no HTTP status; the EmailJS SDK reports them as 0.
+    const status = error && error.status;
+    return !status || status >= 500;
+}
+
+/**
+ * Tells whether the outbox is still trying to deliver an entry.
+ * @param {object} entry - The outbox entry.
+ * @returns {boolean} False once the outbox has given up on it.
+ */
+export function isPendingOutboxEntry(entry) {
+    return !entry.failedAt;
+}
+
+/**
+ * Puts a booking in the outbox to be delivered later.
+ * @param {string} transportName - The transport to deliver it with.
+ * @param {object} booking - The booking request.
+ * @returns {Promise<void>} Resolves once the booking is stored.
+ */
+export function queueBooking(transportName, booking) {
+    const entry = {
+        transport: transportName,
+        booking,
+        attempts: 0,
+        nextAttemptAt: Date.now() + OUTBOX_RETRY_BASE_MS,
+        createdAt: new Date().toISOString()
+    };
+    return withOutboxStore('readwrite', store => store.add(entry))
+        .then(() => {
+            requestOutboxSync();
+            return scheduleOutboxRetry();
+        });
+}
+
+/**
+ * Asks the service worker to deliver the outbox with Background Sync once the
+ * browser is online. Does nothing where the page has no service worker or the
+ * browser has no Background Sync; the page's own retries cover those.
+ * @returns {Promise<boolean>} Resolves with true if the sync was registered.
+ */
+function requestOutboxSync() {
+    if (typeof window === 'undefined' || !('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+        return Promise.resolve(false);
+    }
+    return navigator.serviceWorker.ready
+        .then(registration => {
+            if (!registration.sync) return false;
+            return registration.sync.register(OUTBOX_SYNC_TAG).then(() => true);
+        })
+        .catch(error => {
+            console.log('Could not register background sync.', error);
+            return false;
+        });
+}
+
+/**
+ * Runs a task while holding the outbox lock. The lock is shared between the
+ * page and the service worker, so the same booking is never sent twice.
+ * @param {function(): Promise} task - The task.
+ * @returns {Promise<*>} The task's result.
+ */
+function withOutboxLock(task) {
+    return navigator.locks ? navigator.locks.request(OUTBOX_LOCK, task) : task();
+}
+
+/**
+ * Sends a booking through one transport, and puts it in the outbox if it cannot
+ * be delivered right now.
+ * @param {string} transportName - The transport's name.
+ * @param {object} booking - The booking request (or review).
+ * @returns {Promise<object>} Resolves with { queued: true } if the booking was
+ *     queued instead of sent, or { queued: false, response } with the transport's
+ *     response. Rejects if it was turned down, or could not be queued either.
+ */
+export function sendOrQueueBooking(transportName, booking) {
+    const transport = getBookingTransport(transportName);
+    const delivery = navigator.onLine
+        ? transport.send(booking)
+        : Promise.reject(new Error('The browser is offline.'));
+
+    return delivery.then((response) => {
+        console.log('SUCCESS!', response.status, response.text);
+        return { queued: false, response };
+    }, (error) => {
+        console.log('FAILED...', error);
+        if (!isRetryableDeliveryError(error)) throw error;
+        // Keep the booking in the outbox to retry later.
+        return queueBooking(transport.name, booking).then(() => ({ queued: true }));
+    });
+}
+
+/**
+ * Sends a booking through the configured transport, and a copy to each of the
+ * `copyTo` transports (see js/transports.js). Used for guest reviews too, which
+ * are not copied, and for amendments, which are.
+ * @param {object} booking - The booking request (or review, or amendment).
+ * @returns {Promise<object>} Resolves with { queued, receipt }: `queued` is true if
+ *     the booking was queued instead of sent, and `receipt` is the booking server's
+ *     reply with the booking's manage-link token, if one of the transports reached
+ *     it (null otherwise). Rejects if it was turned down, or could not be queued either.
+ */
+export function deliverBooking(booking) {
+    const copies = booking.kind === 'review' ? [] : BOOKING_CONFIG.copyTo
+        .filter(name => getBookingTransport(name).accepts(booking.kind));
+    return Promise.all([
+        sendOrQueueBooking(BOOKING_CONFIG.transport, booking),
+        // The guest's booking went through either way; a lost copy is only logged.
+        ...copies.map(name => sendOrQueueBooking(name, booking).catch(error => {
+            console.log(`Could not save the ${name} copy of the booking to the outbox.`, error);
+        }))
+    ]).then(([delivery, ...copyDeliveries]) => {
+        const receipt = [delivery, ...copyDeliveries]
+            .map(result => result && result.response && result.response.body)
+            .find(body => body && body.token);
+        return { queued: delivery.queued, receipt: receipt || null };
+    });
+}
+
+/**
+ * Tries to deliver every outbox entry that is due.
+ * Delivered entries are removed; failed ones are pushed back with a longer delay,
+ * or given up on if they were turned down or have used up their attempts.
+ * @param {boolean} [force=false] - Retry every entry now, ignoring its backoff.
+ * @returns {Promise<void>} Resolves once every due entry has been tried.
+ */
+export function flushOutbox(force = false) {
+    if (outboxFlushing || !navigator.onLine) return Promise.resolve();
+    outboxFlushing = true;
+
+    return withOutboxLock(() => withOutboxStore('readonly', store => store.getAll())
+        .then(entries => {
+            const due = entries.filter(entry => isPendingOutboxEntry(entry) && (force || entry.nextAttemptAt <= Date.now()));
+            // Deliver one at a time, oldest first, so bookings arrive in order.
+            return due.reduce((previous, entry) => previous.then(() => {
+                return getBookingTransport(entry.transport).send(entry.booking)
+                    .then(() => withOutboxStore('readwrite', store => store.delete(entry.id)))
+                    .catch(error => {
+                        console.log('Outbox retry failed.', error);
+                        entry.attempts += 1;
+                        entry.nextAttemptAt = Date.now() + getOutboxRetryDelay(entry.attempts);
+                        if (!isRetryableDeliveryError(error) || entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+                            console.log(`Giving up on outbox entry ${entry.id} after ${entry.attempts} attempt(s).`);
+                            entry.failedAt = new Date().toISOString();
+                            entry.error = String(error && (error.message || error.text) || error);
+                        }
+                        return withOutboxStore('readwrite', store => store.put(entry));
+                    });
+            }), Promise.resolve());
+        }))
+        .catch(error => {
+            console.log('Could not read the booking outbox.', error);
+        })
+        .finally(() => {
+            outboxFlushing = false;
+            scheduleOutboxRetry();
+            // Show the guest anything the outbox gave up on (not in the service worker).
+            if (typeof document !== 'undefined') renderUndeliveredBookings();
+        });
+}
+
+/**
+ * Sets a timer for the earliest entry still waiting in the outbox.
+ * @returns {Promise<void>} Resolves once the timer is set (or not needed).
+ */
+function scheduleOutboxRetry() {
+    if (outboxRetryTimer) clearTimeout(outboxRetryTimer);
+
+    return withOutboxStore('readonly', store => store.getAll())
+        .then(entries => {
+            const pending = entries.filter(isPendingOutboxEntry);
+            if (pending.length === 0) return;
+            const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+            outboxRetryTimer = setTimeout(() => flushOutbox(), Math.max(nextAttemptAt - Date.now(), 0));
+        })
+        .catch(error => {
+            console.log('Could not read the booking outbox.', error);
+        });
+}
+
+// ---------------------------------------------------------------------------------
+// UNDELIVERED REQUESTS
+// ---------------------------------------------------------------------------------
+
+/**
+ * Describes a request the outbox gave up on, in the guest's language.
+ * @param {object} booking - The booking, review or amendment.
+ * @returns {string} The description.
+ */
+function describeUndeliveredBooking(booking) {
+    const keys = { review: 'outbox.failed.review', amendment: 'outbox.failed.amendment' };
+    return t(keys[booking.kind] || 'outbox.failed.booking', { reference: booking.reference || '' });
+}
+
+/**
+ * Lists the requests the outbox gave up on in #undelivered-notice, each with
+ * buttons to send it on WhatsApp instead or to dismiss it. The notice is
+ * hidden while there are none.
+ * @returns {Promise<void>} Resolves once the notice is up to date.
+ */
+export function renderUndeliveredBookings() {
+    const notice = document.getElementById('undelivered-notice');
+    if (!notice || !('indexedDB' in window)) return Promise.resolve();
+
+    return withOutboxStore('readonly', store => store.getAll())
+        .then(entries => {
+            const failed = entries.filter(entry => !isPendingOutboxEntry(entry));
+            document.getElementById('undelivered-list').innerHTML = failed.map(entry => `
+                <li class="flex flex-col gap-2" data-entry-id="${entry.id}">
+                    <span>${escapeHTML(describeUndeliveredBooking(entry.booking))}</span>
+                    <span class="flex justify-end gap-3">
+                        <button type="button" data-action="dismiss" class="px-3 py-1 rounded-lg font-semibold text-gray-600 hover:bg-gray-100 transition duration-300">${t('outbox.dismiss')}</button>
+                        <button type="button" data-action="whatsapp" class="px-3 py-1 rounded-lg font-semibold bg-green-500 hover:bg-green-600 text-white transition duration-300"><i class="fab fa-whatsapp mr-1"></i> ${t('outbox.whatsapp')}</button>
+                    </span>
+                </li>
+            `).join('');
+            notice.classList.toggle('hidden', failed.length === 0);
+        })
+        .catch(error => {
+            console.log('Could not read the booking outbox.', error);
+        });
+}
+
+/**
+ * Sends a request the outbox gave up on through WhatsApp, or dismisses it.
+ * Either way it leaves the outbox.
+ * @param {number} id - The outbox entry's id.
+ * @param {string} action - 'whatsapp' or 'dismiss'.
+ * @returns {Promise<void>} Resolves once the notice is up to date.
+ */
+export function resolveUndeliveredBooking(id, action) {
+    return withOutboxStore('readonly', store => store.get(id))
+        .then(entry => {
+            if (!entry) return;
+            if (action === 'whatsapp') getBookingTransport('whatsapp').send(entry.booking);
+            return withOutboxStore('readwrite', store => store.delete(id));
+        })
+        .catch(error => {
+            console.log('Could not update the booking outbox.', error);
+        })
+        .then(renderUndeliveredBookings);
+}
+
+/**
+ * Starts delivering queued bookings: now, on a backoff timer, and whenever the
+ * browser comes back online. Shows the guest any the outbox gave up on.
+ */
+export function initializeOutbox() {
+    if (!('indexedDB' in window)) return;
+
+    const list = document.getElementById('undelivered-list');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            resolveUndeliveredBooking(Number(button.closest('li').dataset.entryId), button.dataset.action);
+        });
+    }
+
+    window.addEventListener('online', () => flushOutbox(true));
+    renderUndeliveredBookings();
+    flushOutbox();
+}
@@ -0,0 +1,218 @@
+/**
+ * =================================================================================
+ * Price Quote Engine for the Booking Form
+ *
+ * Turns the guest's itinerary into a live price quote. A line is priced from:
+ * - The tour's base price per adult (from the tour catalog).
+ * - Per-guest rates: children pay a share of the adult price, infants go free.
+ * - A group discount based on the number of paying guests on the line.
+ * - A season multiplier based on the line's date.
+ *
+ * The quote is shown in #quote-panel and sent along with the booking request.
+ * All amounts are in USD and rounded to whole cents.
+ * =================================================================================
+ */
+
+import { tourCatalog, getTourById, getTourTitle } from './tours.js';
+import { getIntlLocale, t } from './i18n.js';
+import { itineraryLines } from './itinerary.js';
+
+export const PRICING_RULES = {
+    currency: 'USD',
+
+    // Share of the adult price paid by each type of guest.
+    rates: {
+        adult: 1,
+        child: 0.5,  // 2-11 years
+        infant: 0    // Under 2 years
+    },
+
+    // Discounts by number of paying guests (adults and children). The first
+    // matching entry wins, so keep them sorted from largest group down.
+    groupDiscounts: [
+        { minGuests: 10, discount: 0.15 },
+        { minGuests: 6, discount: 0.10 },
+        { minGuests: 4, discount: 0.05 }
+    ],
+
+    // Seasons as inclusive MM-DD ranges. A range may wrap over the new year.
+    // Dates outside every range are priced at the standard rate.
+    seasons: [
+        { name: 'Festive', from: '12-15', to: '01-10', multiplier: 1.25 },
+        { name: 'High', from: '07-01', to: '09-30', multiplier: 1.15 },
+        { name: 'Low', from: '04-01', to: '05-31', multiplier: 0.85 }
+    ],
+    standardSeason: { name: 'Standard', multiplier: 1 }
+};
+
+/**
+ * Rounds an amount to whole cents.
+ * @param {number} amount - The amount to round.
+ * @returns {number} The rounded amount.
+ */
+function roundToCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Finds the season a date falls in.
+ * @param {string} date - The date as YYYY-MM-DD. An empty date gets the standard season.
+ * @returns {object} The season, with its name and multiplier.
+ */
+export function getSeason(date) {
+    if (!date) return PRICING_RULES.standardSeason;
+
+    const monthDay = date.slice(5, 10);
+    const season = PRICING_RULES.seasons.find(({ from, to }) => {
+        // A range like 12-15..01-10 wraps over the new year.
+        return from <= to
+            ? monthDay >= from && monthDay <= to
+            : monthDay >= from || monthDay <= to;
+    });
+    return season || PRICING_RULES.standardSeason;
+}
+
+/**
+ * Finds the group discount for a number of paying guests.
+ * @param {number} payingGuests - The number of adults and children.
+ * @returns {number} The discount as a fraction (0.1 is 10% off).
+ */
+export function getGroupDiscount(payingGuests) {
+    const tier = PRICING_RULES.groupDiscounts.find(({ minGuests }) => payingGuests >= minGuests);
+    return tier ? tier.discount : 0;
+}
+
+/**
+ * Prices a single itinerary line.
+ * @param {object} line - The itinerary line ({ tourId, date, adults, children, infants }).
+ * @returns {object} The line's quote, with a breakdown of how the total was reached.
+ */
+export function quoteLine(line) {
+    const tour = getTourById(line.tourId);
+    const { rates } = PRICING_RULES;
+    const season = getSeason(line.date);
+    const adultPrice = roundToCents(tour.price * season.multiplier);
+    const childPrice = roundToCents(adultPrice * rates.child);
+    const infantPrice = roundToCents(adultPrice * rates.infant);
+
+    const subtotal = roundToCents(
+        line.adults * adultPrice + line.children * childPrice + line.infants * infantPrice
+    );
+    const groupDiscount = getGroupDiscount(line.adults + line.children);
+    const discountAmount = roundToCents(subtotal * groupDiscount);
+
+    return {
+        tour_id: tour.id,
+        tour: tour.title,
+        date: line.date,
+        season: season.name,
+        seasonMultiplier: season.multiplier,
+        adults: line.adults,
+        children: line.children,
+        infants: line.infants,
+        adultPrice,
+        childPrice,
+        infantPrice,
+        subtotal,
+        groupDiscount,
+        discountAmount,
+        total: roundToCents(subtotal - discountAmount)
+    };
+}
+
+/**
+ * Prices a whole itinerary.
+ * @param {Array<object>} lines - The itinerary lines.
+ * @returns {object} The quote: one priced entry per line, the grand total and the currency.
+ */
+export function quoteItinerary(lines) {
+    const quotedLines = lines.map(quoteLine);
+    return {
+        lines: quotedLines,
+        total: roundToCents(quotedLines.reduce((sum, line) => sum + line.total, 0)),
+        currency: PRICING_RULES.currency
+    };
+}
+
+/**
+ * Formats an amount of money for display.
+ * @param {number} amount - The amount in the quote currency.
+ * @param {string} [intlLocale] - The Intl locale, by default the guest's language.
+ * @returns {string} The formatted amount, e.g. "$45.00" or "45,00 $".
+ */
+export function formatPrice(amount, intlLocale = getIntlLocale()) {
+    return new Intl.NumberFormat(intlLocale, { style: 'currency', currency: PRICING_RULES.currency }).format(amount);
+}
+
+/**
+ * Writes a quote out as plain text, one line per tour, for the booking email.
+ * The email goes to our team, so it is always in English.
+ * @param {object} quote - The quote from quoteItinerary().
+ * @returns {string} The quote as text.
+ */
+export function formatQuoteText(quote) {
+    const price = amount => formatPrice(amount, 'en-US');
+    const lines = quote.lines.map((line, i) => {
+        const discount = line.groupDiscount > 0
+            ? ` - ${Math.round(line.groupDiscount * 100)}% group discount (-${price(line.discountAmount)})`
+            : '';
+        return `${i + 1}. ${line.tour} (${line.season} season): ` +
+               `${line.adults} x ${price(line.adultPrice)} adult, ` +
+               `${line.children} x ${price(line.childPrice)} child, ` +
+               `${line.infants} x ${price(line.infantPrice)} infant${discount} = ${price(line.total)}`;
+    });
+    lines.push(`Estimated total: ${price(quote.total)}`);
+    return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------------
+// QUOTE PANEL
+// ---------------------------------------------------------------------------------
+
+/**
+ * Creates the HTML string for one priced line in the quote panel.
+ * @param {object} line - A priced line from quoteItinerary().
+ * @returns {string} The HTML content for the line.
+ */
+function createQuoteLineHTML(line) {
+    const guestParts = [t('quote.adults', { count: line.adults, price: formatPrice(line.adultPrice) })];
+    if (line.children > 0) guestParts.push(t('quote.children', { count: line.children, price: formatPrice(line.childPrice) }));
+    if (line.infants > 0) guestParts.push(t('quote.infants', { count: line.infants }));
+
+    const discount = line.groupDiscount > 0
+        ? `<p class="text-xs text-brand-DEFAULT">${t('quote.groupDiscount', { percent: Math.round(line.groupDiscount * 100), amount: formatPrice(line.discountAmount) })}</p>`
+        : '';
+    const season = line.date
+        ? t(`quote.season.${line.season.toLowerCase()}`)
+        : t('quote.pickDate');
+
+    return `
+        <li class="flex justify-between gap-4 py-2 border-b border-gray-100">
+            <div>
+                <p class="font-semibold text-gray-800">${getTourTitle(getTourById(line.tour_id))}</p>
+                <p class="text-xs text-gray-500">${guestParts.join(', ')} &middot; ${season}</p>
+                ${discount}
+            </div>
+            <span class="font-semibold text-gray-800 whitespace-nowrap">${formatPrice(line.total)}</span>
+        </li>
+    `;
+}
+
+/**
+ * Recalculates the quote for the current itinerary and shows it in #quote-panel.
+ * The panel is hidden while the itinerary is empty.
+ */
+export function renderQuote() {
+    const panel = document.getElementById('quote-panel');
+    if (!panel) return;
+
+    if (itineraryLines.length === 0) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    const quote = quoteItinerary(itineraryLines);
+    document.getElementById('quote-lines').innerHTML = quote.lines.map(createQuoteLineHTML).join('');
+    document.getElementById('quote-total').textContent = formatPrice(quote.total);
+    panel.classList.remove('hidden');
+}
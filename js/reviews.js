@@ -0,0 +1,334 @@
+/**
+ * =================================================================================
+ * Guest Reviews
+ *
+ * Reviews are read from a review source, shown in the testimonials carousel and
+ * averaged into a star rating on each tour card. Every review source has the
+ * same shape:
+ *
+ *     { name: string, load() => Promise<Array<object>> }
+ *
+ * where `load` resolves with the reviews, each one
+ *
+ *     { id, tourId, name, rating, text, img }
+ *
+ * `tourId` is the tour the review is about (see js/tours.js), or null for a
+ * review of our service in general. `rating` is 1 to 5 stars; `img` is optional.
+ *
+ * Available sources:
+ * - json: The static review feed, data/testimonials.json (the default).
+ * - http: Our own review endpoint, which replies with the same { reviews } feed.
+ *
+ * Guests can also leave a review with the "Leave a review" form. It is checked
+ * with validateReview() (js/validation.js) and sent like a booking, through the
+ * booking transport and the outbox. The form is only offered once the transport
+ * has somewhere to send reviews (see BOOKING_CONFIG in js/transports.js). Reviews are published by adding them to the
+ * feed once our team has read them, so a new review does not show up straight away.
+ * =================================================================================
+ */
+
+import { getTourById, tourCatalog, getTourTitle } from './tours.js';
+import { getIntlLocale, t, currentLocale } from './i18n.js';
+import { canDeliverBookingKind } from './transports.js';
+import { validateReview } from './validation.js';
+import { deliverBooking } from './outbox.js';
+
+const REVIEW_CONFIG = {
+    // The source the carousel and the tour ratings are read from.
+    source: 'json',
+
+    json: {
+        url: 'data/testimonials.json'
+    },
+
+    // Point this at tools/mock-booking-server.js when testing locally.
+    http: {
+        url: '/api/reviews'
+    }
+};
+
+// The reviews from the source, in feed order. Empty until loaded.
+export let guestReviews = [];
+
+/**
+ * Creates a review source that fetches a { reviews } feed from a URL.
+ * @param {string} name - The source's name.
+ * @param {object} options - The URL of the feed.
+ * @returns {object} The review source.
+ */
+function createFeedReviewSource(name, { url }) {
+    return {
+        name,
+        load() {
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(feed => feed.reviews || []);
+        }
+    };
+}
+
+// One instance of every review source, keyed by name.
+const reviewSources = {
+    json: createFeedReviewSource('json', REVIEW_CONFIG.json),
+    http: createFeedReviewSource('http', REVIEW_CONFIG.http)
+};
+
+/**
+ * Looks up a review source by name.
+ * @param {string} [name] - The source name. Defaults to the configured source.
+ * @returns {object} The review source.
+ */
+function getReviewSource(name = REVIEW_CONFIG.source) {
+    return reviewSources[name];
+}
+
+/**
+ * Checks a review from a source and tidies it up. Reviews of tours that are no
+ * longer in the catalog count as general reviews.
+ * @param {object} entry - The review as the source gave it.
+ * @returns {object|null} The review, or null if it is unusable.
+ */
+function normalizeReview(entry) {
+    if (!entry || !entry.id || !entry.name || !entry.text) return null;
+    const rating = Number(entry.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) return null;
+
+    return {
+        id: String(entry.id),
+        tourId: getTourById(entry.tourId) ? entry.tourId : null,
+        name: String(entry.name),
+        rating,
+        text: String(entry.text),
+        img: typeof entry.img === 'string' ? entry.img : ''
+    };
+}
+
+/**
+ * Loads the reviews from the configured source. Resolves even when they cannot
+ * be loaded, so the page keeps working without them.
+ * @returns {Promise<void>} Resolves once the reviews have been read.
+ */
+export function loadReviews() {
+    return getReviewSource().load()
+        .then(entries => {
+            guestReviews = entries.map(normalizeReview).filter(Boolean);
+        })
+        .catch(error => {
+            console.log('Could not load guest reviews.', error);
+        });
+}
+
+// ---------------------------------------------------------------------------------
+// TOUR RATINGS
+// ---------------------------------------------------------------------------------
+
+/**
+ * Averages the ratings of a tour's reviews.
+ * @param {string} tourId - The id of the tour.
+ * @returns {object} The rating ({ average, count }); average is 0 without reviews.
+ */
+function getTourRating(tourId) {
+    const ratings = guestReviews.filter(review => review.tourId === tourId).map(review => review.rating);
+    const total = ratings.reduce((sum, rating) => sum + rating, 0);
+    return { average: ratings.length ? total / ratings.length : 0, count: ratings.length };
+}
+
+/**
+ * Formats an average rating with one decimal, e.g. "4.5" or "4,5".
+ * @param {number} average - The average rating.
+ * @returns {string} The formatted rating.
+ */
+function formatRating(average) {
+    return average.toLocaleString(getIntlLocale(), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * Creates the HTML string for a row of five stars. Averages are shown to the
+ * nearest half star.
+ * @param {number} rating - The rating, 0 to 5.
+ * @returns {string} The HTML content for the stars.
+ */
+export function createStarsHTML(rating) {
+    const halves = Math.round(rating * 2);
+    return Array.from({ length: 5 }, (value, i) => {
+        const icon = halves >= (i + 1) * 2 ? 'fas fa-star' : halves === i * 2 + 1 ? 'fas fa-star-half-alt' : 'far fa-star';
+        return `<i class="${icon} text-yellow-400" aria-hidden="true"></i>`;
+    }).join('');
+}
+
+/**
+ * Shows the average rating and review count on each tour card. Cards of tours
+ * without reviews show nothing.
+ */
+export function renderTourRatings() {
+    document.querySelectorAll('.tour-card[data-tour-id] .tour-card-rating').forEach(element => {
+        const { average, count } = getTourRating(element.closest('.tour-card').dataset.tourId);
+        element.classList.toggle('hidden', count === 0);
+        if (count === 0) return;
+
+        element.innerHTML = `
+            <span class="flex text-xs" role="img" aria-label="${t('reviews.ratingLabel', { average: formatRating(average), count })}">${createStarsHTML(average)}</span>
+            <span class="font-semibold text-gray-700" aria-hidden="true">${formatRating(average)}</span>
+            <span class="text-gray-400" aria-hidden="true">(${count})</span>
+        `;
+    });
+}
+
+// ---------------------------------------------------------------------------------
+// LEAVE A REVIEW
+// ---------------------------------------------------------------------------------
+
+// The form control each validated review field is typed into (see validateReview()).
+const REVIEW_FIELD_INPUTS = {
+    tour: 'review-tour',
+    rating: 'review-rating',
+    text: 'review-text',
+    name: 'review-name',
+    email: 'review-email'
+};
+
+/**
+ * Collects the review from the "Leave a review" form.
+ * @param {HTMLFormElement} reviewForm - The form.
+ * @returns {object} The review, as sent by the transports.
+ */
+function collectReview(reviewForm) {
+    const formData = new FormData(reviewForm);
+    const tour = getTourById(formData.get('tour'));
+    return {
+        kind: 'review',
+        tour_id: tour ? tour.id : '',
+        // English title for our team; 'General' for a review of our service.
+        tour: tour ? tour.title : 'General',
+        rating: parseInt(formData.get('rating')),
+        text: formData.get('text').trim(),
+        name: formData.get('name').trim(),
+        email: formData.get('email').trim(),
+        // So our team can reply in the guest's language.
+        locale: currentLocale
+    };
+}
+
+/**
+ * Shows or clears the error message under one review form control.
+ * @param {string} field - The review field, a key of REVIEW_FIELD_INPUTS.
+ * @param {string} [message] - The error message. Clears the error when empty.
+ */
+function setReviewFieldError(field, message) {
+    const input = document.getElementById(REVIEW_FIELD_INPUTS[field]);
+    const errorText = document.getElementById(`${REVIEW_FIELD_INPUTS[field]}-error`);
+    input.classList.toggle('border-red-500', !!message);
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    errorText.textContent = message || '';
+    errorText.classList.toggle('hidden', !message);
+}
+
+/**
+ * Shows or hides the "Leave a review" form.
+ * @param {boolean} open - True to show the form.
+ */
+function setReviewFormOpen(open) {
+    const reviewForm = document.getElementById('review-form');
+    const toggle = document.getElementById('review-toggle');
+    // Don't leave the keyboard focus behind in a form that is being hidden.
+    if (!open && reviewForm.contains(document.activeElement)) toggle.focus();
+    reviewForm.classList.toggle('hidden', !open);
+    toggle.setAttribute('aria-expanded', open);
+    if (open) {
+        document.getElementById('review-thanks').classList.add('hidden');
+        document.getElementById('review-tour').focus();
+    }
+}
+
+/**
+ * Fills the review form's tour picker and star labels, in the guest's language.
+ */
+function renderReviewFormOptions() {
+    const tourSelect = document.getElementById('review-tour');
+    if (!tourSelect) return;
+
+    const selected = tourSelect.value;
+    tourSelect.innerHTML = '';
+    tourSelect.add(new Option(t('reviews.general'), ''));
+    tourCatalog.forEach(tour => tourSelect.add(new Option(getTourTitle(tour), tour.id)));
+    tourSelect.value = selected;
+
+    document.querySelectorAll('#review-rating input[name="rating"]').forEach(input => {
+        input.nextElementSibling.setAttribute('title', t('reviews.stars', { count: input.value }));
+        input.nextElementSibling.querySelector('.sr-only').textContent = t('reviews.stars', { count: input.value });
+    });
+}
+
+/**
+ * Re-renders the tour ratings and the review form in the guest's language.
+ */
+export function localizeReviews() {
+    renderTourRatings();
+    renderReviewFormOptions();
+}
+
+/**
+ * Wires up the "Leave a review" form.
+ */
+export function initializeReviewForm() {
+    const reviewForm = document.getElementById('review-form');
+    if (!reviewForm) return;
+
+    // Without an EmailJS template or endpoint for reviews, every review would
+    // wait in the outbox for good (see js/transports.js): offer no form until then.
+    const canSendReviews = canDeliverBookingKind('review');
+    document.getElementById('review-panel').classList.toggle('hidden', !canSendReviews);
+    if (!canSendReviews) return;
+
+    renderReviewFormOptions();
+    document.getElementById('review-toggle').addEventListener('click', () => {
+        setReviewFormOpen(reviewForm.classList.contains('hidden'));
+    });
+    // "Cancel" is the form's reset button: clear the form and put it away.
+    reviewForm.addEventListener('reset', () => {
+        Object.keys(REVIEW_FIELD_INPUTS).forEach(field => setReviewFieldError(field, ''));
+        document.getElementById('review-form-error').classList.add('hidden');
+        setReviewFormOpen(false);
+    });
+
+    reviewForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+
+        const review = collectReview(reviewForm);
+        const errors = validateReview(review);
+        Object.keys(REVIEW_FIELD_INPUTS).forEach(field => setReviewFieldError(field, errors[field]));
+        if (Object.keys(errors).length > 0) {
+            // Move the keyboard focus to the first field that needs fixing.
+            const firstInvalid = reviewForm.querySelector('[aria-invalid="true"]');
+            const focusTarget = firstInvalid && firstInvalid.matches('fieldset') ? firstInvalid.querySelector('input') : firstInvalid;
+            if (focusTarget) focusTarget.focus();
+            return;
+        }
+
+        const formError = document.getElementById('review-form-error');
+        const submitButton = reviewForm.querySelector('button[type="submit"]');
+        const originalButtonText = submitButton.textContent;
+        submitButton.textContent = t('booking.sending');
+        submitButton.disabled = true;
+        formError.classList.add('hidden');
+
+        deliverBooking(review)
+            .then(({ queued }) => {
+                reviewForm.reset();
+                const thanks = document.getElementById('review-thanks');
+                thanks.dataset.i18n = queued ? 'reviews.queued' : 'reviews.thanks';
+                thanks.textContent = t(thanks.dataset.i18n);
+                thanks.classList.remove('hidden');
+            }, (queueError) => {
+                console.log('Could not save the review to the outbox.', queueError);
+                formError.classList.remove('hidden');
+            })
+            .finally(() => {
+                submitButton.textContent = originalButtonText;
+                submitButton.disabled = false;
+            });
+    });
+}
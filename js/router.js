@@ -0,0 +1,188 @@
+/**
+ * =================================================================================
+ * Deep Links (Hash Router)
+ *
+ * Links can open the page at a tour, a gallery photo or a pre-filled booking
+ * form, e.g. from a WhatsApp chat:
+ *
+ *     #tour/sunset-cruise                                  Expands the Sunset Cruise card.
+ *     #book?tour=safari-blue&date=2026-11-02&guests=4      Pre-fills the booking form.
+ *     #gallery/12                                          Opens the lightbox at photo 12
+ *                                                          (counting from 0).
+ *     #tour/jet-ski/photos/2                               Opens the lightbox at photo 2
+ *                                                          of the Jet Ski album.
+ *     #manage?ref=ZST-7KQ3MP                               Opens "Manage my booking"
+ *                                                          (see js/manage-booking.js).
+ *
+ * #book also takes `children` and `infants`. Plain section anchors (#about,
+ * #tours, ...) are not routes and keep their normal behaviour.
+ *
+ * Opening a card or a photo on the page adds a history entry, so the browser's
+ * back button closes it again and forward re-opens it.
+ * =================================================================================
+ */
+
+import { setTourExpanded } from './app/tour-cards.js';
+import { openLightbox, closeLightbox } from './lightbox.js';
+import { showManageBookingRoute, hideManageBookingRoute } from './manage-booking.js';
+import { clearTourFilter } from './tour-filters.js';
+import { setCalendarDate } from './calendar.js';
+import { itineraryLines } from './itinerary.js';
+import { bookTour } from './app/booking-form.js';
+
+// Each route has a hash pattern, what to do when the page enters the route and,
+// optionally, how to undo it when the page leaves the route.
+const ROUTES = [
+    {
+        name: 'tour',
+        pattern: /^tour\/([\w-]+)$/,
+        enter: ([tourId]) => showTourRoute(tourId),
+        leave: ([tourId]) => setTourExpanded(tourId, false)
+    },
+    {
+        name: 'book',
+        pattern: /^book$/,
+        enter: (args, params) => prefillBookingRoute(params)
+    },
+    {
+        name: 'gallery',
+        pattern: /^gallery\/(\d+)$/,
+        enter: ([index]) => openLightbox('gallery', parseInt(index)),
+        leave: () => closeLightbox()
+    },
+    {
+        name: 'photos',
+        pattern: /^tour\/([\w-]+)\/photos\/(\d+)$/,
+        enter: ([tourId, index]) => openLightbox(tourId, parseInt(index)),
+        leave: () => closeLightbox()
+    },
+    {
+        name: 'manage',
+        pattern: /^manage$/,
+        enter: (args, params) => showManageBookingRoute(params),
+        leave: () => hideManageBookingRoute()
+    }
+];
+
+// The route the page is on: { route, args, params, hash, pushed }. `pushed` is
+// true when the page added the history entry itself, so going back leaves the route.
+export let activeRoute = null;
+
+/**
+ * Matches a location hash against the routes.
+ * @param {string} hash - The hash, e.g. "#book?tour=safari-blue".
+ * @returns {object|null} The match ({ route, args, params, hash }), or null if the hash is not a route.
+ */
+function parseRoute(hash) {
+    const [path, query = ''] = hash.replace(/^#/, '').split('?');
+    for (const route of ROUTES) {
+        const match = path.match(route.pattern);
+        if (match) {
+            return { route, args: match.slice(1).map(decodeURIComponent), params: new URLSearchParams(query), hash };
+        }
+    }
+    return null;
+}
+
+/**
+ * Brings the page in line with the current location hash: leaves the previous
+ * route and enters the new one. Runs on every hash change, including the
+ * browser's back and forward buttons.
+ * @param {boolean} [pushed=false] - True if the page has just added this history entry itself.
+ */
+function handleRoute(pushed = false) {
+    const next = parseRoute(location.hash);
+    if (activeRoute && next && activeRoute.hash === next.hash) return;
+
+    if (activeRoute && activeRoute.route.leave) {
+        activeRoute.route.leave(activeRoute.args);
+    }
+    activeRoute = next ? { ...next, pushed } : null;
+    if (next) {
+        next.route.enter(next.args, next.params);
+    }
+}
+
+/**
+ * Goes to a route from the page itself, e.g. when a guest opens a tour card.
+ * @param {string} hash - The hash to go to, e.g. "#tour/sunset-cruise".
+ */
+export function navigate(hash) {
+    history.pushState(history.state, '', hash);
+    handleRoute(true);
+}
+
+/**
+ * Leaves the current route, e.g. when the guest closes the lightbox. If the page
+ * opened the route itself, this is the same as pressing back; otherwise (the
+ * guest arrived through a link) the hash is swapped for `fallbackHash`.
+ * @param {string} fallbackHash - A plain hash to show instead, e.g. "#gallery".
+ */
+export function exitRoute(fallbackHash) {
+    if (activeRoute && activeRoute.pushed) {
+        history.back();
+        return;
+    }
+    history.replaceState(history.state, '', fallbackHash);
+    handleRoute();
+}
+
+/**
+ * Changes the hash of the current route without running it again, e.g. when
+ * the guest moves to the next photo in the lightbox.
+ * @param {string} hash - The new hash for the route.
+ */
+export function updateRoute(hash) {
+    if (!activeRoute) return;
+    history.replaceState(history.state, '', hash);
+    activeRoute.hash = hash;
+    activeRoute.args = parseRoute(hash).args;
+}
+
+// ---------------------------------------------------------------------------------
+// ROUTE HANDLERS
+// ---------------------------------------------------------------------------------
+
+/**
+ * Expands a tour card, clearing the tour filters first if they hide it.
+ * @param {string} tourId - The id of the tour.
+ */
+function showTourRoute(tourId) {
+    const card = document.querySelector(`.tour-card[data-tour-id="${tourId}"]`);
+    if (!card) return;
+    if (card.classList.contains('hidden')) clearTourFilter();
+    setTourExpanded(tourId, true);
+}
+
+/**
+ * Fills in the tour picker from the route's parameters and books the tour. A
+ * tour already in the itinerary on that date is not added twice, e.g. when
+ * the guest comes back to the link with the forward button.
+ * @param {URLSearchParams} params - The route's parameters.
+ */
+function prefillBookingRoute(params) {
+    const tourId = params.get('tour');
+    const date = params.get('date') || '';
+    const counts = { guests: params.get('guests'), children: params.get('children'), infants: params.get('infants') };
+
+    Object.entries(counts).forEach(([id, value]) => {
+        const count = parseInt(value);
+        if (!isNaN(count) && count >= 0) document.getElementById(id).value = count;
+    });
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date)) setCalendarDate(date);
+
+    const alreadyBooked = itineraryLines.some(line => line.tourId === tourId && line.date === date);
+    if (tourId && !alreadyBooked) {
+        bookTour(tourId);
+    } else {
+        document.getElementById('booking').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Follows the hash the page was opened with, and every hash change after that.
+ */
+export function initializeRouter() {
+    window.addEventListener('hashchange', () => handleRoute());
+    handleRoute();
+}
@@ -0,0 +1,261 @@
+/**
+ * =================================================================================
+ * Booking Spam Guard
+ *
+ * Keeps bots from flooding our inbox through the booking form. Before a booking
+ * is sent, checkBookingSubmission() looks for the signs of a bot, in this order:
+ *
+ * - honeypot:     The hidden "website" field was filled in. People never see it;
+ *                 bots fill in every field they find.
+ * - too-fast:     The form was sent less than `minFillMs` after the page loaded.
+ * - rate-limited: This browser already sent `rateLimit.maxSubmits` bookings in
+ *                 the last `rateLimit.windowMs`.
+ * - duplicate:    This browser already sent the same booking (same email, tours
+ *                 and dates) in the last `duplicateWindowMs`.
+ *
+ * A booking that passes then solves the configured challenge before any
+ * transport sees it. The "proof-of-work" challenge makes the browser find a
+ * number that, hashed with the booking reference, gives a SHA-256 hash starting
+ * with `difficulty` zero bits: a moment's work for one guest, but costly for a
+ * bot sending thousands. The booking carries the number as `proof_of_work`.
+ * EmailJS cannot check it, but server/booking-server.js does when
+ * PROOF_OF_WORK_BITS is set, and this file can be required from Node to do so:
+ *
+ *     const { verifyProofOfWork } = require('./js/spam-guard.js');
+ *     verifyProofOfWork(booking, 14).then(valid => ...);
+ *
+ * Every rejection is logged to the console with its reason, so our team can see
+ * how often each check fires and adjust the thresholds below. It is reported to
+ * the booking server at `reportEndpoint`, which logs it, whether or not the guest
+ * accepted analytics: the report holds only the reason and how long the form
+ * took. With the guest's consent it is also a `form_blocked` analytics event
+ * (js/analytics.js).
+ *
+ * The record of sent bookings stays in this browser, and holds only a hash of
+ * each booking, never the booking itself.
+ * =================================================================================
+ */
+
+import { trackEvent } from './analytics.js';
+
+export const SPAM_GUARD_CONFIG = {
+    // The name of the hidden field only bots fill in. It looks like a real field on purpose.
+    honeypotField: 'website',
+    // Nobody picks a tour, a date and types their details in less time than this.
+    minFillMs: 3000,
+    rateLimit: {
+        maxSubmits: 3,
+        windowMs: 60 * 60 * 1000    // One hour.
+    },
+    duplicateWindowMs: 24 * 60 * 60 * 1000,   // One day.
+
+    // Where rejections are reported (POST /api/spam-reports on
+    // server/booking-server.js). Set it only where the site is served by the
+    // booking server: a static host such as GitHub Pages has no such endpoint.
+    reportEndpoint: '',
+
+    // The challenge solved before a booking is sent: 'proof-of-work' or 'none'.
+    challenge: 'proof-of-work',
+    proofOfWork: {
+        difficulty: 14    // Zero bits the hash must start with; each one doubles the work.
+    }
+};
+
+// Where the bookings sent from this browser are recorded: [{ at, fingerprint }].
+const SPAM_GUARD_STORAGE_KEY = 'zanzibar-safari-sent-bookings';
+
+// When the page was loaded, to tell how long the form took to fill in.
+const spamGuardLoadedAt = Date.now();
+
+// ---------------------------------------------------------------------------------
+// SUBMISSION CHECKS
+// ---------------------------------------------------------------------------------
+
+/**
+ * Reads the bookings recorded as sent from this browser.
+ * @returns {Array<object>} The records, oldest first.
+ */
+function loadSentBookings() {
+    try {
+        return JSON.parse(localStorage.getItem(SPAM_GUARD_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.log('Could not read the sent bookings.', error);
+        return [];
+    }
+}
+
+/**
+ * Hashes a booking's email, tours and dates, to recognize it if it is sent again.
+ * FNV-1a: quick and short, and enough to tell bookings apart.
+ * @param {object} booking - The booking from collectBooking().
+ * @returns {string} The hash, as 8 hex digits.
+ */
+function getBookingFingerprint(booking) {
+    const text = [booking.email.toLowerCase(), ...booking.itinerary.map(line => `${line.tour_id}:${line.date}`)].join('|');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Looks for the signs of a bot before a booking is sent.
+ * @param {HTMLFormElement} form - The booking form.
+ * @param {object} booking - The booking from collectBooking().
+ * @returns {string|null} Why the booking is rejected ('honeypot', 'too-fast',
+ *     'rate-limited' or 'duplicate'), or null if it may be sent.
+ */
+export function checkBookingSubmission(form, booking) {
+    const honeypot = form.elements[SPAM_GUARD_CONFIG.honeypotField];
+    if (honeypot && honeypot.value) return 'honeypot';
+    if (Date.now() - spamGuardLoadedAt < SPAM_GUARD_CONFIG.minFillMs) return 'too-fast';
+
+    const now = Date.now();
+    const sent = loadSentBookings();
+    const { maxSubmits, windowMs } = SPAM_GUARD_CONFIG.rateLimit;
+    if (sent.filter(record => now - record.at < windowMs).length >= maxSubmits) return 'rate-limited';
+
+    const fingerprint = getBookingFingerprint(booking);
+    if (sent.some(record => record.fingerprint === fingerprint && now - record.at < SPAM_GUARD_CONFIG.duplicateWindowMs)) {
+        return 'duplicate';
+    }
+    return null;
+}
+
+/**
+ * Records that a booking was sent from this browser, for the rate limit and the
+ * duplicate check. Records older than either window are dropped.
+ * @param {object} booking - The booking that was sent or queued.
+ */
+export function recordBookingSubmission(booking) {
+    const now = Date.now();
+    const keepMs = Math.max(SPAM_GUARD_CONFIG.rateLimit.windowMs, SPAM_GUARD_CONFIG.duplicateWindowMs);
+    const sent = loadSentBookings().filter(record => now - record.at < keepMs);
+    sent.push({ at: now, fingerprint: getBookingFingerprint(booking) });
+    try {
+        localStorage.setItem(SPAM_GUARD_STORAGE_KEY, JSON.stringify(sent));
+    } catch (error) {
+        // Without storage the rate limit and duplicate check just don't apply.
+        console.log('Could not record the sent booking.', error);
+    }
+}
+
+/**
+ * Reports a rejected booking to the booking server, which logs it.
+ * @param {object} report - { reason, elapsed }: the reason, and the seconds
+ *     between the page loading and the form being sent.
+ */
+function reportSpamRejection(report) {
+    if (!SPAM_GUARD_CONFIG.reportEndpoint) return;
+    fetch(SPAM_GUARD_CONFIG.reportEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(report),
+        keepalive: true
+    }).catch(error => {
+        console.log('Could not report the rejected booking.', error);
+    });
+}
+
+/**
+ * Logs why a booking was rejected, for our team to tune the checks.
+ * @param {string} reason - The reason, as returned by checkBookingSubmission().
+ */
+export function logSpamRejection(reason) {
+    const elapsedMs = Date.now() - spamGuardLoadedAt;
+    console.log(`Booking rejected by the spam guard: ${reason} (form sent ${elapsedMs} ms after the page loaded).`);
+    const report = { reason, elapsed: Math.round(elapsedMs / 1000) };
+    reportSpamRejection(report);
+    trackEvent('form_blocked', report);
+}
+
+// ---------------------------------------------------------------------------------
+// CHALLENGES
+// ---------------------------------------------------------------------------------
+
+/**
+ * Counts the zero bits at the start of a hash.
+ * @param {Uint8Array} bytes - The hash.
+ * @returns {number} The number of leading zero bits.
+ */
+function countLeadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte !== 0) return bits + Math.clz32(byte) - 24;
+        bits += 8;
+    }
+    return bits;
+}
+
+/**
+ * Hashes a booking reference with a proof-of-work number.
+ * @param {string} reference - The booking reference.
+ * @param {number} nonce - The number.
+ * @returns {Promise<Uint8Array>} The SHA-256 hash.
+ */
+function hashProofOfWork(reference, nonce) {
+    return crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${reference}:${nonce}`))
+        .then(hash => new Uint8Array(hash));
+}
+
+/**
+ * Checks the proof of work a booking carries.
+ * @param {object} booking - The booking, with its `reference` and `proof_of_work`.
+ * @param {number} difficulty - The zero bits the hash must start with.
+ * @returns {Promise<boolean>} Resolves with true if the proof is valid.
+ */
+export function verifyProofOfWork(booking, difficulty) {
+    if (typeof booking.reference !== 'string' || !Number.isSafeInteger(booking.proof_of_work)) {
+        return Promise.resolve(false);
+    }
+    return hashProofOfWork(booking.reference, booking.proof_of_work)
+        .then(hash => countLeadingZeroBits(hash) >= difficulty);
+}
+
+/**
+ * Creates the challenge that makes the browser do some work for each booking.
+ * Hashes are tried in batches, so the page stays responsive meanwhile.
+ * @param {object} options - The difficulty, in zero bits.
+ * @returns {object} The challenge.
+ */
+function createProofOfWorkChallenge({ difficulty }) {
+    const BATCH_SIZE = 256;
+    return {
+        name: 'proof-of-work',
+        solve(booking) {
+            const tryBatch = (start) => {
+                const nonces = Array.from({ length: BATCH_SIZE }, (_, i) => start + i);
+                return Promise.all(nonces.map(nonce => hashProofOfWork(booking.reference, nonce)))
+                    .then(hashes => {
+                        const found = hashes.findIndex(hash => countLeadingZeroBits(hash) >= difficulty);
+                        if (found === -1) return tryBatch(start + BATCH_SIZE);
+                        booking.proof_of_work = nonces[found];
+                    });
+            };
+            return tryBatch(0);
+        }
+    };
+}
+
+// One instance of every challenge, keyed by name.
+const spamChallenges = {
+    none: { name: 'none', solve: () => Promise.resolve() },
+    'proof-of-work': createProofOfWorkChallenge(SPAM_GUARD_CONFIG.proofOfWork)
+};
+
+/**
+ * Solves the configured challenge for a booking, adding its answer to the booking.
+ * @param {object} booking - The booking, with its reference.
+ * @returns {Promise<void>} Resolves once the booking may be sent.
+ */
+export function solveSpamChallenge(booking) {
+    const challenge = spamChallenges[SPAM_GUARD_CONFIG.challenge];
+    // Web Crypto only exists on https:// (and localhost). Send without a proof
+    // rather than not at all; a server that wants one will say so.
+    if (challenge.name === 'proof-of-work' && !(typeof crypto !== 'undefined' && crypto.subtle)) {
+        console.log('Web Crypto is not available; sending the booking without a proof of work.');
+        return Promise.resolve();
+    }
+    return challenge.solve(booking);
+}
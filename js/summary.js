@@ -0,0 +1,231 @@
+/**
+ * =================================================================================
+ * Booking Reference and Summary
+ *
+ * Once a booking request has been sent, the guest gets a booking reference and
+ * a summary of what they asked for. The summary can be printed (see the print
+ * styles in style.css) or downloaded as an .ics calendar file with one event
+ * per tour, so the tour dates and meeting details land in the guest's calendar.
+ * =================================================================================
+ */
+
+import { getTourById, getTourHours, getTourTitle } from './tours.js';
+import { t, formatDate } from './i18n.js';
+import { formatPrice } from './pricing.js';
+
+// When tours start, unless a tour sets its own startTime. The meeting place and
+// details are translated as 'meeting.location' and 'meeting.details'.
+const BOOKING_MEETING = {
+    startTime: '08:00'
+};
+
+// Zanzibar keeps East Africa Time (UTC+3) all year round.
+const ZANZIBAR_UTC_OFFSET_HOURS = 3;
+
+// How long the .ics download link is kept. Some browsers only start reading the
+// file after the click that downloads it has returned.
+export const ICS_URL_LIFETIME_MS = 40 * 1000;
+
+// No 0/O or 1/I, so references can be read out over the phone.
+const BOOKING_REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Creates a new, random booking reference such as "ZST-7KQ3MP".
+ * @returns {string} The booking reference.
+ */
+export function createBookingReference() {
+    const values = crypto.getRandomValues(new Uint8Array(6));
+    const code = Array.from(values, value => BOOKING_REFERENCE_ALPHABET[value % BOOKING_REFERENCE_ALPHABET.length]).join('');
+    return `ZST-${code}`;
+}
+
+/**
+ * Escapes text so it can be placed inside HTML.
+ * @param {string} text - The text, e.g. something the guest typed.
+ * @returns {string} The escaped text.
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a Zanzibar local date and time as an iCalendar UTC timestamp.
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @param {string} time - The local time as HH:MM.
+ * @param {number} [addHours=0] - Hours to add, e.g. the length of the tour.
+ * @returns {string} The timestamp, e.g. "20261102T050000Z".
+ */
+function formatICSDateTime(date, time, addHours = 0) {
+    const local = new Date(`${date}T${time}:00Z`);
+    local.setTime(local.getTime() + (addHours - ZANZIBAR_UTC_OFFSET_HOURS) * 60 * 60 * 1000);
+    return local.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapes text for an iCalendar property value.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeICSText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar content line so no line is longer than 75 octets of UTF-8,
+ * as RFC 5545 asks. Lines are only folded between characters, never inside one.
+ * @param {string} line - The content line.
+ * @returns {string} The folded line.
+ */
+export function foldICSLine(line) {
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    // Continuation lines start with a space, which counts towards their 75 octets.
+    let limit = 75;
+    for (const character of line) {
+        const codePoint = character.codePointAt(0);
+        const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        if (octets + size > limit) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+            limit = 74;
+        }
+        part += character;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Writes a booking out as an iCalendar file with one event per tour.
+ * @param {object} booking - The booking that was sent, including its reference.
+ * @returns {string} The contents of the .ics file.
+ */
+function createBookingICS(booking) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const events = booking.itinerary.map((line, index) => {
+        const tour = getTourById(line.tour_id);
+        const startTime = tour.startTime || BOOKING_MEETING.startTime;
+        const description = [
+            t('ics.reference', { reference: booking.reference }),
+            t('ics.guests', { guests: t('summary.guests', line) }),
+            t('ics.meeting', { location: t('meeting.location'), time: startTime }),
+            t('meeting.details')
+        ].join('\n');
+        return [
+            'BEGIN:VEVENT',
+            `UID:${booking.reference}-${index + 1}@zanzibarsafaritours`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatICSDateTime(line.date, startTime)}`,
+            `DTEND:${formatICSDateTime(line.date, startTime, getTourHours(tour))}`,
+            `SUMMARY:${escapeICSText(`${getTourTitle(tour)} - Zanzibar Safari Tours`)}`,
+            `LOCATION:${escapeICSText(t('meeting.location'))}`,
+            `DESCRIPTION:${escapeICSText(description)}`,
+            'END:VEVENT'
+        ];
+    });
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Zanzibar Safari Tours//Booking//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Downloads a booking as an .ics calendar file.
+ * @param {object} booking - The booking that was sent, including its reference.
+ */
+export function downloadBookingICS(booking) {
+    const file = new Blob([createBookingICS(booking)], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `zanzibar-booking-${booking.reference}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), ICS_URL_LIFETIME_MS);
+}
+
+/**
+ * Creates the HTML string for the booking summary.
+ * @param {object} booking - The booking that was sent, including its reference.
+ * @returns {string} The HTML content for the summary.
+ */
+function createBookingSummaryHTML(booking) {
+    const lines = booking.quote.lines.map(line => `
+        <li class="flex justify-between gap-4 py-2 border-b border-gray-100">
+            <div>
+                <p class="font-semibold text-gray-800">${getTourTitle(getTourById(line.tour_id))}</p>
+                <p class="text-xs text-gray-500">${formatDate(line.date)} &middot; ${t('summary.guests', line)}</p>
+            </div>
+            <span class="font-semibold text-gray-800 whitespace-nowrap">${formatPrice(line.total)}</span>
+        </li>
+    `).join('');
+
+    return `
+        <div class="flex justify-between items-baseline mb-4">
+            <h4 class="text-xl font-serif font-bold text-gray-800">${t('summary.title')}</h4>
+            <p class="text-sm text-gray-500">${t('summary.reference')} <span class="font-mono font-bold text-gray-800">${booking.reference}</span></p>
+        </div>
+        <ol class="mb-4">${lines}</ol>
+        <p class="flex justify-between font-bold text-gray-800 mb-4"><span>${t('summary.total')}</span><span>${formatPrice(booking.quote.total)}</span></p>
+        <dl class="grid grid-cols-3 gap-x-4 gap-y-1 text-sm">
+            <dt class="text-gray-500">${t('summary.name')}</dt><dd class="col-span-2 text-gray-800">${escapeHTML(booking.name)}</dd>
+            <dt class="text-gray-500">${t('summary.email')}</dt><dd class="col-span-2 text-gray-800">${escapeHTML(booking.email)}</dd>
+            <dt class="text-gray-500">${t('summary.phone')}</dt><dd class="col-span-2 text-gray-800">${escapeHTML(booking.phone)}</dd>
+            <dt class="text-gray-500">${t('summary.requests')}</dt><dd class="col-span-2 text-gray-800 whitespace-pre-line">${escapeHTML(booking.requests)}</dd>
+            <dt class="text-gray-500">${t('summary.meeting')}</dt><dd class="col-span-2 text-gray-800">${t('meeting.location')}. ${t('meeting.details')}</dd>
+        </dl>
+    `;
+}
+
+// The booking shown in the summary, for the print and download buttons.
+export let summaryBooking = null;
+
+/**
+ * Shows the summary of a sent booking in #booking-summary.
+ * @param {object} booking - The booking that was sent, including its reference.
+ */
+export function renderBookingSummary(booking) {
+    const summary = document.getElementById('booking-summary');
+    if (!summary) return;
+
+    summaryBooking = booking;
+    document.getElementById('booking-summary-content').innerHTML = createBookingSummaryHTML(booking);
+    summary.classList.remove('hidden');
+}
+
+/**
+ * Wires up the summary's print and calendar download buttons.
+ */
+export function initializeBookingSummary() {
+    const printBtn = document.getElementById('print-summary-btn');
+    const calendarBtn = document.getElementById('download-ics-btn');
+
+    if (printBtn) {
+        printBtn.addEventListener('click', () => window.print());
+    }
+    if (calendarBtn) {
+        calendarBtn.addEventListener('click', () => {
+            if (summaryBooking) downloadBookingICS(summaryBooking);
+        });
+    }
+}
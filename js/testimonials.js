@@ -0,0 +1,279 @@
+/**
+ * =================================================================================
+ * Testimonial Carousel
+ *
+ * Shows the guest reviews (js/reviews.js) as a row of cards: one on phones, two
+ * on tablets and three on wide screens, like the #testimonial-grid columns.
+ * Previous and next move the row one review along, in feed order, wrapping
+ * around at the ends; the dots jump straight to a review, and on touch screens
+ * the row can be swiped.
+ *
+ * The row moves on by itself every few seconds, except while the guest hovers
+ * over it, has the keyboard focus in it or has switched to another tab, and
+ * never for guests who prefer reduced motion. Moves the guest makes are
+ * announced to screen readers; automatic ones are not, so they don't interrupt.
+ * =================================================================================
+ */
+
+import { guestReviews, createStarsHTML } from './reviews.js';
+import { escapeHTML } from './summary.js';
+import { getTourById, getTourTitle } from './tours.js';
+import { t } from './i18n.js';
+import { trackEvent } from './analytics.js';
+
+export const TESTIMONIAL_ROTATE_MS = 5000;
+const TESTIMONIAL_SWIPE_PX = 50;   // How far a finger must travel to count as a swipe.
+
+// How many cards fit side by side, widest screens first. Matches the grid's
+// md:grid-cols-2 and lg:grid-cols-3; narrower screens show one card.
+const TESTIMONIAL_BREAKPOINTS = [
+    { query: '(min-width: 1024px)', perView: 3 },
+    { query: '(min-width: 768px)', perView: 2 }
+];
+
+export let testimonialIndex = 0;        // Position in guestReviews of the first card on display.
+export let testimonialCards = [];       // The card elements in #testimonial-grid.
+let testimonialTimer;            // Holds the reference to the `setInterval` timer.
+let testimonialFading = false;   // True while the cards fade out before a move.
+
+// Why rotation is paused: 'hover', 'focus', 'hidden' (another tab) or 'motion'
+// (reduced motion). The carousel only rotates while this is empty.
+const testimonialPauses = new Set();
+
+/**
+ * Works out how many cards fit side by side on this screen.
+ * @returns {number} The number of cards, never more than there are reviews.
+ */
+function getTestimonialsPerView() {
+    const breakpoint = TESTIMONIAL_BREAKPOINTS.find(({ query }) => window.matchMedia(query).matches);
+    return Math.min(breakpoint ? breakpoint.perView : 1, guestReviews.length);
+}
+
+/**
+ * Finds the position of a review in the feed, wrapping around at the ends.
+ * @param {number} index - The position, possibly before the start or past the end.
+ * @returns {number} The position, from 0 to the number of reviews - 1.
+ */
+export function wrapTestimonialIndex(index) {
+    return (index % guestReviews.length + guestReviews.length) % guestReviews.length;
+}
+
+/**
+ * Creates the HTML string for a single testimonial card. Reviews come from
+ * guests, so their name and text are escaped.
+ * @param {object} testimonial - The review (see js/reviews.js).
+ * @returns {string} The HTML content for the card.
+ */
+function createTestimonialCardHTML(testimonial) {
+    const name = escapeHTML(testimonial.name);
+    const tour = getTourById(testimonial.tourId);
+    const portrait = testimonial.img
+        ? `<img src="${escapeHTML(testimonial.img)}" alt="${name}" class="w-16 h-16 rounded-full mx-auto mb-4 border-2 border-brand-DEFAULT object-cover">`
+        : `<span class="w-16 h-16 rounded-full mx-auto mb-4 border-2 border-brand-DEFAULT bg-brand-light/20 text-brand-DEFAULT text-2xl font-serif font-bold flex items-center justify-center" aria-hidden="true">${escapeHTML(testimonial.name.charAt(0).toUpperCase())}</span>`;
+    return `
+        ${portrait}
+        <div class="flex justify-center mb-3 text-lg" role="img" aria-label="${t('reviews.stars', { count: testimonial.rating })}">${createStarsHTML(testimonial.rating)}</div>
+        <p class="text-gray-600 mb-4 italic text-center text-sm sm:text-base leading-relaxed">"${escapeHTML(t(`testimonial.${testimonial.id}`, {}, testimonial.text))}"</p>
+        <p class="font-semibold text-brand-DEFAULT text-center text-sm sm:text-base">- ${name}</p>
+        ${tour ? `<p class="text-xs text-gray-400 text-center mt-1">${getTourTitle(tour)}</p>` : ''}
+    `;
+}
+
+/**
+ * Fills the cards with the reviews from `testimonialIndex` on, and marks the
+ * matching dot as current.
+ */
+function renderTestimonialCards() {
+    const total = guestReviews.length;
+    testimonialCards.forEach((card, i) => {
+        const index = wrapTestimonialIndex(testimonialIndex + i);
+        card.innerHTML = createTestimonialCardHTML(guestReviews[index]);
+        card.dataset.testimonialId = guestReviews[index].id;
+        card.setAttribute('aria-label', t('testimonials.slide', { index: index + 1, total }));
+        card.classList.remove('fade-out');
+    });
+
+    document.querySelectorAll('#testimonial-dots button').forEach((dot, index) => {
+        dot.setAttribute('aria-current', index === testimonialIndex ? 'true' : 'false');
+    });
+}
+
+/**
+ * Creates one card per column the screen has room for.
+ */
+function buildTestimonialCards() {
+    const grid = document.getElementById('testimonial-grid');
+    grid.innerHTML = '';
+    testimonialFading = false;   // A fade on the old cards would never finish.
+    testimonialCards = Array.from({ length: getTestimonialsPerView() }, () => {
+        const card = document.createElement('div');
+        card.classList.add('testimonial-card', 'p-6', 'bg-white', 'rounded-lg', 'shadow-md', 'hover:shadow-xl', 'transition', 'duration-300');
+        card.setAttribute('role', 'group');
+        grid.appendChild(card);
+        return card;
+    });
+    renderTestimonialCards();
+    updateTestimonialRotation();
+}
+
+/**
+ * Renders one dot per review, in the guest's language.
+ */
+function renderTestimonialDots() {
+    const dots = document.getElementById('testimonial-dots');
+    if (!dots) return;
+
+    dots.innerHTML = guestReviews.map((review, index) => `
+        <button type="button" class="testimonial-dot" data-index="${index}" aria-label="${t('testimonials.goTo', { index: index + 1 })}" aria-current="${index === testimonialIndex}"></button>
+    `).join('');
+}
+
+/**
+ * Tells screen readers which review the carousel has moved to.
+ */
+function announceTestimonial() {
+    document.getElementById('testimonial-status').textContent = t('testimonials.status', {
+        index: testimonialIndex + 1,
+        total: guestReviews.length,
+        name: guestReviews[testimonialIndex].name
+    });
+}
+
+/**
+ * Checks whether an element fades when its opacity changes. Without a
+ * transition (e.g. for reduced motion) no `transitionend` event would come.
+ * @param {HTMLElement} element - The element.
+ * @returns {boolean} True if the element has a running transition time.
+ */
+function hasTransition(element) {
+    return getComputedStyle(element).transitionDuration.split(',').some(duration => parseFloat(duration) > 0);
+}
+
+/**
+ * Moves the carousel so a review is the first card on display. The cards fade
+ * out, change and fade back in.
+ * @param {number} index - The review's position in the feed; wraps around at the ends.
+ * @param {boolean} [announce=false] - True if the guest asked for the move.
+ */
+export function showTestimonial(index, announce = false) {
+    if (testimonialCards.length === 0) return;
+    testimonialIndex = wrapTestimonialIndex(index);
+    if (announce) announceTestimonial();
+
+    // A fade already under way shows the latest position when it ends.
+    if (testimonialFading) return;
+
+    const firstCard = testimonialCards[0];
+    if (!hasTransition(firstCard)) {
+        renderTestimonialCards();
+        return;
+    }
+
+    testimonialFading = true;
+    const onFaded = (event) => {
+        if (event.target !== firstCard || event.propertyName !== 'opacity') return;
+        firstCard.removeEventListener('transitionend', onFaded);
+        firstCard.removeEventListener('transitioncancel', onFaded);
+        testimonialFading = false;
+        renderTestimonialCards();
+    };
+    firstCard.addEventListener('transitionend', onFaded);
+    firstCard.addEventListener('transitioncancel', onFaded);
+    testimonialCards.forEach(card => card.classList.add('fade-out'));
+}
+
+/**
+ * Starts or stops the automatic rotation, depending on whether anything pauses
+ * it and whether there are more reviews than cards.
+ */
+export function updateTestimonialRotation() {
+    if (testimonialTimer) clearInterval(testimonialTimer);
+    testimonialTimer = null;
+    if (testimonialPauses.size === 0 && guestReviews.length > testimonialCards.length) {
+        testimonialTimer = setInterval(() => showTestimonial(testimonialIndex + 1), TESTIMONIAL_ROTATE_MS);
+    }
+}
+
+/**
+ * Pauses or resumes the automatic rotation for one reason.
+ * @param {string} reason - 'hover', 'focus', 'hidden' or 'motion'.
+ * @param {boolean} paused - True to pause, false to lift this reason.
+ */
+function setTestimonialPaused(reason, paused) {
+    if (paused) {
+        testimonialPauses.add(reason);
+    } else {
+        testimonialPauses.delete(reason);
+    }
+    updateTestimonialRotation();
+}
+
+/**
+ * Re-renders the cards and dots in the guest's language.
+ */
+export function localizeTestimonials() {
+    if (testimonialCards.length === 0) return;
+    renderTestimonialCards();
+    renderTestimonialDots();
+}
+
+/**
+ * Builds the carousel from the loaded reviews and wires up its controls.
+ */
+export function initializeTestimonials() {
+    const carousel = document.getElementById('testimonial-carousel');
+    const grid = document.getElementById('testimonial-grid');
+    if (!carousel || !grid || guestReviews.length === 0) return;
+
+    renderTestimonialDots();
+    buildTestimonialCards();
+
+    document.getElementById('testimonial-prev').addEventListener('click', () => {
+        showTestimonial(testimonialIndex - 1, true);
+        trackEvent('testimonial_nav', { control: 'prev' });
+    });
+    document.getElementById('testimonial-next').addEventListener('click', () => {
+        showTestimonial(testimonialIndex + 1, true);
+        trackEvent('testimonial_nav', { control: 'next' });
+    });
+    document.getElementById('testimonial-dots').addEventListener('click', (e) => {
+        const dot = e.target.closest('.testimonial-dot');
+        if (!dot) return;
+        showTestimonial(parseInt(dot.dataset.index), true);
+        trackEvent('testimonial_nav', { control: 'dot' });
+    });
+
+    // Swipe left for the next review, right for the previous one.
+    let swipeStartX = null;
+    grid.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'mouse') swipeStartX = e.clientX;
+    });
+    grid.addEventListener('pointerup', (e) => {
+        if (swipeStartX === null) return;
+        const distance = e.clientX - swipeStartX;
+        swipeStartX = null;
+        if (Math.abs(distance) >= TESTIMONIAL_SWIPE_PX) {
+            showTestimonial(testimonialIndex + (distance < 0 ? 1 : -1), true);
+            trackEvent('testimonial_nav', { control: 'swipe' });
+        }
+    });
+    grid.addEventListener('pointercancel', () => { swipeStartX = null; });
+
+    // Hold still while the guest is reading or using the controls.
+    carousel.addEventListener('mouseenter', () => setTestimonialPaused('hover', true));
+    carousel.addEventListener('mouseleave', () => setTestimonialPaused('hover', false));
+    carousel.addEventListener('focusin', () => setTestimonialPaused('focus', true));
+    carousel.addEventListener('focusout', (e) => {
+        if (!carousel.contains(e.relatedTarget)) setTestimonialPaused('focus', false);
+    });
+    document.addEventListener('visibilitychange', () => setTestimonialPaused('hidden', document.hidden));
+
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    setTestimonialPaused('motion', reducedMotion.matches);
+    reducedMotion.addEventListener('change', () => setTestimonialPaused('motion', reducedMotion.matches));
+
+    // Add or remove cards when the screen gets wider or narrower.
+    TESTIMONIAL_BREAKPOINTS.forEach(({ query }) => {
+        window.matchMedia(query).addEventListener('change', buildTestimonialCards);
+    });
+}
@@ -0,0 +1,283 @@
+/**
+ * =================================================================================
+ * Tour Search, Filters and Sorting
+ *
+ * The filter bar over the #tours grid narrows the cards down by free-text search,
+ * category and duration, and sorts them by popularity or price. Chips in the same
+ * group widen the results (Adventure OR Culture); different groups narrow them
+ * (Adventure AND Half Day).
+ *
+ * The active filter is kept in the URL query string, e.g.
+ *
+ *     ?q=cave&category=adventure,culture&duration=short&sort=price-asc
+ *
+ * so a filtered list can be shared as a link. The cards are filtered in place, and
+ * the cards that stay visible glide to their new spots (see animateTourGrid()).
+ * =================================================================================
+ */
+
+import { getTourHours, getCategorySlug, getTourTitle, getTourDescription, getTourCategory, tourCatalog } from './tours.js';
+import { t } from './i18n.js';
+
+// Duration groups, from the tour's length in hours (see getTourHours() in js/tours.js).
+const TOUR_DURATION_FILTERS = [
+    { id: 'short', maxHours: 2 },
+    { id: 'half-day', maxHours: 4 },
+    { id: 'full-day', maxHours: Infinity }
+];
+
+// Sort orders. The catalog lists our best sellers first, so "popular" keeps its order.
+const TOUR_SORTS = {
+    'popular': () => 0,
+    'price-asc': (a, b) => a.price - b.price,
+    'price-desc': (a, b) => b.price - a.price
+};
+
+const TOUR_FILTER_ANIMATION_MS = 400;
+
+// The active filter. Empty lists mean "any".
+let tourFilter = { query: '', categories: [], durations: [], sort: 'popular' };
+
+/**
+ * Finds the duration group a tour belongs to.
+ * @param {object} tour - The tour from the catalog.
+ * @returns {string} The group's id, e.g. "half-day".
+ */
+function getTourDurationFilter(tour) {
+    const hours = getTourHours(tour);
+    return TOUR_DURATION_FILTERS.find(({ maxHours }) => hours <= maxHours).id;
+}
+
+/**
+ * Lowercases text and strips accents, so "cafe" finds "Café".
+ * @param {string} text - The text to normalise.
+ * @returns {string} The normalised text.
+ */
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Checks whether a tour passes the active filter. The search looks at the
+ * English text and the guest's language, so both "turtle" and "Schildkröte" work.
+ * @param {object} tour - The tour from the catalog.
+ * @param {object} filter - The filter, shaped like `tourFilter`.
+ * @returns {boolean} True if the tour should be shown.
+ */
+function matchesTourFilter(tour, filter) {
+    if (filter.categories.length > 0 && !filter.categories.includes(getCategorySlug(tour.category))) return false;
+    if (filter.durations.length > 0 && !filter.durations.includes(getTourDurationFilter(tour))) return false;
+
+    const words = normalizeSearchText(filter.query).split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    const text = normalizeSearchText([
+        tour.title, tour.description, tour.category,
+        getTourTitle(tour), getTourDescription(tour), getTourCategory(tour)
+    ].join(' '));
+    return words.every(word => text.includes(word));
+}
+
+/**
+ * Applies a filter to the catalog.
+ * @param {object} filter - The filter, shaped like `tourFilter`.
+ * @returns {Array<object>} The matching tours, in the filter's sort order.
+ */
+function filterTours(filter) {
+    const compare = TOUR_SORTS[filter.sort] || TOUR_SORTS.popular;
+    // Array.prototype.sort is stable, so equal prices keep their popularity order.
+    return tourCatalog.filter(tour => matchesTourFilter(tour, filter)).sort(compare);
+}
+
+// ---------------------------------------------------------------------------------
+// URL QUERY STRING
+// ---------------------------------------------------------------------------------
+
+/**
+ * Reads the filter from the URL query string. Unknown values are dropped.
+ * @param {string} search - The query string, e.g. location.search.
+ * @returns {object} The filter, shaped like `tourFilter`.
+ */
+function readTourFilterFromURL(search) {
+    const params = new URLSearchParams(search);
+    const list = name => (params.get(name) || '').split(',').filter(Boolean);
+    const categories = new Set(tourCatalog.map(tour => getCategorySlug(tour.category)));
+    const sort = params.get('sort');
+
+    return {
+        query: params.get('q') || '',
+        categories: list('category').filter(slug => categories.has(slug)),
+        durations: list('duration').filter(id => TOUR_DURATION_FILTERS.some(group => group.id === id)),
+        sort: sort in TOUR_SORTS ? sort : 'popular'
+    };
+}
+
+/**
+ * Writes the active filter to the URL query string, keeping any other
+ * parameters and the #hash. Replaces the history entry, so typing in the search
+ * box doesn't fill up the back button.
+ */
+function writeTourFilterToURL() {
+    const params = new URLSearchParams(location.search);
+    const set = (name, value) => value ? params.set(name, value) : params.delete(name);
+    set('q', tourFilter.query.trim());
+    set('category', tourFilter.categories.join(','));
+    set('duration', tourFilter.durations.join(','));
+    set('sort', tourFilter.sort === 'popular' ? '' : tourFilter.sort);
+
+    // Commas are safe in a query string; keep them readable in shared links.
+    const query = params.toString().replace(/%2C/g, ',');
+    history.replaceState(history.state, '', `${location.pathname}${query ? '?' + query : ''}${location.hash}`);
+}
+
+// ---------------------------------------------------------------------------------
+// RENDERING
+// ---------------------------------------------------------------------------------
+
+/**
+ * Creates the HTML string for a filter chip.
+ * @param {string} group - The filter group, "categories" or "durations".
+ * @param {string} value - The chip's value, e.g. "adventure".
+ * @param {string} label - The chip's text.
+ * @returns {string} The HTML content for the chip.
+ */
+function createFilterChipHTML(group, value, label) {
+    const pressed = tourFilter[group].includes(value);
+    return `<button type="button" class="filter-chip" data-filter-group="${group}" data-filter-value="${value}" aria-pressed="${pressed}">${label}</button>`;
+}
+
+/**
+ * Renders the category and duration chips, with labels in the guest's language.
+ */
+function renderTourFilterChips() {
+    const categoryChips = document.getElementById('tour-category-chips');
+    const durationChips = document.getElementById('tour-duration-chips');
+    if (!categoryChips || !durationChips) return;
+
+    // One chip per category in the catalog, in the order they first appear.
+    const categories = [...new Set(tourCatalog.map(tour => tour.category))];
+    categoryChips.innerHTML = categories
+        .map(category => createFilterChipHTML('categories', getCategorySlug(category), t(`category.${getCategorySlug(category)}`, {}, category)))
+        .join('');
+    durationChips.innerHTML = TOUR_DURATION_FILTERS
+        .map(({ id }) => createFilterChipHTML('durations', id, t(`filters.duration.${id}`)))
+        .join('');
+}
+
+/**
+ * Slides the cards that stayed visible from their old spots to their new ones,
+ * and fades in the cards that have just appeared (the FLIP technique).
+ * @param {Map<HTMLElement, DOMRect>} before - Where each visible card was before the change.
+ */
+function animateTourGrid(before) {
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+
+    document.querySelectorAll('#tour-grid .tour-card:not(.hidden)').forEach(card => {
+        // Cards that have not scrolled into view yet still get their entrance animation.
+        if (!card.classList.contains('is-visible') || typeof card.animate !== 'function') return;
+
+        const from = before.get(card);
+        if (!from) {
+            card.animate([{ opacity: 0, transform: 'scale(0.95)' }, { opacity: 1, transform: 'scale(1)' }],
+                { duration: TOUR_FILTER_ANIMATION_MS, easing: 'ease-out' });
+            return;
+        }
+        const to = card.getBoundingClientRect();
+        const dx = from.left - to.left;
+        const dy = from.top - to.top;
+        if (dx === 0 && dy === 0) return;
+        card.animate([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'translate(0, 0)' }],
+            { duration: TOUR_FILTER_ANIMATION_MS, easing: 'ease-in-out' });
+    });
+}
+
+/**
+ * Shows the cards that pass the active filter, in its sort order, and updates
+ * the result count and the URL.
+ */
+function applyTourFilter() {
+    const grid = document.getElementById('tour-grid');
+    if (!grid) return;
+
+    const cards = Array.from(grid.querySelectorAll('.tour-card[data-tour-id]'));
+    const before = new Map();
+    cards.filter(card => !card.classList.contains('hidden'))
+        .forEach(card => before.set(card, card.getBoundingClientRect()));
+
+    const matches = filterTours(tourFilter);
+    const visibleIds = new Set(matches.map(tour => tour.id));
+    // Visible cards first, in sort order; hidden ones keep their place at the end.
+    const order = [...matches.map(tour => tour.id), ...tourCatalog.map(tour => tour.id).filter(id => !visibleIds.has(id))];
+    order.forEach(id => {
+        const card = cards.find(element => element.dataset.tourId === id);
+        card.classList.toggle('hidden', !visibleIds.has(id));
+        grid.appendChild(card);
+    });
+
+    document.getElementById('tour-filter-count').textContent =
+        t('filters.count', { count: matches.length, total: tourCatalog.length });
+    document.getElementById('tour-filter-empty').classList.toggle('hidden', matches.length > 0);
+    document.querySelectorAll('.filter-chip').forEach(chip => {
+        chip.setAttribute('aria-pressed', tourFilter[chip.dataset.filterGroup].includes(chip.dataset.filterValue));
+    });
+
+    writeTourFilterToURL();
+    animateTourGrid(before);
+}
+
+/**
+ * Clears the search and every chip, and shows all tours again.
+ */
+export function clearTourFilter() {
+    tourFilter = { query: '', categories: [], durations: [], sort: tourFilter.sort };
+    document.getElementById('tour-search').value = '';
+    applyTourFilter();
+}
+
+/**
+ * Re-renders the chips and the result count in the guest's language.
+ */
+export function localizeTourFilters() {
+    renderTourFilterChips();
+    applyTourFilter();
+}
+
+/**
+ * Wires up the filter bar and applies the filter from the URL, if any.
+ */
+export function initializeTourFilters() {
+    const filterBar = document.getElementById('tour-filters');
+    if (!filterBar) return;
+
+    tourFilter = readTourFilterFromURL(location.search);
+    const searchInput = document.getElementById('tour-search');
+    const sortSelect = document.getElementById('tour-sort');
+    searchInput.value = tourFilter.query;
+    sortSelect.value = tourFilter.sort;
+
+    searchInput.addEventListener('input', () => {
+        tourFilter.query = searchInput.value;
+        applyTourFilter();
+    });
+    sortSelect.addEventListener('change', () => {
+        tourFilter.sort = sortSelect.value;
+        applyTourFilter();
+    });
+
+    // Chips are re-rendered when the language changes, so listen on the bar.
+    filterBar.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (!chip) return;
+        const values = tourFilter[chip.dataset.filterGroup];
+        const index = values.indexOf(chip.dataset.filterValue);
+        if (index === -1) {
+            values.push(chip.dataset.filterValue);
+        } else {
+            values.splice(index, 1);
+        }
+        applyTourFilter();
+    });
+    document.getElementById('tour-filter-clear').addEventListener('click', clearTourFilter);
+
+    renderTourFilterChips();
+    applyTourFilter();
+}
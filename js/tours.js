@@ -0,0 +1,437 @@
+/**
+ * =================================================================================
+ * Tour Catalog for the Zanzibar Safari Tours Website
+ *
+ * This file is the single source of truth for every tour we sell. The tour cards
+ * in the #tours section and the options of the booking form's #tour-select are
+ * both rendered from this list at startup, so a tour only has to be added or
+ * renamed here. Tours are listed best sellers first; the "Most popular" sort of
+ * the tours grid (js/tour-filters.js) keeps this order.
+ *
+ * Each tour has:
+ * - id:          A stable, URL-safe identifier used by bookTour() and the form.
+ * - title:       The display name shown on the card and in the dropdown.
+ * - duration:    Human-readable length of the tour (e.g. "Half Day").
+ * - category:    The category label shown in the card footer.
+ * - icon:        The FontAwesome icon class shown next to the category.
+ * - images:      Photos of the tour; the first one is used on the card, and all
+ *                of them make up the tour's album in the lightbox.
+ * - description: The expandable card description.
+ * - price:       Base price per adult in USD.
+ * - capacity:    The largest group (infants included) one booking can bring.
+ * - startTime:   (Optional) Local start time as HH:MM, for tours that don't start
+ *                in the morning. See BOOKING_MEETING in js/summary.js.
+ *
+ * Titles, descriptions and categories are in English; use getTourTitle() and
+ * friends to show them in the guest's language.
+ * =================================================================================
+ */
+
+import { t, getIntlLocale } from './i18n.js';
+import { createResponsiveImageHTML, TOUR_CARD_IMAGE_SIZES } from './images.js';
+
+const TOUR_IMAGE_ROOT = 'pictures/ZANZIBAR PICS/';
+
+export const tourCatalog = [
+    {
+        id: 'prison-island',
+        title: "Prison Island",
+        duration: "Half Day",
+        category: "Adventure",
+        icon: 'fas fa-water',
+        images: [TOUR_IMAGE_ROOT + 'Prison island/prison island 2.jpg'],
+        description: "Discover Prison Island's rich history and natural beauty. Enjoy crystal-clear waters, vibrant coral reefs, and ancient Aldabra tortoises on this serene retreat, just a boat ride from Stone Town.",
+        price: 40,
+        capacity: 20
+    },
+    {
+        id: 'jozani-forest',
+        title: "Jozani Forest",
+        duration: "3 Hours",
+        category: "Nature",
+        icon: 'fas fa-leaf',
+        images: [TOUR_IMAGE_ROOT + 'jozani/jozani forest.jpg'],
+        description: "Explore Jozani Forest, Zanzibar's only national park. Encounter the rare Red Colobus monkeys in their natural habitat within this lush tropical forest.",
+        price: 35,
+        capacity: 20
+    },
+    {
+        id: 'stone-town',
+        title: "Stone Town",
+        duration: "2 Hours",
+        category: "Culture",
+        icon: 'fas fa-gopuram',
+        images: [
+            TOUR_IMAGE_ROOT + 'stone-town/stonetown (2).jpg',
+            'pictures/Things-to-do-in-Stone-Town-Zanzibar.webp'
+        ],
+        description: "Step back in time with a guided tour of Stone Town, a UNESCO World Heritage site. Wander ancient streets, vibrant markets, and admire richly carved doors.",
+        price: 25,
+        capacity: 15
+    },
+    {
+        id: 'kuza-cave',
+        title: "Kuza Cave",
+        duration: "2 Hours",
+        category: "Adventure",
+        icon: 'fas fa-mountain',
+        images: [
+            TOUR_IMAGE_ROOT + 'kuza/kuza cave.jpg',
+            TOUR_IMAGE_ROOT + 'kuza/kuza-cave-1.jpg'
+        ],
+        description: "Experience Kuza Cave in Jambiani, a hidden gem for adventurers. Swim in crystal-clear spring water and explore ancient limestone formations. A unique dive into Swahili culture.",
+        price: 40,
+        capacity: 12
+    },
+    {
+        id: 'maalum-cave',
+        title: "Maalum Cave",
+        duration: "2 Hours",
+        category: "Culture",
+        icon: 'fas fa-water',
+        images: [TOUR_IMAGE_ROOT + 'maalum/maalum cave.jpg'],
+        description: "Adventure awaits at Maalum Cave in Paje. Swim in crystal-clear turquoise freshwater within a 50-meter sink cave, offering a unique blend of nature and Swahili culture.",
+        price: 45,
+        capacity: 12
+    },
+    {
+        id: 'salaam-cave',
+        title: "Salaam Cave",
+        duration: "2 Hours",
+        category: "Marine Life",
+        icon: 'fas fa-heart',
+        images: [
+            TOUR_IMAGE_ROOT + 'salaam/welcome-so-much-let-me.jpg',
+            TOUR_IMAGE_ROOT + 'salaam/caption (3).jpg',
+            TOUR_IMAGE_ROOT + 'salaam/caption (7).jpg'
+        ],
+        description: "Swim with sea turtles in Salaam Cave's natural aquarium. Feed these beautiful creatures and capture unforgettable photos and videos of your marine encounter.",
+        price: 50,
+        capacity: 12
+    },
+    {
+        id: 'mnemba-dolphin-tour',
+        title: "Dolphin tour-Mnemba Atoll",
+        duration: "Half Day",
+        category: "Marine",
+        icon: 'fas fa-fish',
+        images: [
+            TOUR_IMAGE_ROOT + 'mnemba/mnemba dolphin tour.jpeg',
+            TOUR_IMAGE_ROOT + 'gallery/dolphin-tour-1.webp'
+        ],
+        description: "Experience the best of Mnemba Atoll with a combined dolphin tour and snorkeling adventure. Swim alongside playful dolphins and explore vibrant coral reefs teeming with diverse marine life in pristine waters.",
+        price: 65,
+        capacity: 16
+    },
+    {
+        id: 'sunset-cruise',
+        title: "Sunset Cruise",
+        duration: "2 Hours",
+        category: "Romance",
+        icon: 'fas fa-music',
+        images: [TOUR_IMAGE_ROOT + 'cruise/sunset-dhow-cruise6.jpg'],
+        description: "A relaxing and romantic cruise for all. Enjoy drinks, fruits, and Zanzibar snacks aboard, accompanied by traditional taarab music or lively African ngoma dance.",
+        price: 45,
+        capacity: 30,
+        startTime: '17:00'
+    },
+    {
+        id: 'sea-turtles-aquarium',
+        title: "Natural Sea Turtles Aquarium",
+        duration: "2 Hours",
+        category: "Wildlife",
+        icon: 'fas fa-heart',
+        images: [TOUR_IMAGE_ROOT + 'Natural sea turtles aquarium.jpg'],
+        description: "Swim with beautiful sea turtles and diverse marine life in a natural aquarium. Feed the turtles and capture memorable photos and videos of your experience.",
+        price: 35,
+        capacity: 20
+    },
+    {
+        id: 'sky-diving',
+        title: "Sky diving",
+        duration: "Half Day",
+        category: "Adventure",
+        icon: 'fas fa-parachute-box',
+        images: [TOUR_IMAGE_ROOT + 'caption (4).jpg'],
+        description: "Take your adventure to new heights in Zanzibar. Jump from 10,000 feet and experience an exhilarating freefall before gliding gently under canopy with panoramic views of the islands.",
+        price: 320,
+        capacity: 4
+    },
+    {
+        id: 'the-rock-restaurant',
+        title: "The Rock Restaurant",
+        duration: "1.5 Hours",
+        category: "Dining",
+        icon: 'fas fa-utensils',
+        images: [
+            TOUR_IMAGE_ROOT + 'the rock/the rock.jpg',
+            TOUR_IMAGE_ROOT + 'the rock/145 (1).jpg'
+        ],
+        description: "Dine uniquely at The Rock Restaurant, perched in the Indian Ocean. Savor fresh seafood like octopus, lobster, and prawns, perfect for couples, families, and friends.",
+        price: 30,
+        capacity: 20
+    },
+    {
+        id: 'mikumi-safari',
+        title: "Day-trip safari to Mikumi",
+        duration: "Full Day",
+        category: "Wildlife",
+        icon: 'fas fa-paw',
+        images: [
+            TOUR_IMAGE_ROOT + 'mikumi/2-days-mikumi-safari-zanzibar.jpg',
+            TOUR_IMAGE_ROOT + 'mikumi/138A0015.jpg',
+            TOUR_IMAGE_ROOT + 'mikumi/138A0256.jpg'
+        ],
+        description: "Embark on an authentic full-day safari to Mikumi National Park. Witness rare wildlife in their natural habitat with an experienced guide, a true Tanzanian wilderness adventure.",
+        price: 420,
+        capacity: 6
+    },
+    {
+        id: 'nakupenda-sandbank',
+        title: "Nakupenda sandbank",
+        duration: "Half Day",
+        category: "Beach",
+        icon: 'fas fa-umbrella-beach',
+        images: [TOUR_IMAGE_ROOT + 'Nakupenda beach/nakupenda sandbank.jpeg'],
+        description: "Nakupenda (meaning 'I love you') offers relaxation, swimming, and snorkeling near Stone Town. Enjoy a delicious seafood BBQ lunch on the sandbank before sailing back.",
+        price: 55,
+        capacity: 20
+    },
+    {
+        id: 'safari-blue',
+        title: "Safari blue",
+        duration: "Full Day",
+        category: "Adventure",
+        icon: 'fas fa-water',
+        images: [
+            TOUR_IMAGE_ROOT + 'safari blue/safariblue.jpg',
+            TOUR_IMAGE_ROOT + 'safari blue/safari blue (2).jpeg',
+            TOUR_IMAGE_ROOT + 'safariblue/1000847944.jpg',
+            TOUR_IMAGE_ROOT + 'safariblue/60.jpg',
+            TOUR_IMAGE_ROOT + 'safariblue/IMG_5231.jpeg'
+        ],
+        description: "Embark on an unforgettable full-day Safari Blue adventure. Snorkel vibrant coral reefs, visit secluded sandbanks, and indulge in a seafood BBQ on Kwale Island.",
+        price: 75,
+        capacity: 30
+    },
+    {
+        id: 'masingini-forest',
+        title: "Masingini forest",
+        duration: "3 Hours",
+        category: "Nature",
+        icon: 'fas fa-leaf',
+        images: [TOUR_IMAGE_ROOT + 'gallery/Masingini Forest 1.webp'],
+        description: "Explore the wild heart of Zanzibar with a guided walk through Masingini Forest. Discover rare wildlife, panoramic views, and serene trails, just minutes from town.",
+        price: 30,
+        capacity: 15
+    },
+    {
+        id: 'spice-tour',
+        title: "Spice Tour",
+        duration: "2 Hours",
+        category: "Culture",
+        icon: 'fas fa-seedling',
+        images: [TOUR_IMAGE_ROOT + 'spice/Spice-tours-in-Zanzibar.jpg'],
+        description: "Experience the rich aromas and vibrant flavors of Zanzibar on a guided Spice Tour through the island’s lush plantations. Known as the “Spice Island,” Zanzibar offers an immersive journey where you’ll see, smell, and taste a variety of spices.",
+        price: 30,
+        capacity: 20
+    },
+    {
+        id: 'swimming-with-horses',
+        title: "Swimming with horses",
+        duration: "1 Hour",
+        category: "Adventure",
+        icon: 'fas fa-horse',
+        images: [
+            TOUR_IMAGE_ROOT + 'horse riding/145 (15).jpg',
+            TOUR_IMAGE_ROOT + 'horse riding/145 (9).jpg',
+            TOUR_IMAGE_ROOT + 'horse riding/66c37eba695421d9c25010e0_Zanzibar Horse Club Meet Our Horses - Buzz 1-p-500.jpg',
+            TOUR_IMAGE_ROOT + 'horse riding/Zanzibar Horse Safaris _b Spend a beautiful aftern.jpg'
+        ],
+        description: "Swimming can be done by any level of rider including beginners, however you must be able to swim. Swimming with horses can only be done at high tide.",
+        price: 90,
+        capacity: 6
+    },
+    {
+        id: 'jet-ski',
+        title: "Jet ski",
+        duration: "30 Mins",
+        category: "Adventure",
+        icon: 'fas fa-water',
+        images: [
+            TOUR_IMAGE_ROOT + 'jet ski/145 (4).jpg',
+            TOUR_IMAGE_ROOT + 'jet ski/145 (5).jpg',
+            TOUR_IMAGE_ROOT + 'jet ski/145 (6).jpg',
+            TOUR_IMAGE_ROOT + 'jet ski/25.jpg'
+        ],
+        description: "Make unforgettable family memories with a Jet Ski adventure on Zanzibar’s sparkling blue waters. Ride across gentle waves, enjoy stunning coastline views, and share the excitement together.",
+        price: 60,
+        capacity: 8
+    }
+];
+
+/**
+ * Looks up a tour in the catalog by its id.
+ * @param {string} tourId - The id of the tour.
+ * @returns {object|undefined} The tour, or undefined if no tour has that id.
+ */
+export function getTourById(tourId) {
+    return tourCatalog.find(tour => tour.id === tourId);
+}
+
+/**
+ * Works out roughly how long a tour lasts from its duration label.
+ * @param {object} tour - The tour from the catalog.
+ * @returns {number} The length of the tour in hours.
+ */
+export function getTourHours(tour) {
+    const duration = tour.duration.toLowerCase();
+    if (duration === 'full day') return 8;
+    if (duration === 'half day') return 4;
+    const amount = parseFloat(duration);
+    return duration.includes('min') ? amount / 60 : amount;
+}
+
+// ---------------------------------------------------------------------------------
+// TRANSLATED TOUR TEXT
+// ---------------------------------------------------------------------------------
+// The catalog above is in English. Other languages translate a tour's text as
+// 'tour.<id>.title' and 'tour.<id>.description' (see js/locales/).
+
+/**
+ * Gets a tour's title in the guest's language.
+ * @param {object} tour - The tour from the catalog.
+ * @returns {string} The title.
+ */
+export function getTourTitle(tour) {
+    // Node scripts load this file without js/i18n.js.
+    return t(`tour.${tour.id}.title`, {}, tour.title);
+}
+
+/**
+ * Gets a tour's description in the guest's language.
+ * @param {object} tour - The tour from the catalog.
+ * @returns {string} The description.
+ */
+export function getTourDescription(tour) {
+    return t(`tour.${tour.id}.description`, {}, tour.description);
+}
+
+/**
+ * Turns a category label into the slug used in translation keys and filter URLs.
+ * @param {string} category - The category, e.g. "Marine Life".
+ * @returns {string} The slug, e.g. "marine-life".
+ */
+export function getCategorySlug(category) {
+    return category.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Gets a tour's category label in the guest's language.
+ * @param {object} tour - The tour from the catalog.
+ * @returns {string} The category, e.g. "Avventura".
+ */
+export function getTourCategory(tour) {
+    return t(`category.${getCategorySlug(tour.category)}`, {}, tour.category);
+}
+
+/**
+ * Gets a tour's duration label in the guest's language.
+ * @param {object} tour - The tour from the catalog.
+ * @returns {string} The duration, e.g. "Mezza giornata" or "1,5 ore".
+ */
+function formatTourDuration(tour) {
+    const duration = tour.duration.toLowerCase();
+    if (duration === 'full day') return t('duration.fullDay');
+    if (duration === 'half day') return t('duration.halfDay');
+
+    const hours = getTourHours(tour);
+    if (hours < 1) return t('duration.minutes', { count: Math.round(hours * 60) });
+    if (hours === 1) return t('duration.oneHour');
+    return t('duration.hours', { count: hours.toLocaleString(getIntlLocale()) });
+}
+
+// ---------------------------------------------------------------------------------
+// RENDERING
+// ---------------------------------------------------------------------------------
+
+/**
+ * Creates the HTML string for a single tour card.
+ * @param {object} tour - The tour data object.
+ * @param {number} index - The position of the card in the grid, used to stagger its animation.
+ * @returns {string} The HTML content for the card.
+ */
+function createTourCardHTML(tour, index) {
+    // Stagger the cards in runs of seven (no delay, then delay-1 ... delay-6).
+    const delayClass = index % 7 === 0 ? '' : ` delay-${index % 7}`;
+    return `
+        <div class="tour-card bg-white overflow-hidden shadow-lg animated-item scroll-animate-up${delayClass}" data-tour-id="${tour.id}">
+            <div class="image-container relative h-64 overflow-hidden">
+                <button type="button" class="tour-card-photos block w-full h-full cursor-zoom-in" aria-label="${t('tours.viewPhotos', { tour: getTourTitle(tour) })}">
+                    ${createResponsiveImageHTML(tour.images[0], { alt: getTourTitle(tour), className: 'tour-card-img w-full h-full object-cover', sizes: TOUR_CARD_IMAGE_SIZES })}
+                </button>
+                ${tour.images.length > 1 ? `<span class="absolute bottom-3 right-3 bg-black/60 text-white text-xs font-semibold px-2 py-1 rounded-full pointer-events-none"><i class="fas fa-images mr-1"></i>${tour.images.length}</span>` : ''}
+            </div>
+            <div class="tour-card-content">
+                <div class="tour-card-body">
+                    <h3 class="tour-card-title text-xl font-serif font-bold mb-3 text-gray-800">${getTourTitle(tour)}</h3>
+                    <!-- Average guest rating, filled in by renderTourRatings() in js/reviews.js -->
+                    <p class="tour-card-rating hidden flex items-center gap-1 text-sm -mt-2 mb-3"></p>
+                    <div class="description-wrapper">
+                        <p class="tour-card-description text-gray-600 text-sm">${getTourDescription(tour)}</p>
+                    </div>
+                </div>
+                <div class="tour-card-footer">
+                    <div class="flex items-center justify-between text-sm text-gray-500 mb-3 border-t border-b border-gray-100 py-4">
+                        <span class="flex items-center gap-2"><i class="far fa-clock text-brand-DEFAULT"></i> <span class="tour-card-duration">${formatTourDuration(tour)}</span></span>
+                        <span class="flex items-center gap-2"><i class="${tour.icon} text-brand-DEFAULT"></i> <span class="tour-card-category">${getTourCategory(tour)}</span></span>
+                    </div>
+
+                    <button type="button" class="tour-card-btn w-full bg-brand-light/20 border border-brand-light text-brand-DEFAULT px-4 py-2 rounded-lg text-sm font-semibold" data-i18n="tours.bookNow">${t('tours.bookNow')}</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the tour cards into the #tours grid and adds one option per tour to
+ * the booking form's #tour-select, after its "Select a tour" placeholder.
+ */
+export function renderTourCatalog() {
+    const tourGrid = document.getElementById('tour-grid');
+    if (tourGrid) {
+        tourGrid.innerHTML = tourCatalog.map(createTourCardHTML).join('');
+    }
+
+    const tourSelect = document.getElementById('tour-select');
+    if (tourSelect) {
+        tourCatalog.forEach(tour => {
+            tourSelect.add(new Option(getTourTitle(tour), tour.id));
+        });
+    }
+}
+
+/**
+ * Re-translates the rendered tour cards and #tour-select options in place, so
+ * the cards keep their listeners and animation state.
+ */
+export function localizeTourCatalog() {
+    document.querySelectorAll('.tour-card[data-tour-id]').forEach(card => {
+        const tour = getTourById(card.dataset.tourId);
+        card.querySelector('.tour-card-img').alt = getTourTitle(tour);
+        card.querySelector('.tour-card-photos').setAttribute('aria-label', t('tours.viewPhotos', { tour: getTourTitle(tour) }));
+        card.querySelector('.tour-card-title').textContent = getTourTitle(tour);
+        card.querySelector('.tour-card-description').textContent = getTourDescription(tour);
+        card.querySelector('.tour-card-duration').textContent = formatTourDuration(tour);
+        card.querySelector('.tour-card-category').textContent = getTourCategory(tour);
+    });
+
+    const tourSelect = document.getElementById('tour-select');
+    if (tourSelect) {
+        Array.from(tourSelect.options).forEach(option => {
+            const tour = getTourById(option.value);
+            if (tour) option.text = getTourTitle(tour);
+        });
+    }
+}
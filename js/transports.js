@@ -0,0 +1,267 @@
+/**
+ * =================================================================================
+ * Booking Delivery Transports
+ *
+ * A transport delivers a booking request to our team. Every transport has the
+ * same shape:
+ *
+ *     { name: string, accepts(kind) => boolean, send(booking) => Promise }
+ *
+ * where `booking` is the object built by the booking form (the EmailJS template
+ * params). `send` resolves with { status, text, body } once the booking has been
+ * handed over, where `body` is what our own endpoints reply (the booking server
+ * answers with the booking's manage-link token), and rejects if it could not be
+ * delivered. An error from the other end carries its HTTP
+ * `status`; one without (the network failed) or with a 5xx status is worth
+ * trying again, so the form puts that booking in the outbox (js/outbox.js).
+ *
+ * Guest reviews (js/reviews.js) and guests' changes to a booking they have
+ * already sent (js/manage-booking.js) travel the same way. They are marked with
+ * `kind: 'review'` or `kind: 'amendment'`, and each transport sends them to
+ * their own EmailJS template, endpoint or message. `accepts(kind)` tells whether
+ * that template or endpoint is set up; the forms for a kind the configured
+ * transport does not accept stay hidden, as nothing could deliver what they send.
+ *
+ * The file also runs in the service worker (sw.js), which delivers the outbox
+ * with Background Sync, so transports must not need the DOM to send.
+ *
+ * Available transports:
+ * - emailjs:   Sends the booking email through EmailJS (the default).
+ * - http:      POSTs the booking as JSON to our own endpoint.
+ * - dashboard: POSTs the booking to the staff dashboard (server/booking-server.js).
+ * - whatsapp:  Opens WhatsApp with the booking pre-written as a message. Needs a
+ *              click from the guest, so it is offered as a fallback, never queued.
+ *
+ * Bookings and amendments are also copied to the transports in `copyTo`, so
+ * they reach the staff dashboard as well as our inbox. Reviews are not copied.
+ * =================================================================================
+ */
+
+import { formatPrice } from './pricing.js';
+
+export const BOOKING_CONFIG = {
+    // The transport used by the booking form.
+    transport: 'emailjs',
+
+    // Transports that get a copy of every booking. A copy that can't be
+    // delivered waits in the outbox, like any booking. Add 'dashboard' only where
+    // the site is served by server/booking-server.js: on a static host such as
+    // GitHub Pages there is no /api/bookings, and every copy, with the guest's
+    // details, would wait in the outbox for good.
+    copyTo: [],
+
+    emailjs: {
+        publicKey: 'W6L8a7K1YPECas8Di',
+        serviceId: 'service_efkpn27',
+        templateId: 'template_dp29oea',
+        // Create these templates in the EmailJS dashboard before switching reviews
+        // and booking changes on. The review form stays hidden until
+        // reviewTemplateId is set, and "Manage my booking" until
+        // amendmentTemplateId is.
+        reviewTemplateId: '',
+        amendmentTemplateId: ''
+    },
+
+    // Point these at tools/mock-booking-server.js when testing locally.
+    http: {
+        endpoint: '/api/bookings',
+        reviewEndpoint: '/api/reviews',
+        amendmentEndpoint: '/api/amendments'
+    },
+
+    // The booking server, which serves the website too (see server/booking-server.js).
+    dashboard: {
+        endpoint: '/api/bookings',
+        amendmentEndpoint: '/api/amendments',
+        // Where the "Manage my booking" view looks bookings up.
+        lookupEndpoint: '/api/bookings/lookup'
+    },
+
+    whatsapp: {
+        phone: '255786639283'
+    }
+};
+
+// The EmailJS REST API, for when the EmailJS SDK is not loaded.
+const EMAILJS_API_URL = 'https://api.emailjs.com/api/v1.0/email/send';
+
+/**
+ * Creates the error a transport rejects with when the other end refused the
+ * booking, like the EmailJS SDK's errors.
+ * @param {string} message - What went wrong.
+ * @param {number} status - The HTTP status of the response.
+ * @returns {Error} The error, with its `status`.
+ */
+export function createDeliveryError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Creates a transport that sends bookings through EmailJS.
+ * @param {object} options - The EmailJS public key, service id, and the template ids for bookings, reviews and amendments.
+ * @returns {object} The transport.
+ */
+export function createEmailJSTransport({ publicKey, serviceId, templateId, reviewTemplateId, amendmentTemplateId }) {
+    const templates = { review: reviewTemplateId, amendment: amendmentTemplateId };
+    return {
+        name: 'emailjs',
+        accepts(kind) {
+            return !(kind in templates) || Boolean(templates[kind]);
+        },
+        send(booking) {
+            const template = templates[booking.kind] || templateId;
+            // An amendment's manage-link token opens the booking for anyone who has
+            // it. Our team's amendment email has no use for it, so it is left out.
+            // The guest's confirmation email still carries it, in their manage link
+            // (server/confirmation-email.js), which goes through EmailJS too.
+            const { token, ...params } = booking;
+            if (typeof emailjs !== 'undefined') {
+                return emailjs.send(serviceId, template, params);
+            }
+
+            // The SDK comes from a CDN: it is missing when the CDN could not be
+            // reached, and always in the service worker. The REST API does the same job.
+            return fetch(EMAILJS_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ service_id: serviceId, template_id: template, user_id: publicKey, template_params: params })
+            }).then(response => {
+                if (!response.ok) throw createDeliveryError(`EmailJS replied with HTTP ${response.status}.`, response.status);
+                return { status: response.status, text: response.statusText };
+            });
+        }
+    };
+}
+
+/**
+ * Creates a transport that POSTs bookings as JSON to an HTTP endpoint.
+ * Any non-2xx response counts as a failed delivery. The JSON the endpoint
+ * replies with is passed on as the response's `body` (null if it sent none).
+ * @param {string} name - The transport's name.
+ * @param {object} options - The endpoints to post bookings, reviews and amendments to.
+ * @returns {object} The transport.
+ */
+export function createHttpTransport(name, { endpoint, reviewEndpoint, amendmentEndpoint }) {
+    const endpoints = { review: reviewEndpoint, amendment: amendmentEndpoint };
+    return {
+        name,
+        accepts(kind) {
+            return !(kind in endpoints) || Boolean(endpoints[kind]);
+        },
+        send(booking) {
+            return fetch(endpoints[booking.kind] || endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(booking)
+            }).then(response => {
+                if (!response.ok) throw createDeliveryError(`Booking endpoint replied with HTTP ${response.status}.`, response.status);
+                // Same shape as the EmailJS response, so callers can treat both alike.
+                return response.json()
+                    .catch(() => null)
+                    .then(body => ({ status: response.status, text: response.statusText, body }));
+            });
+        }
+    };
+}
+
+/**
+ * Writes a booking out as a plain-text WhatsApp message.
+ * @param {object} booking - The booking to describe.
+ * @returns {string} The message text.
+ */
+function formatBookingMessage(booking) {
+    return [
+        `Hi! I'd like to book the following tours:`,
+        booking.itinerary_text,
+        `Estimated total: ${formatPrice(booking.quote.total, 'en-US')}`,
+        '',
+        `Name: ${booking.name}`,
+        `Email: ${booking.email}`,
+        `Phone: ${booking.phone}`,
+        `Special requests: ${booking.requests}`
+    ].join('\n');
+}
+
+/**
+ * Writes a guest review out as a plain-text WhatsApp message.
+ * @param {object} review - The review to describe.
+ * @returns {string} The message text.
+ */
+function formatReviewMessage(review) {
+    return [
+        `Hi! I'd like to leave a review${review.tour_id ? ` of the ${review.tour}` : ''}:`,
+        `${'*'.repeat(review.rating)} (${review.rating}/5)`,
+        review.text,
+        '',
+        `Name: ${review.name}`,
+        `Email: ${review.email}`
+    ].join('\n');
+}
+
+/**
+ * Writes a guest's change to their booking out as a plain-text WhatsApp message.
+ * @param {object} amendment - The amendment to describe.
+ * @returns {string} The message text.
+ */
+function formatAmendmentMessage(amendment) {
+    const request = amendment.action === 'cancel'
+        ? [`Hi! Please cancel my booking ${amendment.reference}:`, amendment.previous_itinerary_text]
+        : [`Hi! I'd like to change my booking ${amendment.reference} to:`, amendment.itinerary_text,
+            `Estimated total: ${formatPrice(amendment.quote.total, 'en-US')}`];
+    return [
+        ...request,
+        '',
+        `Name: ${amendment.name}`,
+        `Email: ${amendment.email}`
+    ].join('\n');
+}
+
+/**
+ * Creates a transport that hands the booking over to WhatsApp. It opens a chat
+ * with our number and the booking pre-written; the guest presses send.
+ * @param {object} options - Our WhatsApp number in international format, without "+".
+ * @returns {object} The transport.
+ */
+function createWhatsAppTransport({ phone }) {
+    return {
+        name: 'whatsapp',
+        accepts() {
+            return true;
+        },
+        send(booking) {
+            const formatters = { review: formatReviewMessage, amendment: formatAmendmentMessage };
+            const message = (formatters[booking.kind] || formatBookingMessage)(booking);
+            const url = `https://wa.me/${phone}?text=${encodeURIComponent(message)}`;
+            window.open(url, '_blank', 'noopener');
+            return Promise.resolve({ status: 200, text: 'Opened WhatsApp' });
+        }
+    };
+}
+
+// One instance of every transport, keyed by name.
+export const bookingTransports = {
+    emailjs: createEmailJSTransport(BOOKING_CONFIG.emailjs),
+    http: createHttpTransport('http', BOOKING_CONFIG.http),
+    dashboard: createHttpTransport('dashboard', BOOKING_CONFIG.dashboard),
+    whatsapp: createWhatsAppTransport(BOOKING_CONFIG.whatsapp)
+};
+
+/**
+ * Looks up a transport by name.
+ * @param {string} [name] - The transport name. Defaults to the configured transport.
+ * @returns {object} The transport.
+ */
+export function getBookingTransport(name = BOOKING_CONFIG.transport) {
+    return bookingTransports[name];
+}
+
+/**
+ * Tells whether the configured transport can deliver a kind of request.
+ * @param {string} kind - 'booking', 'review' or 'amendment'.
+ * @returns {boolean} False if its EmailJS template or endpoint is not set up.
+ */
+export function canDeliverBookingKind(kind) {
+    return getBookingTransport().accepts(kind);
+}
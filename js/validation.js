@@ -0,0 +1,299 @@
+/**
+ * =================================================================================
+ * Booking Validation Rules
+ *
+ * The rules every booking request must pass. They check the booking object sent
+ * by the form (the same object the transports deliver), not the DOM, so any
+ * server-side receiver can load this file and give the same verdicts:
+ *
+ *     const { validateBooking } = require('./js/validation.js');
+ *     const errors = validateBooking(booking);   // {} when the booking is valid
+ *
+ * Errors are keyed by field: 'name', 'email', 'phone', 'requests', 'itinerary',
+ * and 'itinerary.<line>.<field>' for a field of one itinerary line
+ * (e.g. 'itinerary.0.date').
+ *
+ * Guest reviews have their own rules, validateReview(), with errors keyed by
+ * 'name', 'email', 'tour', 'rating' and 'text'.
+ *
+ * Changes to a booking the guest has already sent ("amendments", see
+ * js/manage-booking.js) are checked with validateAmendment(). Its errors are
+ * keyed by 'booking' (the booking can no longer be changed online), 'action',
+ * 'itinerary' and 'itinerary.<line>.<field>'.
+ *
+ * Messages are in English; in the browser they are translated into the guest's
+ * language when the catalog has them ('validation.<key>', see js/i18n.js).
+ * =================================================================================
+ */
+
+import { tourCatalog, getTourTitle } from './tours.js';
+import { t } from './i18n.js';
+
+export const VALIDATION_LIMITS = {
+    nameMaxLength: 100,
+    requestsMaxLength: 500,
+    reviewMinLength: 20,
+    reviewMaxLength: 1000,
+    bookingWindowDays: 365,  // How far ahead a tour can be booked.
+    amendmentCutoffDays: 2   // Guests can change or cancel online until this many days before their first tour.
+};
+
+// Bookings in these states can no longer be changed or cancelled online.
+const CLOSED_BOOKING_STATUSES = ['declined', 'completed', 'cancelled'];
+
+// English messages, with {placeholders}.
+export const VALIDATION_MESSAGES = {
+    itineraryEmpty: 'Please add at least one tour to your itinerary.',
+    tourUnknown: 'Please choose a tour from our list.',
+    dateRequired: 'Please choose a date.',
+    datePast: 'This date is in the past.',
+    dateTooFar: 'Tours can be booked up to {days} days ahead.',
+    adultsRequired: 'At least one adult must join the tour.',
+    guestsWhole: 'Guest numbers must be whole numbers.',
+    overCapacity: '{tour} takes at most {capacity} guests per booking.',
+    nameRequired: 'Please enter your full name.',
+    nameTooLong: 'Please keep your name under {max} characters.',
+    emailInvalid: 'Please enter a valid email address, like name@example.com.',
+    phoneInvalid: 'Please enter your number in international format, starting with + and your country code (e.g. +255 712 345 678).',
+    requestsTooLong: 'Please keep special requests under {max} characters.',
+    ratingRequired: 'Please choose a rating from 1 to 5 stars.',
+    reviewTooShort: 'Please tell us a little more: at least {min} characters.',
+    reviewTooLong: 'Please keep your review under {max} characters.',
+    amendmentTooLate: 'Bookings can only be changed or cancelled online until {days} days before the first tour. Please contact us on WhatsApp instead.',
+    bookingClosed: 'This booking can no longer be changed online.',
+    amendmentUnknown: 'Please choose to change or to cancel the booking.',
+    amendmentTooSoon: 'Online changes need {days} days\' notice. Please contact us on WhatsApp for an earlier date.',
+    amendmentTourChanged: 'Tours cannot be added, removed or swapped online. Please contact us on WhatsApp instead.',
+    amendmentNoChange: 'Please change a date or the number of guests first.'
+};
+
+// A simple but strict email check: one "@", no spaces, and a dotted domain
+// ending in a letters-only top-level domain of two or more characters.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i;
+
+// E.164: a "+", a country code that does not start with 0, and up to 15 digits.
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Gets a validation message, in the guest's language when running in the browser.
+ * @param {string} key - The key in VALIDATION_MESSAGES.
+ * @param {object} [params={}] - Values for the message's placeholders.
+ * @returns {string} The message.
+ */
+export function getValidationMessage(key, params = {}) {
+    const message = VALIDATION_MESSAGES[key].replace(/\{(\w+)\}/g, (match, name) => params[name]);
+    return t(`validation.${key}`, params, message);
+}
+
+/**
+ * Strips the spaces, dashes, dots and brackets people type into phone numbers.
+ * @param {string} phone - The phone number as typed.
+ * @returns {string} The bare number, e.g. "+255712345678".
+ */
+export function normalizePhone(phone) {
+    return String(phone || '').replace(/[\s\-.()]/g, '');
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date.
+ * @param {string} date - The start date.
+ * @param {number} days - The number of days to add.
+ * @returns {string} The resulting date as YYYY-MM-DD.
+ */
+export function addDaysToDate(date, days) {
+    const result = new Date(date + 'T00:00:00Z');
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Gets today's local date as YYYY-MM-DD.
+ * @returns {string} Today's date.
+ */
+function getTodayDate() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Validates one itinerary line.
+ * @param {object} line - The line ({ tour_id, date, adults, children, infants }).
+ * @param {string} today - Today's date as YYYY-MM-DD.
+ * @returns {object} Error messages keyed by the line's field names.
+ */
+function validateItineraryLine(line, today) {
+    const errors = {};
+    const tour = tourCatalog.find(entry => entry.id === line.tour_id);
+    if (!tour) {
+        errors.tour = getValidationMessage('tourUnknown');
+        return errors;
+    }
+
+    const lastDate = addDaysToDate(today, VALIDATION_LIMITS.bookingWindowDays);
+    if (!line.date || !/^\d{4}-\d{2}-\d{2}$/.test(line.date)) {
+        errors.date = getValidationMessage('dateRequired');
+    } else if (line.date < today) {
+        errors.date = getValidationMessage('datePast');
+    } else if (line.date > lastDate) {
+        errors.date = getValidationMessage('dateTooFar', { days: VALIDATION_LIMITS.bookingWindowDays });
+    }
+
+    const isCount = (value, min) => Number.isInteger(value) && value >= min;
+    if (!isCount(line.adults, 1)) {
+        errors.adults = getValidationMessage('adultsRequired');
+    } else if (!isCount(line.children, 0) || !isCount(line.infants, 0)) {
+        errors.adults = getValidationMessage('guestsWhole');
+    } else if (line.adults + line.children + line.infants > tour.capacity) {
+        errors.adults = getValidationMessage('overCapacity', { tour: getTourTitle(tour), capacity: tour.capacity });
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a whole booking request.
+ * @param {object} booking - The booking ({ itinerary, name, email, phone, requests }).
+ * @param {string} [today] - Today's date as YYYY-MM-DD. Defaults to the local date.
+ * @returns {object} Error messages keyed by field; empty when the booking is valid.
+ */
+export function validateBooking(booking, today = getTodayDate()) {
+    const errors = {};
+
+    const itinerary = Array.isArray(booking.itinerary) ? booking.itinerary : [];
+    if (itinerary.length === 0) {
+        errors.itinerary = getValidationMessage('itineraryEmpty');
+    }
+    itinerary.forEach((line, index) => {
+        const lineErrors = validateItineraryLine(line, today);
+        Object.keys(lineErrors).forEach(field => {
+            errors[`itinerary.${index}.${field}`] = lineErrors[field];
+        });
+    });
+
+    const name = String(booking.name || '').trim();
+    if (name.length < 2) {
+        errors.name = getValidationMessage('nameRequired');
+    } else if (name.length > VALIDATION_LIMITS.nameMaxLength) {
+        errors.name = getValidationMessage('nameTooLong', { max: VALIDATION_LIMITS.nameMaxLength });
+    }
+
+    if (!EMAIL_PATTERN.test(String(booking.email || '').trim())) {
+        errors.email = getValidationMessage('emailInvalid');
+    }
+
+    if (!E164_PATTERN.test(normalizePhone(booking.phone))) {
+        errors.phone = getValidationMessage('phoneInvalid');
+    }
+
+    if (String(booking.requests || '').length > VALIDATION_LIMITS.requestsMaxLength) {
+        errors.requests = getValidationMessage('requestsTooLong', { max: VALIDATION_LIMITS.requestsMaxLength });
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a guest review.
+ * @param {object} review - The review ({ tour_id, name, email, rating, text }).
+ *     An empty tour_id means the review is about us in general, not one tour.
+ * @returns {object} Error messages keyed by field; empty when the review is valid.
+ */
+export function validateReview(review) {
+    const errors = {};
+
+    if (review.tour_id && !tourCatalog.some(tour => tour.id === review.tour_id)) {
+        errors.tour = getValidationMessage('tourUnknown');
+    }
+
+    if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > 5) {
+        errors.rating = getValidationMessage('ratingRequired');
+    }
+
+    const text = String(review.text || '').trim();
+    if (text.length < VALIDATION_LIMITS.reviewMinLength) {
+        errors.text = getValidationMessage('reviewTooShort', { min: VALIDATION_LIMITS.reviewMinLength });
+    } else if (text.length > VALIDATION_LIMITS.reviewMaxLength) {
+        errors.text = getValidationMessage('reviewTooLong', { max: VALIDATION_LIMITS.reviewMaxLength });
+    }
+
+    const name = String(review.name || '').trim();
+    if (name.length < 2) {
+        errors.name = getValidationMessage('nameRequired');
+    } else if (name.length > VALIDATION_LIMITS.nameMaxLength) {
+        errors.name = getValidationMessage('nameTooLong', { max: VALIDATION_LIMITS.nameMaxLength });
+    }
+
+    if (!EMAIL_PATTERN.test(String(review.email || '').trim())) {
+        errors.email = getValidationMessage('emailInvalid');
+    }
+
+    return errors;
+}
+
+/**
+ * Gets the last day a booking can be changed or cancelled online.
+ * @param {object} booking - The booking, with its itinerary.
+ * @returns {string} The date as YYYY-MM-DD, or '' if the booking has no dated tours.
+ */
+export function getAmendmentDeadline(booking) {
+    const dates = (booking.itinerary || []).map(line => line.date).filter(Boolean).sort();
+    return dates.length ? addDaysToDate(dates[0], -VALIDATION_LIMITS.amendmentCutoffDays) : '';
+}
+
+/**
+ * Validates a guest's change to a booking they have already sent: the booking
+ * must still be open and inside the policy window, and a changed itinerary must
+ * keep the same tours and pass the booking rules.
+ * @param {object} amendment - The amendment ({ action: 'change' | 'cancel', itinerary }).
+ * @param {object} booking - The booking as it stands, with its status.
+ * @param {string} [today] - Today's date as YYYY-MM-DD. Defaults to the local date.
+ * @returns {object} Error messages keyed by field; empty when the amendment is valid.
+ */
+export function validateAmendment(amendment, booking, today = getTodayDate()) {
+    const errors = {};
+
+    if (CLOSED_BOOKING_STATUSES.includes(booking.status)) {
+        errors.booking = getValidationMessage('bookingClosed');
+        return errors;
+    }
+    const deadline = getAmendmentDeadline(booking);
+    if (deadline && today > deadline) {
+        errors.booking = getValidationMessage('amendmentTooLate', { days: VALIDATION_LIMITS.amendmentCutoffDays });
+        return errors;
+    }
+
+    if (amendment.action === 'cancel') return errors;
+    if (amendment.action !== 'change') {
+        errors.action = getValidationMessage('amendmentUnknown');
+        return errors;
+    }
+
+    const before = booking.itinerary || [];
+    const after = Array.isArray(amendment.itinerary) ? amendment.itinerary : [];
+    if (after.length !== before.length || after.some((line, index) => line.tour_id !== before[index].tour_id)) {
+        errors.itinerary = getValidationMessage('amendmentTourChanged');
+        return errors;
+    }
+
+    // A tour can't be moved inside the window in which it could no longer be changed.
+    const firstOpenDate = addDaysToDate(today, VALIDATION_LIMITS.amendmentCutoffDays);
+    after.forEach((line, index) => {
+        const lineErrors = validateItineraryLine(line, today);
+        if (!lineErrors.date && line.date !== before[index].date && line.date < firstOpenDate) {
+            lineErrors.date = getValidationMessage('amendmentTooSoon', { days: VALIDATION_LIMITS.amendmentCutoffDays });
+        }
+        Object.keys(lineErrors).forEach(field => {
+            errors[`itinerary.${index}.${field}`] = lineErrors[field];
+        });
+    });
+
+    const isSame = (line, index) => ['date', 'adults', 'children', 'infants']
+        .every(field => line[field] === before[index][field]);
+    if (Object.keys(errors).length === 0 && after.every(isSame)) {
+        errors.itinerary = getValidationMessage('amendmentNoChange');
+    }
+
+    return errors;
+}
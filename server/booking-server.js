@@ -0,0 +1,881 @@
+/**
+ * =================================================================================
+ * Booking Server
+ *
+ * Receives the website's booking requests and gives our team a dashboard to
+ * handle them, at /admin. It also serves the website itself, so the booking
+ * form's "dashboard" transport (js/transports.js) can post to /api/bookings.
+ * Add 'dashboard' to BOOKING_CONFIG.copyTo in the copy of the site it serves,
+ * 'collector' to ANALYTICS_CONFIG.sinks, and set SPAM_GUARD_CONFIG.reportEndpoint
+ * to '/api/spam-reports'.
+ *
+ * Usage:
+ *     ADMIN_USERS="amina:secret,juma:secret2" node server/booking-server.js [--port 8080] [--data server/data/bookings.json] [--events server/data/events.jsonl]
+ *
+ * ADMIN_USERS lists the staff who can sign in to /admin, as name:password pairs.
+ * The name is recorded in the audit trail of every change they make. Put the
+ * server behind HTTPS: the dashboard uses HTTP Basic authentication.
+ *
+ * Set MANAGE_LINK_SECRET and SITE_URL too, for the links guests use to manage
+ * their bookings (see server/manage-links.js).
+ *
+ * PROOF_OF_WORK_BITS makes POST /api/bookings require the proof of work the
+ * booking form solves (see js/spam-guard.js). Set it to the form's
+ * SPAM_GUARD_CONFIG.proofOfWork.difficulty, or leave it unset to accept
+ * bookings without one. Rejected bookings are logged with the reason.
+ *
+ * Looking bookings up and sending analytics events are rate-limited by the
+ * client's address (RATE_LIMITS). Behind a reverse proxy, set TRUST_PROXY=1 so
+ * the address is read from the X-Forwarded-For header the proxy adds.
+ *
+ * Bookings are kept in the --data file (see server/booking-store.js). Confirming
+ * a booking emails the guest (see server/confirmation-email.js), with a link to
+ * manage it themselves (see server/manage-links.js).
+ *
+ * Endpoints:
+ * - POST  /api/bookings                 Stores a booking as pending. Replies 201 with
+ *                                       { id, receivedAt, reference, token }, 422
+ *                                       with { errors } if it fails the rules in
+ *                                       js/validation.js, 400 if it is not shaped
+ *                                       like a booking, or 403 if its proof of
+ *                                       work is missing or wrong. A booking whose reference
+ *                                       is already stored (e.g. sent again from the
+ *                                       outbox) is not stored twice.
+ * - POST  /api/bookings/lookup          Finds a booking for the "Manage my booking"
+ *                                       view from { reference, email } or
+ *                                       { reference, token }. Replies with
+ *                                       { booking, token }, 404, or 429 if the
+ *                                       address has tried too many times.
+ * - POST  /api/amendments               Changes the dates or guests of a booking, or
+ *                                       cancels it, for the guest ({ action, reference,
+ *                                       token, itinerary }). Replies with { booking },
+ *                                       403 if the token is wrong, 422 with { errors }
+ *                                       if the change is not allowed, or 400 if it
+ *                                       is not shaped like one.
+ * - POST  /api/spam-reports             Logs a booking the form's spam guard stopped
+ *                                       (js/spam-guard.js), as { reason, elapsed }.
+ *                                       Replies 202, or 400 if the reason is unknown.
+ * - POST  /api/events                   Collects the website's analytics events
+ *                                       (js/analytics.js) as { events }. Appends them
+ *                                       to the --events file, one JSON object per
+ *                                       line, and replies 202 with { received }, 413
+ *                                       if the batch is too large, 429 if the
+ *                                       address sends too often, or 507 once
+ *                                       the file has reached MAX_EVENTS_FILE_BYTES
+ *                                       (rotate it to collect more).
+ * Staff only:
+ * - GET   /admin                        The dashboard (admin/index.html).
+ * - GET   /api/admin/bookings           Lists the bookings, newest first, as
+ *                                       { bookings, statuses }. Takes the filters
+ *                                       below as query parameters.
+ * - GET   /api/admin/bookings.csv       The same list as a CSV file.
+ * - PATCH /api/admin/bookings/<id>      Changes a booking's status, guide or vehicle
+ *                                       ({ status, guide, vehicle }). Replies with
+ *                                       { booking }, plus { emailError } if the
+ *                                       confirmation email could not be sent.
+ *
+ * Filters: status, tour (a tour id), from and to (YYYY-MM-DD, any tour of the
+ * booking on or between them) and q (searches references, names, contact
+ * details, tours, requests, guides and vehicles).
+ * =================================================================================
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validateBooking, validateAmendment } = require('../js/validation.js');
+const { verifyProofOfWork } = require('../js/spam-guard.js');
+const { createBookingStore, BOOKING_STATUSES } = require('./booking-store.js');
+const { sendConfirmationEmail } = require('./confirmation-email.js');
+const { createManageToken, verifyManageToken } = require('./manage-links.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// The parts of the repository anyone may see: the website's own files. The
+// GitHub Pages workflow (.github/workflows/static.yml) publishes the same list.
+const PUBLIC_PATHS = ['index.html', 'style.css', 'script.js', 'sw.js', 'manifest.webmanifest', 'js', 'data', 'pictures'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// Longest guide or vehicle name our team can type.
+const ASSIGNMENT_MAX_LENGTH = 100;
+
+// The largest request body accepted, in bytes.
+const MAX_BODY_BYTES = 100 * 1024;
+
+// The reasons the booking form's spam guard stops a booking (js/spam-guard.js).
+const SPAM_REJECTION_REASONS = ['honeypot', 'too-fast', 'rate-limited', 'duplicate'];
+
+// Most analytics events accepted in one request, and the largest such request
+// in bytes: the website sends batches of 20 (ANALYTICS_CONFIG in js/analytics.js).
+const MAX_EVENTS_PER_REQUEST = 50;
+const MAX_EVENTS_BODY_BYTES = 32 * 1024;
+
+// The size the events file may grow to, in bytes. Events sent once it is full are dropped.
+const MAX_EVENTS_FILE_BYTES = 50 * 1024 * 1024;
+
+// How many requests one address may send per window. Lookups are kept low so
+// references and emails can't be guessed; events allow for a few open tabs.
+const RATE_LIMITS = {
+    lookup: { limit: 10, windowMs: 60 * 1000 },
+    events: { limit: 60, windowMs: 60 * 1000 }
+};
+
+// What an analytics event's name and string properties may look like, as in js/analytics.js.
+const EVENT_NAME_PATTERN = /^[a-z_]{1,40}$/;
+const EVENT_VALUE_PATTERN = /^[\w.,-]{1,100}$/;
+
+/**
+ * Reads a command-line option such as `--port 8080`.
+ * @param {string} name - The option name, without the dashes.
+ * @param {string} fallback - The value to use when the option is missing.
+ * @returns {string} The option value.
+ */
+function getOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+}
+
+/**
+ * Opens the booking store, or stops the server if its file cannot be read.
+ * @param {string} file - The path of the bookings file.
+ * @returns {object} The store (see server/booking-store.js).
+ */
+function openBookingStore(file) {
+    try {
+        return createBookingStore(file);
+    } catch (error) {
+        console.log(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Reads the staff accounts from a "name:password,name:password" list.
+ * @param {string} value - The list.
+ * @returns {Map<string, string>} The passwords, by name.
+ */
+function parseStaffUsers(value) {
+    return new Map((value || '').split(',')
+        .map(pair => pair.trim())
+        .filter(pair => pair.includes(':'))
+        .map(pair => [pair.slice(0, pair.indexOf(':')), pair.slice(pair.indexOf(':') + 1)]));
+}
+
+const port = parseInt(getOption('port', '8080'));
+const store = openBookingStore(path.resolve(getOption('data', path.join(__dirname, 'data', 'bookings.json'))));
+const eventsFile = path.resolve(getOption('events', path.join(__dirname, 'data', 'events.jsonl')));
+const staffUsers = parseStaffUsers(process.env.ADMIN_USERS);
+const proofOfWorkBits = parseInt(process.env.PROOF_OF_WORK_BITS) || 0;
+const trustProxy = process.env.TRUST_PROXY === '1';
+const lookupRateLimit = createRateLimit(RATE_LIMITS.lookup);
+const eventsRateLimit = createRateLimit(RATE_LIMITS.events);
+
+// Whether the events file was full last time, so that is logged only once.
+let eventsFileFull = false;
+
+if (staffUsers.size === 0) {
+    console.log('Set ADMIN_USERS to at least one "name:password" pair for the dashboard.');
+    process.exit(1);
+}
+
+// ---------------------------------------------------------------------------------
+// REQUESTS AND RESPONSES
+// ---------------------------------------------------------------------------------
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {*} body - The value to send as JSON.
+ * @param {object} [headers] - Extra headers.
+ */
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a JSON request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {number} [maxBytes=MAX_BODY_BYTES] - The largest body accepted.
+ * @returns {Promise<*>} The parsed body. Rejects if it is not JSON, or with an
+ *     error whose `status` is 413 if it is too large.
+ */
+function readJSONBody(req, maxBytes = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > maxBytes) {
+                // Stop reading; replyBadBody() closes the connection.
+                req.removeAllListeners('data');
+                req.pause();
+                reject(Object.assign(new Error('Body is too large'), { status: 413 }));
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new Error('Body must be JSON'));
+            }
+        });
+    });
+}
+
+/**
+ * Answers a request whose body readJSONBody() could not read. After a body that
+ * was too large, the connection is closed rather than the rest of it read.
+ * @param {http.ServerResponse} res - The response.
+ * @param {Error} error - Why the body could not be read.
+ * @param {object} [headers] - Extra headers.
+ */
+function replyBadBody(res, error, headers = {}) {
+    const close = error.status === 413 ? { Connection: 'close' } : {};
+    sendJSON(res, error.status || 400, { error: error.message }, { ...headers, ...close });
+}
+
+/**
+ * Checks that a parsed request body is a JSON object, not an array or a bare value.
+ * @param {*} body - The parsed body.
+ * @returns {boolean} True if it is an object.
+ */
+function isJSONObject(body) {
+    return Boolean(body) && typeof body === 'object' && !Array.isArray(body);
+}
+
+/**
+ * Runs one of the website's validators (js/validation.js) on a request body.
+ * They expect the shapes the website sends and throw on anything else, such as
+ * an itinerary line that is null: that is a bad request, not a server failure.
+ * @param {Function} validate - validateBooking or validateAmendment.
+ * @param {...*} args - What to validate.
+ * @returns {object|null} The validator's errors, or null if the body is malformed.
+ */
+function runValidator(validate, ...args) {
+    try {
+        return validate(...args);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets the address a request came from: the socket's, or behind a reverse proxy
+ * (TRUST_PROXY), the one the proxy added last to X-Forwarded-For.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {string} The address.
+ */
+function getClientAddress(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (trustProxy && forwarded) return forwarded.split(',').pop().trim();
+    return req.socket.remoteAddress;
+}
+
+/**
+ * Creates a limit on how many requests one address may send per window.
+ * @param {object} options - { limit, windowMs }, from RATE_LIMITS.
+ * @returns {Function} Takes a request and returns how many seconds its address
+ *     must wait, or 0 if the request may go ahead.
+ */
+function createRateLimit({ limit, windowMs }) {
+    const windows = new Map();   // { count, resetAt } by address.
+    let lastSweep = Date.now();
+    return req => {
+        const now = Date.now();
+        // Forget the addresses whose window is over, at most once a window.
+        if (now - lastSweep >= windowMs) {
+            windows.forEach((entry, address) => {
+                if (entry.resetAt <= now) windows.delete(address);
+            });
+            lastSweep = now;
+        }
+
+        const address = getClientAddress(req);
+        let entry = windows.get(address);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            windows.set(address, entry);
+        }
+        entry.count += 1;
+        return entry.count > limit ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+    };
+}
+
+/**
+ * Compares two strings in constant time, so response times give nothing away.
+ * @param {string} a - One string.
+ * @param {string} b - The other.
+ * @returns {boolean} True if they are equal.
+ */
+function safeEqual(a, b) {
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Checks a request's Basic authentication against the staff accounts, and asks
+ * the browser to sign in if it fails.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response, answered with 401 on failure.
+ * @returns {string|null} The staff member's name, or null if they are not signed in.
+ */
+function authenticateStaff(req, res) {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Basic' && encoded) {
+        const credentials = Buffer.from(encoded, 'base64').toString();
+        const name = credentials.slice(0, credentials.indexOf(':'));
+        const password = credentials.slice(credentials.indexOf(':') + 1);
+        if (staffUsers.has(name) && safeEqual(password, staffUsers.get(name))) return name;
+    }
+
+    res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Zanzibar Safari staff", charset="UTF-8"' });
+    res.end('Please sign in.');
+    return null;
+}
+
+/**
+ * Serves a file, or 404 if there is none.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} filePath - The file's full path.
+ * @param {object} [headers] - Extra headers.
+ */
+function serveFile(res, filePath, headers = {}) {
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            ...headers
+        });
+        res.end(data);
+    });
+}
+
+// ---------------------------------------------------------------------------------
+// FILTERS AND CSV EXPORT
+// ---------------------------------------------------------------------------------
+
+/**
+ * Picks out the booking records that match the dashboard's filters.
+ * @param {Array<object>} records - The records.
+ * @param {URLSearchParams} params - The filters: status, tour, from, to and q.
+ * @returns {Array<object>} The matching records.
+ */
+function filterRecords(records, params) {
+    const status = params.get('status');
+    const tourId = params.get('tour');
+    const from = params.get('from');
+    const to = params.get('to');
+    const query = (params.get('q') || '').trim().toLowerCase();
+
+    return records.filter(record => {
+        const { booking } = record;
+        const lines = booking.itinerary || [];
+        if (status && record.status !== status) return false;
+        if (tourId && !lines.some(line => line.tour_id === tourId)) return false;
+        if ((from || to) && !lines.some(line => (!from || line.date >= from) && (!to || line.date <= to))) {
+            return false;
+        }
+        if (!query) return true;
+
+        const text = [record.id, booking.reference, booking.name, booking.email, booking.phone, booking.requests,
+            record.guide, record.vehicle, ...lines.map(line => line.tour)].join(' ').toLowerCase();
+        return text.includes(query);
+    });
+}
+
+// The CSV export's columns: [heading, value of a record].
+const CSV_COLUMNS = [
+    ['Booking', record => record.id],
+    ['Reference', record => record.booking.reference],
+    ['Received', record => record.receivedAt],
+    ['Status', record => record.status],
+    ['Name', record => record.booking.name],
+    ['Email', record => record.booking.email],
+    ['Phone', record => record.booking.phone],
+    ['Tours', record => (record.booking.itinerary || [])
+        .map(line => `${line.tour} (${line.date}, ${line.guests} guests)`).join('; ')],
+    ['Estimated total (USD)', record => record.booking.quote ? record.booking.quote.total : ''],
+    ['Guide', record => record.guide],
+    ['Vehicle', record => record.vehicle],
+    ['Special requests', record => record.booking.requests],
+    ['Language', record => record.booking.locale]
+];
+
+/**
+ * Quotes a value for a CSV cell. Values that a spreadsheet would run as a
+ * formula (starting with =, +, - or @) are prefixed with an apostrophe; plain
+ * numbers such as phone numbers are left alone.
+ * @param {*} value - The value.
+ * @returns {string} The cell.
+ */
+function toCSVCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && !/^[+-]?[\d\s()]+$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes booking records out as CSV, one row per booking.
+ * @param {Array<object>} records - The records.
+ * @returns {string} The CSV text.
+ */
+function toCSV(records) {
+    const rows = [CSV_COLUMNS.map(([heading]) => heading)]
+        .concat(records.map(record => CSV_COLUMNS.map(([, value]) => value(record))));
+    return rows.map(row => row.map(toCSVCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ---------------------------------------------------------------------------------
+// ENDPOINTS
+// ---------------------------------------------------------------------------------
+
+/**
+ * Handles a POST from the website: answers the CORS preflight, reads the JSON
+ * body and passes it on, replying with a 500 if the handler fails.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} task - What the handler does, for the error log, e.g. "store a booking".
+ * @param {Function} handle - Called with the body and a reply(status, body) function.
+ * @param {object} [options]
+ * @param {Function} [options.rateLimit] - From createRateLimit(); a 429 once the address is over it.
+ * @param {number} [options.maxBytes=MAX_BODY_BYTES] - The largest body accepted.
+ */
+function handlePublicPost(req, res, task, handle, { rateLimit, maxBytes = MAX_BODY_BYTES } = {}) {
+    // The website may be served from elsewhere (e.g. a static host).
+    const cors = { 'Access-Control-Allow-Origin': '*' };
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, { ...cors, 'Access-Control-Allow-Methods': 'POST', 'Access-Control-Allow-Headers': 'Content-Type' });
+        res.end();
+        return;
+    }
+    if (req.method !== 'POST') {
+        sendJSON(res, 405, { error: 'Method not allowed' }, cors);
+        return;
+    }
+
+    const retryAfter = rateLimit ? rateLimit(req) : 0;
+    if (retryAfter > 0) {
+        sendJSON(res, 429, { error: 'Too many requests' }, { ...cors, 'Retry-After': String(retryAfter) });
+        return;
+    }
+
+    const reply = (status, body) => sendJSON(res, status, body, cors);
+    readJSONBody(req, maxBytes)
+        .then(body => {
+            if (!isJSONObject(body)) {
+                reply(400, { error: 'Body must be a JSON object' });
+                return;
+            }
+            return handle(body, reply);
+        }, error => {
+            replyBadBody(res, error, cors);
+        })
+        .catch(error => {
+            console.log(`Could not ${task}.`, error);
+            reply(500, { error: `Could not ${task}` });
+        });
+}
+
+/**
+ * Gets what the guest may see of their booking record.
+ * @param {object} record - The booking record.
+ * @returns {object} The booking as the website sent it, plus its status.
+ */
+function getGuestView(record) {
+    return { ...record.booking, status: record.status };
+}
+
+/**
+ * Writes out an itinerary as plain text, in the same format as the booking form.
+ * @param {Array<object>} itinerary - The itinerary lines.
+ * @returns {string} The text, one numbered line per tour.
+ */
+function formatItineraryText(itinerary) {
+    return itinerary
+        .map((line, i) => `${i + 1}. ${line.tour} - ${line.date} - ${line.guests} guest(s)`)
+        .join('\n');
+}
+
+/**
+ * Stores a booking request from the website.
+ * @param {object} booking - The request body.
+ * @param {Function} reply - Sends the response.
+ * @returns {Promise<void>|undefined} Resolves once the response is sent.
+ */
+function receiveBooking(booking, reply) {
+    // Never trust the browser: apply the same rules the booking form does.
+    const errors = runValidator(validateBooking, booking);
+    if (!errors) {
+        reply(400, { error: 'Malformed booking' });
+        return;
+    }
+    if (Object.keys(errors).length > 0) {
+        reply(422, { errors });
+        return;
+    }
+
+    const checked = proofOfWorkBits > 0 ? verifyProofOfWork(booking, proofOfWorkBits) : Promise.resolve(true);
+    return checked.then(valid => {
+        if (!valid) {
+            console.log(`Rejected booking ${booking.reference || '(no reference)'}: proof-of-work missing or under ${proofOfWorkBits} bits.`);
+            reply(403, { error: 'Missing or invalid proof of work' });
+            return;
+        }
+
+        const existing = booking.reference && store.findByReference(booking.reference);
+        if (existing) {
+            reply(200, { id: existing.id, receivedAt: existing.receivedAt, reference: booking.reference });
+            return;
+        }
+        // The proof has done its job; don't keep it with the booking.
+        const { proof_of_work, ...request } = booking;
+        return store.add(request).then(record => {
+            console.log(`Booking #${record.id} from ${booking.name}`);
+            const receipt = { id: record.id, receivedAt: record.receivedAt };
+            if (booking.reference) {
+                Object.assign(receipt, { reference: booking.reference, token: createManageToken(booking.reference) });
+            }
+            reply(201, receipt);
+        });
+    });
+}
+
+/**
+ * Finds a booking for the guest, who proves it is theirs with their email or
+ * the token from their manage-booking link.
+ * @param {object} body - The request body: { reference, email } or { reference, token }.
+ * @param {Function} reply - Sends the response.
+ */
+function lookUpBooking({ reference, email, token }, reply) {
+    const record = typeof reference === 'string' && store.findByReference(reference.trim().toUpperCase());
+    const isOwner = record && (token
+        ? verifyManageToken(record.booking.reference, token)
+        : typeof email === 'string' && email.trim().toLowerCase() === String(record.booking.email).toLowerCase());
+    if (!isOwner) {
+        // The same answer for a wrong reference and a wrong email, so neither can be guessed.
+        reply(404, { error: 'No booking matches that reference and email' });
+        return;
+    }
+    reply(200, { booking: getGuestView(record), token: createManageToken(record.booking.reference) });
+}
+
+/**
+ * Applies a guest's change to their booking, or cancels it. A change to a
+ * confirmed booking puts it back to pending, for our team to confirm again.
+ * Amendments that are already applied (e.g. sent again from the outbox) are
+ * answered as if they were new.
+ * @param {object} amendment - The request body: { action, reference, token, itinerary, quote, quote_text }.
+ * @param {Function} reply - Sends the response.
+ * @returns {Promise<void>|undefined} Resolves once the response is sent.
+ */
+function receiveAmendment(amendment, reply) {
+    if (!verifyManageToken(amendment.reference, amendment.token)) {
+        reply(403, { error: 'This booking link is not valid' });
+        return;
+    }
+    const record = store.findByReference(amendment.reference);
+    if (!record) {
+        reply(404, { error: 'No such booking' });
+        return;
+    }
+
+    const lines = record.booking.itinerary || [];
+    const alreadyApplied = amendment.action === 'cancel'
+        ? record.status === 'cancelled'
+        : Array.isArray(amendment.itinerary) && amendment.itinerary.length === lines.length
+            && lines.every((line, index) => ['date', 'adults', 'children', 'infants']
+                .every(field => (amendment.itinerary[index] || {})[field] === line[field]));
+    if (alreadyApplied) {
+        reply(200, { booking: getGuestView(record) });
+        return;
+    }
+
+    const errors = runValidator(validateAmendment, amendment, getGuestView(record));
+    if (!errors) {
+        reply(400, { error: 'Malformed change' });
+        return;
+    }
+    if (Object.keys(errors).length > 0) {
+        reply(422, { errors });
+        return;
+    }
+
+    let applied;
+    if (amendment.action === 'cancel') {
+        applied = store.update(record, { status: 'cancelled' }, 'guest');
+    } else {
+        // Only the dates and guest numbers can change; the tours stay as booked.
+        const itinerary = lines.map((line, index) => {
+            const { date, adults, children, infants } = amendment.itinerary[index];
+            return { ...line, date, adults, children, infants, guests: adults + children + infants };
+        });
+        const changes = { itinerary, itinerary_text: formatItineraryText(itinerary) };
+        if (amendment.quote) Object.assign(changes, { quote: amendment.quote, quote_text: amendment.quote_text });
+        applied = store.amend(record, changes, 'guest')
+            .then(() => store.update(record, record.status === 'confirmed' ? { status: 'pending' } : {}, 'guest'));
+    }
+    return applied.then(() => {
+        console.log(`Booking #${record.id}: ${amendment.action === 'cancel' ? 'cancelled' : 'changed'} by the guest`);
+        reply(200, { booking: getGuestView(record) });
+    });
+}
+
+/**
+ * Keeps the parts of an analytics event we expect, so nothing personal is stored
+ * even if a browser sends it.
+ * @param {object} event - An event from js/analytics.js.
+ * @returns {object|null} The event, or null if it is not one.
+ */
+function readAnalyticsEvent(event) {
+    if (!event || typeof event !== 'object' || !EVENT_NAME_PATTERN.test(event.name)) return null;
+    const props = {};
+    Object.entries(event.props || {}).forEach(([key, value]) => {
+        if (EVENT_NAME_PATTERN.test(key) && (typeof value === 'number' || typeof value === 'boolean'
+            || (typeof value === 'string' && EVENT_VALUE_PATTERN.test(value)))) {
+            props[key] = value;
+        }
+    });
+    const text = value => (typeof value === 'string' && EVENT_VALUE_PATTERN.test(value) ? value : null);
+    return {
+        name: event.name,
+        props,
+        at: isNaN(Date.parse(event.at)) ? new Date().toISOString() : new Date(event.at).toISOString(),
+        session: text(event.session),
+        page: typeof event.page === 'string' ? event.page.slice(0, 200) : null,
+        locale: text(event.locale)
+    };
+}
+
+/**
+ * Appends a batch of analytics events to the events file, unless it is full.
+ * @param {object} body - The request body: { events }.
+ * @param {Function} reply - Sends the response.
+ * @returns {Promise<void>|undefined} Resolves once the response is sent.
+ */
+function receiveEvents({ events }, reply) {
+    if (!Array.isArray(events) || events.length > MAX_EVENTS_PER_REQUEST) {
+        reply(400, { error: `Send up to ${MAX_EVENTS_PER_REQUEST} events as { events }` });
+        return;
+    }
+    const lines = events.map(readAnalyticsEvent).filter(Boolean).map(event => `${JSON.stringify(event)}\n`);
+    if (lines.length === 0) {
+        reply(202, { received: 0 });
+        return;
+    }
+    return fs.promises.stat(eventsFile)
+        .then(stats => stats.size, error => {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        })
+        .then(size => {
+            if (size >= MAX_EVENTS_FILE_BYTES) {
+                if (!eventsFileFull) console.log(`The events file ${eventsFile} is full; dropping events until it is rotated.`);
+                eventsFileFull = true;
+                reply(507, { error: 'Not collecting events just now' });
+                return;
+            }
+            eventsFileFull = false;
+            return fs.promises.mkdir(path.dirname(eventsFile), { recursive: true })
+                .then(() => fs.promises.appendFile(eventsFile, lines.join('')))
+                .then(() => reply(202, { received: lines.length }));
+        });
+}
+
+/**
+ * Logs a booking the website's spam guard stopped, so our team can see how often
+ * each check fires, whether or not the guest accepted analytics.
+ * @param {object} body - The request body: { reason, elapsed }.
+ * @param {Function} reply - Sends the response.
+ */
+function receiveSpamReport({ reason, elapsed }, reply) {
+    if (!SPAM_REJECTION_REASONS.includes(reason)) {
+        reply(400, { error: `Reason must be one of ${SPAM_REJECTION_REASONS.join(', ')}` });
+        return;
+    }
+    const timing = Number.isFinite(elapsed) && elapsed >= 0 ? ` (form sent ${Math.round(elapsed)} s after the page loaded)` : '';
+    console.log(`Booking stopped by the website's spam guard: ${reason}${timing}.`);
+    reply(202, {});
+}
+
+/**
+ * Checks the changes our team asked for, and tidies them up.
+ * @param {object} body - The request body: { status, guide, vehicle }, each optional.
+ * @returns {object} { changes } on success, or { error }.
+ */
+function readChanges(body) {
+    const changes = {};
+    if ('status' in body) {
+        if (!BOOKING_STATUSES.includes(body.status)) return { error: `Status must be one of ${BOOKING_STATUSES.join(', ')}` };
+        changes.status = body.status;
+    }
+    for (const field of ['guide', 'vehicle']) {
+        if (!(field in body)) continue;
+        if (typeof body[field] !== 'string' || body[field].length > ASSIGNMENT_MAX_LENGTH) {
+            return { error: `The ${field} must be text of up to ${ASSIGNMENT_MAX_LENGTH} characters` };
+        }
+        changes[field] = body[field].trim();
+    }
+    return { changes };
+}
+
+/**
+ * Changes a booking's status, guide or vehicle, and emails the guest when it
+ * is confirmed.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {object} record - The booking record.
+ * @param {string} staffName - Who is making the change.
+ */
+function updateBooking(req, res, record, staffName) {
+    readJSONBody(req)
+        .then(body => {
+            if (!isJSONObject(body)) {
+                sendJSON(res, 400, { error: 'Body must be a JSON object' });
+                return;
+            }
+            const { changes, error } = readChanges(body);
+            if (error) {
+                sendJSON(res, 422, { error });
+                return;
+            }
+            return store.update(record, changes, staffName).then(changed => {
+                console.log(`Booking #${record.id}: ${changed.join(', ') || 'nothing'} changed by ${staffName}`);
+                if (!changed.includes('status') || record.status !== 'confirmed') {
+                    sendJSON(res, 200, { booking: record });
+                    return;
+                }
+
+                return sendConfirmationEmail(record)
+                    .then(() => store.log(record, { by: staffName, action: 'email', to: record.booking.email })
+                        .then(() => sendJSON(res, 200, { booking: record })))
+                    .catch(emailError => {
+                        console.log(`Could not email the confirmation of booking #${record.id}.`, emailError);
+                        return store.log(record, { by: staffName, action: 'email', to: `not sent: ${emailError.message}` })
+                            .then(() => sendJSON(res, 200, { booking: record, emailError: emailError.message }));
+                    });
+            });
+        }, error => {
+            replyBadBody(res, error);
+        })
+        .catch(error => {
+            console.log(`Could not update booking #${record.id}.`, error);
+            sendJSON(res, 500, { error: 'Could not save the change' });
+        });
+}
+
+/**
+ * Handles the dashboard and its API. Everything here is for signed-in staff.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {URL} url - The request URL.
+ */
+function handleAdmin(req, res, url) {
+    const staffName = authenticateStaff(req, res);
+    if (!staffName) return;
+
+    if (url.pathname === '/admin') {
+        res.writeHead(301, { Location: '/admin/' });
+        res.end();
+        return;
+    }
+    if (url.pathname.startsWith('/admin/')) {
+        const file = url.pathname === '/admin/' ? 'index.html' : path.basename(url.pathname);
+        serveFile(res, path.join(ROOT, 'admin', file), { 'Cache-Control': 'no-store' });
+        return;
+    }
+
+    if (url.pathname === '/api/admin/bookings' && req.method === 'GET') {
+        sendJSON(res, 200, { bookings: filterRecords(store.list(), url.searchParams), statuses: BOOKING_STATUSES });
+        return;
+    }
+    if (url.pathname === '/api/admin/bookings.csv' && req.method === 'GET') {
+        const date = new Date().toISOString().slice(0, 10);
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES['.csv'],
+            'Content-Disposition': `attachment; filename="bookings-${date}.csv"`
+        });
+        res.end(toCSV(filterRecords(store.list(), url.searchParams)));
+        return;
+    }
+
+    const match = url.pathname.match(/^\/api\/admin\/bookings\/(\d+)$/);
+    if (match && req.method === 'PATCH') {
+        const record = store.get(parseInt(match[1]));
+        if (!record) {
+            sendJSON(res, 404, { error: 'No such booking' });
+            return;
+        }
+        updateBooking(req, res, record, staffName);
+        return;
+    }
+
+    sendJSON(res, 404, { error: 'Not found' });
+}
+
+/**
+ * Serves the website's own files, and nothing else from the repository.
+ * @param {http.ServerResponse} res - The response.
+ * @param {URL} url - The request URL.
+ */
+function serveWebsite(res, url) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(url.pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const relativePath = urlPath === '/' ? 'index.html' : path.normalize(urlPath).replace(/^[/\\]+/, '');
+    if (!PUBLIC_PATHS.includes(relativePath.split(/[/\\]/)[0])) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    serveFile(res, path.join(ROOT, relativePath));
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/api/bookings') {
+        handlePublicPost(req, res, 'store a booking', receiveBooking);
+    } else if (url.pathname === '/api/bookings/lookup') {
+        handlePublicPost(req, res, 'look up a booking', lookUpBooking, { rateLimit: lookupRateLimit });
+    } else if (url.pathname === '/api/amendments') {
+        handlePublicPost(req, res, 'change a booking', receiveAmendment);
+    } else if (url.pathname === '/api/spam-reports') {
+        handlePublicPost(req, res, 'log the spam report', receiveSpamReport);
+    } else if (url.pathname === '/api/events') {
+        handlePublicPost(req, res, 'store the analytics events', receiveEvents, {
+            rateLimit: eventsRateLimit,
+            maxBytes: MAX_EVENTS_BODY_BYTES
+        });
+    } else if (url.pathname === '/admin' || url.pathname.startsWith('/admin/') || url.pathname.startsWith('/api/admin/')) {
+        handleAdmin(req, res, url);
+    } else {
+        serveWebsite(res, url);
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Booking server running at http://localhost:${port} (dashboard at /admin)`);
+});
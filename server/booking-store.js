@@ -0,0 +1,194 @@
+/**
+ * =================================================================================
+ * Booking Store
+ *
+ * Keeps the bookings received by server/booking-server.js in a JSON file, so
+ * they survive a restart. Every booking is stored as a record:
+ *
+ *     { id, receivedAt, status, guide, vehicle, booking, audit }
+ *
+ * - `booking` is the booking request exactly as the website sent it.
+ * - `status` is one of BOOKING_STATUSES; new bookings are 'pending'.
+ * - `guide` and `vehicle` are assigned by our team ('' until then).
+ * - `audit` lists every change, oldest first, as { at, by, action, from, to },
+ *   where `action` is 'received', 'status', 'guide', 'vehicle', 'itinerary'
+ *   (the guest changed their dates or guests) or 'email'.
+ *
+ * The whole file is read on start and rewritten after every change. Writes go
+ * to a temporary file first, so a crash never leaves a half-written file, and a
+ * file that cannot be read stops the server instead of being overwritten.
+ * =================================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'declined', 'completed', 'cancelled'];
+
+// The fields our team can change. Each change is audited under the field's name.
+const EDITABLE_FIELDS = ['status', 'guide', 'vehicle'];
+
+/**
+ * Reads the records from the store's file.
+ * @param {string} file - The path of the JSON file.
+ * @returns {Array<object>} The records; none if the file does not exist yet.
+ * @throws {Error} If the file cannot be read or is not a list of records. The
+ *     message names the file, so it can be fixed or restored from a backup:
+ *     starting over with an empty store would lose its bookings on the next write.
+ */
+function loadRecords(file) {
+    if (!fs.existsSync(file)) return [];
+
+    let records;
+    try {
+        records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read the bookings in ${file}: ${error.message}. Fix the file or restore it from a backup.`);
+    }
+    if (!Array.isArray(records)) {
+        throw new Error(`The bookings file ${file} does not hold a list of bookings. Fix the file or restore it from a backup.`);
+    }
+    return records;
+}
+
+/**
+ * Writes a file atomically: to a temporary file first, flushed to disk, then
+ * renamed over the old one, so readers see either the old or the new file.
+ * @param {string} file - The path of the file.
+ * @param {string} data - The new contents.
+ */
+function writeFileAtomic(file, data) {
+    const temporaryFile = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const fd = fs.openSync(temporaryFile, 'w');
+    try {
+        fs.writeFileSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(temporaryFile, file);
+}
+
+/**
+ * Creates a store backed by a JSON file. The file (and its folder) is created
+ * on the first write.
+ * @param {string} file - The path of the JSON file.
+ * @returns {object} The store.
+ * @throws {Error} If the file exists but cannot be read (see loadRecords()).
+ */
+function createBookingStore(file) {
+    const records = loadRecords(file);
+    let saving = Promise.resolve();
+
+    /**
+     * Writes the records to the file, one write at a time.
+     * @returns {Promise<void>} Resolves once this change is on disk.
+     */
+    function save() {
+        const data = JSON.stringify(records, null, 2);
+        const write = saving.then(() => writeFileAtomic(file, data));
+        // A failed write is reported to its caller; the next one still runs.
+        saving = write.catch(() => {});
+        return write;
+    }
+
+    return {
+        /**
+         * Lists every record, newest first.
+         * @returns {Array<object>} The records.
+         */
+        list() {
+            return records.slice().reverse();
+        },
+
+        /**
+         * Looks up a record by id.
+         * @param {number} id - The record's id.
+         * @returns {object|undefined} The record.
+         */
+        get(id) {
+            return records.find(record => record.id === id);
+        },
+
+        /**
+         * Looks up a record by its booking reference.
+         * @param {string} reference - The booking reference, e.g. "ZST-7KQ3MP".
+         * @returns {object|undefined} The record.
+         */
+        findByReference(reference) {
+            return records.find(record => record.booking.reference && record.booking.reference === reference);
+        },
+
+        /**
+         * Stores a new booking request as a pending record.
+         * @param {object} booking - The booking request from the website.
+         * @returns {Promise<object>} The new record.
+         */
+        add(booking) {
+            const receivedAt = new Date().toISOString();
+            const record = {
+                id: records.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+                receivedAt,
+                status: 'pending',
+                guide: '',
+                vehicle: '',
+                booking,
+                audit: [{ at: receivedAt, by: 'website', action: 'received' }]
+            };
+            records.push(record);
+            return save().then(() => record);
+        },
+
+        /**
+         * Changes a record's status, guide or vehicle, recording each change in
+         * its audit trail. Fields that do not change are not recorded.
+         * @param {object} record - The record.
+         * @param {object} changes - The new values, keyed by field.
+         * @param {string} by - Who made the change (the staff member's user name).
+         * @returns {Promise<Array<string>>} The fields that changed.
+         */
+        update(record, changes, by) {
+            const at = new Date().toISOString();
+            const changed = EDITABLE_FIELDS.filter(field => field in changes && changes[field] !== record[field]);
+            changed.forEach(field => {
+                record.audit.push({ at, by, action: field, from: record[field], to: changes[field] });
+                record[field] = changes[field];
+            });
+            return (changed.length ? save() : Promise.resolve()).then(() => changed);
+        },
+
+        /**
+         * Replaces a booking's itinerary with the one the guest changed it to,
+         * recording the change in the audit trail.
+         * @param {object} record - The record.
+         * @param {object} changes - The new { itinerary, itinerary_text, quote, quote_text }.
+         * @param {string} by - Who made the change.
+         * @returns {Promise<void>} Resolves once the change is on disk.
+         */
+        amend(record, changes, by) {
+            record.audit.push({
+                at: new Date().toISOString(),
+                by,
+                action: 'itinerary',
+                from: record.booking.itinerary_text,
+                to: changes.itinerary_text
+            });
+            Object.assign(record.booking, changes);
+            return save();
+        },
+
+        /**
+         * Adds an entry to a record's audit trail, e.g. an email that was sent.
+         * @param {object} record - The record.
+         * @param {object} entry - The entry: { by, action, to }.
+         * @returns {Promise<void>} Resolves once the entry is on disk.
+         */
+        log(record, entry) {
+            record.audit.push({ at: new Date().toISOString(), ...entry });
+            return save();
+        }
+    };
+}
+
+module.exports = { createBookingStore, BOOKING_STATUSES };
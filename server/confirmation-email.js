@@ -0,0 +1,69 @@
+/**
+ * =================================================================================
+ * Booking Confirmation Email
+ *
+ * Emails the guest when our team confirms their booking in the admin dashboard.
+ * The email goes out through the EmailJS REST API, like the booking emails the
+ * website sends (js/transports.js), using its own EmailJS template.
+ *
+ * Settings, from environment variables:
+ * - EMAILJS_SERVICE_ID                  The EmailJS service (default: the website's).
+ * - EMAILJS_CONFIRMATION_TEMPLATE_ID    The template (default: template_confirmation).
+ * - EMAILJS_PUBLIC_KEY                  The account's public key (default: the website's).
+ * - EMAILJS_PRIVATE_KEY                 The account's private key. Needed to send
+ *                                       from a server; without it no email is sent.
+ *
+ * In the EmailJS dashboard, "Allow EmailJS API for non-browser applications"
+ * must be switched on (Account > Security).
+ *
+ * The template receives the booking request's own fields (name, email,
+ * reference, itinerary_text, quote_text, ...) plus booking_id, guide, vehicle
+ * and manage_url, the guest's link to change or cancel the booking themselves.
+ * =================================================================================
+ */
+
+const { getManageUrl } = require('./manage-links.js');
+
+const EMAILJS_API_URL = 'https://api.emailjs.com/api/v1.0/email/send';
+
+const CONFIRMATION_EMAIL_CONFIG = {
+    serviceId: process.env.EMAILJS_SERVICE_ID || 'service_efkpn27',
+    templateId: process.env.EMAILJS_CONFIRMATION_TEMPLATE_ID || 'template_confirmation',
+    publicKey: process.env.EMAILJS_PUBLIC_KEY || 'W6L8a7K1YPECas8Di',
+    privateKey: process.env.EMAILJS_PRIVATE_KEY || ''
+};
+
+/**
+ * Emails the guest that their booking is confirmed.
+ * @param {object} record - The booking record (see server/booking-store.js).
+ * @returns {Promise<void>} Resolves once EmailJS has accepted the email; rejects
+ *     if it could not be sent, or sending is not set up.
+ */
+function sendConfirmationEmail(record) {
+    const { serviceId, templateId, publicKey, privateKey } = CONFIRMATION_EMAIL_CONFIG;
+    if (!privateKey) {
+        return Promise.reject(new Error('EMAILJS_PRIVATE_KEY is not set.'));
+    }
+
+    return fetch(EMAILJS_API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            service_id: serviceId,
+            template_id: templateId,
+            user_id: publicKey,
+            accessToken: privateKey,
+            template_params: {
+                ...record.booking,
+                booking_id: record.id,
+                guide: record.guide || 'to be confirmed',
+                vehicle: record.vehicle || 'to be confirmed',
+                manage_url: record.booking.reference ? getManageUrl(record.booking.reference) : ''
+            }
+        })
+    }).then(response => {
+        if (!response.ok) throw new Error(`EmailJS replied with HTTP ${response.status}.`);
+    });
+}
+
+module.exports = { sendConfirmationEmail };
@@ -0,0 +1,67 @@
+/**
+ * =================================================================================
+ * Manage-Booking Links
+ *
+ * Every booking gets a token that lets the guest open it in the "Manage my
+ * booking" view (js/manage-booking.js) without typing their email again:
+ *
+ *     https://our-site/#manage?ref=ZST-7KQ3MP&token=<token>
+ *
+ * The token is an HMAC of the booking reference, so only this server can make
+ * one, and nothing needs to be stored to check it.
+ *
+ * Settings, from environment variables:
+ * - MANAGE_LINK_SECRET    The key tokens are signed with. Keep it secret and keep
+ *                         it the same across restarts, or earlier links stop
+ *                         working. Without it a random key is used until the
+ *                         server stops.
+ * - SITE_URL              The website's address, used to build the links
+ *                         (default: http://localhost:8080/).
+ * =================================================================================
+ */
+
+const crypto = require('crypto');
+
+const MANAGE_LINK_CONFIG = {
+    secret: process.env.MANAGE_LINK_SECRET || '',
+    siteUrl: process.env.SITE_URL || 'http://localhost:8080/'
+};
+
+if (!MANAGE_LINK_CONFIG.secret) {
+    console.log('MANAGE_LINK_SECRET is not set: manage-booking links will stop working when the server restarts.');
+    MANAGE_LINK_CONFIG.secret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Creates the manage-booking token for a booking reference.
+ * @param {string} reference - The booking reference, e.g. "ZST-7KQ3MP".
+ * @returns {string} The token.
+ */
+function createManageToken(reference) {
+    return crypto.createHmac('sha256', MANAGE_LINK_CONFIG.secret).update(String(reference)).digest('base64url');
+}
+
+/**
+ * Checks a manage-booking token, in constant time.
+ * @param {string} reference - The booking reference.
+ * @param {string} token - The token from the link.
+ * @returns {boolean} True if the token belongs to the reference.
+ */
+function verifyManageToken(reference, token) {
+    const expected = Buffer.from(createManageToken(reference));
+    const given = Buffer.from(String(token || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Builds the link that opens a booking in the "Manage my booking" view.
+ * @param {string} reference - The booking reference.
+ * @returns {string} The link.
+ */
+function getManageUrl(reference) {
+    const url = new URL(MANAGE_LINK_CONFIG.siteUrl);
+    url.hash = `manage?ref=${encodeURIComponent(reference)}&token=${createManageToken(reference)}`;
+    return url.toString();
+}
+
+module.exports = { createManageToken, verifyManageToken, getManageUrl };
@@ -0,0 +1,244 @@
+/**
+ * =================================================================================
+ * Service Worker
+ *
+ * Keeps the site working on a patchy connection, or none at all:
+ * - On install it precaches the app shell (the page, styles, scripts and
+ *   translations), the tour data feeds and the gallery thumbnails, so the whole
+ *   page opens offline.
+ * - Every other GET request is served stale-while-revalidate: straight from the
+ *   cache when there is a copy, while a fresh copy is fetched for next time.
+ *   Precached files are refreshed the same way.
+ * - It delivers bookings waiting in the outbox (js/outbox.js) through Background
+ *   Sync, as soon as the browser is back online, even if the guest has closed the page.
+ *
+ * Bump CACHE_VERSION with every release that changes the precache lists, so
+ * guests get the new files and the old caches are cleared out.
+ *
+ * A module worker, registered with { type: 'module' } by js/offline.js.
+ * =================================================================================
+ */
+
+// The outbox delivers through the booking transports. Neither touches the DOM
+// in the functions the worker calls.
+import { flushOutbox, withOutboxStore, isPendingOutboxEntry } from './js/outbox.js';
+
+const CACHE_VERSION = 'v11';
+const PRECACHE = `zst-precache-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `zst-runtime-${CACHE_VERSION}`;
+const IMAGE_CACHE = `zst-images-${CACHE_VERSION}`;
+
+// Full-size photos add up quickly; keep only the most recent ones.
+const IMAGE_CACHE_MAX_ENTRIES = 60;
+
+// The page and everything it loads from this site. Keep in step with the
+// modules script.js imports.
+const APP_SHELL = [
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'pictures/zanzibarSafarilogo.png',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/sw.js',
+    'js/locales/it.js',
+    'js/locales/de.js',
+    'js/locales/fr.js',
+    'js/analytics.js',
+    'js/tours.js',
+    'js/tour-filters.js',
+    'js/validation.js',
+    'js/spam-guard.js',
+    'js/pricing.js',
+    'js/availability.js',
+    'js/calendar.js',
+    'js/itinerary.js',
+    'js/summary.js',
+    'js/draft.js',
+    'js/transports.js',
+    'js/outbox.js',
+    'js/reviews.js',
+    'js/testimonials.js',
+    'js/manage-booking.js',
+    'js/router.js',
+    'js/images.js',
+    'js/lightbox.js',
+    'js/navigation.js',
+    'js/offline.js',
+    'js/app/page.js',
+    'js/app/booking-form.js',
+    'js/app/tour-cards.js'
+];
+
+const TOUR_DATA = [
+    'data/availability.json',
+    'data/testimonials.json'
+];
+
+// The gallery grid's WebP photos, which are already thumbnail-sized (under
+// 200 KB each). The large JPEGs and the tour photos are cached once viewed.
+// Once tools/build-images.js has run, their small copies are precached too.
+const GALLERY_THUMBNAILS = [
+    'animal-19621.webp',
+    'DJI_0657.webp',
+    'DJI_0049.webp',
+    'DJI_0072.webp',
+    'DJI_0709.webp',
+    'dolphin-tour-1.webp',
+    '029ED4E5-E85E-4731-BD83-45998B6F272C.webp',
+    '1234.webp',
+    '145 (6).webp',
+    '145 (8).webp',
+    '145_12.webp',
+    '145_14.webp',
+    '22B411A0-1981-4B12-9F35-97BA8BB9BB44.webp',
+    '234AF008-CE50-4C2A-8C01-72E320C56D19.webp',
+    'Masingini Forest 1.webp'
+].map(file => `pictures/ZANZIBAR PICS/gallery/${file}`);
+
+// The image manifest, and the widest gallery copy worth precaching: the gallery
+// tiles are 400px wide at most (see RESPONSIVE_IMAGES in js/images.js).
+const IMAGE_MANIFEST_URL = 'data/images.json';
+const GALLERY_COPY_MAX_WIDTH = 640;
+
+// Other sites the page loads its styles, fonts and scripts from. Their files
+// are cached too; everything else from other sites (e.g. the EmailJS API) is not.
+const CDN_HOSTS = [
+    'cdn.tailwindcss.com',
+    'cdnjs.cloudflare.com',
+    'cdn.jsdelivr.net',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+const PRECACHE_URLS = [...APP_SHELL, ...TOUR_DATA, ...GALLERY_THUMBNAILS];
+const scopePath = new URL('./', self.location).pathname;
+const precachedHrefs = new Set(PRECACHE_URLS.map(path => new URL(path, self.location).href));
+
+/**
+ * Deletes the oldest entries of a cache until it is down to a size.
+ * @param {string} cacheName - The cache.
+ * @param {number} maxEntries - The number of entries to keep.
+ * @returns {Promise<void>} Resolves once the cache is trimmed.
+ */
+function trimCache(cacheName, maxEntries) {
+    return caches.open(cacheName).then(cache => cache.keys().then(keys => {
+        // Entries are kept in the order they were added, oldest first.
+        return Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+    }));
+}
+
+/**
+ * Precaches the image manifest and the small copies of the gallery photos.
+ * Without a manifest (the build has not run yet) there is nothing to do.
+ * @param {Cache} cache - The precache.
+ * @returns {Promise<void>} Resolves once the copies are cached, or skipped.
+ */
+function precacheGalleryCopies(cache) {
+    return fetch(IMAGE_MANIFEST_URL)
+        .then(response => {
+            if (!response.ok) return;
+            return cache.put(IMAGE_MANIFEST_URL, response.clone())
+                .then(() => response.json())
+                .then(manifest => cache.addAll(GALLERY_THUMBNAILS.flatMap(path => {
+                    const entry = manifest.images[path];
+                    if (!entry) return [];
+                    return Object.values(entry.sources).flat()
+                        .filter(source => source.width <= GALLERY_COPY_MAX_WIDTH)
+                        .map(source => source.src);
+                })));
+        })
+        .catch(error => {
+            console.log('Could not precache the gallery copies.', error);
+        });
+}
+
+/**
+ * Answers a request from the cache if it can, and refreshes the cached copy
+ * from the network either way. Without a cached copy it waits for the network.
+ * @param {FetchEvent} event - The fetch event.
+ * @param {string} cacheName - The cache to read from and write to.
+ * @param {Request|string} [cacheKey] - The cache entry to use, if not the request itself.
+ * @returns {Promise<Response>} The response.
+ */
+function staleWhileRevalidate(event, cacheName, cacheKey = event.request) {
+    // The image manifest and the gallery copies are precached at install (see
+    // precacheGalleryCopies()), but refreshed into the runtime caches.
+    const lookUp = cache => cache.match(cacheKey).then(cached => cached || caches.match(cacheKey, { cacheName: PRECACHE }));
+
+    return caches.open(cacheName).then(cache => lookUp(cache).then(cached => {
+        const refresh = fetch(event.request).then(response => {
+            // Files from other sites without CORS come back "opaque": we can't
+            // check them, but they are what the page asked for.
+            if (response.ok || response.type === 'opaque') {
+                return cache.put(cacheKey, response.clone())
+                    .then(() => cacheName === IMAGE_CACHE && trimCache(IMAGE_CACHE, IMAGE_CACHE_MAX_ENTRIES))
+                    .then(() => response);
+            }
+            return response;
+        });
+
+        if (cached) {
+            // Keep the worker alive until the fresh copy is stored.
+            event.waitUntil(refresh.catch(error => console.log('Could not refresh a cached file.', error)));
+            return cached;
+        }
+        return refresh;
+    }));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS).then(() => precacheGalleryCopies(cache)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [PRECACHE, RUNTIME_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('zst-') && !currentCaches.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    // Never cache our API (bookings, reviews) or the staff dashboard: they must always be live.
+    if (sameOrigin && (url.pathname.startsWith('/api/') || url.pathname.startsWith('/admin'))) return;
+    if (!sameOrigin && request.destination !== 'image' && !CDN_HOSTS.includes(url.hostname)) return;
+
+    // The page itself, whatever its query string (tour filters) says.
+    if (request.mode === 'navigate' && sameOrigin && [scopePath, `${scopePath}index.html`].includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, PRECACHE, new URL('index.html', self.location).href));
+        return;
+    }
+    if (precachedHrefs.has(`${url.origin}${url.pathname}`)) {
+        event.respondWith(staleWhileRevalidate(event, PRECACHE, `${url.origin}${url.pathname}`));
+        return;
+    }
+    event.respondWith(staleWhileRevalidate(event, request.destination === 'image' ? IMAGE_CACHE : RUNTIME_CACHE));
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== OUTBOX_SYNC_TAG) return;
+    event.waitUntil(
+        flushOutbox(true)
+            .then(() => withOutboxStore('readonly', store => store.getAll()))
+            .then(entries => {
+                // Failing the sync makes the browser try again later. Entries the
+                // outbox gave up on wait for the guest instead (see js/outbox.js).
+                const count = entries.filter(isPendingOutboxEntry).length;
+                if (count > 0) throw new Error(`${count} booking(s) are still waiting in the outbox.`);
+            })
+    );
+});
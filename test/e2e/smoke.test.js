@@ -0,0 +1,78 @@
+/**
+ * A smoke test of the whole site in headless Chromium: the page loads without
+ * errors, its ES modules start it, and a guest can book a tour from a tour card.
+ *
+ * Needs a Chromium for playwright-core; the test is skipped without one:
+ *
+ *     npx playwright-core install chromium
+ *     npm run test:e2e
+ *
+ * EmailJS is stubbed, so no email is sent.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { chromium } = require('playwright-core');
+const { startMockServer } = require('../helpers/server.js');
+
+// Stands in for the EmailJS SDK from the CDN, recording what the page sends.
+const EMAILJS_STUB = `
+    window.emailjsSends = [];
+    window.emailjs = {
+        init() {},
+        send(serviceId, templateId, params) {
+            window.emailjsSends.push({ serviceId, templateId, params });
+            return Promise.resolve({ status: 200, text: 'OK' });
+        }
+    };
+`;
+
+const hasBrowser = fs.existsSync(chromium.executablePath());
+
+test('a guest can book a tour from its card', { skip: !hasBrowser && 'Chromium is not installed (npx playwright-core install chromium)' }, async (t) => {
+    const server = await startMockServer();
+    const browser = await chromium.launch();
+    t.after(() => {
+        server.stop();
+        return browser.close();
+    });
+
+    const page = await browser.newPage();
+    const pageErrors = [];
+    page.on('pageerror', error => pageErrors.push(error));
+    await page.route('https://cdn.jsdelivr.net/**', route => route.fulfill({ contentType: 'text/javascript', body: EMAILJS_STUB }));
+    await page.goto(server.url);
+
+    // The tour cards are rendered by the page's modules once the document has loaded.
+    const bookButton = page.locator('.tour-card[data-tour-id="prison-island"] .tour-card-btn');
+    await bookButton.click();
+    assert.equal(await page.inputValue('#tour-select'), 'prison-island');
+    assert.equal(await page.locator('.itinerary-line').count(), 1);
+
+    await page.fill('#full-name', 'Amina Juma');
+    await page.fill('#email', 'amina@example.com');
+    await page.fill('#phone', '+255 712 345 678');
+    // The date the guest would pick in the calendar, and no spam guard delay.
+    // Importing the page's modules again gives the instances the page runs.
+    await page.evaluate(() => Promise.all([
+        import('/js/itinerary.js'),
+        import('/js/availability.js'),
+        import('/js/spam-guard.js'),
+        import('/js/transports.js')
+    ]).then(([itinerary, availability, spamGuard, transports]) => {
+        const date = new Date();
+        date.setDate(date.getDate() + 10);
+        itinerary.itineraryLines[0].date = availability.formatISODate(date);
+        spamGuard.SPAM_GUARD_CONFIG.minFillMs = 0;
+        spamGuard.SPAM_GUARD_CONFIG.challenge = 'none';
+        transports.BOOKING_CONFIG.copyTo = [];
+    }));
+    await page.click('#booking-form button[type="submit"]');
+
+    await page.locator('#success-message').waitFor({ state: 'visible' });
+    const sends = await page.evaluate(() => window.emailjsSends);
+    assert.equal(sends.length, 1);
+    assert.equal(sends[0].params.itinerary[0].tour_id, 'prison-island');
+    assert.deepEqual(pageErrors, []);
+});
@@ -0,0 +1,31 @@
+/**
+ * =================================================================================
+ * Page Module Hooks
+ *
+ * Module resolution hooks registered by test/helpers/page.js. Each page loaded
+ * by loadPage() imports the site's modules with its own `?page=<n>` query; these
+ * hooks pass the query on to every module they import from the repository, so
+ * each page gets its own copies of the modules and their state (the itinerary,
+ * the spam guard's clock, the analytics session, ...).
+ * =================================================================================
+ */
+
+/**
+ * Resolves an import, keeping the importing module's page query.
+ * @param {string} specifier - What is imported, e.g. './tours.js'.
+ * @param {object} context - Node's resolve context, with the importer's URL.
+ * @param {Function} nextResolve - Node's own resolution.
+ * @returns {Promise<object>} The resolved module.
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const resolved = await nextResolve(specifier, context);
+    if (!context.parentURL || !context.parentURL.startsWith('file:') || !resolved.url.startsWith('file:')) {
+        return resolved;
+    }
+    const page = new URL(context.parentURL).searchParams.get('page');
+    if (!page || resolved.url.includes('/node_modules/')) return resolved;
+
+    const url = new URL(resolved.url);
+    url.searchParams.set('page', page);
+    return { ...resolved, url: url.href };
+}
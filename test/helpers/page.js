@@ -0,0 +1,208 @@
+/**
+ * =================================================================================
+ * Page Harness
+ *
+ * Loads index.html into jsdom for the unit tests, the way a browser would run it:
+ * the site's modules in js/ are imported and the page is started as on
+ * DOMContentLoaded. globalThis stands in for `window`, with the jsdom window's
+ * properties on it.
+ *
+ * The modules are in page.modules, keyed by file name in camelCase:
+ *
+ *     const { loadPage } = require('../helpers/page.js');
+ *     const page = await loadPage();
+ *     page.modules.bookingForm.bookTour('safari-blue');
+ *     const { itineraryLines } = page.modules.itinerary;
+ *
+ * Each page imports its own copies of the modules (see page-modules.mjs), so a
+ * test file can load a page more than once, e.g. to start from a saved draft.
+ * Close the page after the tests, or its timers keep the process alive:
+ *
+ *     test.after(() => page.close());
+ *
+ * What jsdom doesn't have is stubbed: EmailJS (its sends are in page.emailjsSends),
+ * IntersectionObserver, scrollIntoView, matchMedia and pointer capture. fetch()
+ * reads GET requests from the repository and passes the rest to `onFetch`.
+ * =================================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Node globals that must be the page's own, so DOM events and forms work.
+const WINDOW_OVERRIDES = ['Event', 'CustomEvent', 'EventTarget', 'DOMException', 'FormData', 'navigator'];
+
+// The window properties installed on globalThis, so the next page can replace them.
+const windowGlobals = new Set();
+
+// The pages loaded so far; each imports the modules with its own `?page=` query.
+let pageCount = 0;
+
+register(pathToFileURL(path.join(__dirname, 'page-modules.mjs')));
+
+/**
+ * Makes globalThis look like the jsdom window: copies over what Node lacks,
+ * binding methods to the window so `window.addEventListener(...)` still works.
+ * @param {Window} window - The jsdom window.
+ */
+function installWindowGlobals(window) {
+    // The window's own properties, and those it inherits (addEventListener, ...).
+    const keys = new Set();
+    for (let object = window; object && object !== Object.prototype; object = Object.getPrototypeOf(object)) {
+        Object.getOwnPropertyNames(object).forEach(key => keys.add(key));
+    }
+    keys.forEach(key => {
+        if (key === 'window' || key === 'self' || key === 'constructor') return;
+        if (key in globalThis && !windowGlobals.has(key) && !WINDOW_OVERRIDES.includes(key)) return;
+        windowGlobals.add(key);
+        Object.defineProperty(globalThis, key, {
+            configurable: true,
+            get() {
+                const value = window[key];
+                // Bind methods, but not constructors (Event, HTMLElement, ...).
+                return typeof value === 'function' && !/^[A-Z]/.test(key) ? value.bind(window) : value;
+            },
+            set(value) {
+                window[key] = value;
+            }
+        });
+    });
+    globalThis.window = globalThis;
+    globalThis.self = globalThis;
+}
+
+/**
+ * Records the timers the page sets, so closing the page can stop them. jsdom's
+ * own timers call the global setTimeout, so the page keeps Node's timers.
+ * @returns {Function} Clears every timer set since.
+ */
+function trackTimers() {
+    const timers = new Set();
+    const { setTimeout: nodeSetTimeout, setInterval: nodeSetInterval } = globalThis;
+    globalThis.setTimeout = (...args) => {
+        const timer = nodeSetTimeout(...args);
+        timers.add(timer);
+        return timer;
+    };
+    globalThis.setInterval = (...args) => {
+        const timer = nodeSetInterval(...args);
+        timers.add(timer);
+        return timer;
+    };
+    return () => timers.forEach(timer => clearTimeout(timer));
+}
+
+/**
+ * Creates a fetch() that serves the repository's files for GET requests.
+ * @param {Function} [onFetch] - Answers any other request: (url, options) => response.
+ * @returns {Function} The fetch function.
+ */
+function createFetch(onFetch) {
+    return (url, options = {}) => {
+        if (onFetch) {
+            const response = onFetch(String(url), options);
+            if (response) return Promise.resolve(response);
+        }
+        if ((options.method || 'GET') !== 'GET') {
+            return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found', json: () => Promise.resolve({}) });
+        }
+        const filePath = path.join(ROOT, String(url).split('?')[0].replace(/^\//, ''));
+        if (!fs.existsSync(filePath)) {
+            return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found', json: () => Promise.resolve({}) });
+        }
+        const text = fs.readFileSync(filePath, 'utf8');
+        return Promise.resolve({ ok: true, status: 200, statusText: 'OK', text: () => Promise.resolve(text), json: () => Promise.resolve(JSON.parse(text)) });
+    };
+}
+
+/**
+ * Imports the site's modules: every file in js/ and js/app/, as one page's copies.
+ * @param {number} pageNumber - The page the copies are for.
+ * @returns {Promise<object>} The modules, keyed by file name in camelCase.
+ */
+function importPageModules(pageNumber) {
+    const files = ['js', 'js/app'].flatMap(dir => fs.readdirSync(path.join(ROOT, dir))
+        .filter(file => file.endsWith('.js'))
+        .map(file => path.join(ROOT, dir, file)));
+    const modules = {};
+    return files.reduce((ready, file) => ready.then(() => {
+        const url = pathToFileURL(file);
+        url.searchParams.set('page', pageNumber);
+        return import(url.href).then(module => {
+            const name = path.basename(file, '.js').replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+            modules[name] = module;
+        });
+    }), Promise.resolve()).then(() => modules);
+}
+
+/**
+ * Loads index.html with its modules, and starts the page as on DOMContentLoaded.
+ * @param {object} [options]
+ * @param {Function} [options.onFetch] - Answers fetch() requests other than reading files.
+ * @param {Function} [options.beforeScripts] - Called with the page before any module
+ *     loads, e.g. to install fake timers or change the stubs.
+ * @returns {Promise<object>} The page: { window, document, emailjsSends, observers, modules, close }.
+ */
+async function loadPage({ onFetch, beforeScripts } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, { url: 'http://localhost/', pretendToBeVisual: true });
+    const { window } = dom;
+
+    window.HTMLElement.prototype.scrollIntoView = function () {};
+    window.Element.prototype.setPointerCapture = function () {};
+    window.Element.prototype.releasePointerCapture = function () {};
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    installWindowGlobals(window);
+    const clearTimers = trackTimers();
+
+    const page = {
+        window,
+        document: window.document,
+        emailjsSends: [],
+        observers: [],
+        modules: {},
+        close() {
+            clearTimers();
+            window.close();
+        }
+    };
+    globalThis.fetch = createFetch(onFetch);
+    globalThis.IntersectionObserver = class {
+        constructor(callback, options) {
+            Object.assign(this, { callback, options, targets: [] });
+            page.observers.push(this);
+        }
+        observe(target) { this.targets.push(target); }
+        unobserve() {}
+        disconnect() {}
+    };
+    globalThis.emailjs = {
+        init() {},
+        send(serviceId, templateId, params) {
+            page.emailjsSends.push({ serviceId, templateId, params });
+            return Promise.resolve({ status: 200, text: 'OK' });
+        }
+    };
+    if (beforeScripts) beforeScripts(page);
+
+    // The EmailJS SDK from the CDN is stubbed above.
+    pageCount += 1;
+    page.modules = await importPageModules(pageCount);
+    await page.modules.page.initializePage();
+    return page;
+}
+
+/**
+ * Waits for pending promises and zero-delay timers to settle.
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = { loadPage, settle, ROOT };
@@ -0,0 +1,101 @@
+/**
+ * =================================================================================
+ * Test Server
+ *
+ * Starts tools/mock-booking-server.js, or server/booking-server.js, on a free
+ * port for a test file, and stops it again:
+ *
+ *     const { startMockServer } = require('../helpers/server.js');
+ *     const server = await startMockServer(['--fail-rate', '1']);
+ *     fetch(`${server.url}/api/bookings`) ...
+ *     server.stop();
+ *
+ * The booking server keeps its bookings and events in a temporary folder, which
+ * stop() removes, and lets the staff account in TEST_STAFF into the dashboard.
+ * =================================================================================
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ROOT } = require('./page.js');
+
+// The staff account the booking server is started with, as { name, password }.
+const TEST_STAFF = { name: 'amina', password: 'test-password' };
+
+/**
+ * Finds a port nothing is listening on.
+ * @returns {Promise<number>} The port.
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Starts a server script and waits until it says it is listening.
+ * @param {string} script - The script, from the repository root.
+ * @param {Array<string>} args - Its command-line options.
+ * @param {object} env - Extra environment variables.
+ * @param {string} readyText - What it logs once it is listening.
+ * @returns {Promise<object>} The server: { url, output, stop() }. `output` collects what it logs.
+ */
+function startServer(script, args, env, readyText) {
+    return getFreePort().then(port => new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(ROOT, script), '--port', String(port), ...args], {
+            env: { ...process.env, ...env }
+        });
+        const server = {
+            url: `http://localhost:${port}`,
+            output: '',
+            stop: () => child.kill()
+        };
+        child.stderr.on('data', chunk => { server.output += chunk; });
+        child.stdout.on('data', chunk => {
+            server.output += chunk;
+            if (server.output.includes(readyText)) resolve(server);
+        });
+        child.on('exit', code => reject(new Error(`${script} exited with code ${code}:\n${server.output}`)));
+    }));
+}
+
+/**
+ * Starts the mock booking server and waits until it is listening.
+ * @param {Array<string>} [args] - Extra command-line options, e.g. ['--fail-rate', '1'].
+ * @returns {Promise<object>} The server: { url, output, stop() }.
+ */
+function startMockServer(args = []) {
+    return startServer('tools/mock-booking-server.js', args, {}, 'Mock booking server running');
+}
+
+/**
+ * Starts the booking server, with empty bookings and events files, and waits
+ * until it is listening.
+ * @param {Array<string>} [args] - Extra command-line options.
+ * @returns {Promise<object>} The server: { url, output, folder, stop() }. `folder` holds its files.
+ */
+function startBookingServer(args = []) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-server-'));
+    const files = ['--data', path.join(folder, 'bookings.json'), '--events', path.join(folder, 'events.jsonl')];
+    const env = { ADMIN_USERS: `${TEST_STAFF.name}:${TEST_STAFF.password}` };
+    return startServer('server/booking-server.js', [...files, ...args], env, 'Booking server running').then(server => {
+        const { stop } = server;
+        return Object.assign(server, {
+            folder,
+            stop() {
+                stop();
+                fs.rmSync(folder, { recursive: true, force: true });
+            }
+        });
+    });
+}
+
+module.exports = { startMockServer, startBookingServer, TEST_STAFF };
@@ -0,0 +1,90 @@
+/**
+ * The analytics event bus (js/analytics.js): off until a sink is set up, and
+ * with consent only; nothing personal recorded, and nothing sent after the guest
+ * declines.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeTimers = require('@sinonjs/fake-timers');
+const { loadPage, settle } = require('../helpers/page.js');
+
+// The batches the collector sent, as parsed bodies.
+const batches = [];
+
+let page;
+let clock;
+
+test.before(async () => {
+    page = await loadPage({
+        beforeScripts: () => {
+            clock = FakeTimers.withGlobal(globalThis).install({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+        },
+        onFetch: (url, options) => {
+            // The page only reads files while it loads.
+            if (options.method !== 'POST' || url !== page.modules.analytics.ANALYTICS_CONFIG.collector.endpoint) return null;
+            batches.push(JSON.parse(options.body));
+            return { ok: true, status: 202, statusText: 'Accepted', json: () => Promise.resolve({}) };
+        }
+    });
+    await settle();
+    // Use fetch, which the test can see, rather than sendBeacon.
+    navigator.sendBeacon = undefined;
+});
+
+test.after(() => {
+    clock.uninstall();
+    page.close();
+});
+
+test.beforeEach(() => {
+    batches.length = 0;
+    localStorage.clear();
+});
+
+test('with no sink set up, the consent banner and the privacy link are not shown', () => {
+    assert.deepEqual(page.modules.analytics.ANALYTICS_CONFIG.sinks, []);
+    assert.ok(document.getElementById('consent-banner').classList.contains('hidden'));
+    assert.ok(document.getElementById('privacy-settings-link').parentElement.classList.contains('hidden'));
+});
+
+test('the collector asks for consent once it is set up', () => {
+    const { ANALYTICS_CONFIG, initializeAnalytics } = page.modules.analytics;
+    ANALYTICS_CONFIG.sinks = ['collector'];
+    initializeAnalytics();
+
+    assert.ok(!document.getElementById('consent-banner').classList.contains('hidden'));
+    assert.ok(!document.getElementById('privacy-settings-link').parentElement.classList.contains('hidden'));
+});
+
+test('events are sent in a batch once the guest consents, without personal details', () => {
+    const { ANALYTICS_CONFIG, setAnalyticsConsent, trackEvent } = page.modules.analytics;
+    setAnalyticsConsent(true);
+
+    trackEvent('tour_expand', { tour: 'safari-blue', email: 'amina@example.com' });
+    clock.tick(ANALYTICS_CONFIG.collector.flushDelayMs);
+
+    assert.equal(batches.length, 1);
+    assert.equal(batches[0].events[0].name, 'tour_expand');
+    assert.deepEqual(batches[0].events[0].props, { tour: 'safari-blue' });
+});
+
+test('events waiting to be sent are thrown away when the guest declines', () => {
+    const { ANALYTICS_CONFIG, setAnalyticsConsent, trackEvent, flushAnalytics } = page.modules.analytics;
+    setAnalyticsConsent(true);
+    trackEvent('tour_expand', { tour: 'safari-blue' });
+
+    setAnalyticsConsent(false);
+    clock.tick(ANALYTICS_CONFIG.collector.flushDelayMs);
+    flushAnalytics();
+
+    assert.deepEqual(batches, []);
+});
+
+test('nothing is recorded without consent', () => {
+    const { trackEvent, flushAnalytics } = page.modules.analytics;
+    trackEvent('tour_expand', { tour: 'safari-blue' });
+    flushAnalytics();
+
+    assert.deepEqual(batches, []);
+});
@@ -0,0 +1,214 @@
+/**
+ * The booking form (js/app/booking-form.js): validation, "Book Now" preselection
+ * and sending a booking through EmailJS.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/page.js');
+
+/**
+ * Returns the local date `days` from today as YYYY-MM-DD.
+ * @param {number} days - Days from today.
+ * @returns {string} The date.
+ */
+function daysFromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return page.modules.availability.formatISODate(date);
+}
+
+/**
+ * Types the guest's contact details into the booking form.
+ * @param {object} details - The name, email and phone to enter.
+ */
+function fillContactDetails({ name, email, phone }) {
+    document.getElementById('full-name').value = name;
+    document.getElementById('email').value = email;
+    document.getElementById('phone').value = phone;
+}
+
+/**
+ * Submits the booking form the way the "Send" button does.
+ */
+function submitBookingForm() {
+    document.getElementById('booking-form')
+        .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+}
+
+let page;
+
+test.before(async () => {
+    page = await loadPage();
+    // Let the availability and reviews load.
+    await settle();
+    const { SPAM_GUARD_CONFIG } = page.modules.spamGuard;
+    // The spam guard would stop a form sent the moment the page loaded.
+    SPAM_GUARD_CONFIG.minFillMs = 0;
+    SPAM_GUARD_CONFIG.challenge = 'none';
+    // Keep the test to the one transport under test.
+    page.modules.transports.BOOKING_CONFIG.copyTo = [];
+});
+
+test.after(() => page.close());
+
+test.afterEach(() => {
+    document.getElementById('booking-form').reset();
+    page.modules.itinerary.clearItinerary();
+    page.emailjsSends.length = 0;
+    localStorage.clear();
+});
+
+test('bookTour selects the tour and adds it to the itinerary', () => {
+    page.modules.bookingForm.bookTour('prison-island');
+
+    const { itineraryLines } = page.modules.itinerary;
+    assert.equal(document.getElementById('tour-select').value, 'prison-island');
+    assert.equal(itineraryLines.length, 1);
+    assert.equal(itineraryLines[0].tourId, 'prison-island');
+    assert.equal(document.querySelectorAll('.itinerary-line').length, 1);
+});
+
+test('bookTour ignores tours that are not in the catalog', () => {
+    page.modules.bookingForm.bookTour('no-such-tour');
+
+    assert.equal(page.modules.itinerary.itineraryLines.length, 0);
+});
+
+test('a tour card\'s "Book Now" button books its tour', () => {
+    document.querySelector('.tour-card[data-tour-id="prison-island"] .tour-card-btn').click();
+
+    assert.equal(document.getElementById('tour-select').value, 'prison-island');
+    assert.equal(page.modules.itinerary.itineraryLines[0].tourId, 'prison-island');
+});
+
+test('an empty form shows an error under every required field', () => {
+    submitBookingForm();
+
+    ['full-name', 'email', 'phone'].forEach(id => {
+        assert.equal(document.getElementById(id).getAttribute('aria-invalid'), 'true', id);
+        assert.ok(!document.getElementById(`${id}-error`).classList.contains('hidden'), id);
+    });
+    assert.equal(document.getElementById('itinerary-list-error').textContent, page.modules.validation.VALIDATION_MESSAGES.itineraryEmpty);
+    assert.ok(!document.getElementById('error-message').classList.contains('hidden'));
+    assert.equal(page.emailjsSends.length, 0);
+});
+
+test('getBookingErrors checks each field of the booking', () => {
+    const { getBookingErrors, collectBooking } = page.modules.bookingForm;
+    const { addToItinerary, itineraryLines } = page.modules.itinerary;
+    const { VALIDATION_MESSAGES } = page.modules.validation;
+    addToItinerary('prison-island', daysFromToday(-1));
+    itineraryLines[0].date = daysFromToday(-1);
+    fillContactDetails({ name: 'A', email: 'guest@example', phone: '0712 345 678' });
+
+    const errors = getBookingErrors(collectBooking());
+
+    assert.equal(errors.name, VALIDATION_MESSAGES.nameRequired);
+    assert.equal(errors.email, VALIDATION_MESSAGES.emailInvalid);
+    assert.equal(errors.phone, VALIDATION_MESSAGES.phoneInvalid);
+    assert.equal(errors['itinerary.0.date'], VALIDATION_MESSAGES.datePast);
+});
+
+test('getBookingErrors accepts a complete booking', () => {
+    const { getBookingErrors, collectBooking } = page.modules.bookingForm;
+    page.modules.itinerary.addToItinerary('prison-island', daysFromToday(10), { adults: 2, children: 1, infants: 0 });
+    fillContactDetails({ name: 'Amina Juma', email: 'amina@example.com', phone: '+255 712 345 678' });
+
+    assert.deepEqual(getBookingErrors(collectBooking()), {});
+});
+
+test('a valid booking is sent through EmailJS and the success message shown', async () => {
+    const { BOOKING_CONFIG } = page.modules.transports;
+    page.modules.itinerary.addToItinerary('prison-island', daysFromToday(10), { adults: 2, children: 0, infants: 0 });
+    fillContactDetails({ name: 'Amina Juma', email: 'amina@example.com', phone: '+255 712 345 678' });
+
+    submitBookingForm();
+    await settle();
+
+    assert.equal(page.emailjsSends.length, 1);
+    const [send] = page.emailjsSends;
+    assert.equal(send.serviceId, BOOKING_CONFIG.emailjs.serviceId);
+    assert.equal(send.templateId, BOOKING_CONFIG.emailjs.templateId);
+    assert.equal(send.params.name, 'Amina Juma');
+    assert.equal(send.params.phone, '+255712345678');
+    assert.equal(send.params.itinerary[0].tour_id, 'prison-island');
+    assert.match(send.params.reference, /^ZST-/);
+    assert.ok(!document.getElementById('success-message').classList.contains('hidden'));
+    assert.equal(document.getElementById('booking-reference').textContent, send.params.reference);
+});
+
+/**
+ * Opens the date calendar of the first itinerary line.
+ * @returns {HTMLElement} The calendar.
+ */
+function openLineCalendar() {
+    document.querySelector('.itinerary-line [data-field="date"]').click();
+    return document.querySelector('.itinerary-line .itinerary-calendar');
+}
+
+test('an itinerary line\'s calendar greys out the days its tour does not run', () => {
+    // Sky diving runs on Tuesdays, Thursdays and Saturdays only.
+    page.modules.itinerary.addToItinerary('sky-diving');
+
+    const calendar = openLineCalendar();
+
+    assert.ok(!calendar.classList.contains('hidden'));
+    const days = [...calendar.querySelectorAll('button[data-date]')]
+        .filter(button => button.dataset.date >= daysFromToday(0));
+    assert.ok(days.length > 0);
+    days.forEach(button => {
+        const weekday = new Date(`${button.dataset.date}T00:00:00`).getDay();
+        const available = page.modules.availability.getAvailability('sky-diving', button.dataset.date).available;
+        assert.equal(button.disabled, !available, button.dataset.date);
+        if ([0, 1, 3, 5].includes(weekday)) assert.ok(button.disabled, button.dataset.date);
+    });
+});
+
+test('an itinerary line\'s calendar stops at the end of the booking window', () => {
+    page.modules.itinerary.addToItinerary('prison-island');
+    const calendar = openLineCalendar();
+    const lastDate = daysFromToday(page.modules.validation.VALIDATION_LIMITS.bookingWindowDays);
+
+    let pages = 0;
+    while (!calendar.querySelector('[data-month-offset="1"]').disabled && pages < 24) {
+        calendar.querySelector('[data-month-offset="1"]').click();
+        pages += 1;
+    }
+
+    assert.ok(pages <= 13, `paged ${pages} months ahead`);
+    assert.ok(calendar.querySelector(`button[data-date="${lastDate}"]`));
+    calendar.querySelectorAll('button[data-date]').forEach(button => {
+        assert.equal(button.disabled, button.dataset.date > lastDate, button.dataset.date);
+    });
+});
+
+test('picking a day in an itinerary line\'s calendar sets the line\'s date and checks it', () => {
+    page.modules.itinerary.addToItinerary('sky-diving');
+    // Sending the form without a date marks the line's date as missing.
+    submitBookingForm();
+    const dateButton = document.querySelector('.itinerary-line [data-field="date"]');
+    const errorText = document.querySelector('.itinerary-line .itinerary-line-error');
+    assert.equal(dateButton.getAttribute('aria-invalid'), 'true');
+
+    const day = openLineCalendar().querySelector('button[data-date]:not([disabled])');
+    day.click();
+
+    assert.equal(page.modules.itinerary.itineraryLines[0].date, day.dataset.date);
+    assert.ok(document.querySelector('.itinerary-line .itinerary-calendar').classList.contains('hidden'));
+    assert.equal(dateButton.getAttribute('aria-expanded'), 'false');
+    assert.ok(errorText.classList.contains('hidden'));
+    assert.equal(dateButton.getAttribute('aria-invalid'), 'false');
+});
+
+test('the booking calendar does not page beyond the booking window', () => {
+    const calendar = document.getElementById('booking-calendar');
+    const lastDate = daysFromToday(page.modules.validation.VALIDATION_LIMITS.bookingWindowDays);
+
+    page.modules.calendar.setCalendarDate(lastDate);
+
+    assert.ok(calendar.querySelector('[data-month-offset="1"]').disabled);
+    const nextDay = calendar.querySelector(`button[data-date="${page.modules.validation.addDaysToDate(lastDate, 1)}"]`);
+    if (nextDay) assert.ok(nextDay.disabled);
+    assert.ok(!calendar.querySelector(`button[data-date="${lastDate}"]`).disabled);
+});
@@ -0,0 +1,160 @@
+/**
+ * The booking server (server/booking-server.js) answers requests that are valid
+ * JSON but not shaped like what the website sends with a 400, not a 500, and
+ * limits what one address can send to the lookup and analytics endpoints.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { startBookingServer, TEST_STAFF } = require('../helpers/server.js');
+
+let server;
+
+/**
+ * Sends a request with a raw body, so it reaches the server exactly as written.
+ * @param {string} method - The HTTP method.
+ * @param {string} urlPath - The request path.
+ * @param {string} [body] - The request body.
+ * @param {object} [headers] - Extra headers.
+ * @returns {Promise<object>} The response: { status, headers, body }, with the body parsed.
+ */
+function request(method, urlPath, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`${server.url}${urlPath}`, { method, headers }, res => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Sends a change to a booking as our team's dashboard does.
+ * @param {number} id - The booking's id.
+ * @param {string} body - The request body.
+ * @returns {Promise<object>} The response: { status, body }.
+ */
+function patchBooking(id, body) {
+    const credentials = Buffer.from(`${TEST_STAFF.name}:${TEST_STAFF.password}`).toString('base64');
+    return request('PATCH', `/api/admin/bookings/${id}`, body, { Authorization: `Basic ${credentials}` });
+}
+
+/**
+ * Creates a booking the booking form could send.
+ * @returns {object} The booking.
+ */
+function createBooking() {
+    const date = new Date();
+    date.setDate(date.getDate() + 30);
+    return {
+        reference: 'ZST-7KQ3MP',
+        itinerary: [{ tour_id: 'prison-island', tour: 'Prison Island', date: date.toISOString().slice(0, 10), adults: 2, children: 0, infants: 0, guests: 2 }],
+        name: 'Amina Juma',
+        email: 'amina@example.com',
+        phone: '+255712345678'
+    };
+}
+
+test.before(async () => {
+    server = await startBookingServer();
+});
+
+test.after(() => server.stop());
+
+test('a booking that is not a JSON object gets a 400', async () => {
+    for (const body of ['null', '42', '"a booking"', '[]', '[{"name":"Amina Juma"}]']) {
+        assert.equal((await request('POST', '/api/bookings', body)).status, 400, body);
+    }
+});
+
+test('a booking with an itinerary line that is not an object gets a 400', async () => {
+    const booking = { ...createBooking(), itinerary: [null] };
+
+    assert.equal((await request('POST', '/api/bookings', JSON.stringify(booking))).status, 400);
+});
+
+test('a valid booking is stored, and a change with a malformed itinerary gets a 400', async () => {
+    const booking = createBooking();
+    const stored = await request('POST', '/api/bookings', JSON.stringify(booking));
+    assert.equal(stored.status, 201);
+
+    const change = { action: 'change', reference: booking.reference, token: stored.body.token, itinerary: [null] };
+    assert.equal((await request('POST', '/api/amendments', JSON.stringify(change))).status, 400);
+    assert.equal((await request('POST', '/api/amendments', '[]')).status, 400);
+});
+
+test('a dashboard change that is not a JSON object gets a 400', async () => {
+    const { body } = await request('POST', '/api/bookings', JSON.stringify({ ...createBooking(), reference: 'ZST-4HN8RT' }));
+
+    for (const change of ['null', '42', '"confirmed"', '["status"]']) {
+        assert.equal((await patchBooking(body.id, change)).status, 400, change);
+    }
+    assert.equal((await patchBooking(body.id, '{"guide":"Juma"}')).status, 200);
+});
+
+/**
+ * Sends a batch of analytics events as the website's collector does.
+ * @returns {Promise<object>} The response: { status, headers, body }.
+ */
+function sendEvents() {
+    const events = [{ name: 'tour_expand', props: { tour: 'safari-blue' }, at: new Date().toISOString() }];
+    return request('POST', '/api/events', JSON.stringify({ events }));
+}
+
+test('an analytics request larger than a batch of events gets a 413', async () => {
+    const body = JSON.stringify({ events: [], padding: 'x'.repeat(40 * 1024) });
+
+    assert.equal((await request('POST', '/api/events', body)).status, 413);
+});
+
+test('no more events are stored once the events file is full', async () => {
+    const eventsFile = path.join(server.folder, 'events.jsonl');
+    // A sparse file, so the test doesn't write 50 MB.
+    fs.writeFileSync(eventsFile, '');
+    fs.truncateSync(eventsFile, 50 * 1024 * 1024);
+
+    assert.equal((await sendEvents()).status, 507);
+    assert.equal(fs.statSync(eventsFile).size, 50 * 1024 * 1024);
+
+    // Once the file is rotated, events are stored again.
+    fs.truncateSync(eventsFile, 0);
+    assert.equal((await sendEvents()).status, 202);
+});
+
+/**
+ * Sends a request until the server answers it with a 429.
+ * @param {Function} send - Sends the request.
+ * @param {number} maxTries - How many to send at most.
+ * @returns {Promise<object>} The statuses before the 429, and the 429 response, if any.
+ */
+async function sendUntilLimited(send, maxTries) {
+    const statuses = [];
+    for (let i = 0; i < maxTries; i++) {
+        const response = await send();
+        if (response.status === 429) return { statuses, limited: response };
+        statuses.push(response.status);
+    }
+    return { statuses, limited: null };
+}
+
+test('an address that looks up too many bookings is told to wait', async () => {
+    const lookUp = () => request('POST', '/api/bookings/lookup', JSON.stringify({ reference: 'ZST-AAAAAA', email: 'guess@example.com' }));
+
+    const { statuses, limited } = await sendUntilLimited(lookUp, 50);
+
+    assert.ok(limited, 'never limited');
+    assert.ok(statuses.length >= 5 && statuses.every(status => status === 404), statuses.join(', '));
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+});
+
+test('an address that sends events too often is told to wait', async () => {
+    const { statuses, limited } = await sendUntilLimited(sendEvents, 200);
+
+    assert.ok(limited, 'never limited');
+    assert.ok(statuses.every(status => status === 202), statuses.join(', '));
+});
@@ -0,0 +1,61 @@
+/**
+ * The booking server's store (server/booking-store.js): reading the bookings
+ * file, and writing it back without ever leaving it half-written.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBookingStore } = require('../../server/booking-store.js');
+
+let folder;
+
+test.beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-store-'));
+});
+
+test.afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('a new store starts empty and creates its file on the first booking', async () => {
+    const file = path.join(folder, 'data', 'bookings.json');
+    const store = createBookingStore(file);
+    assert.deepEqual(store.list(), []);
+
+    const record = await store.add({ reference: 'ZST-7KQ3MP', name: 'Amina Juma' });
+
+    assert.equal(record.id, 1);
+    assert.equal(record.status, 'pending');
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [record]);
+    // Nothing is left behind by the write.
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['bookings.json']);
+});
+
+test('bookings survive a restart', async () => {
+    const file = path.join(folder, 'bookings.json');
+    await createBookingStore(file).add({ reference: 'ZST-7KQ3MP', name: 'Amina Juma' });
+
+    const reopened = createBookingStore(file);
+
+    assert.equal(reopened.list().length, 1);
+    assert.equal(reopened.findByReference('ZST-7KQ3MP').booking.name, 'Amina Juma');
+});
+
+test('a file that is not JSON stops the store with a message naming it', () => {
+    const file = path.join(folder, 'bookings.json');
+    fs.writeFileSync(file, '[{"id": 1, "receivedAt"');
+
+    assert.throws(() => createBookingStore(file), error => error.message.startsWith(`Could not read the bookings in ${file}: `));
+    // The broken file is kept for our team to fix.
+    assert.equal(fs.readFileSync(file, 'utf8'), '[{"id": 1, "receivedAt"');
+});
+
+test('a file that is not a list of bookings stops the store', () => {
+    const file = path.join(folder, 'bookings.json');
+    fs.writeFileSync(file, '{}');
+
+    assert.throws(() => createBookingStore(file), /does not hold a list of bookings/);
+});
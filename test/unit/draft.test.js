@@ -0,0 +1,61 @@
+/**
+ * The booking draft (js/draft.js): restored when the guest comes back, and
+ * thrown away, without stopping the page, when it isn't shaped like a draft.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/page.js');
+
+const DRAFT_STORAGE_KEY = 'zanzibar-safari-booking-draft';
+
+/**
+ * Loads the page with a draft already saved, as on a guest's return.
+ * @param {*} draft - The saved draft.
+ * @returns {Promise<object>} The page.
+ */
+async function loadPageWithDraft(draft) {
+    const page = await loadPage({
+        beforeScripts: () => localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft))
+    });
+    await settle();
+    return page;
+}
+
+test('a saved draft is restored into the form and itinerary', async () => {
+    const page = await loadPageWithDraft({
+        itinerary: [{ tourId: 'prison-island', date: '', adults: 2, children: 1, infants: 0 }],
+        fields: { 'full-name': 'Amina Juma', email: 'amina@example.com' },
+        savedAt: '2026-10-01T08:00:00.000Z'
+    });
+    try {
+        assert.equal(document.getElementById('full-name').value, 'Amina Juma');
+        const { itineraryLines } = page.modules.itinerary;
+        assert.equal(itineraryLines.length, 1);
+        assert.equal(itineraryLines[0].adults, 2);
+    } finally {
+        page.close();
+    }
+});
+
+[
+    ['a draft whose itinerary is not a list', { itinerary: 'prison-island', fields: {} }],
+    ['a draft with an empty itinerary line', { itinerary: [null], fields: {} }],
+    ['a draft whose guest counts are not numbers', { itinerary: [{ tourId: 'prison-island', date: '', adults: '2', children: 0, infants: 0 }] }],
+    ['a draft whose date is not a string', { itinerary: [{ tourId: 'prison-island', date: 20270302, adults: 2, children: 0, infants: 0 }] }],
+    ['a draft whose fields are not an object', { itinerary: [], fields: ['Amina Juma'] }],
+    ['a saved draft that is not an object', 42]
+].forEach(([name, draft]) => {
+    test(`${name} is thrown away and the page still starts`, async () => {
+        const page = await loadPageWithDraft(draft);
+        try {
+            assert.equal(localStorage.getItem(DRAFT_STORAGE_KEY), null);
+            assert.equal(page.modules.itinerary.itineraryLines.length, 0);
+            // The initializers after the draft's ran: "Book Now" books the tour.
+            document.querySelector('.tour-card[data-tour-id="prison-island"] .tour-card-btn').click();
+            assert.equal(page.modules.itinerary.itineraryLines[0].tourId, 'prison-island');
+        } finally {
+            page.close();
+        }
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Responsive images (js/images.js): the tour cards and gallery tiles have their
+ * copies from the moment they are on the page, not once the manifest arrives.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/page.js');
+
+const TOUR_PHOTO = 'pictures/ZANZIBAR PICS/Prison island/prison island 2.jpg';
+const GALLERY_PHOTO = 'pictures/ZANZIBAR PICS/cruise/sunset-dhow-cruise6.jpg';
+
+/**
+ * Creates a manifest entry for a photo, as tools/build-images.js would.
+ * @param {string} slug - The name of the photo's copies.
+ * @returns {object} The entry.
+ */
+function createManifestEntry(slug) {
+    const sources = format => [480, 960].map(width => ({ width, src: `pictures/generated/${slug}-${width}.${format}` }));
+    return { slug, width: 1600, height: 1067, placeholder: 'data:image/webp;base64,AAAA', sources: { avif: sources('avif'), webp: sources('webp') } };
+}
+
+const manifest = {
+    generated: '2026-10-01T00:00:00.000Z',
+    images: {
+        [TOUR_PHOTO]: createManifestEntry('prison-island-2'),
+        [GALLERY_PHOTO]: createManifestEntry('sunset-dhow-cruise6')
+    }
+};
+
+// The tour photos as they were first put on the page.
+const firstTourPhotos = [];
+
+let page;
+
+test.before(async () => {
+    page = await loadPage({
+        beforeScripts: () => {
+            new MutationObserver(mutations => mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.querySelector) firstTourPhotos.push(...[...node.querySelectorAll('img')].map(img => img.cloneNode()));
+                });
+            })).observe(document.getElementById('tour-grid'), { childList: true });
+        },
+        onFetch: url => {
+            if (url !== 'data/images.json') return null;
+            return { ok: true, status: 200, statusText: 'OK', json: () => Promise.resolve(manifest) };
+        }
+    });
+    await settle();
+});
+
+test.after(() => page.close());
+
+test('a tour card\'s photo has its srcset when the card is first rendered', () => {
+    const photo = firstTourPhotos.find(img => img.getAttribute('src') === TOUR_PHOTO);
+
+    assert.ok(photo);
+    assert.match(photo.getAttribute('srcset'), /prison-island-2-480\.webp 480w, .*prison-island-2-960\.webp 960w/);
+    assert.equal(photo.getAttribute('sizes'), page.modules.images.TOUR_CARD_IMAGE_SIZES);
+    const picture = document.querySelector(`.tour-card[data-tour-id="prison-island"] picture`);
+    assert.match(picture.querySelector('source[type="image/avif"]').srcset, /prison-island-2-960\.avif 960w/);
+});
+
+test('a gallery tile\'s photo has its srcset once the page has started', () => {
+    const photo = document.querySelector('.gallery-item-featured img');
+
+    assert.equal(photo.getAttribute('src'), GALLERY_PHOTO);
+    assert.match(photo.getAttribute('srcset'), /sunset-dhow-cruise6-960\.webp 960w/);
+    assert.ok(photo.parentElement.matches('picture.image-placeholder'));
+    assert.equal(photo.width, 1600);
+});
+
+test('photos without copies keep their original file', () => {
+    const photo = document.querySelector('.tour-card[data-tour-id="jozani-forest"] .tour-card-img');
+
+    assert.ok(!photo.closest('picture'));
+    assert.ok(!photo.hasAttribute('srcset'));
+});
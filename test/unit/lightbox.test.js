@@ -0,0 +1,93 @@
+/**
+ * The photo lightbox (js/lightbox.js): moving between photos, wrapping around
+ * at either end, and swiping.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/page.js');
+
+/**
+ * Drags a pointer across the photo, as a finger swiping it.
+ * @param {number} fromX - Where the pointer goes down.
+ * @param {number} toX - Where it is lifted.
+ */
+function swipePhoto(fromX, toX) {
+    const image = document.getElementById('lightbox-img');
+    const pointer = { bubbles: true, pointerId: 1, clientY: 200 };
+    image.dispatchEvent(new PointerEvent('pointerdown', { ...pointer, clientX: fromX }));
+    image.dispatchEvent(new PointerEvent('pointermove', { ...pointer, clientX: toX }));
+    image.dispatchEvent(new PointerEvent('pointerup', { ...pointer, clientX: toX }));
+}
+
+let page;
+let lightbox;   // The page's js/lightbox.js module.
+let photoCount;
+
+test.before(async () => {
+    page = await loadPage();
+    lightbox = page.modules.lightbox;
+    photoCount = document.querySelectorAll('.gallery-item').length;
+});
+
+test.after(() => page.close());
+
+test.beforeEach(() => lightbox.openLightbox('gallery', 0));
+
+test.afterEach(() => lightbox.closeLightbox());
+
+test('the gallery has photos to move between', () => {
+    assert.ok(photoCount > 1);
+    assert.ok(document.getElementById('lightbox').classList.contains('show'));
+    assert.equal(document.getElementById('lightbox-counter').textContent, `1 / ${photoCount}`);
+});
+
+test('the previous button wraps from the first photo to the last', () => {
+    document.getElementById('lightbox-prev').click();
+
+    assert.equal(lightbox.lightboxIndex, photoCount - 1);
+    assert.equal(document.getElementById('lightbox-counter').textContent, `${photoCount} / ${photoCount}`);
+});
+
+test('the next button wraps from the last photo to the first', () => {
+    lightbox.showLightboxImage(photoCount - 1);
+    document.getElementById('lightbox-next').click();
+
+    assert.equal(lightbox.lightboxIndex, 0);
+});
+
+test('the arrow keys move between photos', () => {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+    assert.equal(lightbox.lightboxIndex, 1);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+    assert.equal(lightbox.lightboxIndex, photoCount - 1);
+});
+
+test('swiping left shows the next photo, and right the previous one', () => {
+    swipePhoto(300, 200);
+    assert.equal(lightbox.lightboxIndex, 1);
+
+    swipePhoto(200, 300);
+    swipePhoto(200, 300);
+    assert.equal(lightbox.lightboxIndex, photoCount - 1);
+});
+
+test('a short drag is not a swipe', () => {
+    swipePhoto(300, 300 - lightbox.LIGHTBOX_SWIPE_THRESHOLD + 10);
+
+    assert.equal(lightbox.lightboxIndex, 0);
+});
+
+test('a gallery tile opens its photo, and the address bar follows the photo on show', async () => {
+    lightbox.closeLightbox();
+    document.querySelectorAll('.gallery-item')[2].click();
+    await settle();
+
+    assert.equal(lightbox.lightboxIndex, 2);
+    assert.equal(location.hash, lightbox.getLightboxRoute('gallery', 2));
+
+    document.getElementById('lightbox-next').click();
+    assert.equal(location.hash, lightbox.getLightboxRoute('gallery', 3));
+});
@@ -0,0 +1,138 @@
+/**
+ * "Manage my booking" (js/manage-booking.js): offered only where amendments can
+ * be delivered, looked up only where there is a booking server, and never
+ * emailing the manage-link token. Also the manage link shown after a booking.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/page.js');
+
+// How the fake booking server answers a lookup; see loadPage() below.
+let lookupReply = null;
+
+/**
+ * Builds a fetch() response with a JSON body, as the booking server sends.
+ * @param {number} status - The HTTP status.
+ * @param {object} body - The JSON body.
+ * @returns {object} The response.
+ */
+function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status, statusText: '', json: () => Promise.resolve(body) };
+}
+
+// A static host's answer to a POST: its own HTML error page.
+const STATIC_HOST_REPLY = {
+    ok: false,
+    status: 405,
+    statusText: 'Not Allowed',
+    json: () => Promise.reject(new SyntaxError('Unexpected token < in JSON'))
+};
+
+/**
+ * Returns the local date `days` from today as YYYY-MM-DD.
+ * @param {number} days - Days from today.
+ * @returns {string} The date.
+ */
+function daysFromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return page.modules.availability.formatISODate(date);
+}
+
+let page;
+let manageBooking;   // The page's js/manage-booking.js module.
+let transports;      // The page's js/transports.js module.
+
+test.before(async () => {
+    page = await loadPage({
+        onFetch: (url, options) => {
+            // The page only reads files while it loads.
+            if (options.method !== 'POST') return null;
+            if (url === transports.BOOKING_CONFIG.dashboard.lookupEndpoint) return lookupReply();
+            if (url === transports.BOOKING_CONFIG.dashboard.endpoint) {
+                // The booking server's receipt, with the booking's manage-link token.
+                const { reference } = JSON.parse(options.body);
+                return jsonResponse(201, { id: 1, receivedAt: new Date().toISOString(), reference, token: 'signed-token' });
+            }
+            return null;
+        }
+    });
+    manageBooking = page.modules.manageBooking;
+    transports = page.modules.transports;
+    await settle();
+    const { SPAM_GUARD_CONFIG } = page.modules.spamGuard;
+    SPAM_GUARD_CONFIG.minFillMs = 0;
+    SPAM_GUARD_CONFIG.challenge = 'none';
+    transports.BOOKING_CONFIG.copyTo = [];
+});
+
+test.after(() => page.close());
+
+test('while amendments have no EmailJS template, nothing points guests to "Manage my booking"', () => {
+    assert.equal(transports.canDeliverBookingKind('amendment'), false);
+    assert.ok(document.getElementById('manage-prompt').classList.contains('hidden'));
+    assert.ok(document.getElementById('edit-booking-btn').classList.contains('hidden'));
+
+    // A manage link from an older email explains where to go instead.
+    manageBooking.showManageBookingRoute(new URLSearchParams('ref=ZST-7KQ3MP&token=signed-token'));
+
+    assert.ok(!document.getElementById('manage-unavailable').classList.contains('hidden'));
+    assert.ok(document.getElementById('manage-lookup-form').classList.contains('hidden'));
+    manageBooking.hideManageBookingRoute();
+});
+
+test('amendments sent through EmailJS leave the manage-link token out', async () => {
+    transports.bookingTransports.emailjs = transports.createEmailJSTransport({ ...transports.BOOKING_CONFIG.emailjs, amendmentTemplateId: 'template_amendment' });
+
+    await transports.getBookingTransport('emailjs').send({ kind: 'amendment', action: 'cancel', reference: 'ZST-7KQ3MP', token: 'signed-token', name: 'Amina Juma' });
+
+    const [send] = page.emailjsSends;
+    assert.equal(send.templateId, 'template_amendment');
+    assert.equal(send.params.reference, 'ZST-7KQ3MP');
+    assert.ok(!('token' in send.params));
+});
+
+test('a lookup on a static host says bookings cannot be managed on this site', async () => {
+    lookupReply = () => STATIC_HOST_REPLY;
+    manageBooking.showManageBookingRoute(new URLSearchParams('ref=ZST-7KQ3MP'));
+    assert.ok(document.getElementById('manage-unavailable').classList.contains('hidden'));
+
+    await manageBooking.openManagedBooking({ reference: 'ZST-7KQ3MP', email: 'amina@example.com' });
+
+    const lookupError = document.getElementById('manage-lookup-error');
+    assert.ok(!lookupError.classList.contains('hidden'));
+    assert.equal(lookupError.textContent, page.modules.i18n.t('manage.unavailable'));
+});
+
+test('a lookup the booking server finds no booking for says so', async () => {
+    lookupReply = () => jsonResponse(404, { error: 'No booking matches that reference and email' });
+
+    await manageBooking.openManagedBooking({ reference: 'ZST-7KQ3MP', email: 'amina@example.com' });
+
+    assert.equal(document.getElementById('manage-lookup-error').textContent, page.modules.i18n.t('manage.notFound'));
+});
+
+test('a lookup that cannot reach the booking server asks the guest to try again', async () => {
+    lookupReply = () => Promise.reject(new TypeError('Failed to fetch'));
+
+    await manageBooking.openManagedBooking({ reference: 'ZST-7KQ3MP', email: 'amina@example.com' });
+
+    assert.equal(document.getElementById('manage-lookup-error').textContent, page.modules.i18n.t('manage.lookupFailed'));
+});
+
+test('a booking the booking server received shows the guest their manage link', async () => {
+    transports.BOOKING_CONFIG.transport = 'dashboard';
+    page.modules.itinerary.addToItinerary('prison-island', daysFromToday(10), { adults: 2, children: 0, infants: 0 });
+    document.getElementById('full-name').value = 'Amina Juma';
+    document.getElementById('email').value = 'amina@example.com';
+    document.getElementById('phone').value = '+255 712 345 678';
+
+    document.getElementById('booking-form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await settle();
+
+    const reference = document.getElementById('booking-reference').textContent;
+    assert.match(reference, /^ZST-/);
+    assert.ok(!document.getElementById('manage-link-text').classList.contains('hidden'));
+    assert.equal(document.getElementById('manage-link').href, `http://localhost/#manage?ref=${reference}&token=signed-token`);
+});
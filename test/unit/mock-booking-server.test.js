@@ -0,0 +1,65 @@
+/**
+ * The mock booking server (tools/mock-booking-server.js) answers bad requests
+ * with a 400 instead of crashing, and serves nothing outside the repository.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { ROOT } = require('../helpers/page.js');
+const { startMockServer } = require('../helpers/server.js');
+
+let server;
+
+/**
+ * Sends a raw request, so the path reaches the server exactly as written.
+ * @param {string} method - The HTTP method.
+ * @param {string} urlPath - The request path.
+ * @param {string} [body] - The request body.
+ * @returns {Promise<number>} The response status.
+ */
+function request(method, urlPath, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`${server.url}${urlPath}`, { method }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+test.before(async () => {
+    server = await startMockServer();
+});
+
+test.after(() => server.stop());
+
+test('a body that is not a booking gets a 400', async () => {
+    assert.equal(await request('POST', '/api/bookings', 'null'), 400);
+    assert.equal(await request('POST', '/api/bookings', '[]'), 400);
+    assert.equal(await request('POST', '/api/bookings', '{"itinerary":[null]}'), 400);
+    assert.equal(await request('POST', '/api/reviews', '"five stars"'), 400);
+    assert.equal(await request('POST', '/api/bookings', '{'), 400);
+});
+
+test('an invalid booking gets a 422', async () => {
+    assert.equal(await request('POST', '/api/bookings', '{"itinerary":[]}'), 422);
+});
+
+test('a path that cannot be decoded gets a 400', async () => {
+    assert.equal(await request('GET', '/%E0%A4%A'), 400);
+});
+
+test('nothing outside the repository is served', async () => {
+    // An encoded slash keeps the URL parser from resolving the "..".
+    assert.equal(await request('GET', '/..%2Fetc%2Fpasswd'), 403);
+    // A folder next to the repository whose name starts the same.
+    assert.equal(await request('GET', `/..%2F${path.basename(ROOT)}-secrets%2Fkey`), 403);
+});
+
+test('the server is still running after the bad requests', async () => {
+    assert.equal(await request('GET', '/index.html'), 200);
+    assert.equal(await request('GET', '/no-such-file.html'), 404);
+});
@@ -0,0 +1,204 @@
+/**
+ * The offline booking outbox (js/outbox.js), delivering to the mock booking
+ * server (tools/mock-booking-server.js): what is queued, what is retried, and
+ * what the outbox gives up on and shows the guest.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/page.js');
+const { startMockServer } = require('../helpers/server.js');
+
+// Node's own fetch, to reach the mock servers; the page's fetch reads files.
+const nodeFetch = globalThis.fetch;
+
+let page;
+let outbox;       // The page's js/outbox.js module.
+let transports;   // The page's js/transports.js module.
+let server;
+let failingServer;
+let stoppedServer;
+
+/**
+ * Builds a booking the mock server accepts, as the booking form does.
+ * @param {object} [changes] - Fields to change.
+ * @returns {object} The booking.
+ */
+function createBooking(changes = {}) {
+    const date = new Date();
+    date.setDate(date.getDate() + 10);
+    const line = { tourId: 'prison-island', date: page.modules.availability.formatISODate(date), adults: 2, children: 0, infants: 0 };
+    const itinerary = [{ tour_id: line.tourId, tour: 'Prison Island', date: line.date, guests: 2, adults: 2, children: 0, infants: 0 }];
+    return {
+        kind: 'booking',
+        reference: 'ZST-7KQ3MP',
+        itinerary,
+        itinerary_text: page.modules.itinerary.formatItineraryText(itinerary),
+        quote: page.modules.pricing.quoteItinerary([line]),
+        name: 'Amina Juma',
+        email: 'amina@example.com',
+        phone: '+255712345678',
+        requests: '',
+        ...changes
+    };
+}
+
+/**
+ * Lists what is in the outbox.
+ * @returns {Promise<Array<object>>} The entries.
+ */
+function getOutboxEntries() {
+    return outbox.withOutboxStore('readonly', store => store.getAll());
+}
+
+/**
+ * Lists the bookings the mock server has received.
+ * @returns {Promise<Array<object>>} The bookings.
+ */
+function getReceivedBookings() {
+    return nodeFetch(`${server.url}/api/bookings`).then(response => response.json());
+}
+
+test.before(async () => {
+    [server, failingServer, stoppedServer] = await Promise.all([
+        startMockServer(),
+        startMockServer(['--fail-rate', '1']),
+        startMockServer()
+    ]);
+    stoppedServer.stop();
+    page = await loadPage({
+        beforeScripts: () => require('fake-indexeddb/auto'),
+        onFetch: (url, options) => (url.startsWith('http://localhost:') ? nodeFetch(url, options) : null)
+    });
+    outbox = page.modules.outbox;
+    transports = page.modules.transports;
+    await settle();
+
+    // One transport per way a delivery can go.
+    transports.bookingTransports.healthy = transports.createHttpTransport('healthy', { endpoint: `${server.url}/api/bookings` });
+    transports.bookingTransports.failing = transports.createHttpTransport('failing', { endpoint: `${failingServer.url}/api/bookings` });
+    // Nothing listens where the stopped server was: the connection is refused.
+    transports.bookingTransports.unreachable = transports.createHttpTransport('unreachable', { endpoint: `${stoppedServer.url}/api/bookings` });
+});
+
+test.after(() => {
+    server.stop();
+    failingServer.stop();
+    page.close();
+});
+
+test.beforeEach(() => outbox.withOutboxStore('readwrite', store => store.clear()).then(outbox.renderUndeliveredBookings));
+
+test('a delivered booking is not queued', async () => {
+    const { queued, response } = await outbox.sendOrQueueBooking('healthy', createBooking({ reference: 'ZST-SENT01' }));
+
+    assert.equal(queued, false);
+    assert.equal(response.status, 201);
+    // What the endpoint replied is passed on.
+    assert.ok(response.body.id);
+    assert.deepEqual(await getOutboxEntries(), []);
+    assert.ok((await getReceivedBookings()).some(({ booking }) => booking.reference === 'ZST-SENT01'));
+});
+
+test('a booking that meets a server error is queued to retry', async () => {
+    const { queued } = await outbox.sendOrQueueBooking('failing', createBooking());
+
+    assert.equal(queued, true);
+    const [entry] = await getOutboxEntries();
+    assert.equal(entry.transport, 'failing');
+    assert.equal(entry.attempts, 0);
+    assert.ok(outbox.isPendingOutboxEntry(entry));
+});
+
+test('a booking that meets a network error is queued to retry', async () => {
+    assert.equal((await outbox.sendOrQueueBooking('unreachable', createBooking())).queued, true);
+    assert.equal((await getOutboxEntries()).length, 1);
+});
+
+test('a booking the server turns down is not queued', async () => {
+    const invalid = createBooking({ email: 'not an email' });
+
+    await assert.rejects(outbox.sendOrQueueBooking('healthy', invalid), { status: 422 });
+    assert.deepEqual(await getOutboxEntries(), []);
+});
+
+test('a retry that meets a server error is pushed back', async () => {
+    await outbox.queueBooking('failing', createBooking());
+
+    await outbox.flushOutbox(true);
+
+    const [entry] = await getOutboxEntries();
+    assert.equal(entry.attempts, 1);
+    assert.ok(entry.nextAttemptAt > Date.now() + outbox.OUTBOX_RETRY_BASE_MS);
+    assert.ok(outbox.isPendingOutboxEntry(entry));
+});
+
+test('a queued booking is delivered once the server can take it', async () => {
+    await outbox.queueBooking('healthy', createBooking({ reference: 'ZST-LATE01' }));
+
+    await outbox.flushOutbox(true);
+
+    assert.deepEqual(await getOutboxEntries(), []);
+    assert.ok((await getReceivedBookings()).some(({ booking }) => booking.reference === 'ZST-LATE01'));
+});
+
+test('the outbox gives up after its last attempt and shows the booking to the guest', async () => {
+    await outbox.queueBooking('failing', createBooking({ reference: 'ZST-LOST01' }));
+    await outbox.withOutboxStore('readonly', store => store.getAll()).then(([entry]) => {
+        entry.attempts = outbox.OUTBOX_MAX_ATTEMPTS - 1;
+        return outbox.withOutboxStore('readwrite', store => store.put(entry));
+    });
+
+    await outbox.flushOutbox(true);
+    await outbox.renderUndeliveredBookings();
+
+    const [entry] = await getOutboxEntries();
+    assert.equal(entry.attempts, outbox.OUTBOX_MAX_ATTEMPTS);
+    assert.ok(entry.failedAt);
+    assert.match(entry.error, /HTTP 503/);
+    assert.ok(!document.getElementById('undelivered-notice').classList.contains('hidden'));
+    assert.match(document.getElementById('undelivered-list').textContent, /ZST-LOST01/);
+
+    // It is not tried again.
+    await outbox.flushOutbox(true);
+    assert.equal((await getOutboxEntries())[0].attempts, outbox.OUTBOX_MAX_ATTEMPTS);
+});
+
+test('the outbox gives up straight away on a retry the server turns down', async () => {
+    await outbox.queueBooking('healthy', createBooking({ email: 'not an email' }));
+
+    await outbox.flushOutbox(true);
+
+    const [entry] = await getOutboxEntries();
+    assert.equal(entry.attempts, 1);
+    assert.ok(entry.failedAt);
+});
+
+test('the guest can send an undelivered booking on WhatsApp, which clears it', async () => {
+    const opened = [];
+    page.window.open = url => opened.push(url);
+    await outbox.queueBooking('healthy', createBooking({ reference: 'ZST-LOST02', email: 'not an email' }));
+    await outbox.flushOutbox(true);
+    await outbox.renderUndeliveredBookings();
+
+    document.querySelector('#undelivered-list button[data-action="whatsapp"]').click();
+    // The click opens WhatsApp and clears the entry, then updates the notice.
+    for (let i = 0; i < 50 && (await getOutboxEntries()).length > 0; i++) await settle();
+    await outbox.renderUndeliveredBookings();
+
+    assert.equal(opened.length, 1);
+    assert.match(decodeURIComponent(opened[0]), /Name: Amina Juma/);
+    assert.deepEqual(await getOutboxEntries(), []);
+    assert.ok(document.getElementById('undelivered-notice').classList.contains('hidden'));
+});
+
+test('the guest can dismiss an undelivered booking', async () => {
+    await outbox.queueBooking('healthy', createBooking({ email: 'not an email' }));
+    await outbox.flushOutbox(true);
+    await outbox.renderUndeliveredBookings();
+
+    await outbox.resolveUndeliveredBooking((await getOutboxEntries())[0].id, 'dismiss');
+
+    assert.deepEqual(await getOutboxEntries(), []);
+    assert.ok(document.getElementById('undelivered-notice').classList.contains('hidden'));
+});
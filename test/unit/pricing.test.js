@@ -0,0 +1,90 @@
+/**
+ * The price quote engine (js/pricing.js): seasons, group discounts, per-guest
+ * rates and rounding to cents.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PRICING_RULES, getSeason, getGroupDiscount, quoteLine, quoteItinerary } = require('../../js/pricing.js');
+
+test('getSeason finds the season of a date, boundaries included', () => {
+    assert.equal(getSeason('2027-07-01').name, 'High');
+    assert.equal(getSeason('2027-08-15').name, 'High');
+    assert.equal(getSeason('2027-09-30').name, 'High');
+    assert.equal(getSeason('2027-10-01').name, 'Standard');
+    assert.equal(getSeason('2027-04-01').name, 'Low');
+    assert.equal(getSeason('2027-05-31').name, 'Low');
+    assert.equal(getSeason('2027-06-30').name, 'Standard');
+});
+
+test('getSeason wraps the festive season over the new year', () => {
+    assert.equal(getSeason('2026-12-14').name, 'Standard');
+    assert.equal(getSeason('2026-12-15').name, 'Festive');
+    assert.equal(getSeason('2026-12-31').name, 'Festive');
+    assert.equal(getSeason('2027-01-01').name, 'Festive');
+    assert.equal(getSeason('2027-01-10').name, 'Festive');
+    assert.equal(getSeason('2027-01-11').name, 'Standard');
+});
+
+test('getSeason prices a line without a date at the standard rate', () => {
+    assert.equal(getSeason(''), PRICING_RULES.standardSeason);
+    assert.equal(getSeason(undefined), PRICING_RULES.standardSeason);
+});
+
+test('getGroupDiscount picks the tier for the number of paying guests', () => {
+    assert.equal(getGroupDiscount(1), 0);
+    assert.equal(getGroupDiscount(3), 0);
+    assert.equal(getGroupDiscount(4), 0.05);
+    assert.equal(getGroupDiscount(5), 0.05);
+    assert.equal(getGroupDiscount(6), 0.10);
+    assert.equal(getGroupDiscount(9), 0.10);
+    assert.equal(getGroupDiscount(10), 0.15);
+    assert.equal(getGroupDiscount(40), 0.15);
+});
+
+test('quoteLine charges children half the adult price and infants nothing', () => {
+    // Jozani Forest: $35 per adult, standard season.
+    const line = quoteLine({ tourId: 'jozani-forest', date: '2027-03-02', adults: 2, children: 1, infants: 1 });
+
+    assert.equal(line.adultPrice, 35);
+    assert.equal(line.childPrice, 17.5);
+    assert.equal(line.infantPrice, 0);
+    assert.equal(line.subtotal, 87.5);
+    assert.equal(line.total, 87.5);
+});
+
+test('quoteLine does not count infants towards the group discount', () => {
+    const line = quoteLine({ tourId: 'jozani-forest', date: '2027-03-02', adults: 3, children: 0, infants: 2 });
+
+    assert.equal(line.groupDiscount, 0);
+    assert.equal(line.total, 105);
+});
+
+test('quoteLine rounds each price and the discount to whole cents', () => {
+    // Stone Town: $25 per adult; in high season $28.75, and a child $14.375.
+    const line = quoteLine({ tourId: 'stone-town', date: '2026-08-01', adults: 4, children: 1, infants: 2 });
+
+    assert.equal(line.season, 'High');
+    assert.equal(line.adultPrice, 28.75);
+    assert.equal(line.childPrice, 14.38);
+    assert.equal(line.subtotal, 129.38);
+    assert.equal(line.groupDiscount, 0.05);
+    assert.equal(line.discountAmount, 6.47);
+    assert.equal(line.total, 122.91);
+});
+
+test('quoteItinerary adds the line totals up to whole cents', () => {
+    const quote = quoteItinerary([
+        { tourId: 'stone-town', date: '2026-08-01', adults: 4, children: 1, infants: 2 },
+        { tourId: 'jozani-forest', date: '2026-12-31', adults: 1, children: 3, infants: 0 },
+        { tourId: 'jozani-forest', date: '2027-05-01', adults: 1, children: 1, infants: 0 }
+    ]);
+
+    assert.deepEqual(quote.lines.map(line => line.total), [122.91, 103.92, 44.63]);
+    assert.equal(quote.total, 271.46);
+    assert.equal(quote.currency, 'USD');
+});
+
+test('quoteItinerary of an empty itinerary is zero', () => {
+    assert.deepEqual(quoteItinerary([]), { lines: [], total: 0, currency: 'USD' });
+});
@@ -0,0 +1,55 @@
+/**
+ * The "Leave a review" form (js/reviews.js) is only offered once the booking
+ * transport has somewhere to deliver reviews.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/page.js');
+
+let page;
+let reviews;      // The page's js/reviews.js module.
+let transports;   // The page's js/transports.js module.
+
+test.before(async () => {
+    page = await loadPage();
+    reviews = page.modules.reviews;
+    transports = page.modules.transports;
+    await settle();
+});
+
+test.after(() => page.close());
+
+test('transports accept only the kinds they have a template or endpoint for', () => {
+    const emailjs = transports.createEmailJSTransport({ templateId: 'template_booking', reviewTemplateId: '', amendmentTemplateId: 'template_amendment' });
+    assert.equal(emailjs.accepts('booking'), true);
+    assert.equal(emailjs.accepts('review'), false);
+    assert.equal(emailjs.accepts('amendment'), true);
+
+    const dashboard = transports.createHttpTransport('dashboard', { endpoint: '/api/bookings', amendmentEndpoint: '/api/amendments' });
+    assert.equal(dashboard.accepts('booking'), true);
+    assert.equal(dashboard.accepts('review'), false);
+});
+
+test('the review form is hidden while reviews have no EmailJS template', () => {
+    assert.equal(transports.canDeliverBookingKind('review'), false);
+    assert.ok(document.getElementById('review-panel').classList.contains('hidden'));
+});
+
+test('the review form is offered, and sends to its template, once one is set up', async () => {
+    transports.bookingTransports.emailjs = transports.createEmailJSTransport({ ...transports.BOOKING_CONFIG.emailjs, reviewTemplateId: 'template_review' });
+    reviews.initializeReviewForm();
+    assert.ok(!document.getElementById('review-panel').classList.contains('hidden'));
+
+    document.getElementById('review-toggle').click();
+    document.getElementById('review-rating-5').checked = true;
+    document.getElementById('review-text').value = 'The sandbank was beautiful and our guide was great.';
+    document.getElementById('review-name').value = 'Amina';
+    document.getElementById('review-email').value = 'amina@example.com';
+    document.getElementById('review-form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await settle();
+
+    assert.equal(page.emailjsSends.length, 1);
+    assert.equal(page.emailjsSends[0].templateId, 'template_review');
+    assert.equal(page.emailjsSends[0].params.rating, 5);
+});
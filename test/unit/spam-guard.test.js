@@ -0,0 +1,62 @@
+/**
+ * The booking spam guard (js/spam-guard.js) reports every booking it stops to
+ * the booking server, whether or not the guest accepted analytics.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/page.js');
+
+// The requests the page sent, as { url, body }.
+const requests = [];
+
+let page;
+let spamGuard;   // The page's js/spam-guard.js module.
+
+test.before(async () => {
+    page = await loadPage({
+        onFetch: (url, options) => {
+            if ((options.method || 'GET') === 'GET') return null;
+            requests.push({ url, body: JSON.parse(options.body) });
+            return { ok: true, status: 202, statusText: 'Accepted', json: () => Promise.resolve({}) };
+        }
+    });
+    spamGuard = page.modules.spamGuard;
+    await settle();
+    spamGuard.SPAM_GUARD_CONFIG.reportEndpoint = '/api/spam-reports';
+    // Nobody fills the form in this fast.
+    spamGuard.SPAM_GUARD_CONFIG.minFillMs = 60 * 60 * 1000;
+});
+
+test.after(() => page.close());
+
+test('a booking sent too fast is reported without analytics consent', async () => {
+    assert.notEqual(page.modules.analytics.getAnalyticsConsent(), 'granted');
+    const date = new Date();
+    date.setDate(date.getDate() + 10);
+    page.modules.itinerary.addToItinerary('prison-island', page.modules.availability.formatISODate(date));
+    document.getElementById('full-name').value = 'Amina Juma';
+    document.getElementById('email').value = 'amina@example.com';
+    document.getElementById('phone').value = '+255 712 345 678';
+
+    document.getElementById('booking-form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await settle();
+
+    assert.equal(page.emailjsSends.length, 0);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, '/api/spam-reports');
+    assert.equal(requests[0].body.reason, 'too-fast');
+    assert.equal(typeof requests[0].body.elapsed, 'number');
+    // The report holds nothing else, and nothing went to the analytics collector.
+    assert.deepEqual(Object.keys(requests[0].body).sort(), ['elapsed', 'reason']);
+});
+
+test('nothing is reported while no report endpoint is set', async () => {
+    spamGuard.SPAM_GUARD_CONFIG.reportEndpoint = '';
+    requests.length = 0;
+
+    spamGuard.logSpamRejection('honeypot');
+    await settle();
+
+    assert.deepEqual(requests, []);
+});
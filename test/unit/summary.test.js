@@ -0,0 +1,86 @@
+/**
+ * The booking summary's calendar file (js/summary.js): folding its lines by
+ * UTF-8 octets, and keeping the download link alive until the browser has it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeTimers = require('@sinonjs/fake-timers');
+const { loadPage, settle } = require('../helpers/page.js');
+
+/**
+ * Splits a folded content line into its physical lines.
+ * @param {string} folded - The folded line.
+ * @returns {Array<string>} The lines, without their line breaks.
+ */
+function splitFolded(folded) {
+    return folded.split('\r\n');
+}
+
+/**
+ * Undoes the folding, as a calendar app does.
+ * @param {string} folded - The folded line.
+ * @returns {string} The content line.
+ */
+function unfold(folded) {
+    return folded.replace(/\r\n /g, '');
+}
+
+let page;
+let summary;   // The page's js/summary.js module.
+
+test.before(async () => {
+    page = await loadPage();
+    summary = page.modules.summary;
+    await settle();
+});
+
+test.after(() => page.close());
+
+test('a short line is not folded', () => {
+    assert.equal(summary.foldICSLine('SUMMARY:Safari Blue'), 'SUMMARY:Safari Blue');
+});
+
+test('an ASCII line is folded into lines of 75 octets', () => {
+    const line = `DESCRIPTION:${'x'.repeat(200)}`;
+
+    const lines = splitFolded(summary.foldICSLine(line));
+
+    assert.equal(lines[0].length, 75);
+    lines.slice(1).forEach(part => assert.ok(part.startsWith(' ') && part.length <= 75));
+    assert.equal(unfold(summary.foldICSLine(line)), line);
+});
+
+test('a line with accents and emoji is folded by octets, between characters', () => {
+    const line = `DESCRIPTION:${'Kukutana hotelini – Ü ö 🐬 '.repeat(12)}`;
+
+    const folded = summary.foldICSLine(line);
+
+    splitFolded(folded).forEach(part => {
+        assert.ok(Buffer.byteLength(part, 'utf8') <= 75, part);
+        // No character is cut in half: every line is valid UTF-8 on its own.
+        assert.equal(Buffer.from(part, 'utf8').toString('utf8'), part);
+        assert.ok(!/[\uD800-\uDBFF]$/.test(part) && !/^ ?[\uDC00-\uDFFF]/.test(part), part);
+    });
+    assert.equal(unfold(folded), line);
+});
+
+test('the calendar file\'s download link is kept until the browser has read it', () => {
+    const clock = FakeTimers.withGlobal(globalThis).install({ toFake: ['setTimeout', 'clearTimeout'] });
+    const { createObjectURL, revokeObjectURL } = URL;
+    const revoked = [];
+    URL.createObjectURL = () => 'blob:http://localhost/booking';
+    URL.revokeObjectURL = url => revoked.push(url);
+    try {
+        const itinerary = [{ tour_id: 'prison-island', tour: 'Prison Island', date: '2027-03-02', guests: 2, adults: 2, children: 0, infants: 0 }];
+        summary.downloadBookingICS({ reference: 'ZST-7KQ3MP', itinerary, name: 'Amina Juma' });
+
+        assert.deepEqual(revoked, []);
+        clock.tick(summary.ICS_URL_LIFETIME_MS);
+        assert.deepEqual(revoked, ['blob:http://localhost/booking']);
+    } finally {
+        URL.createObjectURL = createObjectURL;
+        URL.revokeObjectURL = revokeObjectURL;
+        clock.uninstall();
+    }
+});
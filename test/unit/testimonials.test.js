@@ -0,0 +1,103 @@
+/**
+ * The testimonial carousel (js/testimonials.js): automatic rotation and what
+ * pauses it, on fake timers.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FakeTimers = require('@sinonjs/fake-timers');
+const { loadPage, settle } = require('../helpers/page.js');
+
+let page;
+let reviews;        // The page's js/reviews.js module.
+let testimonials;   // The page's js/testimonials.js module.
+let clock;
+
+/**
+ * Returns the id of the review on the first card.
+ * @returns {string} The review's id.
+ */
+function getFirstCardId() {
+    return document.querySelector('#testimonial-grid .testimonial-card').dataset.testimonialId;
+}
+
+test.before(async () => {
+    page = await loadPage({
+        // Only the timers: promises and the test runner keep running on their own.
+        beforeScripts: () => {
+            clock = FakeTimers.withGlobal(globalThis).install({
+                toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval']
+            });
+        }
+    });
+    reviews = page.modules.reviews;
+    testimonials = page.modules.testimonials;
+    // Let the reviews load and the carousel start.
+    await settle();
+});
+
+test.after(() => {
+    clock.uninstall();
+    page.close();
+});
+
+test.beforeEach(() => {
+    testimonials.showTestimonial(0);
+    // Start each test at the beginning of a rotation period.
+    testimonials.updateTestimonialRotation();
+});
+
+test('the carousel has more reviews than cards, so it rotates', () => {
+    assert.ok(reviews.guestReviews.length > testimonials.testimonialCards.length);
+    assert.equal(getFirstCardId(), reviews.guestReviews[0].id);
+});
+
+test('the carousel moves on one review every few seconds', () => {
+    clock.tick(testimonials.TESTIMONIAL_ROTATE_MS - 1);
+    assert.equal(testimonials.testimonialIndex, 0);
+
+    clock.tick(1);
+    assert.equal(testimonials.testimonialIndex, 1);
+    assert.equal(getFirstCardId(), reviews.guestReviews[1].id);
+
+    clock.tick(testimonials.TESTIMONIAL_ROTATE_MS);
+    assert.equal(testimonials.testimonialIndex, 2);
+});
+
+test('the carousel wraps around from the last review to the first', () => {
+    testimonials.showTestimonial(reviews.guestReviews.length - 1);
+    clock.tick(testimonials.TESTIMONIAL_ROTATE_MS);
+
+    assert.equal(testimonials.testimonialIndex, 0);
+    assert.equal(testimonials.wrapTestimonialIndex(-1), reviews.guestReviews.length - 1);
+});
+
+test('hovering over the carousel pauses it until the pointer leaves', () => {
+    const carousel = document.getElementById('testimonial-carousel');
+    carousel.dispatchEvent(new MouseEvent('mouseenter'));
+    clock.tick(testimonials.TESTIMONIAL_ROTATE_MS * 3);
+    assert.equal(testimonials.testimonialIndex, 0);
+
+    carousel.dispatchEvent(new MouseEvent('mouseleave'));
+    clock.tick(testimonials.TESTIMONIAL_ROTATE_MS);
+    assert.equal(testimonials.testimonialIndex, 1);
+});
+
+test('the carousel holds still while the tab is hidden', () => {
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => true });
+    document.dispatchEvent(new Event('visibilitychange'));
+    clock.tick(testimonials.TESTIMONIAL_ROTATE_MS * 3);
+    assert.equal(testimonials.testimonialIndex, 0);
+
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => false });
+    document.dispatchEvent(new Event('visibilitychange'));
+    clock.tick(testimonials.TESTIMONIAL_ROTATE_MS);
+    assert.equal(testimonials.testimonialIndex, 1);
+});
+
+test('the next button moves on and announces the review', () => {
+    document.getElementById('testimonial-next').click();
+
+    assert.equal(testimonials.testimonialIndex, 1);
+    assert.match(document.getElementById('testimonial-status').textContent, new RegExp(reviews.guestReviews[1].name));
+});
@@ -0,0 +1,212 @@
+/**
+ * =================================================================================
+ * Image Build
+ *
+ * Makes web-sized copies of the photos in pictures/, so phones don't download
+ * the full-resolution originals. For every photo it writes:
+ * - AVIF and WebP copies in several widths, to pictures/generated/<slug>-<width>.<format>.
+ *   The slug is the photo's path in lower case, with spaces and punctuation
+ *   turned into dashes, e.g. "horse riding/Zanzibar Horse Safaris _b.jpg"
+ *   becomes "zanzibar-pics/horse-riding/zanzibar-horse-safaris-b".
+ * - A tiny blurred placeholder, inlined into the manifest as a data URL.
+ *
+ * The manifest, data/images.json, maps each photo's original path (as used in
+ * index.html and js/tours.js) to its copies:
+ *
+ *     { generated, images: { "<path>": { slug, width, height, placeholder, sources: { avif, webp } } } }
+ *
+ * where `sources` lists { width, src } from narrowest to widest. js/images.js
+ * reads it to give the page's photos a srcset. Photos missing from the manifest
+ * are shown as they are, so the site works before the first build.
+ *
+ * Usage (after `npm install`, which installs sharp):
+ *     npm run build:images [-- --force]
+ *
+ * Only photos that changed since the last build are converted again, unless
+ * --force is given. Copies of photos that are no longer in pictures/ are
+ * deleted. pictures/generated/ and data/images.json are not committed: the
+ * GitHub Pages workflow (.github/workflows/static.yml) runs this script before
+ * every deploy.
+ * =================================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    console.log('This script needs sharp. Install it with `npm install`.');
+    process.exit(1);
+}
+
+const ROOT = path.resolve(__dirname, '..');
+const PICTURES_DIR = path.join(ROOT, 'pictures');
+const OUTPUT_DIR = path.join(PICTURES_DIR, 'generated');
+const MANIFEST_FILE = path.join(ROOT, 'data', 'images.json');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Not photos: logos are shown small and need their transparency as it is.
+const SKIPPED_PATHS = [
+    'pictures/generated',
+    'pictures/zanzibarSafarilogo.png',
+    'pictures/ZANZIBAR PICS/webpartnerLogos'
+];
+
+// The widths to make, in pixels. Photos are never enlarged: a photo narrower
+// than one of these gets a copy at its own width instead.
+const WIDTHS = [320, 640, 960, 1280, 1920];
+
+const FORMATS = {
+    avif: { quality: 50 },
+    webp: { quality: 75 }
+};
+
+const PLACEHOLDER_WIDTH = 24;
+
+const force = process.argv.includes('--force');
+
+/**
+ * Turns a photo's path into a slug: lower case, no accents, and dashes instead
+ * of spaces and punctuation. Folders are kept.
+ * @param {string} relativePath - The path inside pictures/, e.g. "ZANZIBAR PICS/the rock/the rock.jpg".
+ * @returns {string} The slug, e.g. "zanzibar-pics/the-rock/the-rock".
+ */
+function slugify(relativePath) {
+    const withoutExtension = relativePath.slice(0, -path.extname(relativePath).length);
+    return withoutExtension.split('/').map(segment => segment
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'image'
+    ).join('/');
+}
+
+/**
+ * Lists the photos in a folder and its subfolders.
+ * @param {string} dir - The folder.
+ * @returns {Array<string>} The photos' paths from the repository root, with forward slashes.
+ */
+function findImages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        const repoPath = path.relative(ROOT, fullPath).split(path.sep).join('/');
+        if (SKIPPED_PATHS.includes(repoPath)) return [];
+        if (entry.isDirectory()) return findImages(fullPath);
+        return IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [repoPath] : [];
+    }).sort();
+}
+
+/**
+ * Works out which widths to make for a photo.
+ * @param {number} width - The photo's own width.
+ * @returns {Array<number>} The widths, narrowest first.
+ */
+function getWidths(width) {
+    const widest = Math.min(width, WIDTHS[WIDTHS.length - 1]);
+    return [...WIDTHS.filter(candidate => candidate < widest), widest];
+}
+
+/**
+ * Checks whether a copy of a photo needs to be (re)made.
+ * @param {string} source - The photo's full path.
+ * @param {string} output - The copy's full path.
+ * @returns {boolean} True if the copy is missing or older than the photo.
+ */
+function isStale(source, output) {
+    if (force || !fs.existsSync(output)) return true;
+    return fs.statSync(output).mtimeMs < fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Makes the copies and the placeholder of one photo.
+ * @param {string} repoPath - The photo's path from the repository root.
+ * @param {string} slug - The photo's slug.
+ * @returns {Promise<object>} The photo's manifest entry.
+ */
+function buildImage(repoPath, slug) {
+    const source = path.join(ROOT, repoPath);
+
+    return sharp(source).metadata().then(metadata => {
+        // EXIF orientations 5 to 8 are turned a quarter; .rotate() below applies them.
+        const [width, height] = metadata.orientation >= 5
+            ? [metadata.height, metadata.width]
+            : [metadata.width, metadata.height];
+        const sources = {};
+        const jobs = [];
+
+        getWidths(width).forEach(targetWidth => {
+            Object.entries(FORMATS).forEach(([format, options]) => {
+                const src = `pictures/generated/${slug}-${targetWidth}.${format}`;
+                const output = path.join(ROOT, src);
+                (sources[format] = sources[format] || []).push({ width: targetWidth, src });
+                if (!isStale(source, output)) return;
+
+                fs.mkdirSync(path.dirname(output), { recursive: true });
+                jobs.push(() => sharp(source).rotate().resize({ width: targetWidth })[format](options).toFile(output));
+            });
+        });
+
+        // One at a time: sharp already uses every core for a single photo.
+        return jobs.reduce((previous, job) => previous.then(job), Promise.resolve())
+            .then(() => sharp(source).rotate().resize({ width: PLACEHOLDER_WIDTH }).blur(1).webp({ quality: 40 }).toBuffer())
+            .then(buffer => ({
+                slug,
+                width,
+                height,
+                placeholder: `data:image/webp;base64,${buffer.toString('base64')}`,
+                sources
+            }));
+    });
+}
+
+/**
+ * Deletes the copies of photos that are no longer in the manifest.
+ * @param {Set<string>} keep - The paths of the copies to keep, from the repository root.
+ * @param {string} [dir] - The folder to clean up.
+ */
+function removeStaleCopies(keep, dir = OUTPUT_DIR) {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            removeStaleCopies(keep, fullPath);
+            if (fs.readdirSync(fullPath).length === 0) fs.rmdirSync(fullPath);
+        } else if (!keep.has(path.relative(ROOT, fullPath).split(path.sep).join('/'))) {
+            fs.unlinkSync(fullPath);
+            console.log(`Removed ${path.relative(ROOT, fullPath)}`);
+        }
+    });
+}
+
+const images = findImages(PICTURES_DIR);
+const usedSlugs = new Set();
+const manifest = { generated: new Date().toISOString(), images: {} };
+
+images.reduce((previous, repoPath) => previous.then(() => {
+    // Two photos can have the same slug, e.g. "safari blue.jpg" and "safari-blue.webp".
+    const baseSlug = slugify(path.relative(PICTURES_DIR, path.join(ROOT, repoPath)).split(path.sep).join('/'));
+    let slug = baseSlug;
+    for (let n = 2; usedSlugs.has(slug); n++) slug = `${baseSlug}-${n}`;
+    usedSlugs.add(slug);
+
+    return buildImage(repoPath, slug)
+        .then(entry => {
+            manifest.images[repoPath] = entry;
+            console.log(`${repoPath} -> ${slug} (${entry.sources.webp.map(s => s.width).join(', ')})`);
+        })
+        .catch(error => {
+            // A broken photo should not stop the others; the page shows it as it is.
+            console.log(`Could not convert ${repoPath}.`, error);
+        });
+}), Promise.resolve())
+    .then(() => {
+        const keep = new Set(Object.values(manifest.images).flatMap(entry =>
+            Object.values(entry.sources).flat().map(source => source.src)));
+        removeStaleCopies(keep);
+        fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n');
+        console.log(`Wrote ${path.relative(ROOT, MANIFEST_FILE)} with ${Object.keys(manifest.images).length} photos.`);
+    });
@@ -0,0 +1,237 @@
+/**
+ * =================================================================================
+ * Mock Booking Server
+ *
+ * A small local server for trying out the "http" booking transport without a
+ * real backend. It serves the website from the repository root and accepts
+ * bookings on POST /api/bookings, guest reviews on POST /api/reviews and
+ * changes to bookings on POST /api/amendments, keeping them in memory.
+ *
+ * Usage:
+ *     node tools/mock-booking-server.js [--port 8787] [--fail-rate 0.5]
+ *
+ * Then open http://localhost:8787 and set BOOKING_CONFIG.transport to 'http' in
+ * js/transports.js. --fail-rate makes that share of bookings fail with HTTP 503,
+ * which is handy for watching the offline outbox retry them.
+ *
+ * Endpoints:
+ * - POST /api/bookings  Stores a booking. Replies 201 with { id, receivedAt }, or
+ *                       422 with { errors } if it fails the rules in js/validation.js,
+ *                       or 400 if the body is not a booking at all.
+ * - GET  /api/bookings  Lists the bookings received so far.
+ * - POST /api/reviews   Stores a guest review, checked with validateReview().
+ *                       Same replies as POST /api/bookings.
+ * - GET  /api/reviews   Lists the reviews received so far as a { reviews } feed,
+ *                       so the "http" review source in js/reviews.js can read it.
+ * - POST /api/amendments Stores a guest's change to a booking received earlier,
+ *                       checked with validateAmendment(). Same replies as POST
+ *                       /api/bookings. The booking itself is left as it was.
+ * - GET  /api/amendments Lists the amendments received so far.
+ * =================================================================================
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { validateBooking, validateReview, validateAmendment } = require('../js/validation.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Reads a command-line option such as `--port 8787`.
+ * @param {string} name - The option name, without the dashes.
+ * @param {string} fallback - The value to use when the option is missing.
+ * @returns {string} The option value.
+ */
+function getOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const port = parseInt(getOption('port', '8787'));
+const failRate = parseFloat(getOption('fail-rate', '0'));
+const bookings = [];
+const reviews = [];
+const amendments = [];
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {*} body - The value to send as JSON.
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': CONTENT_TYPES['.json'],
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Handles an endpoint that receives submissions from the website (bookings,
+ * reviews or amendments): lists them on GET and validates and stores them on POST.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {object} endpoint - What the endpoint receives:
+ *     { label, received, validate(submission), list(received) }.
+ */
+function handleSubmissions(req, res, { label, received, validate, list }) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET') {
+        sendJSON(res, 200, list(received));
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJSON(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        if (Math.random() < failRate) {
+            console.log(`Simulating a failed ${label} delivery.`);
+            sendJSON(res, 503, { error: 'Simulated failure' });
+            return;
+        }
+
+        let submission;
+        try {
+            submission = JSON.parse(body);
+        } catch (error) {
+            sendJSON(res, 400, { error: 'Body must be JSON' });
+            return;
+        }
+        if (!submission || typeof submission !== 'object' || Array.isArray(submission)) {
+            sendJSON(res, 400, { error: 'Body must be a JSON object' });
+            return;
+        }
+
+        // Never trust the browser: apply the same rules the website's forms do.
+        // The rules expect the website's shapes; anything else is a bad request.
+        let errors;
+        try {
+            errors = validate(submission);
+        } catch (error) {
+            sendJSON(res, 400, { error: `Malformed ${label}` });
+            return;
+        }
+        if (Object.keys(errors).length > 0) {
+            sendJSON(res, 422, { errors });
+            return;
+        }
+
+        const stored = { id: received.length + 1, receivedAt: new Date().toISOString(), [label]: submission };
+        received.push(stored);
+        console.log(`${label[0].toUpperCase()}${label.slice(1)} #${stored.id} from ${submission.name || 'unknown guest'}`);
+        sendJSON(res, 201, { id: stored.id, receivedAt: stored.receivedAt });
+    });
+}
+
+// The endpoints that receive submissions, by URL.
+const SUBMISSION_ENDPOINTS = {
+    '/api/bookings': {
+        label: 'booking',
+        received: bookings,
+        validate: validateBooking,
+        list: received => received
+    },
+    '/api/reviews': {
+        label: 'review',
+        received: reviews,
+        validate: validateReview,
+        // In the shape of data/testimonials.json.
+        list: received => ({
+            reviews: received.map(({ id, review }) => ({
+                id: `review-${id}`,
+                tourId: review.tour_id || null,
+                name: review.name,
+                rating: review.rating,
+                text: review.text
+            }))
+        })
+    },
+    '/api/amendments': {
+        label: 'amendment',
+        received: amendments,
+        validate: amendment => {
+            const original = bookings.find(({ booking }) => booking.reference && booking.reference === amendment.reference);
+            if (!original) return { reference: 'No booking with this reference was received.' };
+            return validateAmendment(amendment, { ...original.booking, status: 'pending' });
+        },
+        list: received => received
+    }
+};
+
+/**
+ * Serves a file from the repository root.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    // Never serve anything outside the repository, including folders next to it
+    // whose names start the same.
+    const relativePath = path.relative(ROOT, filePath);
+    if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const endpoint = Object.keys(SUBMISSION_ENDPOINTS).find(url => req.url.startsWith(url));
+    if (endpoint) {
+        handleSubmissions(req, res, SUBMISSION_ENDPOINTS[endpoint]);
+    } else {
+        serveStatic(req, res);
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Mock booking server running at http://localhost:${port}`);
+});